@@ -19,30 +19,9 @@ module.exports = {
 		await interaction.deferReply();
 
 
-		   // Query database for table stats
-		   let userCount = 0;
-		   let tableCount = 0;
-		   try {
-			   // Tables
-			   await interaction.editReply("tabulating tables...");
-			   if (database.useDatabase && database.pool) {
-				   const tableRes = await database.pool.query("SELECT COUNT(*) FROM tables");
-				   tableCount = parseInt(tableRes.rows[0].count, 10);
-			   }
-
-			   await interaction.editReply("counting users...");
-			   if (database.useDatabase && database.pool) {
-				   const userRes = await database.pool.query("SELECT COUNT(*) FROM user_data");
-				   userCount = parseInt(userRes.rows[0].count, 10);
-			   }
-			   else {
-				   const userIds = await database.getAllUserIds();
-				   userCount = userIds.length;
-			   }
-		   }
-		catch (e) {
-			   // fallback to 0s
-		   }
+		   // Query storage for table and user counts
+		   await interaction.editReply("tabulating tables...");
+		   const { tableCount, userCount } = await database.getGlobalStats();
 		   await interaction.editReply("tallying servers...");
 		   // Get server count directly from Discord client
 		   const serverCount = interaction.client.guilds.cache.size;
@@ -251,6 +251,11 @@ module.exports = {
 			}
 		}
 
+		if (await database.isOptedOut(loungeId)) {
+			await interaction.editReply("you opted out with /privacy forget, so favorites can't be saved. use /privacy opt-in to allow it again.");
+			return;
+		}
+
 		let ensureResult = null;
 		const target = {
 			loungeId,
@@ -352,7 +357,7 @@ module.exports = {
 		delete updatedUser.servers;
 
 		try {
-			await database.saveUserData(loungeId, updatedUser);
+			await database.saveUserData(loungeId, updatedUser, { linkSource: "manual" });
 		}
 		catch (error) {
 			await interaction.editReply("something went wrong while saving your favorites. please try again.");
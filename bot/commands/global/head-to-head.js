@@ -15,7 +15,9 @@ const EmbedEnhancer = require("../../utils/embedEnhancer");
 const resolveTargetPlayer = require("../../utils/playerResolver");
 const AutoUserManager = require("../../utils/autoUserManager");
 const { createSessionStore, createRenderTracker } = require("../../utils/cacheManager");
-const { buildStandardFilterRows, parseStandardFilterCustomId } = require("../../utils/globalCommands");
+const { buildStandardFilterRows, parseStandardFilterCustomId, getGameOption, resolveGameOption, buildGameOption } = require("../../utils/globalCommands");
+const GameProfiles = require("../../utils/gameProfiles");
+const UsageAnalytics = require("../../utils/usageAnalytics");
 const loadImageResource = EmbedEnhancer.createImageLoader("head-to-head");
 
 // -------------------- constants --------------------
@@ -93,12 +95,12 @@ function endHeadToHeadRender(messageId, token) {
 }
 
 // -------------------- image helpers --------------------
-async function getRankIcon(rankName, mmr) {
+async function getRankIcon(rankName, mmr, game) {
 	const filename =
 	PlayerStats.getRankIconFilename(rankName) ||
 	PlayerStats.getRankIconFilenameForMmr(mmr);
 	if (!filename) return null;
-	return loadImageResource(`bot/images/ranks/${filename}`, `rank icon ${rankName || mmr}`);
+	return loadImageResource(`${GameProfiles.getProfile(game).assets.rankIconsDir}/${filename}`, `rank icon ${rankName || mmr}`);
 }
 function formatRecordText(record) {
 	if (!record) return "-";
@@ -126,15 +128,16 @@ function formatEventDescriptor(table) {
 }
 
 // -------------------- customId helpers --------------------
-// Format: h2h|action|time|queue|players|loungeId1|loungeId2
-function buildCustomId(action, { loungeId1, loungeId2, timeFilter, queueFilter, playerCountFilter }) {
+// Format: h2h|action|time|queue|players|loungeId1|loungeId2|game
+function buildCustomId(action, { loungeId1, loungeId2, timeFilter, queueFilter, playerCountFilter, game }) {
 	const safeAction = (action || "time").toLowerCase();
 	const safeTime = (timeFilter || DEFAULT_FILTERS.timeFilter).toLowerCase();
 	const safeQueue = (queueFilter || DEFAULT_FILTERS.queueFilter).toLowerCase();
 	const safePlayers = (playerCountFilter || DEFAULT_FILTERS.playerCountFilter).toLowerCase();
 	const id1 = loungeId1 ?? "";
 	const id2 = loungeId2 ?? "";
-	return ["h2h", safeAction, safeTime, safeQueue, safePlayers, id1, id2].join("|");
+	const safeGame = game || GameProfiles.DEFAULT_PROFILE_KEY;
+	return ["h2h", safeAction, safeTime, safeQueue, safePlayers, id1, id2, safeGame].join("|");
 }
 function parseCustomId(customId) {
 	return parseStandardFilterCustomId({
@@ -151,13 +154,14 @@ function parseCustomId(customId) {
 }
 
 // -------------------- component rows --------------------
-function buildComponentRows({ loungeId1, loungeId2, timeFilter, queueFilter, playerCountFilter }) {
+function buildComponentRows({ loungeId1, loungeId2, timeFilter, queueFilter, playerCountFilter, game }) {
 	return buildStandardFilterRows({
 		buildCustomId: buildCustomId,
-		customIdParams: { loungeId1, loungeId2 },
+		customIdParams: { loungeId1, loungeId2, game },
 		timeFilter,
 		queueFilter,
 		playerCountFilter,
+		game,
 		defaultTime: DEFAULT_FILTERS.timeFilter,
 		defaultQueue: DEFAULT_FILTERS.queueFilter,
 		defaultPlayers: DEFAULT_FILTERS.playerCountFilter,
@@ -172,6 +176,7 @@ async function renderHeadToHeadImage({
 	playerRight,
 	record,
 	filters,
+	game = GameProfiles.DEFAULT_PROFILE_KEY,
 }) {
 	const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
 	const ctx = canvas.getContext("2d");
@@ -249,6 +254,9 @@ async function renderHeadToHeadImage({
 	if (filters.playerCountFilter !== "both") {
 		subtitleParts.push(filters.playerCountFilter);
 	}
+	if (game !== GameProfiles.DEFAULT_PROFILE_KEY) {
+		subtitleParts.push(GameProfiles.getProfile(game).shortName);
+	}
 	if (Number.isFinite(record?.eventsPlayed)) {
 		subtitleParts.push(`${record.eventsPlayed} shared events`);
 	}
@@ -592,7 +600,8 @@ module.exports = {
 				.setDescription("defaults to you if left blank.")
 				.setAutocomplete(true)
 				.setRequired(false),
-		),
+		)
+		.addStringOption(buildGameOption),
 
 	autocomplete: async (interaction) => {
 		const focused = interaction.options.getFocused(true);
@@ -613,7 +622,7 @@ module.exports = {
 			const seen = new Set();
 
 			if (rawQuery) {
-				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10 });
+				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10, game: GameProfiles.getDefaultGame(getGameOption(interaction)) });
 				for (const player of globalResults) {
 					const loungeId = [player.id, player.playerId, player.loungeId]
 						.map((v) => (v == null ? null : String(v)))
@@ -628,6 +637,20 @@ module.exports = {
 					seen.add(loungeId);
 					if (suggestions.length >= 10) break;
 				}
+
+				if (suggestions.length < 10) {
+					const formerMatches = await Database.findUsersByFormerName(rawQuery, { limit: 10 - suggestions.length });
+					for (const record of formerMatches) {
+						const loungeId = record.loungeId == null ? null : String(record.loungeId);
+						if (!loungeId || seen.has(loungeId) || !record.loungeName) continue;
+						const name = `${record.loungeName} (formerly ${record.matchedFormerName})`;
+						suggestions.push({
+							name: name.length > 100 ? `${name.slice(0, 97)}...` : name,
+							value: loungeId,
+						});
+						seen.add(loungeId);
+					}
+				}
 			}
 
 			if (!suggestions.length && rawQuery) {
@@ -655,6 +678,7 @@ module.exports = {
 			const serverId = interaction.guildId;
 			const rawPlayer1 = interaction.options.getString("player");
 			const rawPlayer2 = interaction.options.getString("player2");
+			const game = await resolveGameOption(interaction);
 
 			let target1, target2;
 
@@ -700,6 +724,7 @@ module.exports = {
 				playerLeft: target1,
 				playerRight: target2,
 				filters,
+				game,
 			});
 
 			if (!result.success) {
@@ -714,6 +739,7 @@ module.exports = {
 				loungeId1: target1.loungeId,
 				loungeId2: target2.loungeId,
 				...filters,
+				game,
 			});
 
 			const replyMessage = await interaction.editReply({
@@ -733,6 +759,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("head-to-head command error:", error);
+			UsageAnalytics.markFailed(interaction);
 			try {
 				await interaction.editReply({
 					content: "error: something went wrong while generating head-to-head stats.",
@@ -773,6 +800,7 @@ module.exports = {
 				loungeId1: parsed.loungeId1,
 				loungeId2: parsed.loungeId2,
 				...filters,
+				game: parsed.game,
 			});
 
 			await interaction.update({ components });
@@ -803,6 +831,7 @@ module.exports = {
 					playerRight: target2,
 					filters,
 					session: cachedSession,
+					game: parsed.game,
 				});
 
 				if (isHeadToHeadRenderActive(messageId, renderToken)) {
@@ -842,6 +871,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("head-to-head button interaction error:", error);
+			UsageAnalytics.markFailed(interaction);
 			return false;
 		}
 	},
@@ -853,6 +883,7 @@ module.exports = {
 			playerRight,
 			filters,
 			session = null,
+			game = GameProfiles.DEFAULT_PROFILE_KEY,
 		},
 	) {
 		try {
@@ -871,39 +902,10 @@ module.exports = {
 
 			const playerCountFilter = filters.playerCountFilter || "both";
 
+			const profile = GameProfiles.getProfile(game);
+
 			// Helper: Fetch best mode if "both", or specific mode if filtered
-			const fetchPlayerDetails = async (loungeId) => {
-				if (playerCountFilter !== "both") {
-					// Specific mode
-					const mode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
-					const d = await LoungeApi.getPlayerDetailsByLoungeId(loungeId, undefined, mode);
-					if (d) d.gameMode = mode;
-					return d;
-				}
-				else {
-					// Smart selection: fetch both, return best
-					const [d12, d24] = await Promise.all([
-						LoungeApi.getPlayerDetailsByLoungeId(loungeId, undefined, "mkworld12p"),
-						LoungeApi.getPlayerDetailsByLoungeId(loungeId, undefined, "mkworld24p"),
-					]);
-
-					if (!d12 && !d24) return null;
-					if (d12 && !d24) { d12.gameMode = "mkworld12p"; return d12; }
-					if (!d12 && d24) { d24.gameMode = "mkworld24p"; return d24; }
-
-					// Both exist, compare
-					const m12 = Number(d12.mmr) || 0;
-					const m24 = Number(d24.mmr) || 0;
-					if (m24 > m12) {
-						d24.gameMode = "mkworld24p";
-						return d24;
-					}
-					else {
-						d12.gameMode = "mkworld12p";
-						return d12;
-					}
-				}
-			};
+			const fetchPlayerDetails = (loungeId) => LoungeApi.getPreferredPlayerDetails(loungeId, { game: profile.key, playerCountFilter });
 
 			if (!leftPlayerDetails) {
 				leftPlayerDetails = await fetchPlayerDetails(normalizedLeftId);
@@ -914,7 +916,7 @@ module.exports = {
 
 			// If specific filter was used, verify cached details match
 			if (playerCountFilter !== "both") {
-				const expectedMode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
+				const expectedMode = GameProfiles.getGameForFilter(profile.key, playerCountFilter);
 				if (leftPlayerDetails && leftPlayerDetails.gameMode !== expectedMode) {
 					leftPlayerDetails = await fetchPlayerDetails(normalizedLeftId);
 				}
@@ -944,6 +946,7 @@ module.exports = {
 						discordUser: target.discordUser,
 						fallbackName: `player ${normalizedId}`,
 						playerDetails,
+						linkSource: target.linkSource,
 					});
 
 					if (result.discordUser) {
@@ -1044,7 +1047,7 @@ module.exports = {
 
 			const filteredTables =
 				typeof PlayerStats.filterTablesByControls === "function"
-					? PlayerStats.filterTablesByControls(sharedTables, filters)
+					? PlayerStats.filterTablesByControls(sharedTables, { ...filters, game: profile.key })
 					: sharedTables; // fallback if helper not present
 
 			if (!filteredTables || Object.keys(filteredTables).length === 0) {
@@ -1098,7 +1101,7 @@ module.exports = {
 				const mmrDisplay = Number.isFinite(mmr) ? `${NUMBER_FORMATTER.format(Math.round(mmr))} mmr` : "mmr unavailable";
 
 				const rankName = playerDetails?.rankName || playerDetails?.rank;
-				const rankIcon = await getRankIcon(rankName, mmr);
+				const rankIcon = await getRankIcon(rankName, mmr, profile.key);
 				let avatarImage = cachedAvatar?.image || null;
 				let avatarSource = cachedAvatar?.source || null;
 				const avatarUrl = player.discordUser ? EmbedEnhancer.getPlayerAvatarUrl(player.discordUser) : null;
@@ -1181,6 +1184,7 @@ module.exports = {
 				playerRight: { ...playerRightRender, highlight: highlights.right },
 				record: { ...record, eventsPlayed },
 				filters,
+				game: profile.key,
 			});
 
 			const leanLeftDetails = { ...leftPlayerDetails };
@@ -1198,6 +1202,7 @@ module.exports = {
 				primaryPlayerId: basePlayerId,
 				sharedTables,
 				filters,
+				game: profile.key,
 				target: {
 					left: playerLeft,
 					right: playerRight,
@@ -1207,12 +1212,12 @@ module.exports = {
 			const linkParts = [];
 			if (leftBestWin?.tableId) {
 				linkParts.push(
-					`[${playerLeft.displayName}'s biggest win](https://lounge.mkcentral.com/mkworld/TableDetails/${leftBestWin.tableId})`,
+					`[${playerLeft.displayName}'s biggest win](${GameProfiles.getTableUrl(leftBestWin.tableId, profile.key)})`,
 				);
 			}
 			if (rightBestWin?.tableId) {
 				linkParts.push(
-					`[${playerRight.displayName}'s biggest win](https://lounge.mkcentral.com/mkworld/TableDetails/${rightBestWin.tableId})`,
+					`[${playerRight.displayName}'s biggest win](${GameProfiles.getTableUrl(rightBestWin.tableId, profile.key)})`,
 				);
 			}
 			const content = linkParts.length ? `**links:** ${linkParts.join(", ")}` : "";
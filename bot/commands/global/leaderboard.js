@@ -3,11 +3,18 @@ const { createCanvas } = require("canvas");
 const Database = require("../../utils/database");
 const LoungeApi = require("../../utils/loungeApi");
 const PlayerStats = require("../../utils/playerStats");
+const SeasonRegistry = require("../../utils/seasonRegistry");
+const RankThresholds = require("../../utils/rankThresholds");
 const EmbedEnhancer = require("../../utils/embedEnhancer");
 const AutoUserManager = require("../../utils/autoUserManager");
 const ColorPalettes = require("../../utils/colorPalettes");
 const Fonts = require("../../utils/fonts");
+const GameProfiles = require("../../utils/gameProfiles");
 const { createSessionStore, createRenderTracker } = require("../../utils/cacheManager");
+const { resolveGameOption, buildGameOption } = require("../../utils/globalCommands");
+const { withPriority } = require("../../utils/requestScheduler");
+const ServerData = require("../../utils/serverData");
+const UsageAnalytics = require("../../utils/usageAnalytics");
 const loadImageResource = EmbedEnhancer.createImageLoader("leaderboard");
 
 const {
@@ -76,7 +83,16 @@ const TIME_LABELS = {
 	weekly: "past week",
 	season: "this season",
 };
-const GAME_MODES = ["mkworld12p", "mkworld24p"];
+const DEFAULT_GAME = GameProfiles.getDefaultGame(GameProfiles.DEFAULT_PROFILE_KEY);
+
+// Custom ids carry an API game key ("mkworld24p", "mk8dx"); anything else falls back to the default game
+function normalizeGame(game) {
+	return (game && GameProfiles.getMode(game)) ? game : DEFAULT_GAME;
+}
+
+function getEntriesForGame(session, game) {
+	return session?.entriesByGame?.[game] || [];
+}
 
 
 function getPalette() {
@@ -219,7 +235,7 @@ function computeActivityFlags(mmrChanges = []) {
 		if (change?.season === undefined || change?.season === null) {
 			season = true;
 		}
-		else if (Number(change.season) === Number(LoungeApi.getCachedCurrentSeason?.() ?? LoungeApi.DEFAULT_SEASON)) {
+		else if (Number(change.season) === SeasonRegistry.getCurrentSeason(LoungeApi.DEFAULT_GAME)) {
 			season = true;
 		}
 	}
@@ -237,7 +253,7 @@ function buildLeaderboardCustomId(action, { timeFilter, serverId, page, game, ro
 	const safeTime = (timeFilter && TIME_FILTERS.includes(timeFilter)) ? timeFilter : "alltime";
 	const safeServer = serverId ? String(serverId) : "";
 	const safePage = page ? String(page) : "1";
-	const safeGame = (game && GAME_MODES.includes(game)) ? game : "mkworld12p";
+	const safeGame = normalizeGame(game);
 	const safeRole = roleId ? String(roleId) : "";
 	return ["leaderboard", safeAction, safeTime, safeServer, safePage, safeGame, safeRole].join("|");
 }
@@ -256,12 +272,12 @@ function parseLeaderboardInteraction(customId) {
 		timeFilter: TIME_FILTERS.includes(timeFilter) ? timeFilter : "alltime",
 		serverId: serverId || null,
 		page: page ? parseInt(page, 10) : 1,
-		game: (game && GAME_MODES.includes(game)) ? game : "mkworld12p",
+		game: normalizeGame(game),
 		roleId: roleId || null,
 	};
 }
 
-function buildLeaderboardComponents({ timeFilter, serverId, page = 1, totalPages = 1, game = "mkworld12p", roleId = null }) {
+function buildLeaderboardComponents({ timeFilter, serverId, page = 1, totalPages = 1, game = DEFAULT_GAME, roleId = null }) {
 	const commonParams = { timeFilter, serverId, page: 1, roleId };
 
 	const timeRow = new ActionRowBuilder()
@@ -283,19 +299,16 @@ function buildLeaderboardComponents({ timeFilter, serverId, page = 1, totalPages
 				.setDisabled(timeFilter === "season"),
 		);
 
-	const formatRow = new ActionRowBuilder()
-		.addComponents(
-			new ButtonBuilder()
-				.setCustomId(buildLeaderboardCustomId("format", { ...commonParams, page, game: "mkworld12p" }))
-				.setLabel("12p")
-				.setStyle(ButtonStyle.Secondary)
-				.setDisabled(game === "mkworld12p"),
-			new ButtonBuilder()
-				.setCustomId(buildLeaderboardCustomId("format", { ...commonParams, page, game: "mkworld24p" }))
-				.setLabel("24p")
+	// One format button per mode of the game; single-mode games don't get the row
+	const { modes } = GameProfiles.getProfileForGame(game);
+	const formatRow = modes.length > 1
+		? new ActionRowBuilder()
+			.addComponents(modes.map(mode => new ButtonBuilder()
+				.setCustomId(buildLeaderboardCustomId("format", { ...commonParams, page, game: mode.game }))
+				.setLabel(mode.label)
 				.setStyle(ButtonStyle.Secondary)
-				.setDisabled(game === "mkworld24p"),
-		);
+				.setDisabled(game === mode.game)))
+		: null;
 
 	const paginationRow = new ActionRowBuilder();
 
@@ -341,7 +354,7 @@ function buildLeaderboardComponents({ timeFilter, serverId, page = 1, totalPages
 			.setStyle(ButtonStyle.Success),
 	);
 
-	return [paginationRow, formatRow, timeRow];
+	return [paginationRow, formatRow, timeRow].filter(Boolean);
 }
 
 function storeLeaderboardSession(messageId, session) {
@@ -613,7 +626,7 @@ async function drawLeaderboardColumn(ctx, frame, entries, palette, startingRank,
 	}
 }
 
-async function collectLeaderboardEntries(interaction, roleId = null) {
+async function collectLeaderboardEntries(interaction, roleId = null, profileKey = GameProfiles.DEFAULT_PROFILE_KEY) {
 	// Ensure cache is complete
 	if (interaction.guild.memberCount > interaction.guild.members.cache.size) {
 		try {
@@ -633,8 +646,14 @@ async function collectLeaderboardEntries(interaction, roleId = null) {
 		memberList = memberList.filter(m => m.roles.cache.has(roleId));
 	}
 
-	const entries12p = [];
-	const entries24p = [];
+	// Players who opted out with /privacy forget are left off
+	const optedOutIds = await Database.getOptedOutIds();
+
+	// Entries without a rank name get one from this season's thresholds
+	const games = GameProfiles.getModeGames(profileKey);
+	await Promise.all(games.map(mode => RankThresholds.ensureThresholds(mode)));
+
+	const entriesByGame = Object.fromEntries(games.map(game => [game, []]));
 	const BATCH_SIZE = 5;
 	const total = memberList.length;
 
@@ -649,17 +668,18 @@ async function collectLeaderboardEntries(interaction, roleId = null) {
 
 		const promises = batch.map(async (member) => {
 			try {
-				const [details12p, details24p] = await Promise.all([
-					LoungeApi.getPlayerByDiscordIdDetailed(member.id, undefined, "mkworld12p"),
-					LoungeApi.getPlayerByDiscordIdDetailed(member.id, undefined, "mkworld24p"),
-				]);
+				// Member scans can be hundreds of lookups; let interactive requests go first
+				const detailsByGame = await withPriority("background", () => Promise.all(
+					games.map(game => LoungeApi.getPlayerByDiscordIdDetailed(member.id, undefined, game)),
+				));
 
-				const processDetails = (details) => {
+				const processDetails = (details, gameMode) => {
 					if (!details) return null;
 					const mmr = Number(details.mmr ?? details.currentMmr ?? details.mmrValue);
 					if (!Number.isFinite(mmr)) return null;
 					const loungeId = details?.id ?? details?.loungeId ?? details?.playerId;
 					if (loungeId === undefined || loungeId === null) return null;
+					if (optedOutIds.has(String(loungeId))) return null;
 
 					const mmrChanges = Array.isArray(details.mmrChanges) ? details.mmrChanges : [];
 					const activity = computeActivityFlags(mmrChanges);
@@ -678,7 +698,7 @@ async function collectLeaderboardEntries(interaction, roleId = null) {
 						mmr,
 						activity,
 						countryCode: details.countryCode || null,
-						rankName: details.rankName || details.rank || null,
+						rankName: details.rankName || details.rank || PlayerStats.getRankThresholdForMmr(mmr, gameMode, details.season)?.label || null,
 						metrics: {
 							alltime: mmr,
 							weekly: weeklyDelta,
@@ -692,10 +712,7 @@ async function collectLeaderboardEntries(interaction, roleId = null) {
 					};
 				};
 
-				return {
-					entry12p: processDetails(details12p),
-					entry24p: processDetails(details24p),
-				};
+				return games.map((game, index) => ({ game, entry: processDetails(detailsByGame[index], game) }));
 			}
 			catch (error) {
 				return null;
@@ -704,22 +721,22 @@ async function collectLeaderboardEntries(interaction, roleId = null) {
 
 		const results = await Promise.all(promises);
 		for (const result of results) {
-			if (result) {
-				if (result.entry12p) entries12p.push(result.entry12p);
-				if (result.entry24p) entries24p.push(result.entry24p);
+			for (const { game, entry } of result || []) {
+				if (entry) entriesByGame[game].push(entry);
 			}
 		}
 	}
 
-	entries12p.sort((a, b) => b.mmr - a.mmr);
-	entries24p.sort((a, b) => b.mmr - a.mmr);
+	for (const entries of Object.values(entriesByGame)) {
+		entries.sort((a, b) => b.mmr - a.mmr);
+	}
 
 	// Hydrate immediately to fix display names
 	// Wait, hydrateEntryDisplay is async?
 	// No, it handles fallback logic.
 	// We can do it in generateLeaderboard or here.
 
-	return { entries12p, entries24p };
+	return entriesByGame;
 }
 
 async function hydrateEntryDisplay(interaction, entry) {
@@ -736,16 +753,17 @@ async function hydrateEntryDisplay(interaction, entry) {
 async function generateLeaderboard(interaction, {
 	timeFilter = "alltime",
 	page = 1,
-	game = "mkworld12p",
+	game = DEFAULT_GAME,
 	roleId = null,
 	session: existingSession = null,
 	highlightDiscordId = null,
 	highlightLoungeId = null,
 } = {}) {
 	const serverId = interaction.guildId;
-	const selectedGame = game || existingSession?.game || "mkworld12p";
+	const selectedGame = game || existingSession?.game || DEFAULT_GAME;
 	const selectedRoleId = roleId || existingSession?.roleId || null;
-	const gameLabel = selectedGame.includes("24p") ? "24p" : "12p";
+	const profile = GameProfiles.getProfileForGame(selectedGame);
+	const gameLabel = profile.modes.length > 1 ? GameProfiles.getModeLabel(selectedGame) : profile.shortName;
 
 	let roleName = "";
 	if (selectedRoleId) {
@@ -773,19 +791,20 @@ async function generateLeaderboard(interaction, {
 
 	// Regenerate session (fetch data) if cache is stale or if role changed
 	const isStale = (Date.now() - (session.generatedAt || 0)) > (5 * 60 * 1000);
-	const hasEntries = session.entries12p?.length > 0 || session.entries24p?.length > 0;
+	const hasEntries = Object.values(session.entriesByGame || {}).some(entries => entries.length > 0);
+	// Entries are collected for every mode of one game; switching games needs a new scan
+	const hasGame = Array.isArray(session.entriesByGame?.[selectedGame]);
 
-	if (!hasEntries || session.roleId !== selectedRoleId || isStale) {
+	if (!hasEntries || !hasGame || session.roleId !== selectedRoleId || isStale) {
 		await interaction.editReply("scanning members...");
-		const { entries12p, entries24p } = await collectLeaderboardEntries(interaction, selectedRoleId);
+		const entriesByGame = await collectLeaderboardEntries(interaction, selectedRoleId, profile.key);
 		session = {
 			...session,
 			serverId,
 			serverName: guildName,
 			game: selectedGame, // Just for reference
 			roleId: selectedRoleId,
-			entries12p,
-			entries24p,
+			entriesByGame,
 			generatedAt: Date.now(),
 		};
 	}
@@ -793,7 +812,7 @@ async function generateLeaderboard(interaction, {
 	await interaction.editReply("sorting players...");
 
 	// Select the correct list based on game mode
-	const currentEntries = selectedGame.includes("24p") ? (session.entries24p || []) : (session.entries12p || []);
+	const currentEntries = getEntriesForGame(session, selectedGame);
 
 	const pool = currentEntries.filter(entry => {
 		if (timeFilter === "alltime") return true;
@@ -883,7 +902,8 @@ module.exports = {
 			option.setName("role")
 				.setDescription("filter by role")
 				.setRequired(false),
-		),
+		)
+		.addStringOption(buildGameOption),
 
 	async execute(interaction) {
 		try {
@@ -894,13 +914,20 @@ module.exports = {
 				return;
 			}
 
+			const settings = await ServerData.getServerData(interaction.guildId);
+			if (!settings.features.leaderboard) {
+				await interaction.editReply("the leaderboard is turned off in this server.");
+				return;
+			}
+
+			// Without a role option, fall back to the server's leaderboard role (if any)
 			const role = interaction.options.getRole("role");
-			const roleId = role ? role.id : null;
+			const roleId = role ? role.id : settings.leaderboardRoleId;
 
 			const result = await generateLeaderboard(interaction, {
 				timeFilter: "alltime",
 				page: 1,
-				game: "mkworld12p",
+				game: GameProfiles.getDefaultGame(await resolveGameOption(interaction)),
 				roleId,
 			});
 
@@ -925,6 +952,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("leaderboard command error:", error);
+			UsageAnalytics.markFailed(interaction);
 			try {
 				await interaction.editReply({ content: "error: something went wrong while generating the leaderboard." });
 			}
@@ -952,7 +980,7 @@ module.exports = {
 
 			const nextTimeFilter = parsed.timeFilter || (session ? session.timeFilter : fallbackTimeFilter);
 			let requestedPage = parsed.page || 1;
-			const nextGame = parsed.game || (session ? session.game : "mkworld12p");
+			const nextGame = parsed.game || (session ? session.game : DEFAULT_GAME);
 			const nextRoleId = parsed.roleId || (session ? session.roleId : null);
 			let highlightDiscordId = null;
 			let highlightLoungeId = null;
@@ -978,7 +1006,7 @@ module.exports = {
 				}
 
 				const freshSession = seedResult.session;
-				const currentEntries = nextGame.includes("24p") ? (freshSession?.entries24p || []) : (freshSession?.entries12p || []);
+				const currentEntries = getEntriesForGame(freshSession, nextGame);
 				const userId = String(interaction.user.id);
 				const hasAccountForFormat = currentEntries.some(entry => String(entry?.discordId) === userId);
 				let fallbackLoungeId = null;
@@ -1068,7 +1096,7 @@ module.exports = {
 			}
 
 			if (parsed.action === "find") {
-				const currentEntries = nextGame.includes("24p") ? (session.entries24p || []) : (session.entries12p || []);
+				const currentEntries = getEntriesForGame(session, nextGame);
 				const userId = String(interaction.user.id);
 				const hasAccountForFormat = currentEntries.some(entry => String(entry?.discordId) === userId);
 				let fallbackLoungeId = null;
@@ -1194,6 +1222,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("leaderboard button interaction error:", error);
+			UsageAnalytics.markFailed(interaction);
 			return false;
 		}
 	},
@@ -10,7 +10,9 @@ const GameData = require("../../utils/gameData");
 const ColorPalettes = require("../../utils/colorPalettes");
 const resolveTargetPlayer = require("../../utils/playerResolver");
 const { createSessionStore, createRenderTracker } = require("../../utils/cacheManager");
-const { buildStandardFilterRows, parseStandardFilterCustomId } = require("../../utils/globalCommands");
+const { buildStandardFilterRows, parseStandardFilterCustomId, getGameOption, resolveGameOption, buildGameOption, getMissingPlayerMessage } = require("../../utils/globalCommands");
+const GameProfiles = require("../../utils/gameProfiles");
+const UsageAnalytics = require("../../utils/usageAnalytics");
 
 const loadImageResource = EmbedEnhancer.createImageLoader("notables");
 
@@ -221,22 +223,24 @@ function wrapText(ctx, text, maxWidth) {
 	return lines;
 }
 
-function buildNotablesCustomId(action, { timeFilter, queueFilter, playerCountFilter, loungeId }) {
+function buildNotablesCustomId(action, { timeFilter, queueFilter, playerCountFilter, loungeId, game }) {
 	const safeAction = action || "time";
 	const safeTime = timeFilter || "alltime";
 	const safeQueue = queueFilter || "both";
 	const safePlayers = playerCountFilter || "both";
 	const safeLounge = loungeId ?? "";
-	return ["notables", safeAction, safeTime, safeQueue, safePlayers, safeLounge].join("|");
+	const safeGame = game || GameProfiles.DEFAULT_PROFILE_KEY;
+	return ["notables", safeAction, safeTime, safeQueue, safePlayers, safeLounge, safeGame].join("|");
 }
 
-function buildNotablesComponentRows({ loungeId, timeFilter, queueFilter, playerCountFilter }) {
+function buildNotablesComponentRows({ loungeId, timeFilter, queueFilter, playerCountFilter, game }) {
 	return buildStandardFilterRows({
 		buildCustomId: buildNotablesCustomId,
-		customIdParams: { loungeId },
+		customIdParams: { loungeId, game },
 		timeFilter,
 		queueFilter,
 		playerCountFilter,
+		game,
 	});
 }
 
@@ -367,14 +371,14 @@ function buildColumnEvents({ filteredTables, loungeId, metrics }) {
 	return { goodEvents, badEvents };
 }
 
-function buildTableLinksMessage(events) {
+function buildTableLinksMessage(events, game) {
 	const parts = [];
 	for (const event of events) {
 		const tableId = event?.tableId ?? event?.table?.id;
 		if (!tableId) continue;
 		const normalizedId = String(tableId).trim();
 		if (!normalizedId) continue;
-		const link = `https://lounge.mkcentral.com/mkworld/TableDetails/${normalizedId}`;
+		const link = GameProfiles.getTableUrl(normalizedId, game);
 		const label = event?.title ? `${event.title}` : "";
 		parts.push(`[${label}](${link})`.trim());
 	}
@@ -468,6 +472,7 @@ async function renderNotablesImage({
 	timeFilter,
 	queueFilter,
 	playerCountFilter,
+	game = GameProfiles.DEFAULT_PROFILE_KEY,
 	totalEvents,
 }) {
 	const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -476,7 +481,7 @@ async function renderNotablesImage({
 	ctx.quality = "best";
 
 	try {
-		const backgroundImage = await loadImageResource(`bot/images/tracks blurred/${trackName}_notables.png`);
+		const backgroundImage = await loadImageResource(`${GameProfiles.getProfile(game).assets.backgroundsDir}/${trackName}_notables.png`);
 		if (backgroundImage) {
 			ctx.drawImage(backgroundImage, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 		}
@@ -537,6 +542,9 @@ async function renderNotablesImage({
 	if (playerCountFilter !== "both") {
 		subtitleParts.push(playerCountFilter);
 	}
+	if (game !== GameProfiles.DEFAULT_PROFILE_KEY) {
+		subtitleParts.push(GameProfiles.getProfile(game).shortName);
+	}
 	const eventsLabel = `${totalEvents} event${totalEvents === 1 ? "" : "s"}`;
 	subtitleParts.push(eventsLabel);
 	const subtitleText = subtitleParts.join(" · ");
@@ -683,6 +691,10 @@ async function renderNotablesImage({
 	drawEventsColumn(ctx, leftColumn, trackColors, goodEvents);
 	drawEventsColumn(ctx, rightColumn, trackColors, badEvents);
 
+	if (playerDetails?.staleAsOf) {
+		EmbedEnhancer.drawDataAsOfBadge(ctx, { canvasWidth: CANVAS_WIDTH, asOf: playerDetails.staleAsOf });
+	}
+
 	const pngBuffer = canvas.toBuffer("image/png");
 	return new AttachmentBuilder(pngBuffer, { name: "notables.png" });
 }
@@ -694,7 +706,8 @@ module.exports = {
 		.addStringOption(option =>
 			option.setName("player")
 				.setDescription("lounge name, id or disocrd id. leave blank for yourself.")
-				.setAutocomplete(true)),
+				.setAutocomplete(true))
+		.addStringOption(buildGameOption),
 
 	autocomplete: async interaction => {
 		const focused = interaction.options.getFocused(true);
@@ -709,7 +722,7 @@ module.exports = {
 
 		if (rawQuery) {
 			try {
-				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10 });
+				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10, game: GameProfiles.getDefaultGame(getGameOption(interaction)) });
 				for (const player of globalResults) {
 					const loungeId = [player.id, player.playerId, player.loungeId]
 						.map(id => id === undefined || id === null ? null : String(id))
@@ -732,6 +745,26 @@ module.exports = {
 			}
 		}
 
+		if (rawQuery && suggestions.length < 10) {
+			try {
+				const formerMatches = await Database.findUsersByFormerName(rawQuery, { limit: 10 - suggestions.length });
+				for (const record of formerMatches) {
+					const loungeId = record.loungeId != null ? String(record.loungeId) : null;
+					if (!loungeId || seenValues.has(loungeId) || !record.loungeName) continue;
+
+					const displayName = `${record.loungeName} (formerly ${record.matchedFormerName})`;
+					suggestions.push({
+						name: displayName.length > 100 ? displayName.slice(0, 97) + "..." : displayName,
+						value: loungeId,
+					});
+					seenValues.add(loungeId);
+				}
+			}
+			catch (error) {
+				console.warn("notables former name autocomplete error:", error);
+			}
+		}
+
 		if (!suggestions.length && rawQuery) {
 			// allow raw query fallback for direct name or id lookups
 			suggestions.push({
@@ -752,6 +785,7 @@ module.exports = {
 
 
 			const rawPlayer = interaction.options.getString("player");
+			const game = await resolveGameOption(interaction);
 			const timeFilter = "alltime";
 			const queueFilter = "both";
 			const playerCountFilter = "both";
@@ -776,9 +810,10 @@ module.exports = {
 				timeFilter,
 				queueFilter,
 				playerCountFilter,
+				game,
 			});
 
-			const result = await this.generateNotables(interaction, target, serverId, queueFilter, playerCountFilter, timeFilter);
+			const result = await this.generateNotables(interaction, target, serverId, queueFilter, playerCountFilter, timeFilter, null, { game });
 
 			if (!result.success) {
 				await interaction.editReply({
@@ -807,6 +842,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("notables command error:", error);
+			UsageAnalytics.markFailed(interaction);
 			try {
 				await interaction.editReply({ content: "error: something went wrong while calculating notables." });
 			}
@@ -821,7 +857,7 @@ module.exports = {
 		if (!parsed) return false;
 
 		try {
-			const { action, timeFilter: rawTime, queueFilter: rawQueue, playerCountFilter: rawPlayers, loungeId } = parsed;
+			const { action, timeFilter: rawTime, queueFilter: rawQueue, playerCountFilter: rawPlayers, loungeId, game } = parsed;
 			const messageId = interaction.message?.id || null;
 			const cachedSession = messageId ? getNotablesSession(messageId) : null;
 			const fallbackFilters = {
@@ -857,6 +893,7 @@ module.exports = {
 				timeFilter,
 				queueFilter,
 				playerCountFilter,
+				game,
 			});
 
 			await interaction.update({ components });
@@ -912,7 +949,7 @@ module.exports = {
 					playerCountFilter,
 					timeFilter,
 					null,
-					{ session: cachedSession, filtersOverride: futureFilters, userData: freshUserData },
+					{ session: cachedSession, filtersOverride: futureFilters, userData: freshUserData, game },
 				);
 
 				if (isNotablesRenderActive(messageId, renderToken)) {
@@ -949,6 +986,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("error in notables button interaction:", error);
+			UsageAnalytics.markFailed(interaction);
 			return false;
 		}
 	},
@@ -961,7 +999,9 @@ module.exports = {
 				userData: userDataOption = null,
 				onProgress = null,
 				skipAutoUserAndMembership = false,
+				game = GameProfiles.DEFAULT_PROFILE_KEY,
 			} = cacheOptions || {};
+			const profile = GameProfiles.getProfile(game);
 
 			const reportProgress = async message => {
 				if (!message) return;
@@ -1001,7 +1041,7 @@ module.exports = {
 			if (playerDetails) {
 				const currentCountFilter = playerCountFilter || "both";
 				if (currentCountFilter && currentCountFilter !== "both") {
-					const expectedMode = currentCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
+					const expectedMode = GameProfiles.getGameForFilter(profile.key, currentCountFilter);
 					if (playerDetails.gameMode !== expectedMode) {
 						playerDetails = null;
 					}
@@ -1021,54 +1061,11 @@ module.exports = {
 			let storedRecord = null;
 
 			if (!playerDetails) {
-				let gameMode = "mkworld12p";
-				let details = null;
-
-				if (playerCountFilter && playerCountFilter !== "both") {
-					// Specific mode requested
-					gameMode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
-					details = await LoungeApi.getPlayerDetailsByLoungeId(normalizedLoungeId, undefined, gameMode);
-				}
-				else {
-					// "both" or unspecified -> fetch both and compare
-					const [details12p, details24p] = await Promise.all([
-						LoungeApi.getPlayerDetailsByLoungeId(normalizedLoungeId, undefined, "mkworld12p"),
-						LoungeApi.getPlayerDetailsByLoungeId(normalizedLoungeId, undefined, "mkworld24p"),
-					]);
-
-					if (!details12p && !details24p) {
-						return { success: false, message: "couldn't find that player in mkw lounge." };
-					}
-
-					if (details12p && !details24p) {
-						details = details12p;
-						gameMode = "mkworld12p";
-					}
-					else if (!details12p && details24p) {
-						details = details24p;
-						gameMode = "mkworld24p";
-					}
-					else {
-						// Both exist, compare MMR
-						const mmr12p = details12p.mmr || 0;
-						const mmr24p = details24p.mmr || 0;
-						if (mmr24p > mmr12p) {
-							details = details24p;
-							gameMode = "mkworld24p";
-						}
-						else {
-							details = details12p;
-							gameMode = "mkworld12p";
-						}
-					}
-				}
-
-				if (!details) {
-					return { success: false, message: "couldn't find that player in mkw lounge." };
+				// Specific mode when filtered, otherwise the player's highest-MMR mode
+				playerDetails = await LoungeApi.getPreferredPlayerDetails(normalizedLoungeId, { game: profile.key, playerCountFilter });
+				if (!playerDetails) {
+					return { success: false, message: getMissingPlayerMessage(profile) };
 				}
-				playerDetails = details;
-				// Inject the gameMode
-				playerDetails.gameMode = gameMode;
 			}
 
 			if (!useSession && !skipAutoUserAndMembership) {
@@ -1084,6 +1081,7 @@ module.exports = {
 					storedRecord,
 					fallbackName,
 					playerDetails,
+					linkSource: target.linkSource,
 				});
 
 				target = result.target;
@@ -1115,7 +1113,7 @@ module.exports = {
 
 			await reportProgress("filtering...");
 
-			const filteredTables = PlayerStats.filterTablesByControls(allTables, { timeFilter, queueFilter, playerCountFilter });
+			const filteredTables = PlayerStats.filterTablesByControls(allTables, { timeFilter, queueFilter, playerCountFilter, game: profile.key });
 			const filteredTableIds = Object.keys(filteredTables);
 			if (!filteredTableIds.length) {
 				return { success: false, message: "no events found matching the specified filters." };
@@ -1164,7 +1162,7 @@ module.exports = {
 			}
 
 			const { goodEvents, badEvents } = buildColumnEvents({ filteredTables, loungeId: normalizedLoungeId, metrics: { bestScore, worstScore, overperformance, underperformance, carry, anchor } });
-			const linkMessage = buildTableLinksMessage([...goodEvents, ...badEvents]);
+			const linkMessage = buildTableLinksMessage([...goodEvents, ...badEvents], profile.key);
 
 			await reportProgress("rendering image...");
 
@@ -1188,6 +1186,7 @@ module.exports = {
 				timeFilter,
 				queueFilter,
 				playerCountFilter,
+				game: profile.key,
 				totalEvents: filteredTableIds.length,
 			});
 
@@ -1201,6 +1200,7 @@ module.exports = {
 			const updatedSession = {
 				loungeId: normalizedLoungeId,
 				serverId,
+				game: profile.key,
 				displayName,
 				loungeName,
 				playerDetails: leanPlayerDetails,
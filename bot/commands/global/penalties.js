@@ -0,0 +1,171 @@
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const LoungeApi = require("../../utils/loungeApi");
+const PlayerStats = require("../../utils/playerStats");
+const resolveTargetPlayer = require("../../utils/playerResolver");
+const { formatNumber } = require("../../utils/embedEnhancer");
+const GameProfiles = require("../../utils/gameProfiles");
+const { getGameOption, resolveGameOption, buildGameOption } = require("../../utils/globalCommands");
+const UsageAnalytics = require("../../utils/usageAnalytics");
+
+const MAX_LISTED_ENTRIES = 10;
+
+const PENALTY_DATE_FORMATTER = new Intl.DateTimeFormat("en-US", {
+	month: "short",
+	day: "numeric",
+	year: "numeric",
+});
+
+function formatPenaltyDate(value) {
+	const parsed = value ? new Date(value) : null;
+	if (!parsed || Number.isNaN(parsed.getTime())) {
+		return "unknown date";
+	}
+	return PENALTY_DATE_FORMATTER.format(parsed).toLowerCase();
+}
+
+function formatPenaltyLine(penalty, now) {
+	const mmrLost = PlayerStats.getPenaltyMmrLoss(penalty);
+	const profile = GameProfiles.getProfileForGame(penalty.gameMode);
+	const modeLabel = profile.modes.length > 1 ? GameProfiles.getModeLabel(penalty.gameMode) : profile.shortName;
+	const parts = [`-${formatNumber(mmrLost)} mmr`, modeLabel, formatPenaltyDate(penalty.awardedOn)];
+	if (penalty.isStrike) {
+		parts.push(PlayerStats.isActiveStrike(penalty, now) ? "**active**" : "expired");
+	}
+	return `• ${parts.join(" · ")}`;
+}
+
+function buildPenaltyField(entries, now) {
+	if (!entries.length) {
+		return "none :)";
+	}
+	const lines = entries.slice(0, MAX_LISTED_ENTRIES).map(entry => formatPenaltyLine(entry, now));
+	if (entries.length > MAX_LISTED_ENTRIES) {
+		lines.push(`...and ${entries.length - MAX_LISTED_ENTRIES} more`);
+	}
+	return lines.join("\n");
+}
+
+async function loadPlayerPenalties(loungeName, season = null, game = GameProfiles.DEFAULT_PROFILE_KEY) {
+	const results = await Promise.all(GameProfiles.getModeGames(game).map(async gameMode => {
+		const penalties = await LoungeApi.getPlayerPenalties(loungeName, { season, game: gameMode });
+		return penalties.map(penalty => ({ ...penalty, gameMode }));
+	}));
+	return results.flat();
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("penalties")
+		.setDescription("check your (or someone else's) strikes and penalties.")
+		.addStringOption(option =>
+			option.setName("player")
+				.setDescription("lounge name, id or discord id. leave blank for yourself.")
+				.setAutocomplete(true))
+		.addIntegerOption(option =>
+			option.setName("season")
+				.setDescription("season to check. defaults to the current season.")
+				.setMinValue(0))
+		.addStringOption(buildGameOption),
+
+	autocomplete: async interaction => {
+		const focused = interaction.options.getFocused(true);
+		if (focused.name !== "player") {
+			await interaction.respond([]);
+			return;
+		}
+
+		const rawQuery = (focused.value || "").trim();
+		const suggestions = [];
+		const seenValues = new Set();
+
+		if (rawQuery) {
+			try {
+				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10, game: GameProfiles.getDefaultGame(getGameOption(interaction)) });
+				for (const player of globalResults) {
+					const loungeId = [player.id, player.playerId, player.loungeId]
+						.map(id => id === undefined || id === null ? null : String(id))
+						.find(Boolean);
+					if (!loungeId || seenValues.has(loungeId)) continue;
+
+					const displayName = player.name;
+					if (!displayName) continue;
+
+					suggestions.push({
+						name: displayName.length > 100 ? displayName.slice(0, 97) + "..." : displayName,
+						value: loungeId,
+					});
+					seenValues.add(loungeId);
+					if (suggestions.length >= 10) break;
+				}
+			}
+			catch (error) {
+				console.warn("penalties global autocomplete error:", error);
+			}
+		}
+
+		if (!suggestions.length && rawQuery) {
+			// allow raw query fallback for direct name or id lookups
+			suggestions.push({
+				name: `search "${rawQuery}"`,
+				value: rawQuery,
+			});
+		}
+
+		await interaction.respond(suggestions);
+	},
+
+	async execute(interaction) {
+		try {
+			await interaction.deferReply();
+			await interaction.editReply("validating user...");
+
+			const rawPlayer = interaction.options.getString("player");
+			const season = interaction.options.getInteger("season");
+			const game = await resolveGameOption(interaction);
+
+			const target = await resolveTargetPlayer(interaction, {
+				rawInput: rawPlayer,
+				defaultToInvoker: !rawPlayer,
+			});
+
+			if (target.error) {
+				await interaction.editReply({ content: target.error });
+				return;
+			}
+
+			await interaction.editReply(`checking ${target.displayName}'s record...`);
+
+			// Penalties are looked up by name, so prefer the current lounge name over a cached one
+			const player = await LoungeApi.getPlayerByLoungeId(target.loungeId, null, GameProfiles.getDefaultGame(game));
+			const loungeName = player?.name || target.loungeName;
+
+			const penalties = await loadPlayerPenalties(loungeName, season, game);
+			const now = Date.now();
+			const summary = PlayerStats.summarizePenalties(penalties, { now });
+			const seasonLabel = season !== null && season !== undefined ? `season ${season}` : "this season";
+
+			const embed = new EmbedBuilder()
+				.setTitle(`${target.displayName}'s strikes and penalties`)
+				.setColor(summary.activeStrikes > 0 ? "Red" : "Green")
+				.setDescription(`${seasonLabel} · **${summary.activeStrikes}** active strike${summary.activeStrikes === 1 ? "" : "s"} · **-${formatNumber(summary.totalMmrLost)}** mmr lost`)
+				.addFields(
+					{ name: `strikes (${summary.totalStrikes})`, value: buildPenaltyField(summary.strikes, now), inline: false },
+					{ name: `penalties (${summary.totalPenalties})`, value: buildPenaltyField(summary.penalties, now), inline: false },
+				)
+				.setURL(GameProfiles.getPlayerUrl(target.loungeId, game))
+				.setTimestamp();
+
+			await interaction.editReply({ content: "", embeds: [embed], allowedMentions: { parse: [] } });
+		}
+		catch (error) {
+			console.error("penalties command error:", error);
+			UsageAnalytics.markFailed(interaction);
+			try {
+				await interaction.editReply({ content: "error: something went wrong while loading penalties.", embeds: [] });
+			}
+			catch (editError) {
+				console.error("failed to edit reply with error message:", editError);
+			}
+		}
+	},
+};
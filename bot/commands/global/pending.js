@@ -0,0 +1,148 @@
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const LoungeApi = require("../../utils/loungeApi");
+const PendingTables = require("../../utils/pendingTables");
+const GameProfiles = require("../../utils/gameProfiles");
+const resolveTargetPlayer = require("../../utils/playerResolver");
+const { getGameOption, resolveGameOption, buildGameOption } = require("../../utils/globalCommands");
+const UsageAnalytics = require("../../utils/usageAnalytics");
+
+const MAX_LISTED_ENTRIES = 10;
+
+function formatPlacement(placement, isTied) {
+	if (!Number.isFinite(placement)) {
+		return "?";
+	}
+	const lastTwo = placement % 100;
+	const lastDigit = placement % 10;
+	const suffix = lastTwo >= 11 && lastTwo <= 13
+		? "th"
+		: ({ 1: "st", 2: "nd", 3: "rd" })[lastDigit] || "th";
+	return `${isTied ? "t-" : ""}${placement}${suffix}`;
+}
+
+function formatPendingLine(entry) {
+	const profile = GameProfiles.getProfileForGame(entry.game);
+	const modeLabel = profile.modes.length > 1 ? GameProfiles.getModeLabel(entry.game) : profile.shortName;
+	const format = entry.format ? String(entry.format).toLowerCase() : null;
+	const parts = [
+		[modeLabel, format, entry.tier ? `tier ${entry.tier}` : null].filter(Boolean).join(" "),
+		`${entry.score ?? "?"} pts`,
+		formatPlacement(entry.placement, entry.isTied),
+	];
+	// Team formats are ranked by team; the individual placement alone can be misleading
+	if (format && format !== "ffa" && Number.isFinite(entry.teamRank)) {
+		parts.push(`team ${formatPlacement(entry.teamRank, false)}`);
+	}
+	const createdAt = entry.createdOn ? new Date(entry.createdOn) : null;
+	if (createdAt && !Number.isNaN(createdAt.getTime())) {
+		parts.push(`submitted <t:${Math.floor(createdAt.getTime() / 1000)}:R>`);
+	}
+	parts.push(`[table](${GameProfiles.getTableUrl(entry.tableId, profile.key)})`);
+	return `• ${parts.join(" · ")}`;
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("pending")
+		.setDescription("see submitted mogis that haven't been verified yet.")
+		.addStringOption(option =>
+			option.setName("player")
+				.setDescription("lounge name, id or discord id. leave blank for yourself.")
+				.setAutocomplete(true))
+		.addStringOption(buildGameOption),
+
+	autocomplete: async interaction => {
+		const focused = interaction.options.getFocused(true);
+		if (focused.name !== "player") {
+			await interaction.respond([]);
+			return;
+		}
+
+		const rawQuery = (focused.value || "").trim();
+		const suggestions = [];
+		const seenValues = new Set();
+
+		if (rawQuery) {
+			try {
+				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10, game: GameProfiles.getDefaultGame(getGameOption(interaction)) });
+				for (const player of globalResults) {
+					const loungeId = [player.id, player.playerId, player.loungeId]
+						.map(id => id === undefined || id === null ? null : String(id))
+						.find(Boolean);
+					if (!loungeId || seenValues.has(loungeId)) continue;
+
+					const displayName = player.name;
+					if (!displayName) continue;
+
+					suggestions.push({
+						name: displayName.length > 100 ? displayName.slice(0, 97) + "..." : displayName,
+						value: loungeId,
+					});
+					seenValues.add(loungeId);
+					if (suggestions.length >= 10) break;
+				}
+			}
+			catch (error) {
+				console.warn("pending global autocomplete error:", error);
+			}
+		}
+
+		if (!suggestions.length && rawQuery) {
+			suggestions.push({
+				name: `search "${rawQuery}"`,
+				value: rawQuery,
+			});
+		}
+
+		await interaction.respond(suggestions);
+	},
+
+	async execute(interaction) {
+		try {
+			await interaction.deferReply();
+			await interaction.editReply("validating user...");
+
+			const rawPlayer = interaction.options.getString("player");
+			const game = await resolveGameOption(interaction);
+
+			const target = await resolveTargetPlayer(interaction, {
+				rawInput: rawPlayer,
+				defaultToInvoker: !rawPlayer,
+			});
+
+			if (target.error) {
+				await interaction.editReply({ content: target.error });
+				return;
+			}
+
+			await interaction.editReply(`checking ${target.displayName}'s submitted mogis...`);
+
+			const entries = await PendingTables.getPendingTablesForPlayer(target.loungeId, { game });
+			const lines = entries.slice(0, MAX_LISTED_ENTRIES).map(formatPendingLine);
+			if (entries.length > MAX_LISTED_ENTRIES) {
+				lines.push(`...and ${entries.length - MAX_LISTED_ENTRIES} more`);
+			}
+
+			const embed = new EmbedBuilder()
+				.setTitle(`${target.displayName}'s pending mogis`)
+				.setColor(entries.length ? "Yellow" : "Green")
+				.setDescription(entries.length
+					? `**${entries.length}** awaiting verification · scores and placements are provisional\n\n${lines.join("\n")}`
+					: "nothing waiting for verification :)")
+				.setURL(GameProfiles.getPlayerUrl(target.loungeId, game))
+				.setTimestamp();
+
+			await interaction.editReply({ content: "", embeds: [embed], allowedMentions: { parse: [] } });
+		}
+		catch (error) {
+			console.error("pending command error:", error);
+			UsageAnalytics.markFailed(interaction);
+			try {
+				await interaction.editReply({ content: "error: something went wrong while loading pending mogis.", embeds: [] });
+			}
+			catch (editError) {
+				console.error("failed to edit reply with error message:", editError);
+			}
+		}
+	},
+};
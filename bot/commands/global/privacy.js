@@ -0,0 +1,82 @@
+const { SlashCommandBuilder, AttachmentBuilder } = require("discord.js");
+const Privacy = require("../../utils/privacy");
+const UsageAnalytics = require("../../utils/usageAnalytics");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("privacy")
+		.setDescription("export or delete the data the bot stores about you.")
+		.addSubcommand(subcommand =>
+			subcommand.setName("export")
+				.setDescription("get a copy of everything stored about you."))
+		.addSubcommand(subcommand =>
+			subcommand.setName("forget")
+				.setDescription("delete your data and stop the bot from storing more.")
+				.addBooleanOption(option =>
+					option.setName("confirm")
+						.setDescription("set to true to confirm. this can't be undone.")
+						.setRequired(true)))
+		.addSubcommand(subcommand =>
+			subcommand.setName("opt-in")
+				.setDescription("let the bot store your data again after /privacy forget.")),
+
+	async execute(interaction) {
+		try {
+			await interaction.deferReply({ ephemeral: true });
+
+			const discordId = interaction.user.id;
+			const subcommand = interaction.options.getSubcommand();
+
+			if (subcommand === "export") {
+				await interaction.editReply("gathering your data...");
+				const data = await Privacy.exportDiscordUser(discordId);
+				if (!data.accounts.length) {
+					await interaction.editReply("i couldn't find a lounge account linked to your discord, so nothing is stored about you.");
+					return;
+				}
+				const attachment = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `mogimogimogi-data-${discordId}.json` });
+				await interaction.editReply({ content: "here's everything stored about you:", files: [attachment] });
+				return;
+			}
+
+			if (subcommand === "forget") {
+				if (!interaction.options.getBoolean("confirm")) {
+					await interaction.editReply("nothing was deleted. run it again with confirm set to true.");
+					return;
+				}
+				await interaction.editReply("deleting your data...");
+				const result = await Privacy.forgetDiscordUser(discordId);
+				if (!result) {
+					await interaction.editReply("error: something went wrong while deleting your data. please try again later.");
+					return;
+				}
+				if (!result.loungeIds.length) {
+					await interaction.editReply("i couldn't find a lounge account linked to your discord, so nothing is stored about you.");
+					return;
+				}
+				const { removed } = result;
+				await interaction.editReply([
+					"done. your data is deleted and the bot won't store anything about you from now on.",
+					`removed: ${removed.userData} profile(s), ${removed.links} table link(s), ${removed.snapshots} cached lounge profile(s), ${removed.syncCursors} sync cursor(s), ${removed.mmrSnapshots} daily mmr snapshot(s), ${removed.discordLinks} discord link(s).`,
+					"you're also hidden from server leaderboards. public lounge tables you played in are kept, since they belong to everyone in them.",
+				].join("\n"));
+				return;
+			}
+
+			const optedIn = await Privacy.optInDiscordUser(discordId);
+			await interaction.editReply(optedIn.length
+				? "you're opted back in. the bot will store your data again as you use it."
+				: "you weren't opted out, so nothing changed.");
+		}
+		catch (error) {
+			console.error("privacy command error:", error);
+			UsageAnalytics.markFailed(interaction);
+			try {
+				await interaction.editReply({ content: "error: something went wrong. please try again later.", files: [] });
+			}
+			catch (editError) {
+				console.error("privacy: failed to send error message:", editError);
+			}
+		}
+	},
+};
@@ -6,6 +6,7 @@ const { createCanvas } = require("canvas");
 const Database = require("../../utils/database");
 const LoungeApi = require("../../utils/loungeApi");
 const PlayerStats = require("../../utils/playerStats");
+const RankThresholds = require("../../utils/rankThresholds");
 const DataManager = require("../../utils/dataManager");
 const EmbedEnhancer = require("../../utils/embedEnhancer");
 const AutoUserManager = require("../../utils/autoUserManager");
@@ -13,7 +14,9 @@ const ColorPalettes = require("../../utils/colorPalettes");
 const GameData = require("../../utils/gameData");
 const resolveTargetPlayer = require("../../utils/playerResolver");
 const { createSessionStore, createRenderTracker } = require("../../utils/cacheManager");
-const { buildStandardFilterRows, parseStandardFilterCustomId } = require("../../utils/globalCommands");
+const { buildStandardFilterRows, parseStandardFilterCustomId, getGameOption, resolveGameOption, buildGameOption, getMissingPlayerMessage } = require("../../utils/globalCommands");
+const GameProfiles = require("../../utils/gameProfiles");
+const UsageAnalytics = require("../../utils/usageAnalytics");
 const loadImageResource = EmbedEnhancer.createImageLoader("rank-stats");
 
 const {
@@ -56,8 +59,6 @@ const LAYOUT = {
 };
 
 const DEFAULT_TRACK_NAME = ColorPalettes.currentTrackName || "RR";
-const RANK_THRESHOLDS = PlayerStats.getRankThresholds();
-const RANK_ORDER_INDEX = new Map(RANK_THRESHOLDS.map((tier, index) => [tier.key, index]));
 const UNKNOWN_RANK_KEY = "unknown";
 const DEFAULT_RANK_STATS_COLORS = {
 	baseColor: "#2f3f5eea",
@@ -196,7 +197,7 @@ function endRankStatsRender(messageId, token) {
 	rankStatsRenderTracker.end(messageId, token);
 }
 
-function buildRankStatsCustomId(action, { timeFilter, queueFilter, playerCountFilter, loungeId }) {
+function buildRankStatsCustomId(action, { timeFilter, queueFilter, playerCountFilter, loungeId, game }) {
 	const safeAction = (action || "time").toLowerCase();
 	const normalizedFilters = normalizeRankStatsFilters({ timeFilter, queueFilter, playerCountFilter });
 	const safeLounge = loungeId ?? "";
@@ -207,6 +208,7 @@ function buildRankStatsCustomId(action, { timeFilter, queueFilter, playerCountFi
 		normalizedFilters.queueFilter,
 		normalizedFilters.playerCountFilter,
 		safeLounge,
+		game || GameProfiles.DEFAULT_PROFILE_KEY,
 	].join("|");
 }
 
@@ -225,24 +227,44 @@ function parseRankStatsCustomId(customId) {
 	});
 }
 
-function buildRankStatsComponentRows({ loungeId, timeFilter, queueFilter, playerCountFilter }) {
+function buildRankStatsComponentRows({ loungeId, timeFilter, queueFilter, playerCountFilter, game }) {
 	const normalizedFilters = normalizeRankStatsFilters({ timeFilter, queueFilter, playerCountFilter });
 	return buildStandardFilterRows({
 		buildCustomId: buildRankStatsCustomId,
-		customIdParams: { loungeId },
+		customIdParams: { loungeId, game },
 		timeFilter: normalizedFilters.timeFilter,
 		queueFilter: normalizedFilters.queueFilter,
 		playerCountFilter: normalizedFilters.playerCountFilter,
+		game,
 	});
 }
 
-function getTierForMmr(mmr, mode = "12p") {
+function resolveTierMode(mode) {
+	// Table games are used as-is; bare player counts ("24p") belong to the default game
+	if (GameProfiles.getMode(mode)) {
+		return mode;
+	}
+	return GameProfiles.getGameForFilter(GameProfiles.DEFAULT_PROFILE_KEY, mode)
+		|| GameProfiles.getDefaultGame(GameProfiles.DEFAULT_PROFILE_KEY);
+}
+
+function getTierForMmr(mmr, mode = "12p", season = null) {
 	if (!Number.isFinite(mmr)) {
 		return null;
 	}
-	// Map specific mode strings or default to 12p
-	const resolveMode = (mode && mode.includes("24p")) ? "mkworld24p" : "mkworld12p";
-	return PlayerStats.getRankThresholdForMmr(mmr, resolveMode) || null;
+	return PlayerStats.getRankThresholdForMmr(mmr, resolveTierMode(mode), season) || null;
+}
+
+// Opponents are bucketed by the thresholds of the season each table was played in
+async function loadRankThresholdsForTables(tables) {
+	const pairs = new Map();
+	for (const table of Object.values(tables || {})) {
+		if (!table) continue;
+		const mode = GameProfiles.getTableMode(table);
+		const season = Number.isInteger(Number(table.season)) ? Number(table.season) : null;
+		pairs.set(`${mode}:${season}`, { mode, season });
+	}
+	await Promise.all(Array.from(pairs.values()).map(({ mode, season }) => RankThresholds.ensureThresholds(mode, season)));
 }
 
 function getTableDateText(table) {
@@ -333,7 +355,7 @@ function getBucketKey(tier) {
 function createBucket(tier) {
 	const label = tier?.label || tier?.text || tier?.key || "Unknown";
 	const iconFilename = tier ? PlayerStats.getRankIconFilename(tier.label || tier.text || tier.key) : null;
-	const order = tier ? (RANK_ORDER_INDEX.get(tier.key) ?? RANK_THRESHOLDS.length) : RANK_THRESHOLDS.length + 1;
+	const order = tier ? tier.min : Infinity;
 	return {
 		key: getBucketKey(tier),
 		label,
@@ -392,7 +414,7 @@ function aggregateRankStats(tables, playerIdentifier) {
 
 	for (const table of tableEntries) {
 		if (!table) continue;
-		const gameMode = table.game || "mkworld12p";
+		const gameMode = GameProfiles.getTableMode(table);
 		const players = PlayerStats.getPlayersFromTable(table);
 		if (!players.length) continue;
 
@@ -405,7 +427,7 @@ function aggregateRankStats(tables, playerIdentifier) {
 		const playerScore = Number(playerRanking.score);
 		const roomAverage = computeRoomAveragePrevMmr(players);
 		if (Number.isFinite(roomAverage)) {
-			const roomTier = getTierForMmr(roomAverage, gameMode);
+			const roomTier = getTierForMmr(roomAverage, gameMode, table.season);
 			const bucket = ensureBucket(buckets, roomTier);
 			if (Number.isFinite(playerScore)) {
 				bucket.roomScoreTotal += playerScore;
@@ -423,7 +445,7 @@ function aggregateRankStats(tables, playerIdentifier) {
 				continue;
 			}
 
-			const tier = getTierForMmr(opponentPrevMmr, gameMode);
+			const tier = getTierForMmr(opponentPrevMmr, gameMode, table.season);
 			const bucket = ensureBucket(buckets, tier);
 			const opponentRanking = findRankingForPlayer(opponent, lookup);
 			if (!opponentRanking) {
@@ -462,11 +484,11 @@ function aggregateRankStats(tables, playerIdentifier) {
 	return { rows, bestWin, worstLoss, tableCount };
 }
 
-async function loadRankIcon(filename) {
+async function loadRankIcon(filename, game) {
 	if (!filename) {
 		return null;
 	}
-	const resource = `bot/images/ranks/${filename}`;
+	const resource = `${GameProfiles.getProfile(game).assets.rankIconsDir}/${filename}`;
 	return loadImageResource(resource, `rank icon ${filename}`);
 }
 
@@ -496,7 +518,7 @@ function formatScoreLine(playerScore, opponentScore) {
 	return `(${playerScore} - ${opponentScore})`;
 }
 
-function buildMatchLinksMessage(bestWin, worstLoss) {
+function buildMatchLinksMessage(bestWin, worstLoss, game) {
 	const parts = [];
 	const appendLink = (entry, label) => {
 		const tableId = entry?.tableId ?? entry?.table?.id ?? entry?.table?.tableId;
@@ -504,7 +526,7 @@ function buildMatchLinksMessage(bestWin, worstLoss) {
 		const normalizedId = String(tableId).trim();
 		if (!normalizedId) return;
 		const title = label || "view table";
-		const link = `https://lounge.mkcentral.com/mkworld/TableDetails/${normalizedId}`;
+		const link = GameProfiles.getTableUrl(normalizedId, game);
 		parts.push(`[${title}](${link})`);
 	};
 	appendLink(bestWin, "best win");
@@ -512,7 +534,7 @@ function buildMatchLinksMessage(bestWin, worstLoss) {
 	return parts.length ? `**links:** ${parts.join(", ")}` : "";
 }
 
-function buildFilterSubtitle(filters, tableCount) {
+function buildFilterSubtitle(filters, tableCount, game = GameProfiles.DEFAULT_PROFILE_KEY) {
 	const timeLabels = {
 		alltime: "all time",
 		weekly: "past week",
@@ -537,6 +559,9 @@ function buildFilterSubtitle(filters, tableCount) {
 	if (playerCountFilter !== "both" && playerCountFilter) {
 		parts.push(playerCountFilter);
 	}
+	if (game !== GameProfiles.DEFAULT_PROFILE_KEY) {
+		parts.push(GameProfiles.getProfile(game).shortName);
+	}
 	if (Number.isFinite(tableCount)) {
 		parts.push(`${tableCount} event${tableCount === 1 ? "" : "s"}`);
 	}
@@ -643,12 +668,13 @@ async function renderRankStatsImage({
 	playerEmoji,
 	filters,
 	tableCount,
+	game = GameProfiles.DEFAULT_PROFILE_KEY,
 }) {
 	const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
 	const ctx = canvas.getContext("2d");
 
 	try {
-		const backgroundResource = trackName ? `bot/images/tracks blurred/${trackName}_ranks.png` : null;
+		const backgroundResource = trackName ? `${GameProfiles.getProfile(game).assets.backgroundsDir}/${trackName}_ranks.png` : null;
 		const backgroundImage = backgroundResource ? await loadImageResource(backgroundResource, `${trackName} background`) : null;
 		if (backgroundImage) {
 			ctx.drawImage(backgroundImage, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -734,7 +760,7 @@ async function renderRankStatsImage({
 	if (Number.isFinite(playerDetails?.mmr)) {
 		subtitleParts.push(`${playerDetails.mmr.toLocaleString()} mmr`);
 	}
-	const filterSubtitle = buildFilterSubtitle(filters, tableCount);
+	const filterSubtitle = buildFilterSubtitle(filters, tableCount, game);
 	if (filterSubtitle) {
 		subtitleParts.push(filterSubtitle);
 	}
@@ -913,6 +939,10 @@ async function renderRankStatsImage({
 		drawFooterMatchBlock(ctx, frame, palette, block);
 	});
 
+	if (playerDetails?.staleAsOf) {
+		EmbedEnhancer.drawDataAsOfBadge(ctx, { canvasWidth: CANVAS_WIDTH, asOf: playerDetails.staleAsOf });
+	}
+
 	const buffer = canvas.toBuffer("image/png");
 	return new AttachmentBuilder(buffer, { name: "rank-stats.png" });
 }
@@ -929,7 +959,9 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 		userData: userDataOption = null,
 		skipAutoUserAndMembership = false,
 		onProgress = null,
+		game = GameProfiles.DEFAULT_PROFILE_KEY,
 	} = options || {};
+	const profile = GameProfiles.getProfile(game);
 
 	const reportProgress = async message => {
 		if (!message) return;
@@ -956,7 +988,7 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 	if (playerDetails) {
 		const playerCountFilter = filters.playerCountFilter || "both";
 		if (playerCountFilter && playerCountFilter !== "both") {
-			const expectedMode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
+			const expectedMode = GameProfiles.getGameForFilter(profile.key, playerCountFilter);
 			if (playerDetails.gameMode !== expectedMode) {
 				playerDetails = null;
 			}
@@ -968,54 +1000,11 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 	}
 
 	if (!playerDetails) {
-		const playerCountFilter = filters.playerCountFilter || "both";
-		let gameMode = "mkworld12p";
-		let details = null;
-
-		if (playerCountFilter && playerCountFilter !== "both") {
-			// Specific mode requested
-			gameMode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
-			details = await LoungeApi.getPlayerDetailsByLoungeId(loungeId, undefined, gameMode);
-		}
-		else {
-			// "both" or unspecified -> fetch both and compare
-			const [details12p, details24p] = await Promise.all([
-				LoungeApi.getPlayerDetailsByLoungeId(loungeId, undefined, "mkworld12p"),
-				LoungeApi.getPlayerDetailsByLoungeId(loungeId, undefined, "mkworld24p"),
-			]);
-
-			if (!details12p && !details24p) {
-				return { success: false, message: "couldn't find that player in lounge." };
-			}
-
-			if (details12p && !details24p) {
-				details = details12p;
-				gameMode = "mkworld12p";
-			}
-			else if (!details12p && details24p) {
-				details = details24p;
-				gameMode = "mkworld24p";
-			}
-			else {
-				// Both exist, compare MMR
-				const mmr12p = details12p.mmr || 0;
-				const mmr24p = details24p.mmr || 0;
-				if (mmr24p > mmr12p) {
-					details = details24p;
-					gameMode = "mkworld24p";
-				}
-				else {
-					details = details12p;
-					gameMode = "mkworld12p";
-				}
-			}
-		}
-
-		if (!details) {
-			return { success: false, message: "couldn't find that player in lounge." };
+		// Specific mode when filtered, otherwise the player's highest-MMR mode
+		playerDetails = await LoungeApi.getPreferredPlayerDetails(loungeId, { game: profile.key, playerCountFilter: filters.playerCountFilter });
+		if (!playerDetails) {
+			return { success: false, message: getMissingPlayerMessage(profile) };
 		}
-		playerDetails = details;
-		playerDetails.gameMode = gameMode;
 	}
 
 	let result = {
@@ -1035,6 +1024,7 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 			storedRecord: null,
 			fallbackName: `player ${loungeId}`,
 			playerDetails,
+			linkSource: target.linkSource,
 		});
 	}
 	const discordUser = result.discordUser;
@@ -1056,7 +1046,7 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 	}
 
 	const filteredTables = typeof PlayerStats.filterTablesByControls === "function"
-		? PlayerStats.filterTablesByControls(allTables, filters)
+		? PlayerStats.filterTablesByControls(allTables, { ...filters, game: profile.key })
 		: allTables;
 	const filteredTableIds = Object.keys(filteredTables || {});
 	if (!filteredTableIds.length) {
@@ -1064,6 +1054,7 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 	}
 
 	await reportProgress("crunching matchup data...");
+	await loadRankThresholdsForTables(filteredTables);
 	const aggregation = aggregateRankStats(filteredTables, loungeId);
 	if (!aggregation.rows.length) {
 		return { success: false, message: "not enough matchup data to create rank stats." };
@@ -1115,15 +1106,15 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 	}
 	const playerEmoji = getPlayerEmoji(playerDetails);
 	const iconImages = await Promise.all(aggregation.rows.map(async row => {
-		const image = await loadRankIcon(row.iconFilename);
+		const image = await loadRankIcon(row.iconFilename, profile.key);
 		return image;
 	}));
 	aggregation.rows.forEach((row, index) => {
 		row.iconImage = iconImages[index];
 	});
 	const footerIcons = await Promise.all([
-		aggregation.bestWin?.rankIconFilename ? loadRankIcon(aggregation.bestWin.rankIconFilename) : Promise.resolve(null),
-		aggregation.worstLoss?.rankIconFilename ? loadRankIcon(aggregation.worstLoss.rankIconFilename) : Promise.resolve(null),
+		aggregation.bestWin?.rankIconFilename ? loadRankIcon(aggregation.bestWin.rankIconFilename, profile.key) : Promise.resolve(null),
+		aggregation.worstLoss?.rankIconFilename ? loadRankIcon(aggregation.worstLoss.rankIconFilename, profile.key) : Promise.resolve(null),
 	]);
 	if (aggregation.bestWin) {
 		aggregation.bestWin.iconImage = footerIcons[0];
@@ -1147,6 +1138,7 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 		playerEmoji,
 		filters,
 		tableCount: aggregation.tableCount,
+		game: profile.key,
 	});
 
 
@@ -1154,10 +1146,11 @@ async function generateRankStats(interaction, target, serverId, serverDataOverri
 	if (leanPlayerDetails.mmrChanges) delete leanPlayerDetails.mmrChanges;
 	if (leanPlayerDetails.seasonData) delete leanPlayerDetails.seasonData;
 
-	const linkMessage = buildMatchLinksMessage(aggregation.bestWin, aggregation.worstLoss);
+	const linkMessage = buildMatchLinksMessage(aggregation.bestWin, aggregation.worstLoss, profile.key);
 	const sessionPayload = {
 		loungeId,
 		serverId,
+		game: profile.key,
 		displayName,
 		allTables,
 		playerDetails: leanPlayerDetails,
@@ -1204,7 +1197,8 @@ module.exports = {
 		.addStringOption(option =>
 			option.setName("player")
 				.setDescription("lounge name, id or discord id. leave blank for yourself.")
-				.setAutocomplete(true)),
+				.setAutocomplete(true))
+		.addStringOption(buildGameOption),
 
 	autocomplete: async interaction => {
 		const focused = interaction.options.getFocused(true);
@@ -1219,7 +1213,7 @@ module.exports = {
 
 		if (rawQuery) {
 			try {
-				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10 });
+				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10, game: GameProfiles.getDefaultGame(getGameOption(interaction)) });
 				for (const player of globalResults) {
 					const loungeId = [player.id, player.playerId, player.loungeId]
 						.map(id => id === undefined || id === null ? null : String(id))
@@ -1256,6 +1250,7 @@ module.exports = {
 
 
 			const rawPlayer = interaction.options.getString("player");
+			const game = await resolveGameOption(interaction);
 			const initialFilters = normalizeRankStatsFilters(DEFAULT_FILTERS);
 			let components = [];
 
@@ -1274,9 +1269,10 @@ module.exports = {
 				timeFilter: initialFilters.timeFilter,
 				queueFilter: initialFilters.queueFilter,
 				playerCountFilter: initialFilters.playerCountFilter,
+				game,
 			});
 
-			const result = await generateRankStats(interaction, target, serverId, null, { filters: initialFilters });
+			const result = await generateRankStats(interaction, target, serverId, null, { filters: initialFilters, game });
 			if (!result.success) {
 				await interaction.editReply({ content: result.message || "unable to compute rank stats.", components, files: [] });
 				return;
@@ -1294,6 +1290,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("rank-stats command error", error);
+			UsageAnalytics.markFailed(interaction);
 			try {
 				await interaction.editReply({ content: "error: unable to generate rank stats." });
 			}
@@ -1335,6 +1332,7 @@ module.exports = {
 				timeFilter: nextFilters.timeFilter,
 				queueFilter: nextFilters.queueFilter,
 				playerCountFilter: nextFilters.playerCountFilter,
+				game: parsed.game,
 			});
 
 			await interaction.update({ components });
@@ -1388,6 +1386,7 @@ module.exports = {
 					filters: nextFilters,
 					session: cachedSession && cachedSession.loungeId === loungeId ? cachedSession : null,
 					userData: freshUserData,
+					game: parsed.game,
 				});
 
 				if (!isRankStatsRenderActive(messageId, renderToken)) {
@@ -1423,6 +1422,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("rank-stats button error", error);
+			UsageAnalytics.markFailed(interaction);
 			return false;
 		}
 	},
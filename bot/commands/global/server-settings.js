@@ -0,0 +1,183 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType, InteractionContextType, PermissionFlagsBits } = require("discord.js");
+const ServerData = require("../../utils/serverData");
+const GameProfiles = require("../../utils/gameProfiles");
+const UsageAnalytics = require("../../utils/usageAnalytics");
+
+const CLEARABLE_SETTINGS = {
+	"default-game": "defaultGame",
+	"leaderboard-role": "leaderboardRoleId",
+	"announcement-channel": "announcementChannelId",
+	"locale": "locale",
+};
+
+function normalizeLocale(raw) {
+	try {
+		const [locale] = Intl.getCanonicalLocales(raw.trim());
+		return locale || null;
+	}
+	catch {
+		return null;
+	}
+}
+
+function buildSettingsEmbed(interaction, settings) {
+	const profile = GameProfiles.getProfile(settings.defaultGame);
+	const features = Object.entries(ServerData.FEATURES)
+		.map(([key, description]) => `${settings.features[key] ? "✅" : "❌"} **${key}** – ${description}`)
+		.join("\n");
+
+	return new EmbedBuilder()
+		.setTitle(`${interaction.guild?.name || "server"} settings`)
+		.setColor("Aqua")
+		.addFields(
+			{ name: "default game", value: profile.name, inline: true },
+			{ name: "leaderboard role", value: settings.leaderboardRoleId ? `<@&${settings.leaderboardRoleId}>` : "none", inline: true },
+			{ name: "announcement channel", value: settings.announcementChannelId ? `<#${settings.announcementChannelId}>` : "none", inline: true },
+			{ name: "locale", value: settings.locale || "none", inline: true },
+			{ name: "features", value: features, inline: false },
+		)
+		.setFooter({ text: settings.updatedAt ? "last updated" : "using defaults" })
+		.setTimestamp(settings.updatedAt ? new Date(settings.updatedAt) : null);
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("server-settings")
+		.setDescription("manage this server's settings for the bot.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand(subcommand =>
+			subcommand.setName("view")
+				.setDescription("show the current settings."))
+		.addSubcommand(subcommand =>
+			subcommand.setName("set")
+				.setDescription("change one or more settings.")
+				.addStringOption(option =>
+					option.setName("default-game")
+						.setDescription("game used when a command's game option is left blank.")
+						.addChoices(...GameProfiles.getGameChoices()))
+				.addRoleOption(option =>
+					option.setName("leaderboard-role")
+						.setDescription("role /leaderboard shows when no role is given."))
+				.addChannelOption(option =>
+					option.setName("announcement-channel")
+						.setDescription("channel for bot announcements.")
+						.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+				.addStringOption(option =>
+					option.setName("locale")
+						.setDescription("language tag, e.g. en-US or ja-JP.")
+						.setMaxLength(35)))
+		.addSubcommand(subcommand =>
+			subcommand.setName("clear")
+				.setDescription("put a setting back to its default.")
+				.addStringOption(option =>
+					option.setName("setting")
+						.setDescription("setting to clear.")
+						.setRequired(true)
+						.addChoices(...Object.keys(CLEARABLE_SETTINGS).map(name => ({ name, value: name })))))
+		.addSubcommand(subcommand =>
+			subcommand.setName("feature")
+				.setDescription("turn a feature on or off.")
+				.addStringOption(option =>
+					option.setName("name")
+						.setDescription("feature to change.")
+						.setRequired(true)
+						.addChoices(...Object.keys(ServerData.FEATURES).map(name => ({ name, value: name }))))
+				.addBooleanOption(option =>
+					option.setName("enabled")
+						.setDescription("whether the feature is on.")
+						.setRequired(true)))
+		.addSubcommand(subcommand =>
+			subcommand.setName("reset")
+				.setDescription("delete all settings for this server.")),
+
+	async execute(interaction) {
+		if (!interaction.inGuild()) {
+			await interaction.reply({ content: "this command can only be used inside a server.", ephemeral: true });
+			return;
+		}
+
+		// Default permissions can be overridden per server; check again here
+		if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+			await interaction.reply({ content: "you need the manage server permission to change these settings.", ephemeral: true });
+			return;
+		}
+
+		try {
+			await interaction.deferReply({ ephemeral: true });
+
+			const serverId = interaction.guildId;
+			const subcommand = interaction.options.getSubcommand();
+			let message = null;
+
+			if (subcommand === "set") {
+				const updates = {};
+				const game = interaction.options.getString("default-game");
+				const role = interaction.options.getRole("leaderboard-role");
+				const channel = interaction.options.getChannel("announcement-channel");
+				const rawLocale = interaction.options.getString("locale");
+
+				if (game) updates.defaultGame = game;
+				if (role) updates.leaderboardRoleId = role.id;
+				if (channel) updates.announcementChannelId = channel.id;
+				if (rawLocale) {
+					const locale = normalizeLocale(rawLocale);
+					if (!locale) {
+						await interaction.editReply(`"${rawLocale}" isn't a valid language tag. try something like en-US.`);
+						return;
+					}
+					updates.locale = locale;
+				}
+
+				if (!Object.keys(updates).length) {
+					await interaction.editReply("nothing to change. pick at least one setting.");
+					return;
+				}
+				if (!await ServerData.updateServerData(serverId, updates)) {
+					await interaction.editReply("error: couldn't save the settings. try again later.");
+					return;
+				}
+				message = "settings saved.";
+			}
+			else if (subcommand === "clear") {
+				const setting = interaction.options.getString("setting");
+				const key = CLEARABLE_SETTINGS[setting];
+				if (!await ServerData.updateServerData(serverId, { [key]: ServerData.SETTINGS_DEFAULTS[key] })) {
+					await interaction.editReply("error: couldn't save the settings. try again later.");
+					return;
+				}
+				message = `${setting} cleared.`;
+			}
+			else if (subcommand === "feature") {
+				const name = interaction.options.getString("name");
+				const enabled = interaction.options.getBoolean("enabled");
+				if (!await ServerData.updateServerData(serverId, { features: { [name]: enabled } })) {
+					await interaction.editReply("error: couldn't save the settings. try again later.");
+					return;
+				}
+				message = `${name} turned ${enabled ? "on" : "off"}.`;
+			}
+			else if (subcommand === "reset") {
+				await ServerData.deleteServerData(serverId);
+				message = "settings reset to defaults.";
+			}
+
+			const settings = await ServerData.getServerData(serverId);
+			await interaction.editReply({
+				content: message || "",
+				embeds: [buildSettingsEmbed(interaction, settings)],
+				allowedMentions: { parse: [] },
+			});
+		}
+		catch (error) {
+			console.error("server-settings command error:", error);
+			UsageAnalytics.markFailed(interaction);
+			try {
+				await interaction.editReply({ content: "error: something went wrong while updating server settings.", embeds: [] });
+			}
+			catch (editError) {
+				console.error("server-settings: failed to send error message:", editError);
+			}
+		}
+	},
+};
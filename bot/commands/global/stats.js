@@ -4,6 +4,9 @@ const { createCanvas, loadImage } = require("canvas");
 const Database = require("../../utils/database");
 const LoungeApi = require("../../utils/loungeApi");
 const PlayerStats = require("../../utils/playerStats");
+const SeasonRegistry = require("../../utils/seasonRegistry");
+const RankThresholds = require("../../utils/rankThresholds");
+const GameProfiles = require("../../utils/gameProfiles");
 const AutoUserManager = require("../../utils/autoUserManager");
 const resolveTargetPlayer = require("../../utils/playerResolver");
 const Fonts = require("../../utils/fonts");
@@ -11,7 +14,8 @@ const EmbedEnhancer = require("../../utils/embedEnhancer");
 const GameData = require("../../utils/gameData");
 const ColorPalettes = require("../../utils/colorPalettes");
 const { createSessionStore, createRenderTracker } = require("../../utils/cacheManager");
-const { buildStandardFilterRows, parseStandardFilterCustomId } = require("../../utils/globalCommands");
+const { buildStandardFilterRows, parseStandardFilterCustomId, getGameOption, resolveGameOption, buildGameOption, getMissingPlayerMessage } = require("../../utils/globalCommands");
+const UsageAnalytics = require("../../utils/usageAnalytics");
 const { formatNumber, formatSignedNumber, createImageLoader } = EmbedEnhancer;
 
 const loadImageResource = createImageLoader("stats");
@@ -450,21 +454,43 @@ async function getDivisionChart(trackName, trackColors, globals) {
 	};
 }
 
-async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTables, loungeId, timeFilter, playerCountFilter = null, extraDetails = null, queueFilter = "both") {
+// Point styles for the non-table events marked on the mmr history chart
+const MMR_EVENT_MARKER_STYLES = {
+	penalty: { label: "penalty", pointStyle: "crossRot" },
+	bonus: { label: "bonus", pointStyle: "triangle" },
+	placement: { label: "placement", pointStyle: "rectRot" },
+	other: { label: "other", pointStyle: "star" },
+};
+
+function getMmrEventMarkerStyle(category, trackColors) {
+	const style = MMR_EVENT_MARKER_STYLES[category] || MMR_EVENT_MARKER_STYLES.other;
+	let color = trackColors.chartTextColor;
+	if (category === "penalty") {
+		color = ColorPalettes.statsPalette.valueNegativeColor;
+	}
+	else if (category === "bonus") {
+		color = ColorPalettes.statsPalette.valuePositiveColor;
+	}
+	return { ...style, color };
+}
+
+async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTables, loungeId, timeFilter, playerCountFilter = null, extraDetails = null, queueFilter = "both", mmrEvents = null) {
+	const profile = GameProfiles.getProfileForGame(playerDetails?.gameMode);
+	const [firstMode, secondMode = null] = GameProfiles.getModeGames(profile.key);
+
 	// Helper to get points for a specific mode
 	const getModeData = (targetMode) => {
 		const tablesList = Object.values(allTables).sort((a, b) => new Date(a.createdOn) - new Date(b.createdOn));
 		const relevantTables = tablesList.filter(t => {
 			const isQueueFilterActive = queueFilter === "soloq" || queueFilter === "squads";
 			const isAllTimeFilter = timeFilter === "alltime";
-			// If queue filter is active OR alltime filter is active, allow Season < 2
-			// Otherwise (e.g. standard Season/Weekly filter with no queue filter), enforce Season >= 2
-			if (!isQueueFilterActive && !isAllTimeFilter && t.season < 2) return false;
-			const tableMode = (t.numPlayers > 12) ? "mkworld24p" : "mkworld12p";
-			if (tableMode !== targetMode) return false;
+			// If queue filter is active OR alltime filter is active, allow seasons from before the 12p/24p split
+			// Otherwise (e.g. standard Season/Weekly filter with no queue filter), only split-mode seasons count
+			if (!isQueueFilterActive && !isAllTimeFilter && !SeasonRegistry.isSplitModeSeason(t.season, profile.key)) return false;
+			if (GameProfiles.getTableMode(t) !== targetMode) return false;
 
 			// Apply time filter
-			if (timeFilter === "season" && String(t.season) !== String(LoungeApi.DEFAULT_SEASON)) return false;
+			if (timeFilter === "season" && Number(t.season) !== SeasonRegistry.getCurrentSeason(targetMode)) return false;
 			if (timeFilter === "weekly") {
 				const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
 				if (new Date(t.createdOn).getTime() < oneWeekAgo) return false;
@@ -494,7 +520,8 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 			// 3. Continuity: Pre-S2 deltas must end at S2 start value.
 			//    So we trace S2 start, then walk backwards for Pre-S2.
 
-			const season2StartTableIndex = relevantTables.findIndex(t => t.season >= 2);
+			// "S2" is the first season with the game's current modes (mkworld's 12p/24p split)
+			const season2StartTableIndex = relevantTables.findIndex(t => SeasonRegistry.isSplitModeSeason(t.season, profile.key));
 
 			// If no Season 2+ data, just default to delta mode (or absolute if it works)
 			// But user asked for specific behavior.
@@ -613,6 +640,22 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 
 		if (historyPoints.length === 0) return null;
 
+		// Mark penalties, bonuses and placements at the point in the match sequence they happened.
+		// Queue filters plot table deltas only, so the markers would not line up there.
+		const eventMarkers = [];
+		if (!useDeltaMode && Array.isArray(mmrEvents?.[targetMode])) {
+			const tableTimes = relevantTables.map(t => PlayerStats.getTableTimestamp(t)?.getTime() ?? 0);
+			for (const event of PlayerStats.buildMmrLedger({ mmrChanges: mmrEvents[targetMode], timeFilter }).events) {
+				if (!Number.isFinite(event.newMmr) || !Number.isFinite(event.time)) continue;
+				const tablesBefore = tableTimes.filter(time => time <= event.time).length;
+				eventMarkers.push({
+					x: Math.min(tablesBefore, matchCount),
+					y: event.newMmr,
+					category: event.category,
+				});
+			}
+		}
+
 		// Calculate transition index for hybrid mode
 		// It's the index where isProjected flips from true to false
 		let transitionIndex = -1;
@@ -626,34 +669,37 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 			}
 		}
 
-		return { historyPoints, matchCount, transitionIndex, isHybridMode };
+		return { historyPoints, matchCount, transitionIndex, isHybridMode, eventMarkers };
 	};
 
 	let dualMode = false;
-	let data12p = getModeData("mkworld12p");
-	let data24p = null;
+	let firstData = null;
+	let secondData = null;
 
 	let selectedData = null;
-	if (playerCountFilter === "both" && extraDetails) {
-		const result12p = getModeData("mkworld12p");
-		const result24p = getModeData("mkworld24p");
-		if (result12p && result24p) {
+	let selectedMode = null;
+	if (playerCountFilter === "both" && extraDetails && secondMode) {
+		const firstResult = getModeData(firstMode);
+		const secondResult = getModeData(secondMode);
+		if (firstResult && secondResult) {
 			dualMode = true;
-			data12p = result12p;
-			data24p = result24p;
+			firstData = firstResult;
+			secondData = secondResult;
 		}
-		else if (result12p) {
-			selectedData = result12p;
-			playerDetails = extraDetails.details12p || playerDetails;
+		else if (firstResult) {
+			selectedData = firstResult;
+			selectedMode = firstMode;
+			playerDetails = extraDetails[firstMode] || playerDetails;
 		}
-		else if (result24p) {
-			selectedData = result24p;
-			playerDetails = extraDetails.details24p || playerDetails;
+		else if (secondResult) {
+			selectedData = secondResult;
+			selectedMode = secondMode;
+			playerDetails = extraDetails[secondMode] || playerDetails;
 		}
 	}
 	else {
-		const targetMode = (playerCountFilter === "24p") ? "mkworld24p" : "mkworld12p";
-		selectedData = getModeData(targetMode);
+		selectedMode = GameProfiles.getGameForFilter(profile.key, playerCountFilter) || firstMode;
+		selectedData = getModeData(selectedMode);
 	}
 
 	/* Removed old filtering logic to use getModeData later */
@@ -697,15 +743,14 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 		return `#${r.toString(16).padStart(2, "0")}${g.toString(16).padStart(2, "0")}${b.toString(16).padStart(2, "0")}`;
 	};
 
-	const createConfig = (dataPoints, matchCount, gameMode, titleText, transitionIndex = -1, isHybrid = false) => {
-		const mmrValues = dataPoints.map(p => p.y);
+	const createConfig = (dataPoints, matchCount, gameMode, titleText, transitionIndex = -1, isHybrid = false, eventMarkers = []) => {
+		const mmrValues = [...dataPoints, ...eventMarkers].map(p => p.y);
 		const minMmr = Math.min(...mmrValues);
 		const maxMmr = Math.max(...mmrValues);
 		const padding = (maxMmr - minMmr) * 0.1 || 100;
 		// Round range to nice numbers
 		const yMin = Math.floor((minMmr - padding) / 100) * 100;
 		const yMax = Math.ceil((maxMmr + padding) / 100) * 100;
-		const is24p = gameMode === "mkworld24p";
 
 		// Calculate Y-axis step size
 		// Minimum step of 100. Max 5 ticks means we categorize range into 4 intervals.
@@ -810,10 +855,10 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 				yAxisID: "y",
 				// Rank Color Logic
 				borderColor: (context) => {
-					return getRankGradient(context, 1.0, 0.5, false, is24p, scales => scales.y);
+					return getRankGradient(context, 1.0, 0.5, false, gameMode, scales => scales.y);
 				},
 				backgroundColor: (context) => {
-					return getRankGradient(context, 0.75, 0, true, is24p, scales => scales.y);
+					return getRankGradient(context, 0.75, 0, true, gameMode, scales => scales.y);
 				},
 				borderWidth: 4,
 				pointRadius: 0,
@@ -838,22 +883,49 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 			});
 		}
 
+		// One scatter-style dataset per event category so each gets its own marker
+		const markerLabels = new Set();
+		const markersByCategory = new Map();
+		for (const marker of eventMarkers) {
+			if (!markersByCategory.has(marker.category)) {
+				markersByCategory.set(marker.category, []);
+			}
+			markersByCategory.get(marker.category).push({ x: marker.x, y: marker.y });
+		}
+		for (const [category, points] of markersByCategory) {
+			const style = getMmrEventMarkerStyle(category, trackColors);
+			markerLabels.add(style.label);
+			datasets.push({
+				label: style.label,
+				data: points,
+				yAxisID: "y",
+				showLine: false,
+				fill: false,
+				pointStyle: style.pointStyle,
+				pointRadius: 10,
+				pointBorderWidth: 4,
+				pointBackgroundColor: style.color,
+				pointBorderColor: style.color,
+				order: 0,
+			});
+		}
+
 		// Extracted Rank Gradient Logic
-		const getRankGradient = (context, opacity, darkenAmount, applyPattern, is24pMode, getScale) => {
+		const getRankGradient = (context, opacity, darkenAmount, applyPattern, rankMode, getScale) => {
 			const chart = context.chart;
 			const { ctx, chartArea, scales } = chart;
 			if (!chartArea) return null;
 
-			// Cache key generation
-			const cacheKey = `rank-${opacity}-${darkenAmount}-${applyPattern}-${is24pMode}-${chartArea.width}-${chartArea.height}`;
+			const tiers = PlayerStats.getRankThresholds(rankMode);
+
+			// Cache key generation (tier mins included so new season cutoffs don't reuse an old gradient)
+			const cacheKey = `rank-${opacity}-${darkenAmount}-${applyPattern}-${rankMode}-${chartArea.width}-${chartArea.height}-${tiers.map(tier => tier.min).join(",")}`;
 			if (gradientCache.has(cacheKey)) {
 				return gradientCache.get(cacheKey);
 			}
 
 			const yScale = getScale ? getScale(scales) : scales.y;
-			const rankMode = is24pMode ? "24p" : "12p";
-			const tiers = PlayerStats.getRankThresholds(rankMode);
-			const rankColors = ColorPalettes.rankColorMap;
+			const rankColors = GameProfiles.getProfileForGame(rankMode).palette.rankColors;
 
 			const patternCanvas = createCanvas(Math.ceil(chartArea.width), Math.ceil(chartArea.height));
 			const pCtx = patternCanvas.getContext("2d");
@@ -986,7 +1058,7 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 				return gradient;
 			}
 			// Use rank gradient helper
-			return getRankGradient(context, opacity, darkenAmount, applyPattern, is24p, null);
+			return getRankGradient(context, opacity, darkenAmount, applyPattern, gameMode, null);
 		};
 
 		return {
@@ -1002,7 +1074,15 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 						font: { size: 40 },
 						color: trackColors.chartTextColor,
 					},
-					legend: { display: false },
+					legend: {
+						display: markerLabels.size > 0,
+						labels: {
+							usePointStyle: true,
+							filter: item => markerLabels.has(item.text),
+							font: { size: 20 },
+							color: trackColors.chartTextColor,
+						},
+					},
 					xAxisIcons: { icons: [] },
 				},
 				scales: {
@@ -1143,20 +1223,20 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 
 		const dualRenderer = getDualChartRenderer();
 
-		const config12p = createConfig(data12p.historyPoints, data12p.matchCount, "mkworld12p", "mmr history (12p)", data12p.transitionIndex, data12p.isHybridMode);
-		const buf12p = await dualRenderer.renderToBuffer(config12p);
+		const firstConfig = createConfig(firstData.historyPoints, firstData.matchCount, firstMode, `mmr history (${GameProfiles.getModeLabel(firstMode)})`, firstData.transitionIndex, firstData.isHybridMode, firstData.eventMarkers);
+		const firstBuffer = await dualRenderer.renderToBuffer(firstConfig);
 
-		const config24p = createConfig(data24p.historyPoints, data24p.matchCount, "mkworld24p", "mmr history (24p)", data24p.transitionIndex, data24p.isHybridMode);
-		const buf24p = await dualRenderer.renderToBuffer(config24p);
+		const secondConfig = createConfig(secondData.historyPoints, secondData.matchCount, secondMode, `mmr history (${GameProfiles.getModeLabel(secondMode)})`, secondData.transitionIndex, secondData.isHybridMode, secondData.eventMarkers);
+		const secondBuffer = await dualRenderer.renderToBuffer(secondConfig);
 
 		const combinedCanvas = createCanvas(CHART_DIMENSIONS.width, CHART_DIMENSIONS.height);
 		const ctx = combinedCanvas.getContext("2d");
 
-		const img12p = await loadImage(buf12p);
-		const img24p = await loadImage(buf24p);
+		const firstImage = await loadImage(firstBuffer);
+		const secondImage = await loadImage(secondBuffer);
 
-		ctx.drawImage(img12p, 0, 0);
-		ctx.drawImage(img24p, 0, heightPerChart);
+		ctx.drawImage(firstImage, 0, 0);
+		ctx.drawImage(secondImage, 0, heightPerChart);
 
 		return {
 			image: combinedCanvas,
@@ -1168,36 +1248,25 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 	else {
 		// Single Mode
 		let data = selectedData;
-		let targetMode = "mkworld12p";
+		let targetMode = selectedMode || firstMode;
 
 		if (!data) {
-			const is24p = (playerCountFilter === "24p") || (playerDetails && playerDetails.gameMode === "mkworld24p");
-			targetMode = is24p ? "mkworld24p" : "mkworld12p";
+			// Nothing in the requested mode: fall back to the mode the player's details are for
+			targetMode = GameProfiles.getGameForFilter(profile.key, playerCountFilter) || playerDetails?.gameMode || firstMode;
 			data = getModeData(targetMode);
 		}
-		else {
-			// If selectedData was set, we need to know which mode it corresponds to.
-			// Since we don't store the mode in the data object, we must infer it from the logic that set selectedData.
-			// Logic:
-			// if (result12p) -> selectedData = result12p -> mode is 12p
-			// else if (result24p) -> selectedData = result24p -> mode is 24p
-			// We can check playerDetails.gameMode if we updated it correctly.
-
-			const is24p = playerDetails && playerDetails.gameMode === "mkworld24p";
-			targetMode = is24p ? "mkworld24p" : "mkworld12p";
-		}
 
 		if (!data) return null;
 
 		const renderer = getChartRenderer();
 
-		const modeLabel = targetMode === "mkworld24p" ? "24p" : "12p";
+		const modeLabel = GameProfiles.getModeLabel(targetMode);
 		// If the user specifically requested this mode (playerCountFilter is matched), don't show the suffix.
-		// If they requested "both" or undefined, we keep the suffix to be clear.
-		const showSuffix = !playerCountFilter || (playerCountFilter !== "12p" && playerCountFilter !== "24p");
+		// If they requested "both" or undefined, we keep the suffix to be clear. Single-mode games never need it.
+		const showSuffix = Boolean(secondMode) && (!playerCountFilter || playerCountFilter === "both");
 		const titleText = showSuffix ? `mmr history (${modeLabel})` : "mmr history";
 
-		const config = createConfig(data.historyPoints, data.matchCount, targetMode, titleText, data.transitionIndex, data.isHybridMode);
+		const config = createConfig(data.historyPoints, data.matchCount, targetMode, titleText, data.transitionIndex, data.isHybridMode, data.eventMarkers);
 		const chartBuffer = await renderer.renderToBuffer(config);
 		const chartImage = await loadImage(chartBuffer);
 
@@ -1209,6 +1278,85 @@ async function getMmrHistoryChart(trackName, trackColors, playerDetails, allTabl
 	}
 }
 
+async function getPenaltySummary(playerDetails) {
+	const loungeName = playerDetails?.name;
+	if (!loungeName) {
+		return null;
+	}
+	const gameModes = [playerDetails.gameMode || LoungeApi.DEFAULT_GAME, playerDetails.alternateGameMode].filter(Boolean);
+	try {
+		const results = await Promise.all(gameModes.map(gameMode => LoungeApi.getPlayerPenalties(loungeName, {
+			season: playerDetails.season,
+			game: gameMode,
+		})));
+		return PlayerStats.summarizePenalties(results.flat());
+	}
+	catch (error) {
+		console.warn(`failed to load penalties for ${loungeName}:`, error);
+		return null;
+	}
+}
+
+// Non-table events over the whole season; the session keeps them so each filter can ledger them again
+function buildMmrEventsByMode(playerDetails) {
+	const eventsByMode = {};
+	const entries = [
+		[playerDetails?.gameMode || LoungeApi.DEFAULT_GAME, playerDetails],
+		[playerDetails?.alternateGameMode, playerDetails?.alternateDetails],
+	];
+	for (const [gameMode, details] of entries) {
+		if (!gameMode || !Array.isArray(details?.mmrChanges)) continue;
+		eventsByMode[gameMode] = PlayerStats.buildMmrLedger({ playerDetails: details }).events;
+	}
+	return eventsByMode;
+}
+
+function formatMmrBreakdownLine({ tableDelta, mmrEvents, timeFilter, queueFilter, playerCountFilter, game = GameProfiles.DEFAULT_PROFILE_KEY, now = Date.now() }) {
+	// Penalties and bonuses aren't tied to a queue, so only split the delta when no queue filter is set
+	if ((timeFilter !== "weekly" && timeFilter !== "season") || (queueFilter && queueFilter !== "both")) {
+		return "";
+	}
+	const filteredGame = GameProfiles.getGameForFilter(game, playerCountFilter);
+	const modes = filteredGame ? [filteredGame] : GameProfiles.getModeGames(game);
+	const ledger = PlayerStats.buildMmrLedger({
+		mmrChanges: modes.flatMap(mode => mmrEvents?.[mode] || []),
+		timeFilter,
+		now,
+	});
+	if (!ledger.events.length) {
+		return "";
+	}
+	const segments = [`${formatSignedNumber(tableDelta)} from tables`];
+	if (ledger.penalty) segments.push(`${formatSignedNumber(ledger.penalty)} from penalties`);
+	if (ledger.bonus) segments.push(`${formatSignedNumber(ledger.bonus)} from bonuses`);
+	if (ledger.placement) segments.push(`${formatSignedNumber(ledger.placement)} from placement`);
+	return `**mmr breakdown:** ${segments.join(" · ")}\n`;
+}
+
+function formatNameHistoryLine(playerDetails, maxNames = 3) {
+	const currentKey = (playerDetails?.name || "").trim().toLowerCase();
+	const formerNames = [];
+	for (const entry of Array.isArray(playerDetails?.nameHistory) ? playerDetails.nameHistory : []) {
+		const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+		if (!name || name.toLowerCase() === currentKey || formerNames.includes(name)) continue;
+		formerNames.push(name);
+	}
+	if (!formerNames.length) {
+		return "";
+	}
+	const shown = formerNames.slice(0, maxNames).join(", ");
+	const extra = formerNames.length > maxNames ? ` (+${formerNames.length - maxNames} more)` : "";
+	return `**formerly:** ${shown}${extra}\n`;
+}
+
+function formatPenaltySummaryLine(summary) {
+	if (!summary || (!summary.totalStrikes && !summary.totalPenalties)) {
+		return "";
+	}
+	const strikeLabel = summary.activeStrikes === 1 ? "strike" : "strikes";
+	return `**strikes:** ${summary.activeStrikes} active ${strikeLabel} · **penalties:** -${formatNumber(summary.totalMmrLost)} mmr this season\n`;
+}
+
 async function getPlayerStats(loungeId, serverId, tables, playerDetails = null) {
 	try {
 		const normalizedLoungeId = String(loungeId);
@@ -1392,6 +1540,7 @@ async function renderStats({
 	queueFilter,
 	playerCountFilter,
 	timeFilter = "alltime",
+	game = GameProfiles.DEFAULT_PROFILE_KEY,
 	session: sessionOption = null,
 	userData: userDataOption = null,
 	onProgress = null,
@@ -1412,6 +1561,7 @@ async function renderStats({
 		return { success: false, message: "lounge id is required." };
 	}
 	const fallbackName = `player ${normalizedLoungeId}`;
+	const profile = GameProfiles.getProfile(game);
 	const session = sessionOption;
 	const useSession = Boolean(session && session.playerDetails && session.allTables && session.trackName);
 
@@ -1421,7 +1571,7 @@ async function renderStats({
 
 	// Invalidate playerDetails if it doesn't match the specific requested mode
 	if (playerDetails && playerCountFilter && playerCountFilter !== "both") {
-		const expectedMode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
+		const expectedMode = GameProfiles.getGameForFilter(profile.key, playerCountFilter);
 		if (playerDetails.gameMode !== expectedMode) {
 			playerDetails = null;
 		}
@@ -1438,61 +1588,17 @@ async function renderStats({
 	let trackName = useSession ? session.trackName : null;
 	let globals = useSession ? session.globals || null : null;
 	let discordUser = target?.discordUser || (useSession ? session.discordUser : null);
+	let penaltySummary = useSession ? session.penaltySummary || null : null;
+	let mmrEvents = useSession ? session.mmrEvents || null : null;
 	let storedRecord = null;
 
 	if (!playerDetails) {
-		let gameMode = "mkworld12p";
-		let details = null;
-
-		if (playerCountFilter && playerCountFilter !== "both") {
-			// Specific mode requested
-			gameMode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
-			details = await LoungeApi.getPlayerDetailsByLoungeId(normalizedLoungeId, undefined, gameMode);
+		// Specific mode when filtered, otherwise the player's highest-MMR mode with the other one attached;
+		// gameMode is set on the details so getAllPlayerTables syncs the right game
+		playerDetails = await LoungeApi.getPreferredPlayerDetails(normalizedLoungeId, { game: profile.key, playerCountFilter });
+		if (!playerDetails) {
+			return { success: false, message: getMissingPlayerMessage(profile) };
 		}
-		else {
-			// "both" or unspecified -> fetch both and compare
-			const [details12p, details24p] = await Promise.all([
-				LoungeApi.getPlayerDetailsByLoungeId(normalizedLoungeId, undefined, "mkworld12p"),
-				LoungeApi.getPlayerDetailsByLoungeId(normalizedLoungeId, undefined, "mkworld24p"),
-			]);
-
-			if (!details12p && !details24p) {
-				return { success: false, message: "couldn't find that player in mkw lounge." };
-			}
-
-			if (details12p && !details24p) {
-				details = details12p;
-				gameMode = "mkworld12p";
-			}
-			else if (!details12p && details24p) {
-				details = details24p;
-				gameMode = "mkworld24p";
-			}
-			else {
-				// Both exist, compare MMR
-				const mmr12p = details12p.mmr || 0;
-				const mmr24p = details24p.mmr || 0;
-				if (mmr24p > mmr12p) {
-					details = details24p;
-					details.alternateDetails = details12p;
-					details.alternateGameMode = "mkworld12p";
-					gameMode = "mkworld24p";
-				}
-				else {
-					details = details12p;
-					details.alternateDetails = details24p;
-					details.alternateGameMode = "mkworld24p";
-					gameMode = "mkworld12p";
-				}
-			}
-		}
-
-		if (!details) {
-			return { success: false, message: "couldn't find that player in mkw lounge." };
-		}
-		playerDetails = details;
-		// Inject the gameMode so getAllPlayerTables can use it
-		playerDetails.gameMode = gameMode;
 	}
 
 	if (!useSession && !skipAutoUserAndMembership) {
@@ -1508,6 +1614,7 @@ async function renderStats({
 			storedRecord,
 			fallbackName,
 			playerDetails,
+			linkSource: target?.linkSource,
 		});
 
 		target = result.target;
@@ -1539,7 +1646,7 @@ async function renderStats({
 
 	await reportProgress("filtering...");
 
-	const filteredTables = PlayerStats.filterTablesByControls(allTables, { timeFilter, queueFilter, playerCountFilter });
+	const filteredTables = PlayerStats.filterTablesByControls(allTables, { timeFilter, queueFilter, playerCountFilter, game: profile.key });
 	const filteredTableIds = Object.keys(filteredTables);
 	if (!filteredTableIds.length) {
 		return { success: false, message: "no events found matching the specified filters." };
@@ -1588,10 +1695,18 @@ async function renderStats({
 	}
 
 	if (!globals) {
-		const globalStatsGameMode = playerDetails?.gameMode || "mkworld12p";
+		const globalStatsGameMode = playerDetails?.gameMode || GameProfiles.getDefaultGame(profile.key);
 		globals = await LoungeApi.getGlobalStats(undefined, globalStatsGameMode);
 	}
 
+	if (!penaltySummary) {
+		penaltySummary = await getPenaltySummary(playerDetails);
+	}
+
+	if (!mmrEvents) {
+		mmrEvents = buildMmrEventsByMode(playerDetails);
+	}
+
 	const playerStats = await getPlayerStats(normalizedLoungeId, serverId, filteredTables, playerDetails, null);
 	const mmrRaw = Number(playerStats?.mmr);
 	const mmr = Number.isFinite(mmrRaw) ? mmrRaw : 0;
@@ -1605,14 +1720,14 @@ async function renderStats({
 			tableIds: filteredTableIds,
 			timeFilter,
 			queueFilter,
-			playerCountFilter,
 		});
 
 	// Determine what to show based on filters
 	// If playerCountFilter is "both" (or unspecified), we show current MMR + Peak/GameMode label
 	// If playerCountFilter is specific, we calculate Peak for that mode (Season 2+)
 
-	const isSpecificPlayerCount = playerCountFilter === "12p" || playerCountFilter === "24p" || playerCountFilter === "mkworld12p" || playerCountFilter === "mkworld24p";
+	// Single-mode games (mk8dx) always count as a specific player count
+	const isSpecificPlayerCount = GameProfiles.getGameForFilter(profile.key, playerCountFilter) !== null;
 	const isAllTimeOrSeason = timeFilter === "alltime" || timeFilter === "season";
 	const isQueueAny = queueFilter === "both" || !queueFilter;
 	const filtersAreBoth = queueFilter === "both" && playerCountFilter === "both";
@@ -1632,16 +1747,13 @@ async function renderStats({
 		}
 
 		if (isSpecificPlayerCount && isAllTimeOrSeason) {
-			// Search history for peak in this specific mode, starting from Season 2
-			// Season 0 and 1 are ignored as requested
-			const startSeason = 2;
-			const currentSeason = Number(LoungeApi.getCachedCurrentSeason?.() ?? LoungeApi.DEFAULT_SEASON) || 15; // Fallback if cache is empty
-			const mode = playerCountFilter.includes("24p") ? "mkworld24p" : "mkworld12p";
-
-			const pastSeasons = [];
-			for (let s = startSeason; s < currentSeason; s++) {
-				pastSeasons.push(s);
-			}
+			// Search history for peak in this specific mode
+			// Seasons from before the 12p/24p split are ignored as requested
+			const mode = GameProfiles.getGameForFilter(profile.key, playerCountFilter);
+			const currentSeason = SeasonRegistry.getCurrentSeason(mode);
+			const pastSeasons = SeasonRegistry.getSeasons(profile.key)
+				.filter(entry => entry.season < currentSeason && entry.modes.includes(mode))
+				.map(entry => entry.season);
 
 			if (pastSeasons.length > 0) {
 				const seasonResults = await Promise.all(pastSeasons.map(async s => {
@@ -1690,7 +1802,7 @@ async function renderStats({
 		else {
 			// Case: Both Modes - Show "12p" or "24p"
 			// The current MMR displayed comes from `playerDetails.gameMode` (logic added previously)
-			const mode = playerDetails?.gameMode === "mkworld24p" ? "24p" : "12p";
+			const mode = GameProfiles.getModeLabel(playerDetails?.gameMode);
 			mmrSubLabelPrefix = "";
 			mmrSubLabel = `(${mode})`;
 		}
@@ -1705,11 +1817,11 @@ async function renderStats({
 	let mmrIcon = null;
 	let mmrIconFilename = null;
 	if (showCurrentMmr) {
-		const rankGameMode = playerDetails?.gameMode || "mkworld12p";
+		const rankGameMode = playerDetails?.gameMode || GameProfiles.getDefaultGame(profile.key);
 		const iconFilename = PlayerStats.getRankIconFilenameForMmr(mmr, rankGameMode);
 		if (iconFilename) {
 			mmrIconFilename = iconFilename;
-			mmrIcon = await loadImageResource(`bot/images/ranks/${iconFilename}`, "mmr rank icon");
+			mmrIcon = await loadImageResource(`${profile.assets.rankIconsDir}/${iconFilename}`, "mmr rank icon");
 		}
 	}
 
@@ -1721,10 +1833,10 @@ async function renderStats({
 	const shouldShowSubLabelIcon = (showCurrentMmr && isSpecificPlayerCount) || (!showCurrentMmr);
 
 	if (shouldShowSubLabelIcon && Number.isFinite(subLabelMmrValue)) {
-		const subRankGameMode = playerDetails?.gameMode || "mkworld12p";
+		const subRankGameMode = playerDetails?.gameMode || GameProfiles.getDefaultGame(profile.key);
 		const subIconFilename = PlayerStats.getRankIconFilenameForMmr(subLabelMmrValue, subRankGameMode);
 		if (subIconFilename && subIconFilename !== mmrIconFilename) {
-			mmrSubLabelIcon = await loadImageResource(`bot/images/ranks/${subIconFilename}`, "mmr sublabel icon");
+			mmrSubLabelIcon = await loadImageResource(`${profile.assets.rankIconsDir}/${subIconFilename}`, "mmr sublabel icon");
 		}
 	}
 
@@ -1752,7 +1864,7 @@ async function renderStats({
 	const eP = Number.isFinite(matchesPlayedCount) ? String(matchesPlayedCount) : "-";
 	let eventsSubLabel = null;
 	const breakdown = PlayerStats.getPlayerCountBreakdown(filteredTables, normalizedLoungeId) || {};
-	if (playerCountFilter === "both" && hasMatches) {
+	if (playerCountFilter === "both" && hasMatches && profile.modes.length > 1) {
 		const twelveCount = breakdown["12p"] ?? 0;
 		const twentyFourCount = breakdown["24p"] ?? 0;
 		if (twelveCount || twentyFourCount) {
@@ -1788,6 +1900,8 @@ async function renderStats({
 		: null;
 
 	await reportProgress("rendering image...");
+	// Rank bands and icons use this season's cutoffs once they've loaded
+	await Promise.all(GameProfiles.getModeGames(profile.key).map(mode => RankThresholds.ensureThresholds(mode)));
 
 	const trackColors = ColorPalettes.statsTrackColors[trackName];
 	const canvasWidth = 1920;
@@ -1796,7 +1910,7 @@ async function renderStats({
 	const ctx = canvas.getContext("2d");
 
 	try {
-		const backgroundImage = await loadImageResource(`bot/images/tracks blurred/${trackName}_stats.png`, `${trackName} stats background`);
+		const backgroundImage = await loadImageResource(`${profile.assets.backgroundsDir}/${trackName}_stats.png`, `${trackName} stats background`);
 		if (backgroundImage) {
 			ctx.drawImage(backgroundImage, 0, 0, canvasWidth, canvasHeight);
 		}
@@ -1832,17 +1946,14 @@ async function renderStats({
 				// Construct details for both 12p and 24p.
 				// Note: playerDetails holds the primary mode, and .alternateDetails holds the secondary if available.
 				// If alternateDetails is missing, we will just have the primary.
-				const primaryMode = playerDetails.gameMode || "mkworld12p";
-				const alternateMode = primaryMode === "mkworld12p" ? "mkworld24p" : "mkworld12p";
-
 				extraDetails = {
-					details12p: primaryMode === "mkworld12p" ? playerDetails : playerDetails.alternateDetails,
-					details24p: primaryMode === "mkworld24p" ? playerDetails : playerDetails.alternateDetails,
+					[playerDetails.gameMode || GameProfiles.getDefaultGame(profile.key)]: playerDetails,
 				};
-
-				// Ensure we have objects even if null, though getMmrHistoryChart checks for existence
+				if (playerDetails.alternateGameMode) {
+					extraDetails[playerDetails.alternateGameMode] = playerDetails.alternateDetails;
+				}
 			}
-			chartResult = await getMmrHistoryChart(trackName, trackColors, playerDetails, allTables, normalizedLoungeId, timeFilter, playerCountFilter || "both", extraDetails, queueFilter);
+			chartResult = await getMmrHistoryChart(trackName, trackColors, playerDetails, allTables, normalizedLoungeId, timeFilter, playerCountFilter || "both", extraDetails, queueFilter, mmrEvents);
 			if (chartResult) {
 				isHistoryChart = true;
 			}
@@ -1876,7 +1987,7 @@ async function renderStats({
 	const timeLabels = {
 		alltime: "all time",
 		weekly: "past week",
-		season: `season ${LoungeApi.DEFAULT_SEASON}`,
+		season: `season ${SeasonRegistry.getCurrentSeason(playerDetails?.gameMode || GameProfiles.getDefaultGame(profile.key))}`,
 	};
 	const queueLabels = {
 		soloq: "solo queue",
@@ -1891,6 +2002,9 @@ async function renderStats({
 	if (playerCountFilter !== "both" && playerCountFilter) {
 		subtitleParts.push(playerCountFilter);
 	}
+	if (profile.key !== GameProfiles.DEFAULT_PROFILE_KEY) {
+		subtitleParts.push(profile.shortName);
+	}
 	const subtitleText = subtitleParts.join(" · ");
 	const hasSubtitle = Boolean(subtitleText);
 	const subtitleFontSize = LAYOUT.headerSubtitleFontSize;
@@ -2013,15 +2127,16 @@ async function renderStats({
 	];
 
 	if ((playerCountFilter === "both" || !playerCountFilter) && playerDetails?.alternateDetails) {
-		const is12pPrimary = playerDetails.gameMode === "mkworld12p";
-		const details12p = is12pPrimary ? playerDetails : playerDetails.alternateDetails;
-		const details24p = is12pPrimary ? playerDetails.alternateDetails : playerDetails;
+		const detailsByMode = {
+			[playerDetails.gameMode]: playerDetails,
+			[playerDetails.alternateGameMode]: playerDetails.alternateDetails,
+		};
 
 		const getModeCell = async (details, modeName) => {
 			const mmrVal = Number(details?.mmr);
 			const hasMmr = Number.isFinite(mmrVal);
-			const modeFilter = modeName === "mkworld12p" ? "12p" : "24p";
-			const modeTables = PlayerStats.filterTablesByControls(filteredTables, { playerCountFilter: modeFilter });
+			const modeFilter = GameProfiles.getModeLabel(modeName);
+			const modeTables = PlayerStats.filterTablesByControls(filteredTables, { playerCountFilter: modeFilter, game: profile.key });
 			const modeTableIds = Object.keys(modeTables);
 			const noModeEventsForFilter = modeTableIds.length === 0;
 
@@ -2034,7 +2149,6 @@ async function renderStats({
 					tableIds: modeTableIds,
 					timeFilter,
 					queueFilter,
-					playerCountFilter: modeFilter,
 				});
 
 			let value, subLabel, subPrefix;
@@ -2051,7 +2165,7 @@ async function renderStats({
 					subLabel = details.overallRank ? `(rank: ${details.overallRank})` : undefined;
 				}
 				if (iconFilename) {
-					cellIcon = await loadImageResource(`bot/images/ranks/${iconFilename}`, `${modeName} rank icon`);
+					cellIcon = await loadImageResource(`${profile.assets.rankIconsDir}/${iconFilename}`, `${modeName} rank icon`);
 				}
 			}
 			else {
@@ -2059,7 +2173,7 @@ async function renderStats({
 				subLabel = hasMmr ? `${formatNumber(Math.round(mmrVal))})` : "-";
 				subPrefix = "(current: ";
 				if (iconFilename) {
-					subIcon = await loadImageResource(`bot/images/ranks/${iconFilename}`, `${modeName} rank icon`);
+					subIcon = await loadImageResource(`${profile.assets.rankIconsDir}/${iconFilename}`, `${modeName} rank icon`);
 				}
 			}
 
@@ -2073,9 +2187,10 @@ async function renderStats({
 			};
 		};
 
+		const [firstMode, secondMode] = GameProfiles.getModeGames(profile.key);
 		topStatsRow = [
-			await getModeCell(details12p, "mkworld12p"),
-			await getModeCell(details24p, "mkworld24p"),
+			await getModeCell(detailsByMode[firstMode], firstMode),
+			await getModeCell(detailsByMode[secondMode], secondMode),
 			{ label: "team\nwin rate", value: winRateText, subLabel: winLossRecord ? `(${winLossRecord})` : undefined },
 		];
 	}
@@ -2118,11 +2233,23 @@ async function renderStats({
 			metrics: chartMetrics,
 			iconSize: ICON_SIZE,
 			iconGap: ICON_GAP,
-			gameMode: playerDetails?.gameMode || "mkworld12p",
+			gameMode: playerDetails?.gameMode || GameProfiles.getDefaultGame(profile.key),
 		});
 	}
 
+	if (playerDetails?.staleAsOf) {
+		EmbedEnhancer.drawDataAsOfBadge(ctx, { canvasWidth, asOf: playerDetails.staleAsOf });
+	}
+
 	const pngBuffer = canvas.toBuffer("image/png");
+	const mmrBreakdownLine = formatMmrBreakdownLine({
+		tableDelta: mmrDeltaFromTables,
+		mmrEvents,
+		timeFilter,
+		queueFilter,
+		playerCountFilter,
+		game: profile.key,
+	});
 
 	// Remove potentially large history arrays from session cache
 	const leanPlayerDetails = playerDetails ? { ...playerDetails } : null;
@@ -2134,6 +2261,7 @@ async function renderStats({
 	const updatedSession = {
 		loungeId: normalizedLoungeId,
 		serverId,
+		game: profile.key,
 		displayName,
 		loungeName,
 		playerDetails: leanPlayerDetails,
@@ -2141,6 +2269,8 @@ async function renderStats({
 		favorites,
 		trackName,
 		globals,
+		penaltySummary,
+		mmrEvents,
 		discordUser,
 		target: {
 			loungeId: normalizedLoungeId,
@@ -2152,29 +2282,31 @@ async function renderStats({
 	return {
 		success: true,
 		pngBuffer,
-		content: `${tipMessage}**link:** [${displayName}'s lounge profile](https://lounge.mkcentral.com/mkworld/PlayerDetails/${normalizedLoungeId})`,
+		content: `${tipMessage}${formatNameHistoryLine(playerDetails)}${formatPenaltySummaryLine(penaltySummary)}${mmrBreakdownLine}**link:** [${displayName}'s lounge profile](${GameProfiles.getPlayerUrl(normalizedLoungeId, profile.key)})`,
 		session: updatedSession,
 		userData,
 	};
 }
 
 
-function buildStatsCustomId(action, { timeFilter, queueFilter, playerCountFilter, loungeId }) {
+function buildStatsCustomId(action, { timeFilter, queueFilter, playerCountFilter, loungeId, game }) {
 	const safeAction = action || "time";
 	const safeTime = timeFilter || "alltime";
 	const safeQueue = queueFilter || "both";
 	const safePlayers = playerCountFilter || "both";
 	const safeLounge = loungeId ?? "";
-	return ["stats", safeAction, safeTime, safeQueue, safePlayers, safeLounge].join("|");
+	const safeGame = game || GameProfiles.DEFAULT_PROFILE_KEY;
+	return ["stats", safeAction, safeTime, safeQueue, safePlayers, safeLounge, safeGame].join("|");
 }
 
-function buildStatsComponentRows({ loungeId, timeFilter, queueFilter, playerCountFilter }) {
+function buildStatsComponentRows({ loungeId, timeFilter, queueFilter, playerCountFilter, game }) {
 	return buildStandardFilterRows({
 		buildCustomId: buildStatsCustomId,
-		customIdParams: { loungeId },
+		customIdParams: { loungeId, game },
 		timeFilter,
 		queueFilter,
 		playerCountFilter,
+		game,
 	});
 }
 
@@ -2199,7 +2331,8 @@ module.exports = {
 		.addStringOption(option => // line 1424
 			option.setName("player")
 				.setDescription("lounge name, id or discord id. leave blank for yourself.")
-				.setAutocomplete(true)),
+				.setAutocomplete(true))
+		.addStringOption(buildGameOption),
 
 	autocomplete: async interaction => {
 		const focused = interaction.options.getFocused(true);
@@ -2214,7 +2347,7 @@ module.exports = {
 
 		if (rawQuery) {
 			try {
-				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10 });
+				const globalResults = await LoungeApi.searchPlayers(rawQuery, { limit: 10, game: GameProfiles.getDefaultGame(getGameOption(interaction)) });
 				for (const player of globalResults) {
 					const loungeId = [player.id, player.playerId, player.loungeId]
 						.map(id => id === undefined || id === null ? null : String(id))
@@ -2256,6 +2389,7 @@ module.exports = {
 			const serverId = interaction.guildId;
 
 			const rawPlayer = interaction.options.getString("player");
+			const game = await resolveGameOption(interaction);
 			const timeFilter = "alltime";
 			const queueFilter = "both";
 			const playerCountFilter = "both";
@@ -2280,9 +2414,10 @@ module.exports = {
 				timeFilter,
 				queueFilter,
 				playerCountFilter,
+				game,
 			});
 
-			const result = await this.generateStats(interaction, target, serverId, queueFilter, playerCountFilter, timeFilter);
+			const result = await this.generateStats(interaction, target, serverId, queueFilter, playerCountFilter, timeFilter, null, { game });
 
 			if (!result.success) {
 				await interaction.editReply({
@@ -2316,6 +2451,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("stats command error:", error);
+			UsageAnalytics.markFailed(interaction);
 
 			let errorMessage = "error: something went wrong while calculating stats.";
 
@@ -2345,7 +2481,7 @@ module.exports = {
 		if (!parsed) return false;
 
 		try {
-			const { action, timeFilter: rawTime, queueFilter: rawQueue, playerCountFilter: rawPlayers, loungeId } = parsed;
+			const { action, timeFilter: rawTime, queueFilter: rawQueue, playerCountFilter: rawPlayers, loungeId, game } = parsed;
 
 			const messageId = interaction.message?.id || null;
 			const cachedSession = messageId ? getStatsSession(messageId) : null;
@@ -2385,6 +2521,7 @@ module.exports = {
 				timeFilter,
 				queueFilter,
 				playerCountFilter,
+				game,
 			});
 
 			await interaction.update({ components });
@@ -2436,7 +2573,7 @@ module.exports = {
 					playerCountFilter,
 					timeFilter,
 					null,
-					{ session: cachedSession, filtersOverride: futureFilters, userData: freshUserData },
+					{ session: cachedSession, filtersOverride: futureFilters, userData: freshUserData, game },
 				);
 
 				if (isStatsRenderActive(messageId, renderToken)) {
@@ -2474,6 +2611,7 @@ module.exports = {
 		}
 		catch (error) {
 			console.error("error in stats button interaction:", error);
+			UsageAnalytics.markFailed(interaction);
 			return false;
 		}
 	},
@@ -2499,6 +2637,7 @@ module.exports = {
 				queueFilter,
 				playerCountFilter,
 				timeFilter,
+				game: cacheOptions?.game,
 				session: cacheOptions?.session || null,
 				userData: cacheOptions?.userData || null,
 				onProgress,
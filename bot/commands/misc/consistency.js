@@ -0,0 +1,54 @@
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const database = require("../../utils/database");
+const Consistency = require("../../utils/consistency");
+const { OWNER_USER_ID } = require("../../utils/globalCommands");
+
+const MAX_FIELD_LENGTH = 1024;
+
+function buildIssueFields(issues) {
+	return Object.entries(Consistency.ISSUE_LABELS).map(([kind, label]) => {
+		const { count, examples } = issues[kind];
+		const value = [`**${count}**`, ...examples.map(example => `\`${Consistency.formatExample(kind, example)}\``)].join("\n");
+		return { name: label, value: value.length > MAX_FIELD_LENGTH ? `${value.slice(0, MAX_FIELD_LENGTH - 1)}…` : value };
+	});
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("consistency")
+		.setDescription("Check stored data for broken links and duplicates (owner only).")
+		.addBooleanOption(option =>
+			option.setName("repair")
+				.setDescription("Fix what the check finds.")),
+
+	async execute(interaction) {
+		if (interaction.user.id !== OWNER_USER_ID) {
+			await interaction.reply({ content: "only the bot owner can run this.", ephemeral: true });
+			return;
+		}
+
+		await interaction.deferReply({ ephemeral: true });
+		const repair = interaction.options.getBoolean("repair") || false;
+		try {
+			await database.initializeDatabase();
+			const { storage } = database;
+			const found = await Consistency.checkConsistency(storage);
+			const embed = new EmbedBuilder()
+				.setTitle(`Data Consistency (${storage.kind} storage)`)
+				.setColor(0x5865f2)
+				.addFields(buildIssueFields(found))
+				.setTimestamp();
+			if (repair) {
+				const repaired = await Consistency.repairConsistency(storage);
+				const remaining = await Consistency.checkConsistency(storage);
+				const remainingTotal = Object.values(remaining).reduce((sum, issue) => sum + issue.count, 0);
+				embed.setDescription(`${Consistency.formatRepairs(repaired)}.\n${remainingTotal} issue(s) left after repair.`);
+			}
+			await interaction.editReply({ embeds: [embed] });
+		}
+		catch (error) {
+			console.error("consistency check error:", error);
+			await interaction.editReply("error: the consistency check failed. check the logs.");
+		}
+	},
+};
@@ -1,8 +1,13 @@
-const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require("discord.js");
 const database = require("../../utils/database");
+const LoungeApi = require("../../utils/loungeApi");
+const UsageAnalytics = require("../../utils/usageAnalytics");
 const { GLOBAL_COMMAND_NAMES } = require("../../utils/globalCommands");
 
 const NUMBER_FORMATTER = new Intl.NumberFormat("en-US");
+const DEFAULT_REPORT_DAYS = 14;
+const MAX_REPORT_DAYS = 90;
+const TOP_GUILD_COUNT = 5;
 
 function formatCount(value) {
 	const safeValue = Number.isFinite(value) ? value : 0;
@@ -21,15 +26,95 @@ function buildUsageLines(usageEntries) {
 	}).join("\n\n");
 }
 
+function buildLoungeQueueLine(metrics, circuit) {
+	const queued = metrics.queued || {};
+	const lines = [
+		`active: ${formatCount(metrics.active)}/${formatCount(metrics.maxConcurrent)} | queued: ${formatCount(queued.interactive)} interactive, ${formatCount(queued.background)} background`,
+		`completed: ${formatCount(metrics.completed)} | failed: ${formatCount(metrics.failed)} | 429s: ${formatCount(metrics.throttled)}`,
+	];
+	if (metrics.pausedUntil) {
+		lines.push(`paused until <t:${Math.floor(metrics.pausedUntil.getTime() / 1000)}:T>`);
+	}
+	if (circuit?.state && circuit.state !== "closed") {
+		const retryText = circuit.retryAt ? `, retrying <t:${Math.floor(circuit.retryAt.getTime() / 1000)}:R>` : "";
+		lines.push(`circuit ${circuit.state}: serving stored data${retryText}`);
+	}
+	return lines.join("\n");
+}
+
+function buildLoungeCacheLine(stats) {
+	const lookups = stats.hits + stats.misses;
+	const hitRate = lookups ? Math.round((stats.hits / lookups) * 100) : 0;
+	return `hits: ${formatCount(stats.hits)} | misses: ${formatCount(stats.misses)} | coalesced: ${formatCount(stats.coalesced)} | hit rate: ${hitRate}%\nentries: ${formatCount(stats.entries)}`;
+}
+
+function formatDuration(ms) {
+	if (ms === null || ms === undefined) {
+		return "n/a";
+	}
+	return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function buildReportEmbed(interaction, report, commandName) {
+	const { totals } = report;
+	const failureRate = totals.uses ? ((totals.failures / totals.uses) * 100).toFixed(1) : "0.0";
+	const guildLines = report.guilds.slice(0, TOP_GUILD_COUNT).map(({ guildId, uses }, index) => {
+		const guildName = interaction.client.guilds.cache.get(guildId)?.name || guildId;
+		return `**${index + 1}. ${guildName}** ${formatCount(uses)}`;
+	});
+	const commandLines = report.commands.slice(0, 10).map(entry =>
+		`**${entry.commandName.replace(/-/g, " ")}** ${formatCount(entry.uses)} | failed: ${formatCount(entry.failures)} | p95: ${formatDuration(entry.p95Ms)}`);
+
+	const embed = new EmbedBuilder()
+		.setTitle(`${commandName ? `/${commandName}` : "Command"} Usage, ${report.fromDay} to ${report.toDay}`)
+		.setColor(0x5865f2)
+		.addFields(
+			{ name: "Totals", value: `uses: ${formatCount(totals.uses)} (slash: ${formatCount(totals.slash)} | buttons: ${formatCount(totals.button)})\nfailed: ${formatCount(totals.failures)} (${failureRate}%)` },
+			{ name: "Render Time", value: `average: ${formatDuration(totals.avgMs)} | p95: ${formatDuration(totals.p95Ms)}` },
+			{ name: "Active Servers", value: `${formatCount(report.guilds.length)} servers\n${guildLines.join("\n") || "none yet"}` },
+		)
+		.setFooter({ text: "Day boundaries are UTC; p95 is rounded up to its latency bucket" })
+		.setTimestamp();
+	if (!commandName) {
+		embed.setDescription(commandLines.join("\n") || "No usage events in this window.");
+	}
+	return embed;
+}
+
+async function buildChartAttachments(report) {
+	// Charts need the canvas bindings; the numbers are still useful without them
+	try {
+		const UsageCharts = require("../../utils/usageCharts");
+		const attachments = [];
+		for (const kind of UsageCharts.CHART_KINDS) {
+			attachments.push(new AttachmentBuilder(await UsageCharts.renderUsageChart(kind, report), { name: `usage-${kind}.png` }));
+		}
+		return attachments;
+	}
+	catch (error) {
+		console.error("Failed to render usage charts:", error);
+		return [];
+	}
+}
+
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName("usage-stats")
-		.setDescription("Show slash vs button usage for global commands."),
+		.setDescription("Show usage, filter buttons and render times for global commands.")
+		.addIntegerOption(option =>
+			option.setName("days")
+				.setDescription(`How many days to chart (default ${DEFAULT_REPORT_DAYS}).`)
+				.setMinValue(1)
+				.setMaxValue(MAX_REPORT_DAYS))
+		.addStringOption(option =>
+			option.setName("command")
+				.setDescription("Only show this command.")
+				.addChoices(...GLOBAL_COMMAND_NAMES.map(name => ({ name, value: name })))),
 
 	async execute(interaction) {
 		if (!database.useDatabase) {
 			await interaction.reply({
-				content: "Command usage tracking requires a configured database (DATABASE_URL).",
+				content: "Command usage tracking requires Postgres or SQLite storage; it is off with file storage.",
 				ephemeral: true,
 			});
 			return;
@@ -78,10 +163,31 @@ module.exports = {
 			.setTitle("Global Command Usage")
 			.setColor(0x5865f2)
 			.setDescription(buildUsageLines(orderedEntries))
-			.addFields({ name: "Totals", value: `slash: ${formatCount(totals.slash)} | buttons: ${formatCount(totals.button)}` })
+			.addFields(
+				{ name: "Totals", value: `slash: ${formatCount(totals.slash)} | buttons: ${formatCount(totals.button)}` },
+				{ name: "Lounge API Queue", value: buildLoungeQueueLine(LoungeApi.getRequestMetrics(), LoungeApi.getCircuitState()) },
+				{ name: "Lounge API Cache", value: buildLoungeCacheLine(LoungeApi.getApiCacheStats()) },
+			)
 			.setFooter({ text: "Ranked by slash command usage" })
 			.setTimestamp();
 
-		await interaction.editReply({ embeds: [embed] });
+		const days = interaction.options.getInteger("days") || DEFAULT_REPORT_DAYS;
+		const commandName = interaction.options.getString("command");
+		let report;
+		try {
+			report = await UsageAnalytics.getUsageReport({ days, commandName });
+		}
+		catch (error) {
+			console.error("Failed to build usage report:", error);
+			await interaction.editReply({ content: "Unable to load usage history right now.", embeds: [embed] });
+			return;
+		}
+
+		const files = await buildChartAttachments(report);
+		const reportEmbed = buildReportEmbed(interaction, report, commandName);
+		if (files.length) {
+			reportEmbed.setImage(`attachment://${files[0].name}`);
+		}
+		await interaction.editReply({ embeds: [embed, reportEmbed], files });
 	},
 };
@@ -2,7 +2,13 @@ const fs = require("node:fs");
 const path = require("node:path");
 const database = require("./utils/database");
 const AutoUserManager = require("./utils/autoUserManager");
-const { resolveCommandFromButtonId, isGlobalCommand, normalizeCommandName } = require("./utils/globalCommands");
+const TableBackfill = require("./utils/tableBackfill");
+const PendingTables = require("./utils/pendingTables");
+const TableReconciliation = require("./utils/tableReconciliation");
+const SeasonRegistry = require("./utils/seasonRegistry");
+const UsageAnalytics = require("./utils/usageAnalytics");
+const MmrSnapshots = require("./utils/mmrSnapshots");
+const { OWNER_USER_ID, resolveCommandFromButtonId, isGlobalCommand, normalizeCommandName } = require("./utils/globalCommands");
 const { Client, Events, GatewayIntentBits, Collection, MessageFlags, REST, ActivityType } = require("discord.js");
 
 // Load environment variables
@@ -28,8 +34,6 @@ const token = useDev ? process.env.DEV_DISCORD_TOKEN : process.env.DISCORD_TOKEN
 
 console.log(`Starting ${useDev ? "DEVELOPMENT" : "PRODUCTION"} bot...`);
 
-const OWNER_USER_ID = "437813284981309441";
-
 function shouldTrackUsage(userId) {
 	return typeof userId === "string" && userId.length > 0 && userId !== OWNER_USER_ID;
 }
@@ -56,6 +60,18 @@ async function trackButtonInteractionUsage(interaction) {
 	await database.recordCommandUsage(resolvedCommandName, "button");
 }
 
+// Event-level log behind the usage charts; runs after the handler so it can record duration and outcome
+async function trackUsageEvent(interaction, commandName, startedAt, failed) {
+	if (!shouldTrackUsage(interaction.user?.id)) {
+		return;
+	}
+	const normalizedName = normalizeCommandName(commandName);
+	if (!normalizedName || !isGlobalCommand(normalizedName)) {
+		return;
+	}
+	await UsageAnalytics.recordInteraction(interaction, { commandName: normalizedName, startedAt, failed });
+}
+
 const client = new Client({
 	intents: [
 		GatewayIntentBits.Guilds,
@@ -103,6 +119,9 @@ client.once(Events.ClientReady, async readyClient => {
 	setInterval(updatePresence, 5000);
 	console.log(`Ready! Logged in as ${readyClient.user.tag}`);
 
+	// Load known seasons (discovering new ones) before the first command needs them
+	await SeasonRegistry.ensureLoaded();
+
 	// Cache all members on startup
 	console.log("Caching guild members...");
 	for (const guild of client.guilds.cache.values()) {
@@ -115,6 +134,40 @@ client.once(Events.ClientReady, async readyClient => {
 		}
 	}
 	console.log("Member caching complete.");
+
+	// Opt-in: keep the tables store current without waiting for per-player commands
+	const backfillMinutes = Number(process.env.TABLE_BACKFILL_INTERVAL_MINUTES);
+	if (backfillMinutes > 0) {
+		TableBackfill.startBackfillJob({ intervalMs: backfillMinutes * 60 * 1000 });
+	}
+
+	// Opt-in: poll submitted-but-unverified tables for tracked players (/pending polls on demand either way)
+	const pendingMinutes = Number(process.env.PENDING_TABLES_INTERVAL_MINUTES);
+	if (pendingMinutes > 0) {
+		PendingTables.startPendingTablesJob({ intervalMs: pendingMinutes * 60 * 1000 });
+	}
+
+	// Opt-in: re-check stored tables so ones deleted on the lounge stop counting towards stats
+	const reconcileMinutes = Number(process.env.TABLE_RECONCILE_INTERVAL_MINUTES);
+	if (reconcileMinutes > 0) {
+		TableReconciliation.startReconciliationJob({ intervalMs: reconcileMinutes * 60 * 1000 });
+	}
+
+	// Opt-in: record everyone's mmr, rank and overall rank once a day
+	const snapshotMinutes = Number(process.env.MMR_SNAPSHOT_INTERVAL_MINUTES);
+	if (snapshotMinutes > 0) {
+		MmrSnapshots.startSnapshotJob({ intervalMs: snapshotMinutes * 60 * 1000 });
+	}
+
+	// Opt-in: roll up command usage events and prune old ones (/usage-stats rolls up on demand either way)
+	const usageRollupMinutes = Number(process.env.COMMAND_USAGE_ROLLUP_INTERVAL_MINUTES);
+	if (usageRollupMinutes > 0) {
+		const retentionDays = Number(process.env.COMMAND_USAGE_RETENTION_DAYS);
+		UsageAnalytics.startRollupJob({
+			intervalMs: usageRollupMinutes * 60 * 1000,
+			...(retentionDays > 0 ? { retentionDays } : {}),
+		});
+	}
 });
 
 client.on(Events.GuildCreate, async (guild) => {
@@ -132,7 +185,7 @@ client.on(Events.GuildDelete, () => updatePresence());
 
 client.on(Events.GuildMemberAdd, async member => {
 	await member.fetch().catch((e) => console.warn("Failed to fetch member on join:", e));
-
+	await AutoUserManager.handleGuildMemberAdd(member);
 });
 
 
@@ -174,10 +227,13 @@ client.on(Events.InteractionCreate, async interaction => {
 
 		await trackSlashCommandUsage(interaction, command.data?.name);
 
+		const startedAt = Date.now();
+		let threw = false;
 		try {
 			await command.execute(interaction);
 		}
 		catch (error) {
+			threw = true;
 			console.error(error);
 			if (interaction.replied || interaction.deferred) {
 				await interaction.followUp({ content: "There was an error while executing this command!", flags: MessageFlags.Ephemeral });
@@ -186,6 +242,9 @@ client.on(Events.InteractionCreate, async interaction => {
 				await interaction.reply({ content: "There was an error while executing this command!", flags: MessageFlags.Ephemeral });
 			}
 		}
+		finally {
+			await trackUsageEvent(interaction, command.data?.name, startedAt, threw);
+		}
 	}
 	// Handle button interactions
 	else if (interaction.isButton()) {
@@ -199,6 +258,8 @@ client.on(Events.InteractionCreate, async interaction => {
 
 		// Check if any command can handle this button interaction
 		let handled = false;
+		let threw = false;
+		const startedAt = Date.now();
 		try {
 			for (const command of interaction.client.commands.values()) {
 				if (command.handleButtonInteraction && typeof command.handleButtonInteraction === "function") {
@@ -210,6 +271,7 @@ client.on(Events.InteractionCreate, async interaction => {
 						}
 					}
 					catch (error) {
+						threw = true;
 						console.error(`Error in button handler for ${command.data.name}:`, error);
 						if (!interaction.replied && !interaction.deferred) {
 							await interaction.reply({
@@ -232,6 +294,8 @@ client.on(Events.InteractionCreate, async interaction => {
 					});
 				}
 			}
+			// Command button handlers return false after catching their own errors, so unhandled counts as failed
+			await trackUsageEvent(interaction, resolveCommandFromButtonId(interaction.customId), startedAt, threw || !handled);
 		}
 		catch (error) {
 			console.error("Unexpected error in button interaction handling:", error);
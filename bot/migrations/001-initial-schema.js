@@ -0,0 +1,253 @@
+/**
+ * Baseline schema: every table the bot used before migrations were versioned.
+ * Statements are idempotent so deployments that predate this migration adopt it as-is.
+ * Also folds two older one-off upgrades in: user_tables losing its server_id column (Postgres) and
+ * per-server user_tables files being merged into global.json (file store).
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const numericIdPattern = /^\d+$/;
+
+function buildUserTablesCreateStatement(includeIfNotExists) {
+	return `
+		CREATE TABLE ${includeIfNotExists ? "IF NOT EXISTS " : ""}user_tables (
+			id SERIAL PRIMARY KEY,
+			user_id VARCHAR(20) NOT NULL,
+			table_id VARCHAR(20) NOT NULL,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(user_id, table_id),
+			FOREIGN KEY (table_id) REFERENCES tables(table_id) ON DELETE CASCADE
+		)
+	`;
+}
+
+async function dropServerIdFromUserTables(client) {
+	const legacyColumnResult = await client.query(`
+		SELECT 1
+		FROM information_schema.columns
+		WHERE table_name = 'user_tables'
+			AND column_name = 'server_id'
+		LIMIT 1
+	`);
+	if (!legacyColumnResult.rowCount) {
+		return;
+	}
+
+	console.log("migrating user_tables to global schema...");
+	await client.query("ALTER TABLE user_tables RENAME TO user_tables_legacy");
+	await client.query(buildUserTablesCreateStatement(false));
+	await client.query(`
+		INSERT INTO user_tables (user_id, table_id, created_at)
+		SELECT user_id, table_id, MIN(created_at)
+		FROM user_tables_legacy
+		GROUP BY user_id, table_id
+		ON CONFLICT (user_id, table_id) DO NOTHING
+	`);
+	await client.query("DROP TABLE user_tables_legacy");
+}
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS user_data (
+			user_id VARCHAR(20) PRIMARY KEY,
+			data JSONB NOT NULL,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS tables (
+			table_id VARCHAR(20) PRIMARY KEY,
+			table_data JSONB NOT NULL,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	await client.query(buildUserTablesCreateStatement(true));
+	await dropServerIdFromUserTables(client);
+
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS player_details_cache (
+			user_id VARCHAR(20) NOT NULL,
+			game VARCHAR(20) NOT NULL,
+			data JSONB NOT NULL,
+			fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (user_id, game)
+		)
+	`);
+
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS player_sync_cursors (
+			user_id VARCHAR(20) NOT NULL,
+			game VARCHAR(20) NOT NULL,
+			season INTEGER NOT NULL,
+			last_change_id BIGINT,
+			complete BOOLEAN NOT NULL DEFAULT FALSE,
+			last_synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (user_id, game, season)
+		)
+	`);
+
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS backfill_state (
+			job_key VARCHAR(100) PRIMARY KEY,
+			state JSONB NOT NULL,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS lounge_seasons (
+			game VARCHAR(20) NOT NULL,
+			season INTEGER NOT NULL,
+			discovered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (game, season)
+		)
+	`);
+
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS command_usage (
+			command_name VARCHAR(50) PRIMARY KEY,
+			slash_count INTEGER NOT NULL DEFAULT 0,
+			button_count INTEGER NOT NULL DEFAULT 0,
+			created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS user_data (
+			user_id TEXT PRIMARY KEY,
+			data TEXT NOT NULL,
+			updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+		);
+
+		CREATE TABLE IF NOT EXISTS tables (
+			table_id TEXT PRIMARY KEY,
+			table_data TEXT NOT NULL,
+			created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+		);
+
+		CREATE TABLE IF NOT EXISTS user_tables (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			user_id TEXT NOT NULL,
+			table_id TEXT NOT NULL,
+			created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(user_id, table_id),
+			FOREIGN KEY (table_id) REFERENCES tables(table_id) ON DELETE CASCADE
+		);
+
+		CREATE TABLE IF NOT EXISTS player_details_cache (
+			user_id TEXT NOT NULL,
+			game TEXT NOT NULL,
+			data TEXT NOT NULL,
+			fetched_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (user_id, game)
+		);
+
+		CREATE TABLE IF NOT EXISTS player_sync_cursors (
+			user_id TEXT NOT NULL,
+			game TEXT NOT NULL,
+			season INTEGER NOT NULL,
+			last_change_id INTEGER,
+			complete INTEGER NOT NULL DEFAULT 0,
+			last_synced_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (user_id, game, season)
+		);
+
+		CREATE TABLE IF NOT EXISTS backfill_state (
+			job_key TEXT PRIMARY KEY,
+			state TEXT NOT NULL,
+			updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+		);
+
+		CREATE TABLE IF NOT EXISTS lounge_seasons (
+			game TEXT NOT NULL,
+			season INTEGER NOT NULL,
+			discovered_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (game, season)
+		);
+
+		CREATE TABLE IF NOT EXISTS command_usage (
+			command_name TEXT PRIMARY KEY,
+			slash_count INTEGER NOT NULL DEFAULT 0,
+			button_count INTEGER NOT NULL DEFAULT 0,
+			created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+			updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+		);
+	`);
+}
+
+// Table ids stay numbers in global.json when every id is numeric, matching what the bot writes
+function mergeTableIds(existing, incoming) {
+	const list = Array.isArray(existing) ? existing.slice() : [];
+	const seen = new Set(list.map(String));
+	const keepNumeric = list.every(entry => numericIdPattern.test(String(entry)));
+	for (const tableId of incoming || []) {
+		const key = String(tableId ?? "").trim();
+		if (!key || seen.has(key)) continue;
+		seen.add(key);
+		list.push(keepNumeric && numericIdPattern.test(key) ? Number.parseInt(key, 10) : key);
+	}
+	return list;
+}
+
+async function files(dataDir) {
+	const relationshipsDir = path.join(dataDir, "user_tables");
+	let entries;
+	try {
+		entries = await fs.readdir(relationshipsDir);
+	}
+	catch (error) {
+		if (error.code === "ENOENT") {
+			return;
+		}
+		throw error;
+	}
+
+	const legacyFiles = entries.filter(file => file.endsWith(".json") && file !== "global.json");
+	if (!legacyFiles.length) {
+		return;
+	}
+
+	const globalPath = path.join(relationshipsDir, "global.json");
+	let globalData = {};
+	try {
+		globalData = JSON.parse(await fs.readFile(globalPath, "utf8")) || {};
+	}
+	catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error;
+		}
+	}
+
+	for (const file of legacyFiles) {
+		const legacyData = JSON.parse(await fs.readFile(path.join(relationshipsDir, file), "utf8")) || {};
+		for (const [userId, tableIds] of Object.entries(legacyData)) {
+			const normalizedId = String(userId).trim();
+			if (!normalizedId) continue;
+			globalData[normalizedId] = mergeTableIds(globalData[normalizedId], tableIds);
+		}
+	}
+
+	// Write the merged file before removing anything so a crash midway loses nothing
+	await fs.writeFile(globalPath, JSON.stringify(globalData, null, 2));
+	for (const file of legacyFiles) {
+		await fs.unlink(path.join(relationshipsDir, file));
+	}
+}
+
+module.exports = {
+	name: "initial schema",
+	postgres,
+	sqlite,
+	files,
+};
@@ -0,0 +1,19 @@
+/**
+ * Table status: verified, pending (submitted, not verified yet) or deleted (removed on the lounge, kept until purged).
+ * The file store keeps pending tables in their own directory and marks deleted ones in the table data,
+ * so it has nothing to change.
+ */
+
+async function postgres(client) {
+	await client.query("ALTER TABLE tables ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'verified'");
+}
+
+async function sqlite(db) {
+	await db.exec("ALTER TABLE tables ADD COLUMN status TEXT NOT NULL DEFAULT 'verified'");
+}
+
+module.exports = {
+	name: "table status",
+	postgres,
+	sqlite,
+};
@@ -0,0 +1,90 @@
+/**
+ * Table scores: one row per player per table (see tableScores.js), filled in from the tables already stored.
+ * saveTable keeps it in sync from here on. The file store has no relation and scans table files instead.
+ */
+
+const { getTableScoreRows } = require("../utils/tableScores");
+const PostgresStorage = require("../utils/storage/postgresStorage");
+const SqliteStorage = require("../utils/storage/sqliteStorage");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS table_scores (
+			table_id VARCHAR(20) NOT NULL,
+			player_id VARCHAR(20) NOT NULL,
+			game VARCHAR(20),
+			season INTEGER,
+			format VARCHAR(10),
+			tier VARCHAR(10),
+			team INTEGER,
+			score INTEGER,
+			placement INTEGER,
+			seed INTEGER,
+			prev_mmr INTEGER,
+			delta INTEGER,
+			created_at TIMESTAMP,
+			PRIMARY KEY (table_id, player_id),
+			FOREIGN KEY (table_id) REFERENCES tables(table_id) ON DELETE CASCADE
+		)
+	`);
+	await client.query("CREATE INDEX IF NOT EXISTS table_scores_player_idx ON table_scores (player_id)");
+	await client.query("CREATE INDEX IF NOT EXISTS table_scores_game_score_idx ON table_scores (game, score DESC)");
+
+	let afterId = "";
+	for (;;) {
+		const { rows } = await client.query(
+			"SELECT table_id, table_data FROM tables WHERE table_id > $1 ORDER BY table_id LIMIT $2",
+			[afterId, BACKFILL_BATCH_SIZE],
+		);
+		for (const row of rows) {
+			await PostgresStorage.replaceTableScores(client, row.table_id, getTableScoreRows(row.table_data));
+		}
+		if (rows.length < BACKFILL_BATCH_SIZE) break;
+		afterId = rows[rows.length - 1].table_id;
+	}
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS table_scores (
+			table_id TEXT NOT NULL,
+			player_id TEXT NOT NULL,
+			game TEXT,
+			season INTEGER,
+			format TEXT,
+			tier TEXT,
+			team INTEGER,
+			score INTEGER,
+			placement INTEGER,
+			seed INTEGER,
+			prev_mmr INTEGER,
+			delta INTEGER,
+			created_at TEXT,
+			PRIMARY KEY (table_id, player_id),
+			FOREIGN KEY (table_id) REFERENCES tables(table_id) ON DELETE CASCADE
+		);
+		CREATE INDEX IF NOT EXISTS table_scores_player_idx ON table_scores (player_id);
+		CREATE INDEX IF NOT EXISTS table_scores_game_score_idx ON table_scores (game, score DESC);
+	`);
+
+	let afterId = "";
+	for (;;) {
+		const rows = await db.all(
+			"SELECT table_id, table_data FROM tables WHERE table_id > ? ORDER BY table_id LIMIT ?",
+			[afterId, BACKFILL_BATCH_SIZE],
+		);
+		for (const row of rows) {
+			await SqliteStorage.replaceTableScores(db, row.table_id, getTableScoreRows(JSON.parse(row.table_data)));
+		}
+		if (rows.length < BACKFILL_BATCH_SIZE) break;
+		afterId = rows[rows.length - 1].table_id;
+	}
+}
+
+module.exports = {
+	name: "table scores",
+	postgres,
+	sqlite,
+};
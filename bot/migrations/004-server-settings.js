@@ -0,0 +1,30 @@
+/**
+ * Server settings: one JSON record per guild, managed with /server-settings (see serverData.js).
+ * The file store keeps them as data/server_settings/<guild id>.json and has nothing to create.
+ */
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS server_settings (
+			server_id VARCHAR(20) PRIMARY KEY,
+			data JSONB NOT NULL,
+			updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS server_settings (
+			server_id TEXT PRIMARY KEY,
+			data TEXT NOT NULL,
+			updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = {
+	name: "server settings",
+	postgres,
+	sqlite,
+};
@@ -0,0 +1,28 @@
+/**
+ * Privacy opt-outs: lounge ids of players who used /privacy forget. The bot stops storing anything for them
+ * and leaves them out of leaderboards and site previews. The file store keeps data/privacy_opt_outs.json.
+ */
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS privacy_opt_outs (
+			user_id VARCHAR(20) PRIMARY KEY,
+			opted_out_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS privacy_opt_outs (
+			user_id TEXT PRIMARY KEY,
+			opted_out_at TEXT DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+module.exports = {
+	name: "privacy opt-outs",
+	postgres,
+	sqlite,
+};
@@ -0,0 +1,90 @@
+/**
+ * Command usage events: one row per tracked slash command or button press (see usageAnalytics.js), plus daily
+ * rollups that /usage-stats and the site chart from. Events are pruned after a retention window; rollups are
+ * kept. The file store doesn't track command usage and has nothing to create.
+ */
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS command_usage_events (
+			id BIGSERIAL PRIMARY KEY,
+			command_name VARCHAR(50) NOT NULL,
+			interaction_type VARCHAR(10) NOT NULL,
+			guild_id VARCHAR(20),
+			filters JSONB,
+			duration_ms INTEGER NOT NULL,
+			success BOOLEAN NOT NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await client.query("CREATE INDEX IF NOT EXISTS command_usage_events_created_idx ON command_usage_events (created_at)");
+
+	// guild_id is '' for DMs and user installs so it can be part of the key
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS command_usage_daily (
+			day VARCHAR(10) NOT NULL,
+			command_name VARCHAR(50) NOT NULL,
+			interaction_type VARCHAR(10) NOT NULL,
+			guild_id VARCHAR(20) NOT NULL,
+			uses INTEGER NOT NULL,
+			failures INTEGER NOT NULL,
+			total_duration_ms BIGINT NOT NULL,
+			latency_buckets JSONB NOT NULL,
+			PRIMARY KEY (day, command_name, interaction_type, guild_id)
+		)
+	`);
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS command_usage_filters_daily (
+			day VARCHAR(10) NOT NULL,
+			command_name VARCHAR(50) NOT NULL,
+			interaction_type VARCHAR(10) NOT NULL,
+			filter_name VARCHAR(20) NOT NULL,
+			filter_value VARCHAR(50) NOT NULL,
+			uses INTEGER NOT NULL,
+			PRIMARY KEY (day, command_name, interaction_type, filter_name, filter_value)
+		)
+	`);
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS command_usage_events (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			command_name TEXT NOT NULL,
+			interaction_type TEXT NOT NULL,
+			guild_id TEXT,
+			filters TEXT,
+			duration_ms INTEGER NOT NULL,
+			success INTEGER NOT NULL,
+			created_at TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS command_usage_events_created_idx ON command_usage_events (created_at);
+
+		CREATE TABLE IF NOT EXISTS command_usage_daily (
+			day TEXT NOT NULL,
+			command_name TEXT NOT NULL,
+			interaction_type TEXT NOT NULL,
+			guild_id TEXT NOT NULL,
+			uses INTEGER NOT NULL,
+			failures INTEGER NOT NULL,
+			total_duration_ms INTEGER NOT NULL,
+			latency_buckets TEXT NOT NULL,
+			PRIMARY KEY (day, command_name, interaction_type, guild_id)
+		);
+		CREATE TABLE IF NOT EXISTS command_usage_filters_daily (
+			day TEXT NOT NULL,
+			command_name TEXT NOT NULL,
+			interaction_type TEXT NOT NULL,
+			filter_name TEXT NOT NULL,
+			filter_value TEXT NOT NULL,
+			uses INTEGER NOT NULL,
+			PRIMARY KEY (day, command_name, interaction_type, filter_name, filter_value)
+		);
+	`);
+}
+
+module.exports = {
+	name: "command usage events",
+	postgres,
+	sqlite,
+};
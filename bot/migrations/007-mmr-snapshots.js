@@ -0,0 +1,49 @@
+/**
+ * MMR snapshots: one row per tracked player per game mode per day (see mmrSnapshots.js), with mmr, rank,
+ * overall rank and events played as the lounge reported them that day. The lounge api only keeps mmr changes,
+ * so this is the only history of overall rank. The file store keeps data/mmr_snapshots/<lounge id>.json.
+ */
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS mmr_snapshots (
+			user_id VARCHAR(20) NOT NULL,
+			game VARCHAR(20) NOT NULL,
+			day VARCHAR(10) NOT NULL,
+			season INTEGER,
+			mmr INTEGER,
+			max_mmr INTEGER,
+			rank VARCHAR(30),
+			overall_rank INTEGER,
+			events_played INTEGER,
+			captured_at TIMESTAMPTZ NOT NULL,
+			PRIMARY KEY (user_id, game, day)
+		)
+	`);
+	await client.query("CREATE INDEX IF NOT EXISTS mmr_snapshots_game_day_idx ON mmr_snapshots (game, day)");
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS mmr_snapshots (
+			user_id TEXT NOT NULL,
+			game TEXT NOT NULL,
+			day TEXT NOT NULL,
+			season INTEGER,
+			mmr INTEGER,
+			max_mmr INTEGER,
+			rank TEXT,
+			overall_rank INTEGER,
+			events_played INTEGER,
+			captured_at TEXT NOT NULL,
+			PRIMARY KEY (user_id, game, day)
+		);
+		CREATE INDEX IF NOT EXISTS mmr_snapshots_game_day_idx ON mmr_snapshots (game, day);
+	`);
+}
+
+module.exports = {
+	name: "mmr snapshots",
+	postgres,
+	sqlite,
+};
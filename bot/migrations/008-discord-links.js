@@ -0,0 +1,89 @@
+/**
+ * Discord links: which lounge account a discord id belongs to, how the bot learned it (the lounge api, a player
+ * linking themselves or a mention) and when the lounge api last confirmed it. Replaces scanning the discordIds
+ * of every user_data row; user_data keeps the list for display. Existing ids are carried over unverified.
+ * The file store keeps data/discord_links.json.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+async function postgres(client) {
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS discord_links (
+			discord_id VARCHAR(20) PRIMARY KEY,
+			user_id VARCHAR(20) NOT NULL,
+			source VARCHAR(10) NOT NULL,
+			verified_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+	await client.query("CREATE INDEX IF NOT EXISTS discord_links_user_idx ON discord_links (user_id)");
+	await client.query(`
+		INSERT INTO discord_links (discord_id, user_id, source)
+		SELECT discord_id, user_id, 'lounge'
+		FROM user_data, jsonb_array_elements_text(data -> 'discordIds') AS discord_id
+		WHERE jsonb_typeof(data -> 'discordIds') = 'array'
+		ON CONFLICT (discord_id) DO NOTHING
+	`);
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		CREATE TABLE IF NOT EXISTS discord_links (
+			discord_id TEXT PRIMARY KEY,
+			user_id TEXT NOT NULL,
+			source TEXT NOT NULL,
+			verified_at TEXT,
+			created_at TEXT DEFAULT CURRENT_TIMESTAMP
+		);
+		CREATE INDEX IF NOT EXISTS discord_links_user_idx ON discord_links (user_id);
+		INSERT OR IGNORE INTO discord_links (discord_id, user_id, source, created_at)
+		SELECT CAST(ids.value AS TEXT), user_data.user_id, 'lounge', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+		FROM user_data, json_each(user_data.data, '$.discordIds') AS ids
+		WHERE json_type(user_data.data, '$.discordIds') = 'array';
+	`);
+}
+
+async function files(dataDir) {
+	const linksPath = path.join(dataDir, "discord_links.json");
+	let links = {};
+	try {
+		links = JSON.parse(await fs.readFile(linksPath, "utf8")) || {};
+	}
+	catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error;
+		}
+	}
+
+	let userFiles = [];
+	try {
+		userFiles = (await fs.readdir(path.join(dataDir, "users"))).filter(file => file.endsWith(".json"));
+	}
+	catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error;
+		}
+	}
+
+	const createdAt = new Date().toISOString();
+	for (const file of userFiles) {
+		const data = JSON.parse(await fs.readFile(path.join(dataDir, "users", file), "utf8")) || {};
+		const loungeId = String(data.loungeId || data.userId || file.slice(0, -".json".length));
+		for (const discordId of Array.isArray(data.discordIds) ? data.discordIds.map(String) : []) {
+			if (!links[discordId]) {
+				links[discordId] = { loungeId, source: "lounge", verifiedAt: null, createdAt };
+			}
+		}
+	}
+	await fs.mkdir(dataDir, { recursive: true });
+	await fs.writeFile(linksPath, JSON.stringify(links, null, 2));
+}
+
+module.exports = {
+	name: "discord links",
+	postgres,
+	sqlite,
+	files,
+};
@@ -0,0 +1,46 @@
+/**
+ * Opt-out discord ids: the discord account that ran /privacy forget, kept with the opt-out. Forgetting deletes the
+ * discord link, so this is what lets /privacy opt-in find the account again without the lounge api.
+ * The file store's data/privacy_opt_outs.json goes from loungeId -> opted out time to
+ * loungeId -> { optedOutAt, discordId }.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+async function postgres(client) {
+	await client.query("ALTER TABLE privacy_opt_outs ADD COLUMN IF NOT EXISTS discord_id VARCHAR(20)");
+	await client.query("CREATE INDEX IF NOT EXISTS privacy_opt_outs_discord_idx ON privacy_opt_outs (discord_id)");
+}
+
+async function sqlite(db) {
+	await db.exec(`
+		ALTER TABLE privacy_opt_outs ADD COLUMN discord_id TEXT;
+		CREATE INDEX IF NOT EXISTS privacy_opt_outs_discord_idx ON privacy_opt_outs (discord_id);
+	`);
+}
+
+async function files(dataDir) {
+	const optOutsPath = path.join(dataDir, "privacy_opt_outs.json");
+	let optOuts;
+	try {
+		optOuts = JSON.parse(await fs.readFile(optOutsPath, "utf8")) || {};
+	}
+	catch (error) {
+		if (error.code === "ENOENT") return;
+		throw error;
+	}
+	for (const [loungeId, entry] of Object.entries(optOuts)) {
+		if (typeof entry === "string") {
+			optOuts[loungeId] = { optedOutAt: entry, discordId: null };
+		}
+	}
+	await fs.writeFile(optOutsPath, JSON.stringify(optOuts, null, 2));
+}
+
+module.exports = {
+	name: "opt-out discord ids",
+	postgres,
+	sqlite,
+	files,
+};
@@ -6,6 +6,39 @@
 const DataManager = require("./dataManager");
 const LoungeApi = require("./loungeApi");
 const database = require("./database");
+const ServerData = require("./serverData");
+
+/**
+ * Merge former lounge names from player details into a stored name history
+ * @param {Array} storedHistory - Existing nameHistory from user_data
+ * @param {Array} apiHistory - nameHistory from /player/details
+ * @param {string|null} previousName - Lounge name we had stored before this update
+ * @param {string|null} currentName - Current lounge name
+ * @returns {Array} Former names as { name, changedOn }, newest first
+ */
+function mergeNameHistory(storedHistory, apiHistory, previousName, currentName) {
+	const currentKey = currentName ? currentName.trim().toLowerCase() : null;
+	const byName = new Map();
+	const candidates = [
+		...(Array.isArray(storedHistory) ? storedHistory : []),
+		...(Array.isArray(apiHistory) ? apiHistory : []),
+		...(previousName ? [{ name: previousName, changedOn: null }] : []),
+	];
+
+	for (const entry of candidates) {
+		const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+		if (!name) continue;
+		const key = name.toLowerCase();
+		if (key === currentKey) continue;
+		const existing = byName.get(key);
+		if (!existing || (!existing.changedOn && entry.changedOn)) {
+			byName.set(key, { name, changedOn: entry.changedOn || null });
+		}
+	}
+
+	return Array.from(byName.values())
+		.sort((a, b) => (Date.parse(b.changedOn) || 0) - (Date.parse(a.changedOn) || 0));
+}
 
 class AutoUserManager {
 	/* ensureServerReady removed */
@@ -28,11 +61,14 @@ class AutoUserManager {
 			const userId = member.user.id;
 			const client = member.client;
 
-			// Check if server is set up
+			// Check if server is set up and has opted in
 			const setupState = await database.getServerSetupState(serverId);
 			if (!setupState?.completed) {
 				return; // Don't auto-add if server isn't set up
 			}
+			if (!await ServerData.isFeatureEnabled(serverId, "autoAddMembers")) {
+				return;
+			}
 
 			// console.log(`Auto-adding new member ${userId} to server ${serverId}`);
 			await DataManager.updateServerUser(serverId, userId, client);
@@ -58,6 +94,7 @@ class AutoUserManager {
 		storedRecord,
 		fallbackName,
 		playerDetails = null,
+		linkSource,
 	}) {
 		// This function was used to sync local DB with API.
 		// Now we just ensure the user record exists in the global user_data table if needed (for favorites etc).
@@ -71,12 +108,14 @@ class AutoUserManager {
 		if (playerDetails) {
 			try {
 				const existing = await database.getUserData(normalizedLoungeId);
+				const currentName = playerDetails.name || existing?.loungeName;
 				const payload = {
 					...(existing || {}),
 					loungeId: normalizedLoungeId,
-					loungeName: playerDetails.name || existing?.loungeName,
+					loungeName: currentName,
 					countryCode: playerDetails.countryCode || existing?.countryCode,
 					discordIds: existing?.discordIds || [],
+					nameHistory: mergeNameHistory(existing?.nameHistory, playerDetails.nameHistory, existing?.loungeName, currentName),
 				};
 
 				if (discordUser) {
@@ -86,7 +125,7 @@ class AutoUserManager {
 					}
 				}
 
-				await database.saveUserData(normalizedLoungeId, payload);
+				await database.saveUserData(normalizedLoungeId, payload, { linkSource });
 			}
 			catch (e) {
 				console.warn("failed to update user data in ensureUserAndMembership", e);
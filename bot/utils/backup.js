@@ -0,0 +1,411 @@
+/**
+ * Backup and restore
+ * Dumps privacy opt-outs, users, discord links, server settings, tables (every status), user/table links, daily
+ * mmr history and command usage (totals, events and daily rollups) into a gzipped newline-delimited JSON archive,
+ * and loads one back into whichever store the environment selects, so data can move between Postgres, SQLite and
+ * file storage or seed a staging bot from production.
+ *
+ * Archive layout: a header line ({ format, version, createdAt, source, schemaVersion }), one line per record
+ * ({ type: "opt_out" | "user" | "discord_link" | "server" | "table" | "link" | "mmr_history" | "command_usage"
+ * | "usage_event" | "usage_rollup", ... }), then an end line with the record counts and a sha256 of every line
+ * before it. Restores verify the whole archive before writing anything.
+ * table_scores is rebuilt from the tables on restore; caches, seasons and backfill progress aren't included.
+ *
+ * CLI: node bot/utils/backup.js export [--out file]
+ *      node bot/utils/backup.js verify --in file
+ *      node bot/utils/backup.js restore --in file [--incremental]
+ */
+
+if (require.main === module) {
+	// Load before database.js is required so it sees DATABASE_URL
+	require("dotenv").config();
+}
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const Migrations = require("./migrations");
+const { getTableScoreRows } = require("./tableScores");
+
+const ARCHIVE_FORMAT = "mogibot-backup";
+// 2: opt_out, mmr_history, discord_link, usage_event and usage_rollup records
+const ARCHIVE_VERSION = 2;
+const DISCORD_LINK_SOURCES = ["lounge", "manual", "mention"];
+const TABLE_STATUSES = ["verified", "pending", "deleted"];
+const TABLE_PAGE_SIZE = 500;
+const INTERACTION_TYPES = ["slash", "button"];
+// Bounds wide enough to take in every stored usage event and rollup day
+const FIRST_EVENT_TIME = new Date(0).toISOString();
+const LAST_EVENT_TIME = "9999-12-31T23:59:59.999Z";
+const DEFAULT_BACKUP_DIR = path.join(__dirname, "..", "data", "backups");
+
+const isId = value => typeof value === "string" && value.length > 0;
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isDay = value => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Shape checks per record type; anything else in an archive is rejected
+const RECORD_VALIDATORS = {
+	opt_out: record => isId(record.userId) && typeof record.optedOutAt === "string"
+		&& (record.discordId == null || isId(record.discordId)),
+	user: record => isId(record.id) && isObject(record.data),
+	discord_link: record => isId(record.discordId) && isId(record.userId) && DISCORD_LINK_SOURCES.includes(record.source),
+	server: record => isId(record.id) && isObject(record.data),
+	table: record => isId(record.id) && TABLE_STATUSES.includes(record.status) && isObject(record.data),
+	link: record => isId(record.userId) && Array.isArray(record.tableIds) && record.tableIds.every(isId),
+	mmr_history: record => isId(record.userId) && Array.isArray(record.snapshots)
+		&& record.snapshots.every(snapshot => isObject(snapshot) && isId(snapshot.game) && isDay(snapshot.day)),
+	command_usage: record => isId(record.name) && isCount(record.slashCount) && isCount(record.buttonCount),
+	usage_event: record => isId(record.commandName) && INTERACTION_TYPES.includes(record.interactionType)
+		&& isCount(record.durationMs) && typeof record.success === "boolean" && typeof record.createdAt === "string",
+	usage_rollup: record => isDay(record.day) && Array.isArray(record.daily) && Array.isArray(record.filters)
+		&& [...record.daily, ...record.filters].every(row => isObject(row) && row.day === record.day),
+};
+const RECORD_TYPES = Object.keys(RECORD_VALIDATORS);
+
+function emptyCounts() {
+	return Object.fromEntries(RECORD_TYPES.map(type => [type, 0]));
+}
+
+// Every record in a store, in restore order (opt-outs first, tables before the links that need them)
+async function* readStoreRecords(storage) {
+	for (const { userId, optedOutAt, discordId } of await storage.getOptOuts()) {
+		yield { type: "opt_out", userId, optedOutAt, discordId };
+	}
+	for (const { id, data } of await storage.getAllUserData()) {
+		yield { type: "user", id: String(id), data };
+	}
+	for (const { discordId, loungeId, source, verifiedAt, createdAt } of await storage.getAllDiscordLinks()) {
+		yield { type: "discord_link", discordId, userId: loungeId, source, verifiedAt, createdAt };
+	}
+	for (const id of await storage.getAllServerIds()) {
+		yield { type: "server", id, data: await storage.getServerData(id) };
+	}
+	for (const status of TABLE_STATUSES) {
+		let afterId = null;
+		for (;;) {
+			const ids = await storage.getTableIds({ status, afterId, limit: TABLE_PAGE_SIZE });
+			for (const id of ids) {
+				const record = await storage.getTableRecord(id);
+				if (record) {
+					yield { type: "table", id, status: record.status, data: record.data };
+				}
+			}
+			if (ids.length < TABLE_PAGE_SIZE) break;
+			afterId = ids[ids.length - 1];
+		}
+	}
+	for (const userId of await storage.getLinkedUserIds()) {
+		// Oldest first, so relinking in order keeps getUserTables() newest first
+		const tableIds = (await storage.getUserTables(userId)).map(entry => String(entry.id)).reverse();
+		yield { type: "link", userId, tableIds };
+	}
+	for (const userId of await storage.getMmrSnapshotPlayerIds()) {
+		const history = await storage.getMmrHistory([userId], { game: null, from: null, to: null });
+		yield { type: "mmr_history", userId, snapshots: history.map(({ playerId, ...snapshot }) => snapshot) };
+	}
+	for (const row of await storage.getCommandUsageStats(Number.MAX_SAFE_INTEGER)) {
+		yield { type: "command_usage", name: row.command_name, slashCount: Number(row.slash_count), buttonCount: Number(row.button_count) };
+	}
+	for (const event of await storage.getCommandUsageEvents(FIRST_EVENT_TIME, LAST_EVENT_TIME)) {
+		yield { type: "usage_event", ...event };
+	}
+	// One record per day, so a restore can swap each day in whole
+	const rollups = await storage.getCommandUsageRollups(FIRST_EVENT_TIME.slice(0, 10), LAST_EVENT_TIME.slice(0, 10));
+	const rollupDays = new Map();
+	for (const [kind, rows] of [["daily", rollups.daily], ["filters", rollups.filters]]) {
+		for (const row of rows) {
+			if (!rollupDays.has(row.day)) rollupDays.set(row.day, { type: "usage_rollup", day: row.day, daily: [], filters: [] });
+			rollupDays.get(row.day)[kind].push(row);
+		}
+	}
+	yield* Array.from(rollupDays.values()).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+async function* readArchiveLines(filePath) {
+	const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+	yield* readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Write a backup of everything in a store
+ * @param {Object} storage - Storage adapter
+ * @param {string} filePath - Archive to create (.ndjson.gz)
+ * @returns {Promise<Object>} Record counts by type
+ */
+async function exportBackup(storage, filePath) {
+	const { current } = await Migrations.getMigrationStatus(storage);
+	const counts = emptyCounts();
+	const hash = crypto.createHash("sha256");
+
+	async function* archiveLines() {
+		const header = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, createdAt: new Date().toISOString(), source: storage.kind, schemaVersion: current };
+		const headerLine = `${JSON.stringify(header)}\n`;
+		hash.update(headerLine);
+		yield headerLine;
+		for await (const record of readStoreRecords(storage)) {
+			const line = `${JSON.stringify(record)}\n`;
+			hash.update(line);
+			counts[record.type]++;
+			yield line;
+		}
+		yield `${JSON.stringify({ type: "end", counts, sha256: hash.digest("hex") })}\n`;
+	}
+
+	await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+	await pipeline(Readable.from(archiveLines()), zlib.createGzip(), fs.createWriteStream(filePath));
+	return counts;
+}
+
+/**
+ * Check an archive end to end: header, record shapes, counts and checksum
+ * @param {string} filePath - Archive to read
+ * @returns {Promise<Object>} { header, counts }
+ * @throws {Error} When anything doesn't check out
+ */
+async function verifyBackup(filePath) {
+	const hash = crypto.createHash("sha256");
+	const counts = emptyCounts();
+	let header = null;
+	let footer = null;
+	let lineNumber = 0;
+
+	for await (const line of readArchiveLines(filePath)) {
+		lineNumber++;
+		if (footer) {
+			throw new Error(`line ${lineNumber}: data after the end record`);
+		}
+		let record;
+		try {
+			record = JSON.parse(line);
+		}
+		catch {
+			throw new Error(`line ${lineNumber}: not valid json`);
+		}
+
+		if (lineNumber === 1) {
+			if (record?.format !== ARCHIVE_FORMAT) {
+				throw new Error("not a mogibot backup");
+			}
+			if (!Number.isInteger(record.version) || record.version > ARCHIVE_VERSION) {
+				throw new Error(`archive version ${record.version} is newer than this build supports (${ARCHIVE_VERSION})`);
+			}
+			header = record;
+		}
+		else if (record?.type === "end") {
+			footer = record;
+			continue;
+		}
+		else if (!RECORD_VALIDATORS[record?.type]?.(record)) {
+			throw new Error(`line ${lineNumber}: malformed ${record?.type || "unknown"} record`);
+		}
+		else {
+			counts[record.type]++;
+		}
+		hash.update(`${line}\n`);
+	}
+
+	if (!header) {
+		throw new Error("archive is empty");
+	}
+	if (!footer) {
+		throw new Error("archive is truncated (no end record)");
+	}
+	if (footer.sha256 !== hash.digest("hex")) {
+		throw new Error("checksum mismatch");
+	}
+	for (const type of RECORD_TYPES) {
+		const expected = footer.counts?.[type] ?? 0;
+		if (expected !== counts[type]) {
+			throw new Error(`expected ${expected} ${type} records, found ${counts[type]}`);
+		}
+	}
+	return { header, counts };
+}
+
+/**
+ * Load a verified archive into a store. A full restore writes every record over what is there (users,
+ * settings, tables and usage rollups are replaced, links and usage events added, usage totals set); restore
+ * into an empty store for an exact copy. An incremental restore only adds tables the store doesn't have yet, plus their links.
+ * Opt-outs are always restored, and nothing is restored for a player who opted out in either place.
+ * @param {Object} storage - Storage adapter
+ * @param {string} filePath - Archive to read
+ * @param {Object} options - incremental, onProgress(counts)
+ * @returns {Promise<Object>} { header, written, skipped } with counts by type
+ */
+async function restoreBackup(storage, filePath, { incremental = false, onProgress = null } = {}) {
+	const { header } = await verifyBackup(filePath);
+	const written = emptyCounts();
+	const skipped = emptyCounts();
+	const addedTableIds = new Set();
+	const optedOutIds = new Set((await storage.getOptOuts()).map(entry => entry.userId));
+
+	const handlers = {
+		opt_out: async record => {
+			optedOutIds.add(record.userId);
+			// Archives written before opt-outs kept a discord id have none
+			await storage.saveOptOut(record.userId, record.optedOutAt, record.discordId || null);
+			return true;
+		},
+		user: async record => {
+			if (incremental || optedOutIds.has(record.id)) return false;
+			await storage.saveUserData(record.id, record.data);
+			return true;
+		},
+		discord_link: async record => {
+			if (incremental || optedOutIds.has(record.userId)) return false;
+			await storage.saveDiscordLink(record.discordId, record.userId, {
+				source: record.source,
+				verifiedAt: record.verifiedAt || null,
+				createdAt: record.createdAt || null,
+			});
+			return true;
+		},
+		server: async record => {
+			if (incremental) return false;
+			await storage.saveServerData(record.id, record.data);
+			return true;
+		},
+		table: async record => {
+			if (incremental && await storage.getTableRecord(record.id)) return false;
+			const saved = await storage.saveTable(record.id, record.data, record.status, getTableScoreRows(record.data));
+			if (saved) addedTableIds.add(record.id);
+			return saved;
+		},
+		link: async record => {
+			if (optedOutIds.has(record.userId)) return false;
+			const tableIds = incremental ? record.tableIds.filter(id => addedTableIds.has(id)) : record.tableIds;
+			if (!tableIds.length) return false;
+			await storage.linkUserToTables(record.userId, tableIds);
+			return true;
+		},
+		mmr_history: async record => {
+			if (incremental || optedOutIds.has(record.userId)) return false;
+			for (const snapshot of record.snapshots) {
+				await storage.saveMmrSnapshot(record.userId, snapshot);
+			}
+			return true;
+		},
+		command_usage: async record => {
+			if (incremental) return false;
+			// The file store doesn't track usage and reports false
+			return await storage.upsertCommandUsageTotals(record.name, record.slashCount, record.buttonCount);
+		},
+		usage_event: async ({ type, ...event }) => {
+			if (incremental) return false;
+			return await storage.recordCommandUsageEvent(event);
+		},
+		usage_rollup: async record => {
+			if (incremental) return false;
+			return await storage.replaceCommandUsageRollups(record.day, record.day, record.daily, record.filters);
+		},
+	};
+
+	let lineNumber = 0;
+	for await (const line of readArchiveLines(filePath)) {
+		lineNumber++;
+		if (lineNumber === 1) continue;
+		const record = JSON.parse(line);
+		if (record.type === "end") break;
+		if (await handlers[record.type](record)) {
+			written[record.type]++;
+		}
+		else {
+			skipped[record.type]++;
+		}
+		if (typeof onProgress === "function" && lineNumber % 1000 === 0) {
+			onProgress({ written, skipped });
+		}
+	}
+	return { header, written, skipped };
+}
+
+function formatCounts(counts) {
+	return RECORD_TYPES.map(type => `${counts[type]} ${type}`).join(", ");
+}
+
+function parseArgs(argv) {
+	const options = { _: [] };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith("--")) {
+			options._.push(arg);
+			continue;
+		}
+		const next = argv[i + 1];
+		if (next === undefined || next.startsWith("--")) {
+			options[arg.slice(2)] = true;
+			continue;
+		}
+		options[arg.slice(2)] = next;
+		i++;
+	}
+	return options;
+}
+
+async function runCli() {
+	const args = parseArgs(process.argv.slice(2));
+	const [command] = args._;
+	if (!["export", "verify", "restore"].includes(command) || (command !== "export" && typeof args.in !== "string")) {
+		console.error("usage: node bot/utils/backup.js export [--out file] | verify --in file | restore --in file [--incremental]");
+		process.exitCode = 1;
+		return;
+	}
+
+	if (command === "verify") {
+		try {
+			const { header, counts } = await verifyBackup(args.in);
+			console.log(`backup ok: ${header.source} storage at schema ${header.schemaVersion}, taken ${header.createdAt}`);
+			console.log(formatCounts(counts));
+		}
+		catch (error) {
+			console.error("backup check failed:", error.message);
+			process.exitCode = 1;
+		}
+		return;
+	}
+
+	const database = require("./database");
+	try {
+		await database.initializeDatabase();
+		const { storage } = database;
+		if (command === "export") {
+			const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+			const filePath = typeof args.out === "string" ? args.out : path.join(DEFAULT_BACKUP_DIR, `mogibot-${stamp}.ndjson.gz`);
+			const counts = await exportBackup(storage, filePath);
+			console.log(`backed up ${storage.kind} storage to ${filePath}`);
+			console.log(formatCounts(counts));
+			return;
+		}
+
+		const { header, written, skipped } = await restoreBackup(storage, args.in, {
+			incremental: Boolean(args.incremental),
+			onProgress: ({ written: progress }) => console.log(`restored so far: ${formatCounts(progress)}`),
+		});
+		console.log(`restored ${header.source} backup from ${header.createdAt} into ${storage.kind} storage`);
+		console.log(`written: ${formatCounts(written)}`);
+		console.log(`skipped: ${formatCounts(skipped)}`);
+	}
+	catch (error) {
+		console.error(`${command} failed:`, error.message);
+		process.exitCode = 1;
+	}
+	finally {
+		await database.close();
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	ARCHIVE_VERSION,
+	exportBackup,
+	verifyBackup,
+	restoreBackup,
+};
@@ -1,3 +1,5 @@
+const { withRaisablePriority, getCurrentPriority } = require("./requestScheduler");
+
 function scheduleExpiry(cacheMap, timerMap, key, ttlMs, onExpire) {
 	if (!cacheMap || !timerMap || !key) {
 		return;
@@ -161,6 +163,131 @@ function createRenderTracker() {
 	};
 }
 
+/**
+ * TTL cache for API responses that also coalesces identical in-flight loads.
+ * Values are cloned on the way out so callers can mutate what they get back.
+ */
+function createResponseCache({ maxEntries = 2000 } = {}) {
+	const entries = new Map();
+	// key -> { promise, meta, generation, raise }
+	const inFlight = new Map();
+	let generation = 0;
+	const counters = { hits: 0, misses: 0, coalesced: 0 };
+
+	function lookup(key) {
+		const entry = entries.get(key);
+		if (!entry) {
+			return null;
+		}
+		if (entry.expiresAt <= Date.now()) {
+			entries.delete(key);
+			return null;
+		}
+		// Re-insert so the Map keeps least recently used entries first
+		entries.delete(key);
+		entries.set(key, entry);
+		return entry;
+	}
+
+	function set(key, value, ttlMs, meta = null) {
+		if (!key || !(ttlMs > 0)) {
+			return;
+		}
+		entries.delete(key);
+		entries.set(key, { value, meta, expiresAt: Date.now() + ttlMs });
+		while (entries.size > maxEntries) {
+			entries.delete(entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Return a cached value or run loader once for all concurrent callers
+	 * @param {string} key - Cache key
+	 * @param {Function} loader - Async function producing the value
+	 * @param {Object} options - ttlMs (number or function of the value; Infinity keeps it until evicted) and meta stored with the entry
+	 * @returns {Promise<*>} Cloned value
+	 */
+	async function getOrLoad(key, loader, { ttlMs = 0, meta = null } = {}) {
+		const cached = lookup(key);
+		if (cached) {
+			counters.hits++;
+			return structuredClone(cached.value);
+		}
+		const joined = inFlight.get(key);
+		if (joined) {
+			counters.coalesced++;
+			// A background load would otherwise keep an interactive caller waiting behind the background queue
+			if (getCurrentPriority() === "interactive") {
+				joined.raise();
+			}
+			return structuredClone(await joined.promise);
+		}
+
+		counters.misses++;
+		const load = { meta, generation: ++generation };
+		const { result, raise } = withRaisablePriority(loader);
+		load.raise = raise;
+		load.promise = (async () => {
+			try {
+				const value = await result;
+				// invalidate() during the load dropped it from inFlight; its result may predate what was invalidated
+				if (inFlight.get(key) === load) {
+					const entryTtl = typeof ttlMs === "function" ? ttlMs(value) : ttlMs;
+					set(key, value, entryTtl, meta);
+				}
+				return value;
+			}
+			finally {
+				if (inFlight.get(key) === load) {
+					inFlight.delete(key);
+				}
+			}
+		})();
+		inFlight.set(key, load);
+		return structuredClone(await load.promise);
+	}
+
+	/**
+	 * Drop cached entries, and detach matching loads still in flight so their results aren't cached
+	 * @param {Function|null} predicate - Called with (key, meta); omit to clear everything
+	 * @returns {number} Number of entries removed
+	 */
+	function invalidate(predicate = null) {
+		for (const [key, load] of inFlight) {
+			if (typeof predicate !== "function" || predicate(key, load.meta)) {
+				inFlight.delete(key);
+			}
+		}
+		if (typeof predicate !== "function") {
+			const removed = entries.size;
+			entries.clear();
+			return removed;
+		}
+		let removed = 0;
+		for (const [key, entry] of entries) {
+			if (predicate(key, entry.meta)) {
+				entries.delete(key);
+				removed++;
+			}
+		}
+		return removed;
+	}
+
+	function getStats() {
+		return {
+			...counters,
+			entries: entries.size,
+			inFlight: inFlight.size,
+		};
+	}
+
+	return {
+		getOrLoad,
+		invalidate,
+		getStats,
+	};
+}
+
 module.exports = {
 	setCacheEntry,
 	refreshCacheEntry,
@@ -168,4 +295,5 @@ module.exports = {
 	clearCache,
 	createSessionStore,
 	createRenderTracker,
+	createResponseCache,
 };
@@ -0,0 +1,195 @@
+/**
+ * Consistency checks
+ * Scans a store (any backend) for data that drifted out of shape: user/table links pointing at tables that
+ * aren't stored, stored tables nobody is linked to, a discord id listed on more than one user record and
+ * per-server link files the file store should have merged into global.json. With repair, dangling links are
+ * pruned, unlinked tables are relinked to the players in their table data, duplicate discord ids are kept on
+ * one record only and leftover link files are merged.
+ *
+ * CLI: node bot/utils/consistency.js [--repair]
+ */
+
+if (require.main === module) {
+	// Load before database.js is required so it sees DATABASE_URL
+	require("dotenv").config();
+}
+
+const { getTableScoreRows } = require("./tableScores");
+
+const MAX_EXAMPLES = 5;
+const ISSUE_LABELS = {
+	danglingLinks: "links to missing tables",
+	unlinkedTables: "tables with no linked players",
+	duplicateDiscordIds: "discord ids on several users",
+	legacyLinkFiles: "unmerged link files",
+};
+
+function summarize(items) {
+	return { count: items.length, examples: items.slice(0, MAX_EXAMPLES) };
+}
+
+// Discord ids listed in more than one user record's discordIds
+function findDuplicateDiscordIds(userRecords) {
+	const owners = new Map();
+	for (const { id, data } of userRecords) {
+		const discordIds = Array.isArray(data?.discordIds) ? new Set(data.discordIds.map(String)) : new Set();
+		for (const discordId of discordIds) {
+			if (!owners.has(discordId)) owners.set(discordId, []);
+			owners.get(discordId).push(String(id));
+		}
+	}
+	return Array.from(owners.entries())
+		.filter(([, loungeIds]) => loungeIds.length > 1)
+		.map(([discordId, loungeIds]) => ({ discordId, loungeIds: loungeIds.sort() }))
+		.sort((a, b) => a.discordId.localeCompare(b.discordId));
+}
+
+/**
+ * Scan a store for inconsistencies
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Issues by kind ({ danglingLinks, unlinkedTables, duplicateDiscordIds, legacyLinkFiles }),
+ * each { count, examples }
+ */
+async function checkConsistency(storage) {
+	return {
+		danglingLinks: summarize(await storage.getDanglingTableLinks()),
+		unlinkedTables: summarize(await storage.getUnlinkedTables()),
+		duplicateDiscordIds: summarize(findDuplicateDiscordIds(await storage.getAllUserData())),
+		legacyLinkFiles: summarize(await storage.getLegacyLinkFiles()),
+	};
+}
+
+// Link every player in each unlinked table's data back to it, skipping players who opted out
+async function relinkUnlinkedTables(storage) {
+	const optedOutIds = new Set((await storage.getOptOuts()).map(entry => entry.userId));
+	let tables = 0;
+	let links = 0;
+	for (const { id } of await storage.getUnlinkedTables()) {
+		const record = await storage.getTableRecord(id);
+		const playerIds = new Set(getTableScoreRows(record?.data).map(row => row.playerId));
+		let added = 0;
+		for (const playerId of playerIds) {
+			if (optedOutIds.has(playerId)) continue;
+			added += await storage.linkUserToTables(playerId, [id]);
+		}
+		if (added) {
+			tables++;
+			links += added;
+		}
+	}
+	return { tables, links };
+}
+
+// Keep each duplicate on the account discord_links points at, else on the most recently updated record
+async function dedupeDiscordIds(storage) {
+	const records = new Map((await storage.getAllUserData()).map(record => [String(record.id), record.data]));
+	let deduped = 0;
+	for (const { discordId, loungeIds } of findDuplicateDiscordIds(Array.from(records, ([id, data]) => ({ id, data })))) {
+		const link = await storage.getDiscordLink(discordId);
+		const keeper = loungeIds.includes(link?.loungeId) ? link.loungeId : loungeIds
+			.slice()
+			.sort((a, b) => String(records.get(b).updatedAt || "").localeCompare(String(records.get(a).updatedAt || "")))[0];
+		for (const loungeId of loungeIds) {
+			if (loungeId === keeper) continue;
+			const data = records.get(loungeId);
+			data.discordIds = data.discordIds.filter(id => String(id) !== discordId);
+			await storage.saveUserData(loungeId, data);
+		}
+		if (!link) {
+			await storage.saveDiscordLink(discordId, keeper, { source: "lounge" });
+		}
+		deduped++;
+	}
+	return deduped;
+}
+
+/**
+ * Fix what checkConsistency reports. Tables are never deleted: a table whose data names no players stays unlinked.
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} { prunedLinks, relinkedTables, relinkedLinks, dedupedDiscordIds, mergedLinkFiles }
+ */
+async function repairConsistency(storage) {
+	// Merge first: the link files can hold links the checks below should see
+	const mergedLinkFiles = await storage.mergeLegacyLinkFiles();
+	const prunedLinks = await storage.deleteDanglingTableLinks();
+	const relinked = await relinkUnlinkedTables(storage);
+	const dedupedDiscordIds = await dedupeDiscordIds(storage);
+	return {
+		prunedLinks,
+		relinkedTables: relinked.tables,
+		relinkedLinks: relinked.links,
+		dedupedDiscordIds,
+		mergedLinkFiles,
+	};
+}
+
+// One example of an issue as text
+function formatExample(kind, example) {
+	if (kind === "danglingLinks") return `${example.userId} -> table ${example.tableId}`;
+	if (kind === "unlinkedTables") return `table ${example.id} (${example.status})`;
+	if (kind === "duplicateDiscordIds") return `${example.discordId} on ${example.loungeIds.join(", ")}`;
+	return `${example.file} (${example.users} users, ${example.missingLinks} links not in global.json)`;
+}
+
+/**
+ * Report lines, one per issue kind with its examples indented below
+ * @returns {Array<string>}
+ */
+function formatReport(issues) {
+	const lines = [];
+	for (const [kind, label] of Object.entries(ISSUE_LABELS)) {
+		const { count, examples } = issues[kind];
+		lines.push(`${label}: ${count}`);
+		for (const example of examples) {
+			lines.push(`  ${formatExample(kind, example)}`);
+		}
+	}
+	return lines;
+}
+
+function formatRepairs(repaired) {
+	return `pruned ${repaired.prunedLinks} dangling links, relinked ${repaired.relinkedTables} tables (${repaired.relinkedLinks} links), `
+		+ `de-duplicated ${repaired.dedupedDiscordIds} discord ids, merged ${repaired.mergedLinkFiles} link files`;
+}
+
+async function runCli() {
+	const args = process.argv.slice(2);
+	if (args.some(arg => arg !== "--repair")) {
+		console.error("usage: node bot/utils/consistency.js [--repair]");
+		process.exitCode = 1;
+		return;
+	}
+
+	const database = require("./database");
+	try {
+		await database.initializeDatabase();
+		const { storage } = database;
+		const issues = await checkConsistency(storage);
+		console.log(`${storage.kind} storage:`);
+		console.log(formatReport(issues).join("\n"));
+		if (args.includes("--repair")) {
+			console.log(formatRepairs(await repairConsistency(storage)));
+			console.log(formatReport(await checkConsistency(storage)).join("\n"));
+		}
+	}
+	catch (error) {
+		console.error("consistency check failed:", error.message);
+		process.exitCode = 1;
+	}
+	finally {
+		await database.close();
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	ISSUE_LABELS,
+	checkConsistency,
+	repairConsistency,
+	formatExample,
+	formatReport,
+	formatRepairs,
+};
@@ -127,7 +127,11 @@ class DataManager {
 		}
 
 		if (changed) {
-			await database.saveUserData(normalizedId, record);
+			await database.saveUserData(normalizedId, record, { verifiedDiscordId: discordId });
+		}
+		else if (discordId) {
+			// The lounge profile just confirmed the link
+			await database.linkDiscordId(discordId, normalizedId, { verified: true });
 		}
 
 		return {
@@ -201,7 +205,7 @@ class DataManager {
 					existingTableIds.add(normalizedTableId);
 				}
 
-				await database.linkUserToTable(loungeId, normalizedTableId, serverId);
+				await database.linkUserToTable(loungeId, normalizedTableId);
 			}
 
 			const existingUser = await database.getUserData(loungeId);
@@ -214,7 +218,7 @@ class DataManager {
 				discordIds: Array.from(discordIds),
 			};
 
-			return await database.saveUserData(loungeId, userPayload);
+			return await database.saveUserData(loungeId, userPayload, { verifiedDiscordId: discordId });
 		}
 		catch (error) {
 			console.error(`Error updating discord user ${userId}:`, error);
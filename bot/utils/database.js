@@ -1,28 +1,7 @@
-const { Pool } = require("pg");
-const fs = require("fs").promises;
-const path = require("path");
 const { normalizeCommandName } = require("./globalCommands");
-
-const numericIdPattern = /^\d+$/;
-
-const USER_TABLES_TABLE_DEFINITION = `
-	id SERIAL PRIMARY KEY,
-	user_id VARCHAR(20) NOT NULL,
-	table_id VARCHAR(20) NOT NULL,
-	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-	UNIQUE(user_id, table_id),
-	FOREIGN KEY (table_id) REFERENCES tables(table_id) ON DELETE CASCADE
-`;
-
-function buildUserTablesCreateStatement(includeIfNotExists = true) {
-	const clause = includeIfNotExists ? "IF NOT EXISTS " : "";
-	return `
-		CREATE TABLE ${clause}user_tables (
-			${USER_TABLES_TABLE_DEFINITION}
-		)
-	`;
-}
+const Migrations = require("./migrations");
+const { createStorageFromEnv } = require("./storage");
+const { getTableScoreRows } = require("./tableScores");
 
 function normalizeLoungeId(loungeId) {
 	if (loungeId === null || loungeId === undefined) {
@@ -47,6 +26,14 @@ function normalizeLoungeId(loungeId) {
 	return String(loungeId);
 }
 
+function normalizeServerId(serverId) {
+	const value = serverId === null || serverId === undefined ? "" : String(serverId).trim();
+	if (!value) {
+		throw new Error("serverId is required");
+	}
+	return value;
+}
+
 function toTableIdString(tableId) {
 	if (tableId === null || tableId === undefined) {
 		return null;
@@ -55,898 +42,796 @@ function toTableIdString(tableId) {
 	return value.length ? value : null;
 }
 
-function mergeTableIds(existingEntries, incomingIds) {
-	const currentList = Array.isArray(existingEntries) ? existingEntries.slice() : [];
-	const seen = new Set(currentList.map(value => toTableIdString(value)));
-	let changed = false;
-	const preferNumeric = currentList.length === 0 || currentList.every(entry => {
-		const value = typeof entry === "number" ? entry.toString(10) : String(entry);
-		return numericIdPattern.test(value);
-	});
-
-	for (const incoming of incomingIds || []) {
-		const normalized = toTableIdString(incoming);
-		if (!normalized) continue;
-		if (seen.has(normalized)) {
-			continue;
-		}
-		seen.add(normalized);
-
-		if (preferNumeric && numericIdPattern.test(normalized)) {
-			currentList.push(Number.parseInt(normalized, 10));
-		}
-		else if (numericIdPattern.test(normalized) && currentList.every(entry => typeof entry === "number")) {
-			currentList.push(Number.parseInt(normalized, 10));
+function toUniqueTableIds(tableIds) {
+	const ids = new Set();
+	for (const rawId of tableIds || []) {
+		const normalized = toTableIdString(rawId);
+		if (normalized) {
+			ids.add(normalized);
 		}
-		else {
-			currentList.push(normalized);
-		}
-		changed = true;
 	}
+	return Array.from(ids);
+}
 
+// How the bot learned which lounge account a discord id belongs to: the lounge api reported it, the player
+// linked themselves (e.g. /customize) or it was inferred from a mention
+const DISCORD_LINK_SOURCES = ["lounge", "manual", "mention"];
+
+// Storage returns raw user data; callers expect loungeId to be filled in
+function toUserRecord({ id, data }) {
+	const record = data || {};
 	return {
-		list: currentList,
-		changed,
+		...record,
+		loungeId: record.loungeId || record.userId || id,
 	};
 }
 
+/**
+ * Data access for the bot. Normalizes inputs, handles errors and hands the actual reads and writes to a
+ * storage adapter (see storage/): Postgres, SQLite or JSON files, picked by createStorageFromEnv().
+ */
 class Database {
-	constructor() {
-		this.useDatabase = !!(
-			process.env.DATABASE_URL
-			|| process.env.PGHOST
-			|| process.env.PGPORT
-			|| process.env.PGDATABASE
-			|| process.env.PGUSER
-		);
-		this.usersDir = path.join(__dirname, "..", "data", "users");
-		this.legacyServersDir = path.join(__dirname, "..", "data", "servers");
-		this._legacyMigrationPromise = null;
-		this._userTablesFileMigrationPromise = null;
-
-		if (this.useDatabase) {
-			const poolConfig = {
-				...(process.env.DATABASE_URL ? { connectionString: process.env.DATABASE_URL } : {}),
-				ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
-			};
-			this.pool = new Pool(poolConfig);
-			this.pool.on("error", error => {
-				console.error("database pool error:", error);
-			});
-			this.initializeDatabase();
-		}
+	constructor(storage = createStorageFromEnv()) {
+		this.storage = storage;
+		// False for the file store, which has no transactions and doesn't track command usage
+		this.useDatabase = storage.kind !== "file";
+		this._schemaPromise = null;
+		this._optedOutIds = null;
+		this.initializeDatabase();
 	}
 
+	/**
+	 * Bring the schema up to date by applying pending migrations (see migrations.js).
+	 * Runs once per process; set DATABASE_AUTO_MIGRATE=false to leave migrating to `npm run migrate`.
+	 * @returns {Promise<void>}
+	 */
 	async initializeDatabase() {
-		if (!this.useDatabase) return;
+		if (!this._schemaPromise) {
+			this._schemaPromise = (async () => {
+				if (process.env.DATABASE_AUTO_MIGRATE === "false") {
+					return;
+				}
+				try {
+					const applied = await Migrations.migrate(this.storage);
+					if (applied.length) {
+						console.log(`${this.storage.kind} storage migrated: ${applied.map(migration => `${migration.version} ${migration.name}`).join(", ")}`);
+					}
+					if (this.useDatabase) {
+						console.log(`${this.storage.kind} storage initialized successfully`);
+					}
+				}
+				catch (error) {
+					console.error("database initialization error:", error);
+				}
+			})();
+		}
+		await this._schemaPromise;
+	}
 
+	/**
+	 * Run a storage call once the schema is ready, logging failures and returning a fallback instead of throwing
+	 * @param {string} label - Logged with the error
+	 * @param {*} fallback - Returned when the call fails
+	 * @param {Function} fn - fn(storage)
+	 */
+	async _withStorage(label, fallback, fn) {
+		await this.initializeDatabase();
 		try {
-			await this.pool.query(`
-				CREATE TABLE IF NOT EXISTS user_data (
-					user_id VARCHAR(20) PRIMARY KEY,
-					data JSONB NOT NULL,
-					updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-				)
-			`);
-
-			await this.pool.query(`
-				CREATE TABLE IF NOT EXISTS tables (
-					table_id VARCHAR(20) PRIMARY KEY,
-					table_data JSONB NOT NULL,
-					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-					updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-				)
-			`);
-
-			await this.pool.query(buildUserTablesCreateStatement(true));
-			await this._ensureUserTablesSchema();
-
-			await this.pool.query(`
-				CREATE TABLE IF NOT EXISTS command_usage (
-					command_name VARCHAR(50) PRIMARY KEY,
-					slash_count INTEGER NOT NULL DEFAULT 0,
-					button_count INTEGER NOT NULL DEFAULT 0,
-					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-					updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-				)
-			`);
-
-			console.log("database initialized successfully");
+			return await fn(this.storage);
 		}
 		catch (error) {
-			console.error("database initialization error:", error);
+			console.error(`${label}:`, error);
+			return fallback;
 		}
 	}
 
+	/**
+	 * Close the underlying connection (CLIs call this before exiting)
+	 */
+	async close() {
+		await this._schemaPromise;
+		await this.storage.close();
+	}
+
 	async getGlobalStats() {
-		if (!this.useDatabase) {
-			return { tableCount: 0, userCount: 0 };
-		}
-		try {
-			const tableRes = await this.pool.query("SELECT COUNT(*) FROM tables");
-			const userRes = await this.pool.query("SELECT COUNT(*) FROM user_data");
-			return {
-				tableCount: parseInt(tableRes.rows[0].count, 10),
-				userCount: parseInt(userRes.rows[0].count, 10)
-			};
-		} catch (error) {
-			console.error("failed to get global stats:", error);
-			return { tableCount: 0, userCount: 0 };
-		}
+		return await this._withStorage("failed to get global stats", { tableCount: 0, userCount: 0 },
+			storage => storage.getGlobalStats());
 	}
 
 	/**
-	 * Purge all persisted data (destructive!). Requires useDatabase=true.
+	 * Purge all persisted data (destructive!). Not supported by the file store.
 	 * Drops and recreates tables to ensure a clean slate.
 	 */
 	async purgeAll() {
 		if (!this.useDatabase) {
-			console.warn("purgeAll called but DATABASE_URL not set; skipping.");
+			console.warn("purgeAll called but the file store is in use; skipping.");
 			return false;
 		}
-		try {
-			// Drop in reverse dependency order
-			await this.pool.query("DROP TABLE IF EXISTS user_tables");
-			await this.pool.query("DROP TABLE IF EXISTS tables");
-			await this.pool.query("DROP TABLE IF EXISTS user_data");
-			// Recreate schema
-			await this.initializeDatabase();
-			console.log("database purged and reinitialized");
-			return true;
-		}
-		catch (error) {
-			console.error("purgeAll error:", error);
+		const purged = await this._withStorage("purgeAll error", false, storage => storage.purgeAll());
+		if (!purged) {
 			return false;
 		}
+		// Recreate schema
+		this._schemaPromise = null;
+		await this.initializeDatabase();
+		console.log("database purged and reinitialized");
+		return true;
 	}
 
 	// --- User-centric data access -------------------------------------------------
 
 	async getUserData(loungeId) {
 		const normalizedId = normalizeLoungeId(loungeId);
-		if (this.useDatabase) {
-			try {
-				const result = await this.pool.query(
-					"SELECT data FROM user_data WHERE user_id = $1",
-					[normalizedId],
-				);
-				if (result.rows.length === 0) return null;
-				const record = result.rows[0].data || {};
-				return {
-					loungeId: record.loungeId || normalizedId,
-					...record,
-				};
-			}
-			catch (error) {
-				console.error(`database read error for lounge user ${normalizedId}:`, error);
-				throw error;
-			}
+		await this.initializeDatabase();
+		try {
+			const data = await this.storage.getUserData(normalizedId);
+			return data ? toUserRecord({ id: normalizedId, data }) : null;
+		}
+		catch (error) {
+			console.error(`database read error for lounge user ${normalizedId}:`, error);
+			throw error;
 		}
-
-		await this._ensureLegacyMigration();
-		return await this._getUserDataFromFile(normalizedId);
 	}
 
+	/**
+	 * User record for a discord id, looked up through discord_links. A link whose user record is gone
+	 * resolves to just { loungeId }.
+	 */
 	async getUserByDiscordId(discordId) {
 		const normalizedDiscordId = String(discordId);
-		if (this.useDatabase) {
-			try {
-				const result = await this.pool.query(
-					`SELECT user_id, data
-					 FROM user_data
-					 WHERE (data -> 'discordIds') ? $1`,
-					[normalizedDiscordId],
-				);
-				if (result.rows.length === 0) return null;
-				const record = result.rows[0].data || {};
-				return {
-					loungeId: record.loungeId || result.rows[0].user_id,
-					...record,
-				};
-			}
-			catch (error) {
-				console.error(`database read error for discord user ${normalizedDiscordId}:`, error);
-				return null;
-			}
-		}
+		return await this._withStorage(`database read error for discord user ${normalizedDiscordId}`, null, async storage => {
+			const record = await storage.getUserByDiscordId(normalizedDiscordId);
+			return record ? toUserRecord(record) : null;
+		});
+	}
 
-		// File-based fallback (slow, but functional for dev)
-		await this._ensureLegacyMigration();
-		const allIds = await this._getAllUserIdsFromFiles();
-		for (const id of allIds) {
-			const data = await this._getUserDataFromFile(id);
-			if (data && Array.isArray(data.discordIds) && data.discordIds.includes(normalizedDiscordId)) {
-				return data;
-			}
-		}
-		return null;
+	/**
+	 * Find users whose recorded former lounge names match a query
+	 * @param {string} name - Name or partial name to look for
+	 * @param {Object} options - exact match toggle and result limit
+	 * @returns {Promise<Array>} User records with the matching former name as matchedFormerName
+	 */
+	async findUsersByFormerName(name, { exact = false, limit = 10 } = {}) {
+		const query = typeof name === "string" ? name.trim().toLowerCase() : "";
+		if (!query) return [];
+
+		const matchFormerName = record => {
+			const history = Array.isArray(record?.nameHistory) ? record.nameHistory : [];
+			const match = history.find(entry => {
+				const former = typeof entry?.name === "string" ? entry.name.toLowerCase() : "";
+				return exact ? former === query : former.includes(query);
+			});
+			return match ? match.name : null;
+		};
+
+		return await this._withStorage(`database read error for former name ${query}`, [], async storage => {
+			const records = await storage.findUsersByFormerName(query, { exact, limit });
+			return records.map(record => {
+				const user = toUserRecord(record);
+				return { ...user, matchedFormerName: matchFormerName(user) };
+			});
+		});
 	}
 
-	async saveUserData(loungeId, data) {
+	/**
+	 * Save a user record and link its discord ids (see linkDiscordId). discordIds stays on the record for display.
+	 * @param {Object} options - linkSource for ids that aren't linked yet, verifiedDiscordId the lounge api just confirmed
+	 */
+	async saveUserData(loungeId, data, { linkSource = "lounge", verifiedDiscordId = null } = {}) {
 		const normalizedId = normalizeLoungeId(loungeId);
+		if (await this.isOptedOut(normalizedId)) {
+			return false;
+		}
 		const payload = { ...data };
 		payload.loungeId = payload.loungeId || normalizedId;
 		const discordIds = Array.isArray(payload.discordIds) ? payload.discordIds.map(String) : [];
+		if (verifiedDiscordId) {
+			discordIds.push(String(verifiedDiscordId));
+		}
 		payload.discordIds = Array.from(new Set(discordIds));
 		payload.createdAt = payload.createdAt || new Date().toISOString();
 		payload.updatedAt = new Date().toISOString();
 
-		if (this.useDatabase) {
-			try {
-				await this.pool.query(
-					`INSERT INTO user_data (user_id, data, updated_at)
-					 VALUES ($1, $2, CURRENT_TIMESTAMP)
-					 ON CONFLICT (user_id)
-					 DO UPDATE SET data = $2, updated_at = CURRENT_TIMESTAMP`,
-					[normalizedId, JSON.stringify(payload)],
-				);
-				return true;
-			}
-			catch (error) {
-				console.error(`database write error for lounge user ${normalizedId}:`, error);
-				return false;
+		return await this._withStorage(`database write error for lounge user ${normalizedId}`, false, async storage => {
+			await storage.saveUserData(normalizedId, payload);
+			for (const discordId of payload.discordIds) {
+				const verified = discordId === String(verifiedDiscordId);
+				await this._saveDiscordLink(storage, discordId, normalizedId, { source: linkSource, verified });
 			}
-		}
-
-		await this._ensureLegacyMigration();
-		return await this._saveUserDataToFile(normalizedId, payload);
+			return true;
+		});
 	}
 
 	async deleteUserData(loungeId) {
 		const normalizedId = normalizeLoungeId(loungeId);
-		if (this.useDatabase) {
-			try {
-				await this.pool.query("DELETE FROM user_data WHERE user_id = $1", [normalizedId]);
-				return true;
-			}
-			catch (error) {
-				console.error(`database delete error for lounge user ${normalizedId}:`, error);
-				return false;
-			}
-		}
-
-		await this._ensureLegacyMigration();
-		return await this._deleteUserDataFile(normalizedId);
+		return await this._withStorage(`database delete error for lounge user ${normalizedId}`, false,
+			storage => storage.deleteUserData(normalizedId));
 	}
 
 	async getAllUserIds() {
-		if (this.useDatabase) {
-			try {
-				const result = await this.pool.query("SELECT user_id, data FROM user_data");
-				return result.rows.map(row => row.data?.loungeId || row.user_id);
-			}
-			catch (error) {
-				console.error("database query error while listing user ids:", error);
-				return [];
-			}
-		}
-
-		await this._ensureLegacyMigration();
-		return await this._getAllUserIdsFromFiles();
+		return await this._withStorage("database query error while listing user ids", [],
+			storage => storage.getAllUserIds());
 	}
 
-	// --- Server-level views (derived from user data) -------------------------------
+	async getAllUserData() {
+		return await this._withStorage("database get all users error", [], async storage => {
+			const records = await storage.getAllUserData();
+			return records.map(toUserRecord);
+		});
+	}
 
-	/* getServerSetupState and markServerSetupComplete removed */
+	// --- Discord links ------------------------------------------------------------
 
-	// --- Table management ---------------------------------------------------------
+	// Unverified links only fill gaps; a verified one (re)points the discord id and refreshes verifiedAt
+	async _saveDiscordLink(storage, discordId, loungeId, { source, verified }) {
+		if (!DISCORD_LINK_SOURCES.includes(source)) {
+			throw new Error(`unknown discord link source: ${source}`);
+		}
+		const existing = await storage.getDiscordLink(discordId);
+		if (existing && !verified) {
+			return existing.loungeId === loungeId;
+		}
+		await storage.saveDiscordLink(discordId, loungeId, {
+			source: existing?.loungeId === loungeId ? existing.source : source,
+			verifiedAt: verified ? new Date().toISOString() : null,
+		});
+		return true;
+	}
 
-	async saveTable(tableId, tableData) {
-		const normalizedTableId = toTableIdString(tableId);
-		if (!normalizedTableId) {
+	/**
+	 * Record which lounge account a discord id belongs to. Without verified an existing link is left alone,
+	 * so a stale discordIds list can't move a discord id back to an old account.
+	 * @param {Object} options - source ("lounge", "manual" or "mention"), verified (the lounge api just confirmed it)
+	 * @returns {Promise<boolean>} Whether the discord id now links to this account
+	 */
+	async linkDiscordId(discordId, loungeId, { source = "lounge", verified = false } = {}) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		if (await this.isOptedOut(normalizedId)) {
 			return false;
 		}
+		return await this._withStorage(`database discord link error for lounge user ${normalizedId}`, false,
+			storage => this._saveDiscordLink(storage, String(discordId), normalizedId, { source, verified }));
+	}
 
-		if (!this.useDatabase) {
-			return await this._saveTableToFile(normalizedTableId, tableData);
-		}
+	/**
+	 * @returns {Promise<Object|null>} { discordId, loungeId, source, verifiedAt, createdAt }
+	 */
+	async getDiscordLink(discordId) {
+		const normalizedDiscordId = String(discordId);
+		return await this._withStorage(`database read error for discord link ${normalizedDiscordId}`, null,
+			storage => storage.getDiscordLink(normalizedDiscordId));
+	}
 
-		try {
-			await this.pool.query(
-				`INSERT INTO tables (table_id, table_data, updated_at)
-				 VALUES ($1, $2, CURRENT_TIMESTAMP)
-				 ON CONFLICT (table_id)
-				 DO UPDATE SET table_data = $2, updated_at = CURRENT_TIMESTAMP`,
-				[normalizedTableId, JSON.stringify(tableData)],
-			);
+	/**
+	 * Discord ids linked to a lounge account, most recently verified first
+	 * @returns {Promise<Array>}
+	 */
+	async getDiscordLinksForUser(loungeId) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		return await this._withStorage(`database read error for discord links of lounge user ${normalizedId}`, [],
+			storage => storage.getDiscordLinksForUser(normalizedId));
+	}
+
+	// --- Server settings ----------------------------------------------------------
+
+	/**
+	 * Raw settings record for a guild, or null if it was never configured.
+	 * ServerData layers the defaults on top.
+	 */
+	async getServerData(serverId) {
+		const normalizedId = normalizeServerId(serverId);
+		return await this._withStorage(`database read error for server ${normalizedId}`, null,
+			storage => storage.getServerData(normalizedId));
+	}
+
+	async saveServerData(serverId, data) {
+		const normalizedId = normalizeServerId(serverId);
+		const payload = { ...data };
+		payload.createdAt = payload.createdAt || new Date().toISOString();
+		payload.updatedAt = new Date().toISOString();
+
+		return await this._withStorage(`database write error for server ${normalizedId}`, false, async storage => {
+			await storage.saveServerData(normalizedId, payload);
 			return true;
-		}
-		catch (error) {
-			console.error("database table save error:", error);
+		});
+	}
+
+	async deleteServerData(serverId) {
+		const normalizedId = normalizeServerId(serverId);
+		return await this._withStorage(`database delete error for server ${normalizedId}`, false,
+			storage => storage.deleteServerData(normalizedId));
+	}
+
+	async getAllServerIds() {
+		return await this._withStorage("database query error while listing server ids", [],
+			storage => storage.getAllServerIds());
+	}
+
+	/**
+	 * A guild counts as set up once someone has saved settings for it with /server-settings
+	 * @returns {Promise<Object>} { completed, completedAt }
+	 */
+	async getServerSetupState(serverId) {
+		const record = await this.getServerData(serverId);
+		return {
+			completed: Boolean(record),
+			completedAt: record?.createdAt || null,
+		};
+	}
+
+	// --- Table management ---------------------------------------------------------
+
+	/**
+	 * Store a table. Saving a verified table over a pending one upgrades it in place;
+	 * a pending save never overwrites a table that is already verified or deleted.
+	 * Tables the API reports as deleted (deletedOn set) are always stored as deleted.
+	 * The table's per-player rows in table_scores are rewritten along with it.
+	 * @param {string|number} tableId - Table ID
+	 * @param {Object} tableData - Table data from the API
+	 * @param {Object} options - status ("verified" or "pending")
+	 * @returns {Promise<boolean>} Whether the table was stored
+	 */
+	async saveTable(tableId, tableData, { status = "verified" } = {}) {
+		const normalizedTableId = toTableIdString(tableId);
+		if (!normalizedTableId) {
 			return false;
 		}
+		const effectiveStatus = tableData?.deletedOn ? "deleted" : status;
+		return await this._withStorage("database table save error", false,
+			storage => storage.saveTable(normalizedTableId, tableData, effectiveStatus, getTableScoreRows(tableData)));
 	}
 
 	async getTable(tableId) {
-		if (!this.useDatabase) {
-			return await this._getTableFromFile(tableId);
-		}
-
-		try {
-			const result = await this.pool.query(
-				"SELECT table_data FROM tables WHERE table_id = $1",
-				[tableId],
-			);
-			if (result.rows.length === 0) return null;
-			return result.rows[0].table_data;
-		}
-		catch (error) {
-			console.error("database table read error:", error);
+		const normalizedTableId = toTableIdString(tableId);
+		if (!normalizedTableId) {
 			return null;
 		}
+		return await this._withStorage("database table read error", null,
+			storage => storage.getTable(normalizedTableId));
 	}
 
-	async linkUserToTable(loungeId, tableId, serverId = null) {
+	/**
+	 * Link a player to a stored table. Linking twice is a no-op; tables that aren't stored are skipped.
+	 * @returns {Promise<boolean>} False when the link couldn't be written
+	 */
+	async linkUserToTable(loungeId, tableId) {
 		const normalizedId = normalizeLoungeId(loungeId);
 		const normalizedTableId = toTableIdString(tableId);
-		if (!normalizedTableId) {
+		if (!normalizedTableId || await this.isOptedOut(normalizedId)) {
 			return false;
 		}
-		if (!this.useDatabase) {
-			return await this._linkUserToTableInFile(normalizedId, normalizedTableId, serverId || "global");
-		}
-
-		try {
-			await this.pool.query(
-				`INSERT INTO user_tables (user_id, table_id)
-				 VALUES ($1, $2)
-				 ON CONFLICT (user_id, table_id) DO NOTHING`,
-				[normalizedId, normalizedTableId],
-			);
+		return await this._withStorage("database user-table link error", false, async storage => {
+			await storage.linkUserToTables(normalizedId, [normalizedTableId]);
 			return true;
-		}
-		catch (error) {
-			console.error("database user-table link error:", error);
+		});
+	}
+
+	/**
+	 * Link a player to every stored table in a list
+	 * @returns {Promise<boolean>} Whether any new link was recorded
+	 */
+	async rememberGlobalUserTables(loungeId, tableIds) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		const uniqueIds = toUniqueTableIds(tableIds);
+		if (!uniqueIds.length || await this.isOptedOut(normalizedId)) {
 			return false;
 		}
+		return await this._withStorage(`error remembering global tables for lounge user ${normalizedId}`, false,
+			async storage => await storage.linkUserToTables(normalizedId, uniqueIds) > 0);
 	}
 
 	async getUserTables(loungeId) {
 		const normalizedId = normalizeLoungeId(loungeId);
-		if (!this.useDatabase) {
-			return await this._getUserTablesFromFile(normalizedId);
-		}
-
-		try {
-			const result = await this.pool.query(
-				`SELECT ut.table_id
-				 FROM user_tables ut
-				 WHERE ut.user_id = $1
-				 ORDER BY ut.created_at DESC`,
-				[normalizedId],
-			);
-			return result.rows.map(row => ({ id: row.table_id }));
-		}
-		catch (error) {
-			console.error("database user tables query error:", error);
-			return [];
-		}
+		return await this._withStorage("database user tables query error", [],
+			storage => storage.getUserTables(normalizedId));
 	}
 
 	async getUserTablesWithData(loungeId) {
 		const normalizedId = normalizeLoungeId(loungeId);
-		if (!this.useDatabase) {
-						
-			const tables = await this._getUserTablesFromFile(normalizedId);
-			const results = [];
-			for (const t of tables) {
-				const data = await this._getTableFromFile(t.id);
-				if (data) {
-					results.push({ id: t.id, data });
-				}
-			}
-			return results;
-		}
-
-		try {
-			const result = await this.pool.query(
-				`SELECT t.table_id, t.table_data
-				 FROM user_tables ut
-				 JOIN tables t ON ut.table_id = t.table_id
-				 WHERE ut.user_id = $1
-				 ORDER BY ut.created_at DESC`,
-				[normalizedId],
-			);
-			return result.rows.map(row => ({ id: row.table_id, data: row.table_data }));
-		}
-		catch (error) {
-			console.error("database user tables with data query error:", error);
-			return [];
-		}
+		return await this._withStorage("database user tables with data query error", [],
+			storage => storage.getUserTablesWithData(normalizedId, "verified"));
 	}
 
-	async getAllUserData() {
-		if (this.useDatabase) {
-			try {
-				const result = await this.pool.query("SELECT data FROM user_data");
-				return result.rows.map(row => row.data);
-			}
-			catch (error) {
-				console.error("database get all users error:", error);
-				return [];
-			}
-		}
-
-		// File-based
-		await this._ensureLegacyMigration();
-		const allIds = await this._getAllUserIdsFromFiles();
-		const allData = [];
-		for (const id of allIds) {
-			const data = await this._getUserDataFromFile(id);
-			if (data) {
-				allData.push(data);
-			}
-		}
-		return allData;
+	/**
+	 * Pending (submitted but not yet verified) tables a player appears in
+	 * @param {string|number} loungeId - Lounge player ID
+	 * @returns {Promise<Array>} [{ id, data }], newest first
+	 */
+	async getPendingUserTables(loungeId) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		return await this._withStorage("database pending user tables query error", [],
+			storage => storage.getUserTablesWithData(normalizedId, "pending"));
 	}
 
-	// --- Command usage analytics -------------------------------------------------
+	/**
+	 * Every stored pending table
+	 * @returns {Promise<Array>} [{ id, data }]
+	 */
+	async getPendingTables() {
+		return await this._withStorage("database pending tables query error", [],
+			storage => storage.getTables("pending"));
+	}
 
-	async recordCommandUsage(commandName, interactionType = "slash") {
-		if (!this.useDatabase) {
+	/**
+	 * Drop a pending table that was rejected before verification (verified tables are left alone)
+	 * @param {string|number} tableId - Table ID
+	 * @returns {Promise<boolean>} Whether a pending table was removed
+	 */
+	async deletePendingTable(tableId) {
+		const normalizedTableId = toTableIdString(tableId);
+		if (!normalizedTableId) {
 			return false;
 		}
-		const normalizedName = normalizeCommandName(commandName);
-		if (!normalizedName) {
+		return await this._withStorage("database pending table delete error", false,
+			storage => storage.deleteTable(normalizedTableId, "pending"));
+	}
+
+	/**
+	 * Mark a stored table as deleted on the lounge. The row is kept (with deletedOn set in its data)
+	 * until it is purged, but no longer counts as a verified table.
+	 * @param {string|number} tableId - Table ID
+	 * @param {string|null} deletedOn - When the table was deleted, defaults to now
+	 * @returns {Promise<boolean>} Whether a stored table was newly marked
+	 */
+	async markTableDeleted(tableId, deletedOn = null) {
+		const normalizedTableId = toTableIdString(tableId);
+		if (!normalizedTableId) {
 			return false;
 		}
-		const isButton = interactionType === "button";
-		const slashIncrement = isButton ? 0 : 1;
-		const buttonIncrement = isButton ? 1 : 0;
-		const targetColumn = isButton ? "button_count" : "slash_count";
-		try {
-			await this.pool.query(
-				`INSERT INTO command_usage (command_name, slash_count, button_count)
-				 VALUES ($1, $2, $3)
-				 ON CONFLICT (command_name)
-				 DO UPDATE SET ${targetColumn} = command_usage.${targetColumn} + 1, updated_at = CURRENT_TIMESTAMP`,
-				[normalizedName, slashIncrement, buttonIncrement],
-			);
-			return true;
-		}
-		catch (error) {
-			console.error("command usage update error:", error);
+		const deletedAt = deletedOn || new Date().toISOString();
+		return await this._withStorage("database table delete mark error", false,
+			storage => storage.markTableDeleted(normalizedTableId, deletedAt));
+	}
+
+	/**
+	 * Page through stored table ids in id order (for re-checking them against the API)
+	 * @param {Object} options - status ("verified", "pending" or "deleted"), afterId (exclusive cursor), limit
+	 * @returns {Promise<string[]>} Table IDs
+	 */
+	async getTableIds({ status = "verified", afterId = null, limit = 100 } = {}) {
+		return await this._withStorage("database table id query error", [],
+			storage => storage.getTableIds({ status, afterId: afterId === null ? null : String(afterId), limit }));
+	}
+
+	/**
+	 * Permanently remove a table that was marked deleted, along with its player links
+	 * @param {string|number} tableId - Table ID
+	 * @returns {Promise<boolean>} Whether a deleted table was removed
+	 */
+	async purgeDeletedTable(tableId) {
+		const normalizedTableId = toTableIdString(tableId);
+		if (!normalizedTableId) {
 			return false;
 		}
+		return await this._withStorage("database table purge error", false,
+			storage => storage.deleteTable(normalizedTableId, "deleted"));
 	}
 
-	async getCommandUsageStats(limit = 25) {
-		if (!this.useDatabase) {
+	/**
+	 * Highest (or lowest) individual scores across verified tables, e.g. the best 24p scores among a server's members
+	 * @param {Object} options - playerIds (lounge IDs, all players when null), game, format, season, order ("desc" or "asc"), limit
+	 * @returns {Promise<Array>} [{ tableId, playerId, score, placement, seed, team, prevMmr, delta, game, format, tier, season, createdAt }]
+	 */
+	async getTopScores({ playerIds = null, game = null, format = null, season = null, order = "desc", limit = 10 } = {}) {
+		const normalizedPlayerIds = playerIds ? Array.from(new Set(playerIds.map(normalizeLoungeId))) : null;
+		if (normalizedPlayerIds && !normalizedPlayerIds.length) {
 			return [];
 		}
 		const safeLimit = Number.isFinite(limit)
 			? Math.min(Math.max(Math.floor(limit), 1), 100)
-			: 25;
-		try {
-			const result = await this.pool.query(
-				`SELECT command_name, slash_count, button_count, updated_at
-				 FROM command_usage
-				 ORDER BY slash_count DESC, button_count DESC, command_name ASC
-				 LIMIT $1`,
-				[safeLimit],
-			);
-			return result.rows;
-		}
-		catch (error) {
-			console.error("command usage stats query error:", error);
-			return [];
-		}
+			: 10;
+		return await this._withStorage("database top scores query error", [], storage => storage.getTopScores({
+			playerIds: normalizedPlayerIds,
+			game,
+			format,
+			season: season === null ? null : Number(season),
+			order: order === "asc" ? "asc" : "desc",
+			limit: safeLimit,
+		}));
 	}
 
-	async upsertCommandUsageTotals(commandName, slashCount = 0, buttonCount = 0) {
-		if (!this.useDatabase) {
-			return false;
-		}
-		const normalizedName = normalizeCommandName(commandName);
-		if (!normalizedName) {
+	// --- Last known player details (served while the lounge api is down) ----------
+
+	async savePlayerDetailsSnapshot(loungeId, game, details) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		if (await this.isOptedOut(normalizedId)) {
 			return false;
 		}
-		const safeSlash = Math.max(0, Number.isFinite(slashCount) ? Math.floor(slashCount) : 0);
-		const safeButton = Math.max(0, Number.isFinite(buttonCount) ? Math.floor(buttonCount) : 0);
-		try {
-			await this.pool.query(
-				`INSERT INTO command_usage (command_name, slash_count, button_count)
-				 VALUES ($1, $2, $3)
-				 ON CONFLICT (command_name)
-				 DO UPDATE SET slash_count = $2, button_count = $3, updated_at = CURRENT_TIMESTAMP`,
-				[normalizedName, safeSlash, safeButton],
-			);
+		const fetchedAt = new Date().toISOString();
+		return await this._withStorage(`database details snapshot save error for lounge user ${normalizedId}`, false, async storage => {
+			await storage.savePlayerDetailsSnapshot(normalizedId, game, { details, fetchedAt });
 			return true;
-		}
-		catch (error) {
-			console.error("command usage totals upsert failed:", error);
-			return false;
-		}
+		});
 	}
 
-	// --- File helpers -------------------------------------------------------------
-
-	async _ensureUsersDir() {
-		try {
-			await fs.mkdir(this.usersDir, { recursive: true });
-		}
-		catch (error) {
-			console.error("error creating users directory:", error);
-		}
+	async getPlayerDetailsSnapshot(loungeId, game) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		return await this._withStorage(`database details snapshot read error for lounge user ${normalizedId}`, null, async storage => {
+			const snapshot = await storage.getPlayerDetailsSnapshot(normalizedId, game);
+			return snapshot ? { details: snapshot.details, fetchedAt: new Date(snapshot.fetchedAt).toISOString() } : null;
+		});
 	}
 
-	async _ensureUserTablesSchema() {
-		if (!this.useDatabase) {
-			return;
-		}
-		try {
-			const legacyColumnResult = await this.pool.query(`
-				SELECT 1
-				FROM information_schema.columns
-				WHERE table_name = 'user_tables'
-					AND column_name = 'server_id'
-				LIMIT 1
-			`);
-			if (!legacyColumnResult.rowCount) {
-				return;
-			}
+	// --- Table sync cursors (one per player, mode and season) ----------------------
 
-			console.log("migrating user_tables to global schema...");
-			await this.pool.query("ALTER TABLE user_tables RENAME TO user_tables_legacy");
-			await this.pool.query(buildUserTablesCreateStatement(false));
-			await this.pool.query(`
-				INSERT INTO user_tables (user_id, table_id, created_at)
-				SELECT user_id, table_id, MIN(created_at)
-				FROM user_tables_legacy
-				GROUP BY user_id, table_id
-				ON CONFLICT (user_id, table_id) DO NOTHING
-			`);
-			await this.pool.query("DROP TABLE user_tables_legacy");
-		}
-		catch (error) {
-			console.error("failed to migrate user_tables schema:", error);
-		}
+	/**
+	 * Get every sync cursor for a player
+	 * @param {string|number} loungeId - Lounge player ID
+	 * @returns {Promise<Array>} [{ game, season, lastChangeId, complete, lastSyncedAt }]
+	 */
+	async getSyncCursors(loungeId) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		return await this._withStorage(`database sync cursor read error for lounge user ${normalizedId}`, [], async storage => {
+			const cursors = await storage.getSyncCursors(normalizedId);
+			return cursors.map(cursor => ({ ...cursor, lastSyncedAt: new Date(cursor.lastSyncedAt).toISOString() }));
+		});
 	}
 
-	async _ensureUserTablesFileMigration() {
-		if (this.useDatabase) {
-			return;
-		}
-		if (!this._userTablesFileMigrationPromise) {
-			this._userTablesFileMigrationPromise = this._migrateUserTableFiles().catch(error => {
-				console.error("user_tables file migration failed:", error);
-			});
+	/**
+	 * Record how far a player's tables have been synced for one mode and season
+	 * @param {string|number} loungeId - Lounge player ID
+	 * @param {Object} cursor - { game, season, lastChangeId, complete }
+	 */
+	async saveSyncCursor(loungeId, { game, season, lastChangeId = null, complete = false }) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		if (await this.isOptedOut(normalizedId)) {
+			return false;
 		}
-		await this._userTablesFileMigrationPromise;
+		const cursor = {
+			game,
+			season: Number(season),
+			lastChangeId: lastChangeId === null ? null : Number(lastChangeId),
+			complete: Boolean(complete),
+			lastSyncedAt: new Date().toISOString(),
+		};
+		return await this._withStorage(`database sync cursor save error for lounge user ${normalizedId}`, false, async storage => {
+			await storage.saveSyncCursor(normalizedId, cursor);
+			return true;
+		});
 	}
 
-	async _migrateUserTableFiles() {
-		const relationshipsDir = path.join(__dirname, "..", "data", "user_tables");
-		let files;
-		try {
-			files = await fs.readdir(relationshipsDir);
-		}
-		catch (error) {
-			if (error.code === "ENOENT") {
-				return;
-			}
-			throw error;
-		}
+	// --- Daily MMR snapshots (see mmrSnapshots.js) ----------------------------------
 
-		const globalPath = path.join(relationshipsDir, "global.json");
-		let globalData = {};
-		try {
-			const raw = await fs.readFile(globalPath, "utf8");
-			globalData = JSON.parse(raw) || {};
-		}
-		catch (error) {
-			if (error.code !== "ENOENT") {
-				console.error("error reading global user_tables file:", error);
-			}
+	/**
+	 * Record a player's standing in one game mode for a day, replacing that day's earlier snapshot
+	 * @param {string|number} loungeId - Lounge player ID
+	 * @param {Object} snapshot - { game, day (YYYY-MM-DD, UTC), season, mmr, maxMmr, rank, overallRank, eventsPlayed }
+	 * @returns {Promise<boolean>}
+	 */
+	async saveMmrSnapshot(loungeId, snapshot) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		if (await this.isOptedOut(normalizedId)) {
+			return false;
 		}
+		const toNumber = value => (value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value));
+		const payload = {
+			game: snapshot.game,
+			day: snapshot.day,
+			season: toNumber(snapshot.season),
+			mmr: toNumber(snapshot.mmr),
+			maxMmr: toNumber(snapshot.maxMmr),
+			rank: snapshot.rank ? String(snapshot.rank) : null,
+			overallRank: toNumber(snapshot.overallRank),
+			eventsPlayed: toNumber(snapshot.eventsPlayed),
+			capturedAt: snapshot.capturedAt || new Date().toISOString(),
+		};
+		return await this._withStorage(`database mmr snapshot save error for lounge user ${normalizedId}`, false, async storage => {
+			await storage.saveMmrSnapshot(normalizedId, payload);
+			return true;
+		});
+	}
 
-		let changed = false;
-		for (const file of files) {
-			if (!file.endsWith(".json") || file === "global.json") {
-				continue;
-			}
-			const filePath = path.join(relationshipsDir, file);
-			try {
-				const raw = await fs.readFile(filePath, "utf8");
-				const legacyData = JSON.parse(raw) || {};
-				for (const [userId, tableIds] of Object.entries(legacyData)) {
-					let normalizedId;
-					try {
-						normalizedId = normalizeLoungeId(userId);
-					}
-					catch (error) {
-						continue;
-					}
-					const { list, changed: updated } = mergeTableIds(globalData[normalizedId], tableIds);
-					if (updated) {
-						globalData[normalizedId] = list;
-						changed = true;
-					}
-				}
-			}
-			catch (error) {
-				console.error(`error migrating user_tables file ${file}:`, error);
-			}
-			try {
-				await fs.unlink(filePath);
-			}
-			catch (error) {
-				if (error.code !== "ENOENT") {
-					console.error(`error deleting legacy user_tables file ${file}:`, error);
-				}
-			}
+	/**
+	 * Daily snapshots for one or more players, oldest first per player and mode
+	 * @param {Array<string|number>} loungeIds - Lounge player IDs
+	 * @param {Object} options - game (one mode, all when null), from / to (YYYY-MM-DD, inclusive)
+	 * @returns {Promise<Array>} [{ playerId, game, day, season, mmr, maxMmr, rank, overallRank, eventsPlayed, capturedAt }]
+	 */
+	async getMmrHistory(loungeIds, { game = null, from = null, to = null } = {}) {
+		const normalizedIds = Array.from(new Set(loungeIds.map(normalizeLoungeId)));
+		if (!normalizedIds.length) {
+			return [];
 		}
+		return await this._withStorage("database mmr history query error", [],
+			storage => storage.getMmrHistory(normalizedIds, { game, from, to }));
+	}
 
-		if (changed) {
-			await fs.mkdir(relationshipsDir, { recursive: true });
-			await fs.writeFile(globalPath, JSON.stringify(globalData, null, 2));
+	/**
+	 * Each player's latest snapshot in a mode on or before a day, e.g. for "rank on date X" or movement since last week.
+	 * Players with no snapshot by then are left out.
+	 * @returns {Promise<Array>} Snapshots as in getMmrHistory, one per player
+	 */
+	async getMmrSnapshotsAsOf(loungeIds, game, day) {
+		const normalizedIds = Array.from(new Set(loungeIds.map(normalizeLoungeId)));
+		if (!normalizedIds.length) {
+			return [];
 		}
+		return await this._withStorage(`database mmr snapshot query error for ${game} on ${day}`, [],
+			storage => storage.getMmrSnapshotsAsOf(normalizedIds, game, day));
 	}
 
+	// --- Privacy (see privacy.js) ----------------------------------------------------
+	// Nothing is stored for players who opted out: the user, discord link, table link, snapshot, cursor and mmr
+	// writes above skip them.
 
-	async _ensureLegacyMigration() {
-		if (this.useDatabase) return;
-		if (!this._legacyMigrationPromise) {
-			this._legacyMigrationPromise = this._migrateLegacyServerFiles()
-				.catch(error => {
-					console.error("legacy data migration failed:", error);
-				})
-				.finally(() => {
-					if (!this._legacyMigrationPromise) return;
-				});
+	/**
+	 * Lounge ids of players who opted out. Cached per process; only forgetUser and optIn change it.
+	 * @returns {Promise<Set<string>>}
+	 */
+	async getOptedOutIds() {
+		if (!this._optedOutIds) {
+			const optOuts = await this._withStorage("database opt-out read error", null, storage => storage.getOptOuts());
+			if (!optOuts) {
+				return new Set();
+			}
+			this._optedOutIds = new Set(optOuts.map(entry => entry.userId));
 		}
-		await this._legacyMigrationPromise;
+		return this._optedOutIds;
 	}
 
-	/* _readServerStateMap and _writeServerStateMap removed */
-
-	_getUserDataPath(loungeId) {
-		const normalizedId = normalizeLoungeId(loungeId);
-		return path.join(this.usersDir, `${normalizedId}.json`);
+	async isOptedOut(loungeId) {
+		return (await this.getOptedOutIds()).has(normalizeLoungeId(loungeId));
 	}
 
-	async _getUserDataFromFile(loungeId) {
-		try {
-			await this._ensureUsersDir();
-			const filePath = this._getUserDataPath(loungeId);
-			const data = await fs.readFile(filePath, "utf8");
-			const parsed = JSON.parse(data);
-			return {
-				...parsed,
-				loungeId: parsed.loungeId || parsed.userId || loungeId,
-			};
-		}
-		catch (error) {
-			if (error.code !== "ENOENT") {
-				console.error(`error reading lounge user file ${loungeId}:`, error);
-			}
-			return null;
-		}
+	/**
+	 * Lounge ids a Discord user opted out with /privacy forget. Read from the opt-outs, since forgetting removed
+	 * the discord links.
+	 * @returns {Promise<Array<string>|null>} null if the opt-outs couldn't be read
+	 */
+	async getOptedOutIdsForDiscordUser(discordId) {
+		const optOuts = await this._withStorage(`database opt-out read error for discord user ${discordId}`, null,
+			storage => storage.getOptOuts());
+		return optOuts && optOuts.filter(entry => entry.discordId === String(discordId)).map(entry => entry.userId);
 	}
 
-	async _saveUserDataToFile(loungeId, data) {
-		try {
-			await this._ensureUsersDir();
-			const filePath = this._getUserDataPath(loungeId);
-			await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-			return true;
-		}
-		catch (error) {
-			console.error(`error saving lounge user file ${loungeId}:`, error);
-			return false;
-		}
+	/**
+	 * Opt a player out and remove their user record, table links, details snapshots, sync cursors, mmr history and
+	 * discord links. Stored tables stay: they are shared lounge data.
+	 * @param {string} loungeId - Lounge user ID
+	 * @param {string|null} discordId - Discord user who asked, kept with the opt-out so they can opt back in
+	 * @returns {Promise<Object|null>} Removed counts ({ userData, links, snapshots, syncCursors, mmrSnapshots, discordLinks }),
+	 * null on failure
+	 */
+	async forgetUser(loungeId, discordId = null) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		return await this._withStorage(`database forget error for lounge user ${normalizedId}`, null, async storage => {
+			// Opt out first so nothing gets written back in between
+			await storage.saveOptOut(normalizedId, new Date().toISOString(), discordId ? String(discordId) : null);
+			(await this.getOptedOutIds()).add(normalizedId);
+			return await storage.forgetUser(normalizedId);
+		});
 	}
 
-	async _deleteUserDataFile(loungeId) {
-		try {
-			const filePath = this._getUserDataPath(loungeId);
-			await fs.unlink(filePath);
-			return true;
-		}
-		catch (error) {
-			if (error.code !== "ENOENT") {
-				console.error(`error deleting lounge user file ${loungeId}:`, error);
-			}
-			return false;
-		}
+	/**
+	 * Let the bot store data for a player again
+	 * @returns {Promise<boolean>} Whether the player had opted out
+	 */
+	async optIn(loungeId) {
+		const normalizedId = normalizeLoungeId(loungeId);
+		const optedIn = await this._withStorage(`database opt-in error for lounge user ${normalizedId}`, false,
+			storage => storage.deleteOptOut(normalizedId));
+		this._optedOutIds?.delete(normalizedId);
+		return optedIn;
 	}
 
-	async _getAllUserIdsFromFiles() {
-		try {
-			await this._ensureUsersDir();
-			const files = await fs.readdir(this.usersDir);
-			const ids = [];
-			for (const file of files) {
-				if (!file.endsWith(".json")) continue;
-				try {
-					const raw = await fs.readFile(path.join(this.usersDir, file), "utf8");
-					const data = JSON.parse(raw);
-					ids.push(data.loungeId || data.userId || file.replace(".json", ""));
-				}
-				catch (error) {
-					console.error(`error reading user file ${file} for id list:`, error);
-				}
-			}
-			return ids;
-		}
-		catch (error) {
-			console.error("error listing user ids from files:", error);
-			return [];
-		}
+	// --- Known lounge seasons (see seasonRegistry.js) -------------------------------
+
+	/**
+	 * Get every season/mode pair discovered so far
+	 * @returns {Promise<Array>} [{ game, season }]
+	 */
+	async getLoungeSeasons() {
+		return await this._withStorage("database season registry read error", [],
+			storage => storage.getLoungeSeasons());
 	}
 
-	async _migrateLegacyServerFiles() {
-		// No-op: legacy server files are no longer supported
-		return Promise.resolve();
+	async saveLoungeSeasons(entries) {
+		const normalizedEntries = (entries || []).map(({ game, season }) => ({ game, season: Number(season) }));
+		return await this._withStorage("database season registry save error", false, async storage => {
+			await storage.saveLoungeSeasons(normalizedEntries);
+			return true;
+		});
 	}
 
-	// --- Legacy relationships for file storage -----------------------------------
+	// --- Table backfill progress ---------------------------------------------------
 
-	async _saveTableToFile(tableId, tableData) {
-		try {
-			const tablesDir = path.join(__dirname, "..", "data", "tables");
-			await fs.mkdir(tablesDir, { recursive: true });
-			const tablePath = path.join(tablesDir, `${tableId}.json`);
-			await fs.writeFile(tablePath, JSON.stringify(tableData, null, 2));
-			return true;
-		}
-		catch (error) {
-			console.error(`error saving table ${tableId} to file:`, error);
-			return false;
-		}
+	async getBackfillState(jobKey) {
+		return await this._withStorage(`database backfill state read error for ${jobKey}`, null,
+			storage => storage.getBackfillState(jobKey));
 	}
 
-	async _getTableFromFile(tableId) {
-		try {
-			const tablePath = path.join(__dirname, "..", "data", "tables", `${tableId}.json`);
-			const data = await fs.readFile(tablePath, "utf8");
-			return JSON.parse(data);
-		}
-		catch (error) {
-			if (error.code !== "ENOENT") {
-				console.error(`error reading table ${tableId} from file:`, error);
-			}
-			return null;
-		}
+	async saveBackfillState(jobKey, state) {
+		return await this._withStorage(`database backfill state save error for ${jobKey}`, false, async storage => {
+			await storage.saveBackfillState(jobKey, state);
+			return true;
+		});
 	}
 
-	async rememberGlobalUserTables(loungeId, tableIds) {
-		const normalizedId = normalizeLoungeId(loungeId);
-		const orderedUniqueIds = [];
-		const seen = new Set();
-		for (const rawId of tableIds || []) {
-			const normalized = toTableIdString(rawId);
-			if (!normalized || seen.has(normalized)) {
-				continue;
-			}
-			seen.add(normalized);
-			orderedUniqueIds.push(normalized);
-		}
+	// --- Command usage analytics -------------------------------------------------
 
-		if (!orderedUniqueIds.length) {
+	async recordCommandUsage(commandName, interactionType = "slash") {
+		const normalizedName = normalizeCommandName(commandName);
+		if (!normalizedName) {
 			return false;
 		}
+		return await this._withStorage("command usage update error", false,
+			storage => storage.recordCommandUsage(normalizedName, interactionType === "button"));
+	}
 
-		if (this.useDatabase) {
-			let recorded = false;
-			for (const tableId of orderedUniqueIds) {
-				try {
-					await this.linkUserToTable(normalizedId, tableId, "global");
-					recorded = true;
-				}
-				catch (error) {
-					console.error(`database global link error for ${normalizedId}/${tableId}:`, error);
-				}
-			}
-			return recorded;
-		}
-
-		try {
-			await this._ensureUserTablesFileMigration();
-			const relationshipsDir = path.join(__dirname, "..", "data", "user_tables");
-			await fs.mkdir(relationshipsDir, { recursive: true });
-			const globalPath = path.join(relationshipsDir, "global.json");
-			let globalData = {};
-			try {
-				const existingRaw = await fs.readFile(globalPath, "utf8");
-				globalData = JSON.parse(existingRaw) || {};
-			}
-			catch (readError) {
-				if (readError.code !== "ENOENT") {
-					console.error("error reading global user_tables file:", readError);
-				}
-			}
-
-			const existingEntries = Array.isArray(globalData[normalizedId]) ? globalData[normalizedId] : [];
-			const { list, changed } = mergeTableIds(existingEntries, orderedUniqueIds);
-			if (!changed) {
-				return false;
-			}
+	async getCommandUsageStats(limit = 25) {
+		const safeLimit = Number.isFinite(limit)
+			? Math.min(Math.max(Math.floor(limit), 1), 100)
+			: 25;
+		return await this._withStorage("command usage stats query error", [],
+			storage => storage.getCommandUsageStats(safeLimit));
+	}
 
-			globalData[normalizedId] = list;
-			await fs.writeFile(globalPath, JSON.stringify(globalData, null, 2));
-			return true;
-		}
-		catch (error) {
-			console.error(`error remembering global tables for lounge user ${normalizedId}:`, error);
+	async upsertCommandUsageTotals(commandName, slashCount = 0, buttonCount = 0) {
+		const normalizedName = normalizeCommandName(commandName);
+		if (!normalizedName) {
 			return false;
 		}
+		const safeSlash = Math.max(0, Number.isFinite(slashCount) ? Math.floor(slashCount) : 0);
+		const safeButton = Math.max(0, Number.isFinite(buttonCount) ? Math.floor(buttonCount) : 0);
+		return await this._withStorage("command usage totals upsert failed", false,
+			storage => storage.upsertCommandUsageTotals(normalizedName, safeSlash, safeButton));
 	}
 
-	async _linkUserToTableInFile(loungeId, tableId, serverId) {
-		try {
-			await this._ensureUserTablesFileMigration();
-			const relationshipsDir = path.join(__dirname, "..", "data", "user_tables");
-			await fs.mkdir(relationshipsDir, { recursive: true });
-			const globalPath = path.join(relationshipsDir, "global.json");
-			let relationships = {};
-			try {
-				const data = await fs.readFile(globalPath, "utf8");
-				relationships = JSON.parse(data) || {};
-			}
-			catch (readError) {
-				if (readError.code !== "ENOENT") {
-					console.error("error reading global user_tables file:", readError);
-				}
-			}
-
-			const normalizedId = normalizeLoungeId(loungeId);
-			const normalizedTableId = toTableIdString(tableId);
-			if (!normalizedTableId) {
-				return false;
-			}
-			const existingEntries = Array.isArray(relationships[normalizedId]) ? relationships[normalizedId] : [];
-			const { list, changed } = mergeTableIds(existingEntries, [normalizedTableId]);
-			relationships[normalizedId] = list;
-
-			if (changed) {
-				await fs.writeFile(globalPath, JSON.stringify(relationships, null, 2));
-			}
-			return true;
-		}
-		catch (error) {
-			console.error(`error linking lounge user ${loungeId} to table ${tableId}:`, error);
+	/**
+	 * Log one tracked interaction (see usageAnalytics.js)
+	 * @param {Object} event - commandName, interactionType ("slash" | "button"), guildId, filters, durationMs, success
+	 * @returns {Promise<boolean>} False when the store doesn't track usage or the write failed
+	 */
+	async recordCommandUsageEvent(event) {
+		const normalizedName = normalizeCommandName(event?.commandName);
+		if (!normalizedName) {
 			return false;
 		}
+		const durationMs = Number.isFinite(event.durationMs) ? Math.max(0, Math.round(event.durationMs)) : 0;
+		return await this._withStorage("command usage event write error", false, storage => storage.recordCommandUsageEvent({
+			commandName: normalizedName,
+			interactionType: event.interactionType === "button" ? "button" : "slash",
+			guildId: event.guildId ? String(event.guildId) : null,
+			filters: event.filters || {},
+			durationMs,
+			success: event.success !== false,
+			createdAt: event.createdAt || new Date().toISOString(),
+		}));
 	}
 
-	async _getUserTablesFromFile(loungeId) {
-		const normalizedId = normalizeLoungeId(loungeId);
-		const relationshipsDir = path.join(__dirname, "..", "data", "user_tables");
-		const tableMap = new Map();
-		await this._ensureUserTablesFileMigration();
+	/**
+	 * Usage events logged in [from, to)
+	 * @param {string} from - ISO timestamp
+	 * @param {string} to - ISO timestamp
+	 * @returns {Promise<Array|null>} [{ commandName, interactionType, guildId, filters, durationMs, success, createdAt }], null if the query failed
+	 */
+	async getCommandUsageEvents(from, to) {
+		return await this._withStorage("command usage events query error", null,
+			storage => storage.getCommandUsageEvents(from, to));
+	}
 
-		let files = [];
-		try {
-			files = await fs.readdir(relationshipsDir);
-		}
-		catch (error) {
-			if (error.code === "ENOENT") {
-				return [];
-			}
-			console.error("error listing user_tables directory:", error);
-			return [];
-		}
+	async pruneCommandUsageEvents(before) {
+		return await this._withStorage("command usage events prune error", 0,
+			storage => storage.pruneCommandUsageEvents(before));
+	}
 
-		for (const file of files) {
-			if (!file.endsWith(".json")) continue;
-			try {
-				const raw = await fs.readFile(path.join(relationshipsDir, file), "utf8");
-				const relationships = JSON.parse(raw);
-				const entries = relationships[normalizedId];
-				if (!Array.isArray(entries) || !entries.length) continue;
-				for (const tableId of entries) {
-					const key = String(tableId);
-					tableMap.set(key, true);
-				}
-			}
-			catch (error) {
-				console.error(`error reading user_tables file ${file}:`, error);
-			}
-		}
+	/**
+	 * Swap in freshly computed rollups for every day in [fromDay, toDay]
+	 * @returns {Promise<boolean>}
+	 */
+	async replaceCommandUsageRollups(fromDay, toDay, dailyRows, filterRows) {
+		return await this._withStorage(`command usage rollup write error for ${fromDay}..${toDay}`, false,
+			storage => storage.replaceCommandUsageRollups(fromDay, toDay, dailyRows, filterRows));
+	}
 
-		return Array.from(tableMap.keys()).map(id => ({ id }));
+	/**
+	 * Daily rollups for every day in [fromDay, toDay]
+	 * @returns {Promise<Object>} { daily, filters }
+	 */
+	async getCommandUsageRollups(fromDay, toDay) {
+		return await this._withStorage("command usage rollups query error", { daily: [], filters: [] },
+			storage => storage.getCommandUsageRollups(fromDay, toDay));
 	}
 }
 
-module.exports = new Database();
\ No newline at end of file
+module.exports = new Database();
@@ -4,6 +4,7 @@
 const twemoji = require("twemoji");
 const { loadImage } = require("canvas");
 const { draw } = require("patternomaly");
+const Fonts = require("./fonts");
 let sharp = null;
 try {
 	sharp = require("sharp");
@@ -599,6 +600,48 @@ function formatWinLoss(record) {
 	return text;
 }
 
+const DATA_AS_OF_FORMATTER = new Intl.DateTimeFormat("en-US", {
+	month: "short",
+	day: "numeric",
+	hour: "2-digit",
+	minute: "2-digit",
+	hour12: false,
+	timeZone: "UTC",
+});
+
+/**
+ * Draw a "data as of <time>" pill in the top-right corner, used when a card was rendered from stored data
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} options - canvasWidth, asOf (Date or ISO string), margin, fontSize
+ */
+function drawDataAsOfBadge(ctx, { canvasWidth, asOf, margin = 16, fontSize = 22 } = {}) {
+	const asOfDate = asOf ? new Date(asOf) : null;
+	if (!ctx || !canvasWidth || !asOfDate || Number.isNaN(asOfDate.getTime())) return;
+
+	const label = `data as of ${DATA_AS_OF_FORMATTER.format(asOfDate)} UTC`;
+	const paddingX = Math.round(fontSize * 0.7);
+	const height = Math.round(fontSize * 1.7);
+
+	ctx.save();
+	ctx.font = `600 ${fontSize}px ${Fonts.FONT_FAMILY_STACK}`;
+	const width = Math.ceil(ctx.measureText(label).width) + paddingX * 2;
+	const x = canvasWidth - margin - width;
+	const y = margin;
+
+	ctx.fillStyle = "rgba(24, 24, 27, 0.85)";
+	roundedRectPath(ctx, x, y, width, height, height / 2);
+	ctx.fill();
+	ctx.strokeStyle = "rgba(250, 204, 21, 0.9)";
+	ctx.lineWidth = 2;
+	ctx.stroke();
+
+	ctx.fillStyle = "#facc15";
+	ctx.textAlign = "left";
+	ctx.textBaseline = "middle";
+	ctx.fillText(label, x + paddingX, y + height / 2);
+	ctx.restore();
+}
+
 module.exports = {
 	getCountryFlag,
 	formatPlayerNameWithFlag,
@@ -620,4 +663,5 @@ module.exports = {
 	createImageLoader,
 	formatNumber,
 	formatSignedNumber,
+	drawDataAsOfBadge,
 };
\ No newline at end of file
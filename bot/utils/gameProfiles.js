@@ -0,0 +1,288 @@
+/**
+ * Game profiles
+ * Everything that differs between the lounge games the bot supports: which API game keys (modes) a game has,
+ * their player counts, fallback rank thresholds, image assets and colors. Commands take a profile key
+ * ("mkworld", "mk8dx") and resolve modes through here instead of hardcoding mkworld12p/mkworld24p.
+ */
+
+const ColorPalettes = require("./colorPalettes");
+
+const RANK_EMOJI = {
+	iron: "⛏️",
+	bronze: "🧸",
+	silver: "💿",
+	gold: "⭐",
+	platinum: "🦚",
+	sapphire: "🌊",
+	ruby: "🍓",
+	diamond: "💎",
+	master: "🪻",
+	grandmaster: "🎸",
+};
+
+/**
+ * Build a threshold table from [tierName, minMmr] pairs (ascending)
+ */
+function buildThresholds(tierMins) {
+	return tierMins.map(([key, min], index) => ({
+		key,
+		label: key,
+		text: key,
+		min,
+		max: index + 1 < tierMins.length ? tierMins[index + 1][1] : Infinity,
+		emoji: RANK_EMOJI[key] || "🏁",
+	}));
+}
+
+const MKWORLD_12P_THRESHOLDS = buildThresholds([
+	["iron", 0],
+	["bronze", 2000],
+	["silver", 4000],
+	["gold", 6000],
+	["platinum", 8000],
+	["sapphire", 9500],
+	["ruby", 11000],
+	["diamond", 12500],
+	["master", 14000],
+	["grandmaster", 15000],
+]);
+
+const MKWORLD_24P_THRESHOLDS = buildThresholds([
+	["iron", 0],
+	["bronze", 2000],
+	["silver", 4000],
+	["gold", 6000],
+	["platinum", 8000],
+	["sapphire", 10000],
+	["ruby", 11500],
+	["diamond", 13000],
+	["master", 14500],
+	["grandmaster", 15500],
+]);
+
+const MK8DX_THRESHOLDS = buildThresholds([
+	["iron", 0],
+	["bronze", 2000],
+	["silver", 4000],
+	["gold", 6000],
+	["platinum", 8000],
+	["sapphire", 10000],
+	["ruby", 12000],
+	["diamond", 14000],
+	["master", 16000],
+	["grandmaster", 17000],
+]);
+
+const MK8DX_RANK_COLORS = {
+	Grandmaster: "#a3022c",
+	Master: "#2c2c2c",
+	Diamond: "#9ccbd6",
+	Ruby: "#d51c5e",
+	Sapphire: "#286cd3",
+	Platinum: "#3fabb8",
+	Gold: "#f1c40f",
+	Silver: "#7d8396",
+	Bronze: "#e67e22",
+	Iron: "#817876",
+};
+
+const GAME_PROFILES = {
+	mkworld: {
+		key: "mkworld",
+		name: "mario kart world",
+		shortName: "mkw",
+		loungePath: "mkworld",
+		firstSeason: 0,
+		// The 12p/24p split arrived in season 2; earlier seasons were a single "mkworld" mode
+		modes: [
+			{ game: "mkworld12p", playerCount: 12, label: "12p", thresholds: MKWORLD_12P_THRESHOLDS },
+			{ game: "mkworld24p", playerCount: 24, label: "24p", thresholds: MKWORLD_24P_THRESHOLDS },
+		],
+		legacyGames: ["mkworld"],
+		assets: {
+			rankIconsDir: "bot/images/ranks",
+			backgroundsDir: "bot/images/tracks blurred",
+		},
+		palette: {
+			rankColors: ColorPalettes.rankColorMap,
+		},
+	},
+	mk8dx: {
+		key: "mk8dx",
+		name: "mario kart 8 deluxe",
+		shortName: "mk8dx",
+		loungePath: "mk8dx",
+		firstSeason: 1,
+		modes: [
+			{ game: "mk8dx", playerCount: 12, label: "12p", thresholds: MK8DX_THRESHOLDS },
+		],
+		legacyGames: [],
+		// No mk8dx-specific art yet: tier names match, and backgrounds follow the player's favorite track
+		assets: {
+			rankIconsDir: "bot/images/ranks",
+			backgroundsDir: "bot/images/tracks blurred",
+		},
+		palette: {
+			rankColors: MK8DX_RANK_COLORS,
+		},
+	},
+};
+
+const DEFAULT_PROFILE_KEY = "mkworld";
+
+// API game key -> profile
+const PROFILE_BY_GAME = new Map();
+for (const profile of Object.values(GAME_PROFILES)) {
+	for (const mode of profile.modes) {
+		PROFILE_BY_GAME.set(mode.game, profile);
+	}
+	for (const game of profile.legacyGames) {
+		PROFILE_BY_GAME.set(game, profile);
+	}
+}
+
+/**
+ * Look up a profile by its key, falling back to the default game
+ * @param {string} key - Profile key ("mkworld", "mk8dx") or an API game key ("mkworld24p")
+ * @returns {Object} Game profile
+ */
+function getProfile(key = DEFAULT_PROFILE_KEY) {
+	const normalized = typeof key === "string" ? key.trim().toLowerCase() : "";
+	return GAME_PROFILES[normalized] || PROFILE_BY_GAME.get(normalized) || GAME_PROFILES[DEFAULT_PROFILE_KEY];
+}
+
+/**
+ * Whether a string names a known profile (used to validate command options and custom ids)
+ */
+function isProfileKey(key) {
+	return typeof key === "string" && Object.prototype.hasOwnProperty.call(GAME_PROFILES, key);
+}
+
+/**
+ * Profile owning an API game key (tables and details carry these), default profile when unknown
+ */
+function getProfileForGame(game) {
+	return PROFILE_BY_GAME.get(game) || GAME_PROFILES[DEFAULT_PROFILE_KEY];
+}
+
+function getProfiles() {
+	return Object.values(GAME_PROFILES);
+}
+
+/**
+ * Every API game key the bot knows about, legacy modes included (for season discovery)
+ */
+function getAllGames() {
+	return Array.from(PROFILE_BY_GAME.keys());
+}
+
+/**
+ * Current-mode API game keys for a profile, e.g. ["mkworld12p", "mkworld24p"]
+ */
+function getModeGames(profileKey) {
+	return getProfile(profileKey).modes.map(mode => mode.game);
+}
+
+function getDefaultGame(profileKey) {
+	return getProfile(profileKey).modes[0].game;
+}
+
+function getMode(game) {
+	const profile = getProfileForGame(game);
+	return profile.modes.find(mode => mode.game === game) || null;
+}
+
+/**
+ * Resolve a player count filter ("12p", "24p", "mkworld24p", "both") to one API game key
+ * @returns {string|null} Game key, or null when the filter covers every mode of the profile
+ */
+function getGameForFilter(profileKey, playerCountFilter) {
+	const profile = getProfile(profileKey);
+	if (profile.modes.length === 1) {
+		return profile.modes[0].game;
+	}
+	if (!playerCountFilter || playerCountFilter === "both") {
+		return null;
+	}
+	const match = profile.modes.find(mode => mode.label === playerCountFilter || mode.game === playerCountFilter);
+	return match ? match.game : null;
+}
+
+/**
+ * Short mode label for display ("12p", "24p")
+ */
+function getModeLabel(game) {
+	return getMode(game)?.label || "12p";
+}
+
+/**
+ * The current mode a table counts towards. Tables from before a game's mode split carry a legacy
+ * game key, so they are matched on player count instead.
+ * @param {Object} table - Table data from the API
+ * @returns {string} API game key
+ */
+function getTableMode(table) {
+	const profile = getProfileForGame(table?.game || table?.gameMode);
+	const game = table?.game || table?.gameMode;
+	if (profile.modes.some(mode => mode.game === game)) {
+		return game;
+	}
+	const playerCount = Number(table?.numPlayers ?? table?.numplayers ?? table?.playerCount);
+	if (Number.isFinite(playerCount)) {
+		const byCount = profile.modes.find(mode => playerCount <= mode.playerCount);
+		if (byCount) {
+			return byCount.game;
+		}
+		return profile.modes[profile.modes.length - 1].game;
+	}
+	return profile.modes[0].game;
+}
+
+/**
+ * Whether a table belongs to a profile. Stored tables without a game key predate multi-game support
+ * and belong to the default game.
+ */
+function isTableInProfile(table, profileKey) {
+	const game = table?.game || table?.gameMode;
+	const owner = game ? getProfileForGame(game) : GAME_PROFILES[DEFAULT_PROFILE_KEY];
+	return owner.key === getProfile(profileKey).key;
+}
+
+function getFallbackThresholds(game) {
+	return getMode(game)?.thresholds || getProfileForGame(game).modes[0].thresholds;
+}
+
+function getTableUrl(tableId, profileKey) {
+	return `https://lounge.mkcentral.com/${getProfile(profileKey).loungePath}/TableDetails/${tableId}`;
+}
+
+function getPlayerUrl(loungeId, profileKey) {
+	return `https://lounge.mkcentral.com/${getProfile(profileKey).loungePath}/PlayerDetails/${loungeId}`;
+}
+
+/**
+ * Choices for a slash command `game` option
+ */
+function getGameChoices() {
+	return getProfiles().map(profile => ({ name: profile.name, value: profile.key }));
+}
+
+module.exports = {
+	DEFAULT_PROFILE_KEY,
+	getProfile,
+	isProfileKey,
+	getProfileForGame,
+	getProfiles,
+	getAllGames,
+	getModeGames,
+	getDefaultGame,
+	getMode,
+	getGameForFilter,
+	getModeLabel,
+	getTableMode,
+	isTableInProfile,
+	getFallbackThresholds,
+	getTableUrl,
+	getPlayerUrl,
+	getGameChoices,
+};
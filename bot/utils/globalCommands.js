@@ -1,4 +1,8 @@
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+const GameProfiles = require("./gameProfiles");
+
+// The bot owner: left out of usage tracking and the only user who can run owner commands like /consistency
+const OWNER_USER_ID = "437813284981309441";
 
 const GLOBAL_COMMAND_NAMES = [
 	"about-me",
@@ -6,8 +10,11 @@ const GLOBAL_COMMAND_NAMES = [
 	"head-to-head",
 	"leaderboard",
 	"notables",
+	"penalties",
+	"pending",
+	"privacy",
 	"rank-stats",
-	"setup",
+	"server-settings",
 	"stats",
 ];
 
@@ -48,6 +55,7 @@ function buildStandardFilterRows({
 	timeFilter,
 	queueFilter,
 	playerCountFilter,
+	game = GameProfiles.DEFAULT_PROFILE_KEY,
 	defaultTime = "alltime",
 	defaultQueue = "both",
 	defaultPlayers = "both",
@@ -92,17 +100,18 @@ function buildStandardFilterRows({
 			.setDisabled(safeQueue === "both"),
 	);
 
+	// Games with a single mode (e.g. mk8dx) have nothing to switch between
+	const { modes } = GameProfiles.getProfile(game);
+	if (modes.length < 2) {
+		return [timeRow, queueRow];
+	}
+
 	const playerRow = new ActionRowBuilder().addComponents(
-		new ButtonBuilder()
-			.setCustomId(buildCustomId("players", { ...customIdParams, timeFilter: safeTime, queueFilter: safeQueue, playerCountFilter: "12p" }))
-			.setLabel("12p")
+		...modes.map(mode => new ButtonBuilder()
+			.setCustomId(buildCustomId("players", { ...customIdParams, timeFilter: safeTime, queueFilter: safeQueue, playerCountFilter: mode.label }))
+			.setLabel(mode.label)
 			.setStyle(ButtonStyle.Secondary)
-			.setDisabled(safePlayers === "12p"),
-		new ButtonBuilder()
-			.setCustomId(buildCustomId("players", { ...customIdParams, timeFilter: safeTime, queueFilter: safeQueue, playerCountFilter: "24p" }))
-			.setLabel("24p")
-			.setStyle(ButtonStyle.Secondary)
-			.setDisabled(safePlayers === "24p"),
+			.setDisabled(safePlayers === mode.label)),
 		new ButtonBuilder()
 			.setCustomId(buildCustomId("players", { ...customIdParams, timeFilter: safeTime, queueFilter: safeQueue, playerCountFilter: "both" }))
 			.setLabel("both")
@@ -113,6 +122,63 @@ function buildStandardFilterRows({
 	return [timeRow, queueRow, playerRow];
 }
 
+/**
+ * Read the `game` option of a slash command, falling back to the default game
+ * @returns {string} Game profile key
+ */
+function getGameOption(interaction) {
+	const raw = interaction?.options?.getString?.("game");
+	return GameProfiles.isProfileKey(raw) ? raw : GameProfiles.DEFAULT_PROFILE_KEY;
+}
+
+/**
+ * Like getGameOption, but without an explicit `game` option falls back to the guild's default game
+ * from /server-settings before the global default
+ * @returns {Promise<string>} Game profile key
+ */
+async function resolveGameOption(interaction) {
+	const raw = interaction?.options?.getString?.("game");
+	if (GameProfiles.isProfileKey(raw)) {
+		return raw;
+	}
+	if (interaction?.inGuild?.()) {
+		// Required here because serverData -> database -> globalCommands
+		const ServerData = require("./serverData");
+		try {
+			const { defaultGame } = await ServerData.getServerData(interaction.guildId);
+			return defaultGame;
+		}
+		catch (error) {
+			console.warn("failed to read server default game:", error);
+		}
+	}
+	return GameProfiles.DEFAULT_PROFILE_KEY;
+}
+
+/**
+ * Reply for a player lookup that came back empty. While the circuit breaker is open the API wasn't asked,
+ * so the player may well exist and only has no stored details yet.
+ * @param {Object} profile - Game profile
+ * @returns {string}
+ */
+function getMissingPlayerMessage(profile) {
+	// Required here because loungeApi -> database -> globalCommands
+	const LoungeApi = require("./loungeApi");
+	if (LoungeApi.getCircuitState().state !== "closed") {
+		return `the ${profile.shortName} lounge api is unavailable right now and nothing is stored for that player yet. try again in a bit.`;
+	}
+	return `couldn't find that player in ${profile.shortName} lounge.`;
+}
+
+/**
+ * Set up the standard `game` option, e.g. `.addStringOption(buildGameOption)`
+ */
+function buildGameOption(option) {
+	return option.setName("game")
+		.setDescription("which lounge to use. defaults to the server's game, or mario kart world.")
+		.addChoices(...GameProfiles.getGameChoices());
+}
+
 function parseStandardFilterCustomId({
 	customId,
 	prefix,
@@ -154,14 +220,19 @@ function parseStandardFilterCustomId({
 		loungeValues[key] = rawValue ? rawValue : null;
 	}
 
+	// The game is appended last; buttons from before multi-game support don't have it
+	const gameRaw = parts[5 + loungeIdFields.length];
+
 	return {
 		action,
 		...normalizedFilters,
 		...loungeValues,
+		game: GameProfiles.isProfileKey(gameRaw) ? gameRaw : GameProfiles.DEFAULT_PROFILE_KEY,
 	};
 }
 
 module.exports = {
+	OWNER_USER_ID,
 	GLOBAL_COMMAND_NAMES,
 	BUTTON_PREFIX_ALIASES,
 	isGlobalCommand,
@@ -169,4 +240,8 @@ module.exports = {
 	normalizeCommandName,
 	buildStandardFilterRows,
 	parseStandardFilterCustomId,
+	getGameOption,
+	resolveGameOption,
+	buildGameOption,
+	getMissingPlayerMessage,
 };
@@ -1,17 +1,63 @@
 /**
  * Lounge API utility functions for Discord bot
- * Updated for Mario Kart World lounge API
+ * Covers every game in gameProfiles.js; functions default to the Mario Kart World 12p mode
  */
 
 const database = require("./database");
+const LoungeRecorder = require("./loungeRecorder");
+const { createRequestScheduler, withPriority } = require("./requestScheduler");
+const { createResponseCache } = require("./cacheManager");
+const SeasonRegistry = require("./seasonRegistry");
+const GameProfiles = require("./gameProfiles");
+
+// Use the Mario Kart World lounge API endpoint; LOUNGE_API_BASE overrides it (e.g. the local mock in mock-lounge/)
+const DEFAULT_LOUNGE_API_BASE = "https://lounge.mkcentral.com/api";
+
+const DEFAULT_GAME = GameProfiles.getDefaultGame(GameProfiles.DEFAULT_PROFILE_KEY);
+
+// One scheduler for every command so a large /leaderboard scan can't starve everyone else
+const requestScheduler = createRequestScheduler({
+	maxConcurrent: 6,
+	defaultBucket: { capacity: 10, refillPerSecond: 5 },
+	endpointBuckets: {
+		"/player/details": { capacity: 8, refillPerSecond: 4 },
+		"/player/leaderboard": { capacity: 15, refillPerSecond: 8 },
+	},
+});
+// Longest Retry-After we'll honor before retrying anyway
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Short-lived response cache; one render asks for the same player details several times
+const responseCache = createResponseCache();
+const DEFAULT_RESPONSE_CACHE_TTL_MS = 30 * 1000;
+const RESPONSE_CACHE_TTL_MS = {
+	"/player": 60 * 1000,
+	"/player/details": 60 * 1000,
+	"/player/leaderboard": 30 * 1000,
+	"/player/stats": 10 * 60 * 1000,
+	"/penalty": 5 * 60 * 1000,
+	"/penalty/list": 2 * 60 * 1000,
+	"/table": 5 * 60 * 1000,
+};
 
-// Use the Mario Kart World lounge API endpoint
-const LOUNGE_API_BASE = "https://lounge.mkcentral.com/api";
+// Circuit breaker: after repeated failures stop calling the API for a while and serve stored data instead
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_OPEN_MS = 30 * 1000;
+const CIRCUIT_OPEN_CODE = "LOUNGE_CIRCUIT_OPEN";
+// A probe that hangs would keep the breaker half-open, so it gets aborted after this long
+const CIRCUIT_PROBE_TIMEOUT_MS = 15 * 1000;
+const circuit = {
+	state: "closed",
+	failures: 0,
+	openedAt: 0,
+	probeInFlight: false,
+};
 
-// Default season (can be updated as needed for MK World)
-const DEFAULT_SEASON = 3;
-const DEFAULT_GAME = "mkworld12p";
-const currentSeasonCache = new Map();
+// Last known player details are persisted at most this often per player/mode
+const DETAILS_SNAPSHOT_INTERVAL_MS = 60 * 1000;
+const detailsSnapshotTimes = new Map();
+// Players served from stored data while the API was down, refreshed once it recovers
+const staleRefreshQueue = new Map();
 
 // Authentication config - many endpoints work without auth
 const AUTH_CONFIG = {
@@ -49,14 +95,163 @@ function getCommonHeaders() {
 	return headers;
 }
 
+/**
+ * Get the Lounge API base URL, read on each call so dotenv can load after this module
+ * @returns {string} Base URL without a trailing slash
+ */
+function getApiBase() {
+	return (process.env.LOUNGE_API_BASE || DEFAULT_LOUNGE_API_BASE).replace(/\/+$/, "");
+}
+
 /**
  * Make a GET request to the Lounge API
+ * Identical concurrent requests share one fetch, and responses are cached per endpoint
  * @param {string} endpoint - API endpoint (e.g., '/player', '/table')
  * @param {Object} params - Query parameters
  * @returns {Promise<Object>} API response
  */
 async function apiGet(endpoint, params = {}, retries = 3) {
-	const url = new URL(`${LOUNGE_API_BASE}${endpoint}`);
+	const normalizedParams = LoungeRecorder.normalizeParams(params);
+	const cacheKey = `${endpoint}?${new URLSearchParams(normalizedParams).toString()}`;
+	return await responseCache.getOrLoad(cacheKey, () => fetchFromApi(endpoint, params, retries), {
+		ttlMs: body => getResponseCacheTtl(endpoint, body),
+		meta: { endpoint, params: normalizedParams },
+	});
+}
+
+function getResponseCacheTtl(endpoint, body) {
+	// Verified tables don't change, so keep them until they're evicted
+	if (endpoint === "/table" && body?.verifiedOn && !body?.deletedOn) {
+		return Infinity;
+	}
+	return RESPONSE_CACHE_TTL_MS[endpoint] ?? DEFAULT_RESPONSE_CACHE_TTL_MS;
+}
+
+/**
+ * Drop cached API responses
+ * @param {string|null} endpoint - Endpoint to invalidate; omit to clear the whole cache
+ * @param {Object} params - Only drop entries whose params include these values (e.g. { id: 123 })
+ * @returns {number} Number of entries removed
+ */
+function invalidateApiCache(endpoint = null, params = {}) {
+	if (!endpoint) {
+		return responseCache.invalidate();
+	}
+	const expected = LoungeRecorder.normalizeParams(params);
+	return responseCache.invalidate((key, meta) => meta?.endpoint === endpoint
+		&& Object.entries(expected).every(([name, value]) => meta.params?.[name] === value));
+}
+
+/**
+ * Get hit/miss counters for the API response cache
+ * @returns {Object} Cache stats
+ */
+function getApiCacheStats() {
+	return responseCache.getStats();
+}
+
+/**
+ * Throw instead of calling the API while the breaker is open; lets one probe through once the cooldown passes
+ * @param {string} endpoint - API endpoint (for the error message)
+ * @returns {boolean} Whether this request is the probe
+ */
+function assertCircuitAllowsRequest(endpoint) {
+	if (circuit.state === "closed") {
+		return false;
+	}
+	if (circuit.state === "open" && Date.now() - circuit.openedAt >= CIRCUIT_OPEN_MS && !circuit.probeInFlight) {
+		circuit.state = "half-open";
+		circuit.probeInFlight = true;
+		return true;
+	}
+	// Keep the message free of status codes so callers don't mistake it for a 404
+	const openError = new Error(`Lounge API unavailable (circuit open), skipped ${endpoint}`);
+	openError.code = CIRCUIT_OPEN_CODE;
+	throw openError;
+}
+
+function recordCircuitResult(succeeded, wasProbe) {
+	if (wasProbe) {
+		circuit.probeInFlight = false;
+	}
+
+	if (succeeded) {
+		const recovered = circuit.state !== "closed";
+		circuit.state = "closed";
+		circuit.failures = 0;
+		if (recovered) {
+			console.log("[LoungeAPI] circuit closed, api reachable again");
+			refreshStaleData();
+		}
+		return;
+	}
+
+	circuit.failures++;
+	if (wasProbe || (circuit.state === "closed" && circuit.failures >= CIRCUIT_FAILURE_THRESHOLD)) {
+		if (circuit.state === "closed") {
+			console.warn(`[LoungeAPI] circuit opened after ${circuit.failures} failures, serving stored data`);
+		}
+		circuit.state = "open";
+		circuit.openedAt = Date.now();
+	}
+}
+
+function isCircuitOpen() {
+	return circuit.state !== "closed";
+}
+
+/**
+ * Get the circuit breaker state for status displays
+ * @returns {Object} { state, failures, retryAt }
+ */
+function getCircuitState() {
+	return {
+		state: circuit.state,
+		failures: circuit.failures,
+		retryAt: circuit.state === "open" ? new Date(circuit.openedAt + CIRCUIT_OPEN_MS) : null,
+	};
+}
+
+function markForStaleRefresh(loungeId, game) {
+	staleRefreshQueue.set(`${loungeId}:${game}`, { loungeId, game });
+}
+
+// Refetch details and tables for everyone who was served stored data, behind interactive requests
+function refreshStaleData() {
+	if (!staleRefreshQueue.size) {
+		return;
+	}
+	const pending = Array.from(staleRefreshQueue.values());
+	staleRefreshQueue.clear();
+
+	withPriority("background", async () => {
+		for (const { loungeId, game } of pending) {
+			try {
+				detailsSnapshotTimes.delete(`${loungeId}:${game}`);
+				const details = await getPlayerDetailsByLoungeId(loungeId, null, game);
+				if (details && !details.stale) {
+					details.gameMode = game;
+					await getAllPlayerTables(loungeId, null, details);
+				}
+			}
+			catch (error) {
+				console.warn(`[LoungeAPI] background refresh failed for lounge user ${loungeId} (${game}):`, error);
+			}
+		}
+	}).catch(error => console.warn("[LoungeAPI] background refresh failed:", error));
+}
+
+/**
+ * Fetch from the Lounge API (or a recording), going through the shared scheduler
+ * Honors LOUNGE_API_MODE=record|replay (see loungeRecorder.js)
+ */
+async function fetchFromApi(endpoint, params = {}, retries = 3) {
+	const recordingMode = LoungeRecorder.getMode();
+	if (recordingMode === "replay") {
+		return await LoungeRecorder.replay(endpoint, params);
+	}
+
+	const url = new URL(`${getApiBase()}${endpoint}`);
 	Object.keys(params).forEach(key => {
 		if (params[key] !== null && params[key] !== undefined) {
 			url.searchParams.append(key, params[key].toString());
@@ -66,35 +261,73 @@ async function apiGet(endpoint, params = {}, retries = 3) {
 	let lastError;
 
 	for (let attempt = 1; attempt <= retries; attempt++) {
+		let retryAfterMs = 0;
 		try {
-			const response = await fetch(url.toString(), {
-				method: "GET",
-				headers: getCommonHeaders(),
-			});
+			const isProbe = assertCircuitAllowsRequest(endpoint);
+
+			// Read the body inside the scheduled task so the slot is held for the whole request
+			let response;
+			let reachable = false;
+			try {
+				response = await requestScheduler.schedule(endpoint, async () => {
+					const res = await fetch(url.toString(), {
+						method: "GET",
+						headers: getCommonHeaders(),
+						signal: isProbe ? AbortSignal.timeout(CIRCUIT_PROBE_TIMEOUT_MS) : undefined,
+					});
+					return {
+						ok: res.ok,
+						status: res.status,
+						statusText: res.statusText,
+						retryAfter: res.headers.get("retry-after"),
+						body: res.ok ? await res.json() : null,
+					};
+				});
+				// Only outages count against the breaker; 4xx and 429 mean the API is up
+				reachable = response.status < 500;
+			}
+			finally {
+				recordCircuitResult(reachable, isProbe);
+			}
 
 			if (!response.ok) {
 				// Retry on 5xx server errors or 429 rate limits
+				if (response.status === 429) {
+					retryAfterMs = parseRetryAfter(response.retryAfter);
+					requestScheduler.pauseFor(retryAfterMs);
+				}
 				if (response.status >= 500 || response.status === 429) {
 					throw new Error(`API Error: ${response.status} ${response.statusText}`);
 				}
 				// Don't retry on other client errors (e.g. 404)
+				if (recordingMode === "record") {
+					await LoungeRecorder.record(endpoint, params, { status: response.status, statusText: response.statusText });
+				}
 				throw new Error(`API Error: ${response.status} ${response.statusText}`);
 			}
 
-			return await response.json();
+			if (recordingMode === "record") {
+				await LoungeRecorder.record(endpoint, params, { status: response.status, statusText: response.statusText, body: response.body });
+			}
+			return response.body;
 		}
 		catch (error) {
 			lastError = error;
 
+			if (error.code === CIRCUIT_OPEN_CODE) {
+				throw error;
+			}
+
 			// If it's a client error (4xx) that isn't 429, don't retry.
 			if (error.message.startsWith("API Error: 4") && !error.message.includes("429")) {
 				throw error;
 			}
 
-			if (attempt === retries) break;
+			// No point backing off once the breaker has tripped
+			if (attempt === retries || isCircuitOpen()) break;
 
-			// Exponential backoff: 1s, 2s...
-			const delay = 1000 * Math.pow(2, attempt - 1);
+			// Exponential backoff: 1s, 2s... (or longer if the server asked us to wait)
+			const delay = Math.max(1000 * Math.pow(2, attempt - 1), retryAfterMs);
 			console.warn(`[LoungeAPI] Request to ${endpoint} failed (Attempt ${attempt}/${retries}). Retrying in ${delay}ms... Error: ${error.message}`);
 			await new Promise(resolve => setTimeout(resolve, delay));
 		}
@@ -103,40 +336,41 @@ async function apiGet(endpoint, params = {}, retries = 3) {
 	throw lastError;
 }
 
-function getSeasonCacheKey(game) {
-	return game || DEFAULT_GAME;
-}
-
-function cacheCurrentSeason(game, season) {
-	if (season === null || season === undefined || Number.isNaN(Number(season))) {
-		return;
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number} Milliseconds to wait, capped at MAX_RETRY_AFTER_MS (0 if missing)
+ */
+function parseRetryAfter(value) {
+	if (!value) {
+		return 0;
+	}
+	const seconds = Number(value);
+	const waitMs = Number.isFinite(seconds)
+		? seconds * 1000
+		: Date.parse(value) - Date.now();
+	if (!Number.isFinite(waitMs) || waitMs <= 0) {
+		return 0;
 	}
-	currentSeasonCache.set(getSeasonCacheKey(game), Number(season));
+	return Math.min(waitMs, MAX_RETRY_AFTER_MS);
 }
 
-function getCachedCurrentSeason(game = DEFAULT_GAME) {
-	return currentSeasonCache.get(getSeasonCacheKey(game)) ?? null;
+/**
+ * Get queue depth and throughput counters for the shared request scheduler
+ * @returns {Object} Scheduler metrics
+ */
+function getRequestMetrics() {
+	return requestScheduler.getMetrics();
 }
 
-async function getCurrentSeason(game = DEFAULT_GAME, seedLoungeId = null) {
-	const cacheKey = getSeasonCacheKey(game);
-	if (currentSeasonCache.has(cacheKey)) {
-		return currentSeasonCache.get(cacheKey);
-	}
-
-	if (seedLoungeId !== null && seedLoungeId !== undefined) {
-		const details = await getPlayerDetailsByLoungeId(seedLoungeId, null, game);
-		if (details?.season !== null && details?.season !== undefined) {
-			cacheCurrentSeason(game, details.season);
-			return Number(details.season);
-		}
-		if (details?.season === 0) {
-			cacheCurrentSeason(game, 0);
-			return 0;
-		}
-	}
-
-	return DEFAULT_SEASON;
+/**
+ * Get the current season for a game mode from the season registry
+ * @param {string} game - Game mode key
+ * @returns {Promise<number>} Season number
+ */
+async function getCurrentSeason(game = DEFAULT_GAME) {
+	await SeasonRegistry.ensureLoaded();
+	return SeasonRegistry.getCurrentSeason(game);
 }
 
 async function searchPlayers(query, options = {}) {
@@ -274,6 +508,38 @@ async function getPlayerByDiscordIdDetailed(discordId, season = null, game = DEF
 	}
 }
 
+function rememberPlayerDetails(loungeId, game, details) {
+	const key = `${loungeId}:${game}`;
+	const now = Date.now();
+	if (now - (detailsSnapshotTimes.get(key) || 0) < DETAILS_SNAPSHOT_INTERVAL_MS) {
+		return;
+	}
+	detailsSnapshotTimes.set(key, now);
+	// Clone now; callers decorate the returned object (gameMode, alternateDetails)
+	database.savePlayerDetailsSnapshot(loungeId, game, structuredClone(details))
+		.catch(error => console.warn(`failed to store details snapshot for lounge user ${loungeId}:`, error));
+}
+
+/**
+ * Last known current-season details for a player, flagged with stale/staleAsOf
+ * @returns {Promise<Object|null>} Stored details or null if there are none for this season
+ */
+async function getStoredPlayerDetails(loungeId, season, game) {
+	const snapshot = await database.getPlayerDetailsSnapshot(loungeId, game);
+	if (!snapshot?.details) {
+		return null;
+	}
+	if (season !== null && season !== undefined && Number(snapshot.details.season) !== Number(season)) {
+		return null;
+	}
+	markForStaleRefresh(loungeId, game);
+	return {
+		...snapshot.details,
+		stale: true,
+		staleAsOf: snapshot.fetchedAt,
+	};
+}
+
 async function getPlayerDetailsByLoungeId(loungeId, season = null, game = DEFAULT_GAME) {
 	try {
 		if (loungeId === null || loungeId === undefined) {
@@ -288,16 +554,64 @@ async function getPlayerDetailsByLoungeId(loungeId, season = null, game = DEFAUL
 			params.season = season;
 		}
 
-		return await apiGet("/player/details", params);
+		const details = await apiGet("/player/details", params);
+		if (details && (season === null || season === undefined)) {
+			rememberPlayerDetails(loungeId, game, details);
+			SeasonRegistry.observeSeason(game, details.season);
+		}
+		return details;
 	}
 	catch (error) {
 		if (error.message.includes("404")) {
 			return null;
 		}
+		const stored = await getStoredPlayerDetails(loungeId, season, game);
+		if (stored) {
+			return stored;
+		}
+		if (error.code === CIRCUIT_OPEN_CODE) {
+			return null;
+		}
 		throw error;
 	}
 }
 
+/**
+ * Current details for the mode a player should be shown in
+ * With a player count filter that's the matching mode; otherwise every mode of the game is fetched and the
+ * one with the highest MMR wins, with the runner-up attached as `alternateDetails`.
+ * @param {string|number} loungeId - Lounge player ID
+ * @param {Object} options - game (profile key), playerCountFilter
+ * @returns {Promise<Object|null>} Details with `gameMode` set, or null if the player has none in this game
+ */
+async function getPreferredPlayerDetails(loungeId, { game = GameProfiles.DEFAULT_PROFILE_KEY, playerCountFilter = "both" } = {}) {
+	const filteredGame = GameProfiles.getGameForFilter(game, playerCountFilter);
+	if (filteredGame) {
+		const details = await getPlayerDetailsByLoungeId(loungeId, undefined, filteredGame);
+		if (details) {
+			details.gameMode = filteredGame;
+		}
+		return details;
+	}
+
+	const modeGames = GameProfiles.getModeGames(game);
+	const results = await Promise.all(modeGames.map(mode => getPlayerDetailsByLoungeId(loungeId, undefined, mode)));
+	const found = results
+		.map((details, index) => details ? Object.assign(details, { gameMode: modeGames[index] }) : null)
+		.filter(Boolean);
+	if (!found.length) {
+		return null;
+	}
+
+	// Ties keep the first mode (12p before 24p)
+	const [preferred, alternate] = found.slice().sort((a, b) => (Number(b.mmr) || 0) - (Number(a.mmr) || 0));
+	if (alternate) {
+		preferred.alternateDetails = alternate;
+		preferred.alternateGameMode = alternate.gameMode;
+	}
+	return preferred;
+}
+
 /**
  * Get table (race) information by table ID
  * @param {number} tableId - Table ID
@@ -319,6 +633,42 @@ async function getTable(tableId) {
 	}
 }
 
+/**
+ * List tables created in a date range
+ * @param {Object} options - from, to (Date or ISO string), game, season
+ * @returns {Promise<Array>} Table details (teams and scores included)
+ */
+async function getTableList({ from = null, to = null, game = DEFAULT_GAME, season = null } = {}) {
+	const params = { game };
+	if (from) {
+		params.from = new Date(from).toISOString();
+	}
+	if (to) {
+		params.to = new Date(to).toISOString();
+	}
+	if (season !== null && season !== undefined) {
+		params.season = season;
+	}
+
+	const tables = await apiGet("/table/list", params);
+	return Array.isArray(tables) ? tables : [];
+}
+
+/**
+ * List tables that were submitted but not verified yet
+ * @param {Object} options - game, season
+ * @returns {Promise<Array>} Table details (scores are provisional, no MMR changes yet)
+ */
+async function getUnverifiedTables({ game = DEFAULT_GAME, season = null } = {}) {
+	const params = { game };
+	if (season !== null && season !== undefined) {
+		params.season = season;
+	}
+
+	const tables = await apiGet("/table/unverified", params);
+	return Array.isArray(tables) ? tables : [];
+}
+
 /**
  * Get all tables for a player from API and server data
  * @param {string} userId - Discord user ID
@@ -343,10 +693,27 @@ async function getAllPlayerTables(loungeId, serverId, currentSeasonPlayerDetails
 
 		const tables = {};
 		const tablesToPersist = new Map();
+		// Table ids a TableDelete change reversed; marked deleted in storage once the sync is done
+		const deletedTableIds = new Map();
+		// Cursor moves are held back until the tables they cover are saved
+		const cursorUpdates = [];
+
+		// Pending tables aren't part of the stats; once they show up as verified they're refetched and upgraded
+		let pendingTableIds = new Set();
+		try {
+			pendingTableIds = new Set((await database.getPendingUserTables(normalizedId)).map(entry => String(entry.id)));
+		}
+		catch (error) {
+			console.warn(`Could not get pending tables for lounge user ${normalizedId}:`, error);
+		}
+
+		// Players can have tables in several games; only the game of the passed details is synced and returned
+		const detailsGameMode = currentSeasonPlayerDetails?.gameMode || DEFAULT_GAME;
+		const profile = GameProfiles.getProfileForGame(detailsGameMode);
 
 		// Load existing tables into the result
 		for (const { id, data } of existingTables) {
-			if (data) {
+			if (data && GameProfiles.isTableInProfile(data, profile.key)) {
 				tables[id] = data;
 			}
 		}
@@ -356,34 +723,39 @@ async function getAllPlayerTables(loungeId, serverId, currentSeasonPlayerDetails
 			return tables;
 		}
 
-		// Find the maximum table ID we already have and its season
-		// let maxTableId = 0;
-		// let startSeason = 0;
+		// API is down: render from what we have stored and catch up once it's back
+		if (isCircuitOpen() || currentSeasonPlayerDetails?.stale) {
+			markForStaleRefresh(numericId, detailsGameMode);
+			return tables;
+		}
 
-		// for (const table of Object.values(tables)) {
-		// 	const tId = Number(table.id);
-		// 	if (!Number.isNaN(tId) && tId > maxTableId) {
-		// 		maxTableId = tId;
-		// 		const tSeason = Number(table.season);
-		// 		startSeason = !Number.isNaN(tSeason) ? tSeason : 0;
-		// 	}
-		// }
+		const inferredCurrentSeason = currentSeasonPlayerDetails?.season ?? await getCurrentSeason(detailsGameMode);
 
-		const inferredCurrentSeason = currentSeasonPlayerDetails?.season ?? await getCurrentSeason(DEFAULT_GAME, numericId);
+		// Cursors record the newest table seen per mode and season; finished seasons are never rescanned
+		const cursors = new Map();
+		try {
+			for (const cursor of await database.getSyncCursors(normalizedId)) {
+				cursors.set(`${cursor.game}:${cursor.season}`, cursor);
+			}
+		}
+		catch (error) {
+			console.warn(`Could not load sync cursors for lounge user ${normalizedId}:`, error);
+		}
 
-		// Get new tables from API
-		// We iterate through all seasons up to the current one to ensure we don't miss any tables (filling holes)
-		for (let season = 0; season <= inferredCurrentSeason; season++) {
-			// Iterate over game modes relevant for the season
-			const gameModes = season < 2 ? ["mkworld"] : ["mkworld12p", "mkworld24p"];
+		for (let season = profile.firstSeason; season <= inferredCurrentSeason; season++) {
+			const gameModes = SeasonRegistry.getModesForSeason(season, profile.key);
+			const isPastSeason = season < inferredCurrentSeason;
 
 			for (const gameMode of gameModes) {
+				const cursor = cursors.get(`${gameMode}:${season}`);
+				if (cursor?.complete) {
+					continue;
+				}
+
 				try {
 					let details = null;
 					// If a specific details object was passed, only use it if it matches our loop
-					// Assume that if gameMode is missing, it corresponds to DEFAULT_GAME (likely 12p)
-						const detailsGameMode = currentSeasonPlayerDetails?.gameMode || DEFAULT_GAME;
-
+					// (a missing gameMode is taken to be DEFAULT_GAME)
 					if (currentSeasonPlayerDetails &&
 						Number(currentSeasonPlayerDetails.season) === season &&
 						detailsGameMode === gameMode) {
@@ -391,20 +763,33 @@ async function getAllPlayerTables(loungeId, serverId, currentSeasonPlayerDetails
 						details = currentSeasonPlayerDetails;
 					}
 					else {
-							details = await getPlayerDetailsByLoungeId(numericId, season, gameMode);
+						details = await getPlayerDetailsByLoungeId(numericId, season, gameMode);
 					}
 
-					if (!details?.mmrChanges) {
+					// A null here may just mean the breaker tripped mid-sync; only trust real answers
+					if (details?.stale || isCircuitOpen()) {
 						continue;
 					}
 
-					// Fetch tables from mmrChanges...
-					// Note: tables are global entities so we can just merge them.
-					// However, we need to be careful not to double count or confuse counts if we are cross-checking 'eventsPlayed'.
-					// For now, let's just grab all tables referenced in mmrChanges.
-
-					const newTables = details.mmrChanges.filter(c => c.reason === "Table" && !tables[c.changeId]);
-
+					// Tables aren't verified in id order, so "newer" means newer than the cursor's change time
+					for (const change of details?.mmrChanges || []) {
+						if (change.reason === "TableDelete" && change.changeId != null) {
+							deletedTableIds.set(String(change.changeId), change.time || null);
+						}
+					}
+					const tableChanges = (details?.mmrChanges || [])
+						.filter(c => c.reason === "Table")
+						.sort((a, b) => new Date(b.time) - new Date(a.time));
+					const cursorIndex = cursor?.lastChangeId == null
+						? -1
+						: tableChanges.findIndex(c => Number(c.changeId) === cursor.lastChangeId);
+					const unseenChanges = cursorIndex === -1 ? tableChanges : tableChanges.slice(0, cursorIndex);
+					// Pending rows behind the cursor (e.g. a failed save) still get their verified version
+					const newTables = tableChanges.filter(c => !tables[c.changeId]
+						&& !deletedTableIds.has(String(c.changeId))
+						&& (unseenChanges.includes(c) || pendingTableIds.has(String(c.changeId))));
+
+					let failedFetches = 0;
 					const CHUNK_SIZE = 5;
 					for (let i = 0; i < newTables.length; i += CHUNK_SIZE) {
 						const chunk = newTables.slice(i, i + CHUNK_SIZE);
@@ -412,15 +797,30 @@ async function getAllPlayerTables(loungeId, serverId, currentSeasonPlayerDetails
 							try {
 								const tableData = await getTable(change.changeId);
 								if (tableData) {
-									tables[change.changeId] = tableData;
+									// Stored either way; saveTable keeps deleted ones out of the verified set
 									tablesToPersist.set(String(change.changeId), tableData);
+									if (!tableData.deletedOn) {
+										tables[change.changeId] = tableData;
+									}
 								}
 							}
 							catch (error) {
+								failedFetches++;
 								console.warn(`Could not fetch table ${change.changeId}:`, error);
 							}
 						}));
 					}
+
+					// Leave the cursor where it was if anything failed so the next sync retries those tables
+					if (failedFetches > 0) {
+						continue;
+					}
+					cursorUpdates.push({
+						game: gameMode,
+						season,
+						lastChangeId: tableChanges[0]?.changeId ?? cursor?.lastChangeId ?? null,
+						complete: isPastSeason,
+					});
 				}
 				catch (error) {
 					// Skip this mode if API call fails (e.g. 404 for a game mode not played)
@@ -429,12 +829,29 @@ async function getAllPlayerTables(loungeId, serverId, currentSeasonPlayerDetails
 			}
 		}
 
+		let failedSaves = 0;
 		for (const [tableId, tableData] of tablesToPersist.entries()) {
+			// saveTable logs the storage error itself and returns false
+			if (!await database.saveTable(tableId, tableData)) {
+				failedSaves++;
+				console.warn(`Failed to persist table ${tableId} for lounge user ${normalizedId}`);
+			}
+		}
+
+		// A failed save keeps every cursor where it was so the next sync fetches those tables again
+		if (failedSaves === 0) {
+			for (const update of cursorUpdates) {
+				await database.saveSyncCursor(normalizedId, update);
+			}
+		}
+
+		for (const [tableId, deletedOn] of deletedTableIds) {
+			delete tables[tableId];
 			try {
-				await database.saveTable(tableId, tableData);
+				await database.markTableDeleted(tableId, deletedOn);
 			}
 			catch (error) {
-				console.warn(`Failed to persist table ${tableId} for lounge user ${normalizedId}:`, error);
+				console.warn(`Failed to mark table ${tableId} deleted for lounge user ${normalizedId}:`, error);
 			}
 		}
 
@@ -459,9 +876,65 @@ async function getAllPlayerTables(loungeId, serverId, currentSeasonPlayerDetails
 /**
  * Get player strikes/penalties
  * @param {string} name - Player name
- * @param {number} season - Season number (optional, defaults to current season)
+ * @param {Object} options - Optional filters (season, game, isStrike, from, includeDeleted)
  * @returns {Promise<Array>} Array of strikes/penalties
  */
+async function getPlayerPenalties(name, options = {}) {
+	const { season = null, game = DEFAULT_GAME, isStrike = null, from = null, includeDeleted = false } = options;
+	const trimmedName = (name ?? "").trim();
+	if (!trimmedName) {
+		return [];
+	}
+
+	try {
+		const params = {
+			name: trimmedName,
+			game,
+		};
+		if (season !== null && season !== undefined) {
+			params.season = season;
+		}
+		if (isStrike !== null && isStrike !== undefined) {
+			params.isStrike = Boolean(isStrike);
+		}
+		if (from) {
+			params.from = from instanceof Date ? from.toISOString() : from;
+		}
+		if (includeDeleted) {
+			params.includeDeleted = true;
+		}
+
+		const result = await apiGet("/penalty/list", params);
+		return Array.isArray(result) ? result : [];
+	}
+	catch (error) {
+		if (error.message.includes("404")) {
+			return [];
+		}
+		throw error;
+	}
+}
+
+/**
+ * Get a single penalty or strike by ID
+ * @param {number} penaltyId - Penalty ID
+ * @returns {Promise<Object|null>} Penalty data or null if not found
+ */
+async function getPenalty(penaltyId) {
+	try {
+		if (penaltyId === null || penaltyId === undefined) {
+			return null;
+		}
+
+		return await apiGet("/penalty", { id: Number(penaltyId) });
+	}
+	catch (error) {
+		if (error.message.includes("404")) {
+			return null;
+		}
+		throw error;
+	}
+}
 
 /**
  * Get current MMR for a player by Discord ID
@@ -494,12 +967,15 @@ async function getWeeklyMMRChange(loungeId) {
 	try {
 		const oneWeekAgo = new Date();
 		oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-		const currentSeason = await getCurrentSeason(DEFAULT_GAME, loungeId);
+		const currentSeason = await getCurrentSeason(DEFAULT_GAME);
+		const seasons = SeasonRegistry.getSeasons()
+			.filter(entry => entry.season <= currentSeason && entry.modes.includes(DEFAULT_GAME))
+			.map(entry => entry.season);
 
 		let totalChange = 0;
 		let hasChanges = false;
 
-		for (let season = 0; season <= currentSeason; season++) {
+		for (const season of seasons) {
 			try {
 				const details = await getPlayerDetailsByLoungeId(loungeId, season);
 				if (!details?.mmrChanges) {
@@ -558,7 +1034,7 @@ async function getGlobalStats(season = null, game = DEFAULT_GAME) {
  */
 async function getSeasonMMRChange(loungeId, season = null) {
 	try {
-		const targetSeason = season !== null && season !== undefined ? season : await getCurrentSeason(DEFAULT_GAME, loungeId);
+		const targetSeason = season !== null && season !== undefined ? season : await getCurrentSeason(DEFAULT_GAME);
 		let totalChange = 0;
 		let hasChanges = false;
 
@@ -597,11 +1073,19 @@ module.exports = {
 	getPlayerByDiscordId,
 	getPlayerByDiscordIdDetailed,
 	getPlayerDetailsByLoungeId,
+	getPreferredPlayerDetails,
 	getTable,
+	getTableList,
+	getUnverifiedTables,
 	getAllPlayerTables,
-	DEFAULT_SEASON,
+	getPlayerPenalties,
+	getPenalty,
+	getApiBase,
+	getRequestMetrics,
+	invalidateApiCache,
+	getApiCacheStats,
+	getCircuitState,
 	DEFAULT_GAME,
-	getCachedCurrentSeason,
 	getCurrentMMR,
 	getWeeklyMMRChange,
 	getSeasonMMRChange,
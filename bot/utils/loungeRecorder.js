@@ -0,0 +1,107 @@
+/**
+ * Record/replay storage for Lounge API traffic
+ * LOUNGE_API_MODE=record writes every apiGet response to disk, LOUNGE_API_MODE=replay serves them back offline.
+ * Recordings are keyed by endpoint and normalized query params.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, "..", "data", "lounge-recordings");
+
+function getMode() {
+	const mode = (process.env.LOUNGE_API_MODE || "").trim().toLowerCase();
+	return mode === "record" || mode === "replay" ? mode : "live";
+}
+
+function getRecordingsDir() {
+	return process.env.LOUNGE_API_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+}
+
+/**
+ * Normalize query params the same way apiGet sends them: drop empty values, stringify, sort keys
+ * @param {Object} params - Query parameters
+ * @returns {Object} Normalized params
+ */
+function normalizeParams(params = {}) {
+	const normalized = {};
+	for (const key of Object.keys(params).sort()) {
+		const value = params[key];
+		if (value === null || value === undefined) continue;
+		normalized[key] = value.toString();
+	}
+	return normalized;
+}
+
+function getRecordingPath(endpoint, params) {
+	const normalized = normalizeParams(params);
+	const hash = crypto.createHash("sha1")
+		.update(`${endpoint}?${new URLSearchParams(normalized).toString()}`)
+		.digest("hex")
+		.slice(0, 16);
+	const endpointSlug = endpoint.replace(/^\/+/, "").replace(/[^a-z0-9]+/gi, "_") || "root";
+	return path.join(getRecordingsDir(), endpointSlug, `${hash}.json`);
+}
+
+/**
+ * Save a response (or a non-retryable error status) for later replay
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {Object} response - { status, statusText, body }
+ */
+async function record(endpoint, params, { status, statusText = "", body = null }) {
+	const filePath = getRecordingPath(endpoint, params);
+	try {
+		await fs.mkdir(path.dirname(filePath), { recursive: true });
+		await fs.writeFile(filePath, JSON.stringify({
+			endpoint,
+			params: normalizeParams(params),
+			status,
+			statusText,
+			recordedAt: new Date().toISOString(),
+			body,
+		}, null, 2));
+	}
+	catch (error) {
+		console.error(`failed to record lounge response for ${endpoint}:`, error);
+	}
+}
+
+/**
+ * Serve a recorded response. Throws on a cache miss so gaps in a recording are obvious.
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Recorded response body
+ */
+async function replay(endpoint, params) {
+	const filePath = getRecordingPath(endpoint, params);
+	let recording;
+	try {
+		recording = JSON.parse(await fs.readFile(filePath, "utf8"));
+	}
+	catch (error) {
+		if (error.code !== "ENOENT") {
+			throw error;
+		}
+		console.error(`[LoungeAPI] replay miss for ${endpoint} ${JSON.stringify(normalizeParams(params))} (expected ${filePath})`);
+		// Keep the message free of ids/status codes so callers don't mistake a miss for a 404
+		const missError = new Error(`Replay miss: no recording for ${endpoint}`);
+		missError.code = "LOUNGE_REPLAY_MISS";
+		throw missError;
+	}
+
+	if (recording.status < 200 || recording.status >= 300) {
+		throw new Error(`API Error: ${recording.status} ${recording.statusText || ""}`);
+	}
+	return recording.body;
+}
+
+module.exports = {
+	getMode,
+	getRecordingsDir,
+	normalizeParams,
+	getRecordingPath,
+	record,
+	replay,
+};
@@ -0,0 +1,160 @@
+/**
+ * Schema migrations
+ * Numbered up-migrations live in bot/migrations as `NNN-description.js`, each exporting a name and a step
+ * per store: `postgres(client)`, `sqlite(db)` and/or `files(dataDir)`. Applied versions are recorded in the
+ * schema_migrations table (Postgres, SQLite) or data/schema_migrations.json (file store), so every deployment
+ * knows which schema it is on. The bot applies pending migrations on startup; the CLI applies or checks them
+ * before a deploy.
+ *
+ * CLI: node bot/utils/migrations.js [--check]
+ */
+
+if (require.main === module) {
+	// Load before database.js is required so it sees DATABASE_URL
+	require("dotenv").config();
+}
+
+const { readdirSync } = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILENAME_REGEX = /^(\d+)-([\w-]+)\.js$/;
+
+let cachedMigrations = null;
+
+/**
+ * Every migration in bot/migrations, oldest first
+ * @returns {Array} [{ version, name, postgres, sqlite, files }]
+ */
+function loadMigrations() {
+	if (cachedMigrations) {
+		return cachedMigrations;
+	}
+	const seenVersions = new Set();
+	const migrations = [];
+	for (const file of readdirSync(MIGRATIONS_DIR)) {
+		const match = MIGRATION_FILENAME_REGEX.exec(file);
+		if (!match) continue;
+		const version = Number(match[1]);
+		if (seenVersions.has(version)) {
+			throw new Error(`duplicate migration version ${version} (${file})`);
+		}
+		seenVersions.add(version);
+		const migration = require(path.join(MIGRATIONS_DIR, file));
+		migrations.push({
+			version,
+			name: migration.name || match[2].replace(/-/g, " "),
+			postgres: migration.postgres || null,
+			sqlite: migration.sqlite || null,
+			files: migration.files || null,
+		});
+	}
+	cachedMigrations = migrations.sort((a, b) => a.version - b.version);
+	return cachedMigrations;
+}
+
+/**
+ * Versions already applied to a store
+ * @param {Object} storage - Storage adapter (see storage/)
+ * @returns {Promise<Array>} [{ version, name, appliedAt }]
+ */
+async function getAppliedMigrations(storage) {
+	return await storage.getAppliedMigrations();
+}
+
+/**
+ * Compare applied migrations against the ones shipped with this build
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} { current, applied, pending, unknown } where unknown are applied versions this build doesn't have
+ */
+async function getMigrationStatus(storage) {
+	const migrations = loadMigrations();
+	const applied = await getAppliedMigrations(storage);
+	const appliedVersions = new Set(applied.map(entry => entry.version));
+	const knownVersions = new Set(migrations.map(migration => migration.version));
+	return {
+		current: applied.length ? Math.max(...appliedVersions) : 0,
+		applied,
+		pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+		unknown: applied.filter(entry => !knownVersions.has(entry.version)),
+	};
+}
+
+/**
+ * Apply every pending migration, oldest first. Stops at the first failure; the SQL stores run each step in
+ * a transaction and record it in the same one, the file store records a step once it has finished.
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options - onApplied(migration)
+ * @returns {Promise<Array>} Migrations applied by this call
+ */
+async function migrate(storage, { onApplied = null } = {}) {
+	const migrations = loadMigrations();
+	return await storage.withMigrationLock(async () => {
+		const done = new Set((await storage.getAppliedMigrations()).map(entry => entry.version));
+		const applied = [];
+		for (const migration of migrations) {
+			if (done.has(migration.version)) continue;
+			try {
+				await storage.applyMigration(migration);
+			}
+			catch (error) {
+				throw new Error(`migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+			}
+			applied.push(migration);
+			if (typeof onApplied === "function") onApplied(migration);
+		}
+		return applied;
+	});
+}
+
+async function runCli() {
+	const checkOnly = process.argv.slice(2).includes("--check");
+	// The CLI decides what gets applied; don't let the database module migrate on load
+	process.env.DATABASE_AUTO_MIGRATE = "false";
+	const database = require("./database");
+
+	try {
+		const { storage } = database;
+		const status = await getMigrationStatus(storage);
+		const store = `${storage.kind} storage`;
+		if (status.unknown.length) {
+			console.warn(`${store} has migrations this build doesn't know about: ${status.unknown.map(entry => entry.version).join(", ")}`);
+		}
+
+		if (checkOnly) {
+			console.log(`${store} is at version ${status.current}`);
+			for (const migration of status.pending) {
+				console.log(`pending: ${migration.version} ${migration.name}`);
+			}
+			// Non-zero so deploy scripts can refuse to start against an outdated schema
+			process.exitCode = status.pending.length ? 1 : 0;
+			return;
+		}
+
+		const applied = await migrate(storage, {
+			onApplied: migration => console.log(`applied ${migration.version} ${migration.name}`),
+		});
+		const { current } = await getMigrationStatus(storage);
+		console.log(applied.length
+			? `${store} migrated to version ${current}`
+			: `${store} is up to date (version ${current})`);
+	}
+	catch (error) {
+		console.error("migration failed:", error.message);
+		process.exitCode = 1;
+	}
+	finally {
+		await database.close();
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	loadMigrations,
+	getAppliedMigrations,
+	getMigrationStatus,
+	migrate,
+};
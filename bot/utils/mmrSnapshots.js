@@ -0,0 +1,193 @@
+/**
+ * Daily MMR snapshots
+ * The lounge api keeps a player's mmr changes but no history of their rank, overall rank or events played.
+ * This job records those once a day for every player in user_data, per game mode, so the bot can show movement
+ * since an earlier day, answer "rank on date X" and chart server trends (database.getMmrHistory and
+ * getMmrSnapshotsAsOf). A pass covers one UTC day, saves its progress as it goes and resumes where it stopped.
+ *
+ * CLI: node bot/utils/mmrSnapshots.js [--limit 500] [--restart]
+ */
+
+if (require.main === module) {
+	// Load before database.js is required so it sees DATABASE_URL
+	require("dotenv").config();
+}
+
+const LoungeApi = require("./loungeApi");
+const database = require("./database");
+const GameProfiles = require("./gameProfiles");
+const PlayerStats = require("./playerStats");
+const { withPriority } = require("./requestScheduler");
+
+const JOB_KEY = "snapshot:mmr";
+const DEFAULT_JOB_INTERVAL_MS = 60 * 60 * 1000;
+// Progress is saved this often, so a restart repeats at most this many players
+const SAVE_EVERY_PLAYERS = 25;
+const SNAPSHOT_GAMES = GameProfiles.getProfiles().flatMap(profile => GameProfiles.getModeGames(profile.key));
+
+function currentDay() {
+	return new Date().toISOString().slice(0, 10);
+}
+
+function buildSnapshot(details, game, day) {
+	return {
+		game,
+		day,
+		season: details.season,
+		mmr: details.mmr,
+		maxMmr: details.maxMmr,
+		rank: details.rankName || details.rank || PlayerStats.getRankThresholdForMmr(details.mmr, game, details.season)?.label || null,
+		overallRank: details.overallRank,
+		eventsPlayed: details.eventsPlayed,
+	};
+}
+
+/**
+ * Snapshot a player in every mode they have played this season
+ * @returns {Promise<number>} Modes recorded
+ * @throws {Error} When the api is unavailable, so the pass stops before this player instead of skipping them
+ */
+async function snapshotPlayer(loungeId, day, games = SNAPSHOT_GAMES) {
+	let recorded = 0;
+	for (const game of games) {
+		const details = await LoungeApi.getPlayerDetailsByLoungeId(loungeId, null, game);
+		// While the circuit is open stored details (stale) or nothing come back; neither describes today
+		if (details?.stale || (!details && LoungeApi.getCircuitState().state !== "closed")) {
+			throw new Error("lounge api unavailable");
+		}
+		if (details && await database.saveMmrSnapshot(loungeId, buildSnapshot(details, game, day))) {
+			recorded++;
+		}
+	}
+	return recorded;
+}
+
+/**
+ * Snapshot tracked players for today, resuming today's pass. A finished pass does nothing until the next day.
+ * @param {Object} options - limit (max players this call), restart (start today's pass over), games, onProgress(state)
+ * @returns {Promise<Object>} Pass state ({ day, cursor, players, snapshots, startedAt, completedAt }) plus runPlayers
+ */
+async function snapshotPlayers({ limit = Infinity, restart = false, games = SNAPSHOT_GAMES, onProgress = null } = {}) {
+	const day = currentDay();
+	const saved = restart ? null : await database.getBackfillState(JOB_KEY);
+	const state = saved?.day === day ? saved : {
+		day,
+		cursor: null,
+		players: 0,
+		snapshots: 0,
+		startedAt: new Date().toISOString(),
+		completedAt: null,
+	};
+	if (state.completedAt) {
+		return { ...state, runPlayers: 0 };
+	}
+
+	return await withPriority("background", async () => {
+		const loungeIds = (await database.getAllUserIds()).map(String).sort();
+		const remaining = state.cursor === null ? loungeIds : loungeIds.filter(loungeId => loungeId > state.cursor);
+		let runPlayers = 0;
+		for (const loungeId of remaining.slice(0, limit)) {
+			state.snapshots += await snapshotPlayer(loungeId, day, games);
+			state.cursor = loungeId;
+			state.players++;
+			runPlayers++;
+			if (runPlayers % SAVE_EVERY_PLAYERS === 0) {
+				await database.saveBackfillState(JOB_KEY, state);
+				if (typeof onProgress === "function") {
+					onProgress({ ...state });
+				}
+			}
+		}
+		if (runPlayers === remaining.length) {
+			state.completedAt = new Date().toISOString();
+		}
+		await database.saveBackfillState(JOB_KEY, state);
+		return { ...state, runPlayers };
+	});
+}
+
+/**
+ * Take each day's snapshots in the background (bot background job). Runs after the first check of a new UTC
+ * day, so a shorter interval gets the snapshot closer to midnight.
+ * @param {Object} options - intervalMs, games
+ * @returns {Function} Stops the job
+ */
+function startSnapshotJob({ intervalMs = DEFAULT_JOB_INTERVAL_MS, games = SNAPSHOT_GAMES } = {}) {
+	let timer = null;
+	let stopped = false;
+
+	async function tick() {
+		try {
+			const result = await snapshotPlayers({ games });
+			if (result.runPlayers && result.completedAt) {
+				console.log(`mmr snapshots for ${result.day}: ${result.snapshots} snapshots of ${result.players} players`);
+			}
+		}
+		catch (error) {
+			console.warn("mmr snapshots stopped early:", error.message);
+		}
+		if (!stopped) {
+			timer = setTimeout(tick, intervalMs);
+		}
+	}
+
+	tick();
+	return () => {
+		stopped = true;
+		if (timer) clearTimeout(timer);
+	};
+}
+
+function parseArgs(argv) {
+	const options = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith("--")) continue;
+		const next = argv[i + 1];
+		if (next === undefined || next.startsWith("--")) {
+			options[arg.slice(2)] = true;
+			continue;
+		}
+		options[arg.slice(2)] = next;
+		i++;
+	}
+	return options;
+}
+
+async function runCli() {
+	const args = parseArgs(process.argv.slice(2));
+	const limit = args.limit !== undefined ? Number(args.limit) : Infinity;
+	if (!(limit > 0)) {
+		console.error("usage: node bot/utils/mmrSnapshots.js [--limit n] [--restart]");
+		process.exitCode = 1;
+		return;
+	}
+
+	try {
+		const state = await snapshotPlayers({
+			limit,
+			restart: Boolean(args.restart),
+			onProgress: progress => console.log(`through player ${progress.cursor}: ${progress.players} players, ${progress.snapshots} snapshots`),
+		});
+		console.log(state.completedAt
+			? `snapshots for ${state.day} complete: ${state.snapshots} snapshots of ${state.players} players`
+			: `snapshots for ${state.day} paused after player ${state.cursor} (rerun to continue): ${state.snapshots} snapshots of ${state.players} players`);
+	}
+	catch (error) {
+		console.error("snapshots stopped (rerun to resume):", error);
+		process.exitCode = 1;
+	}
+	finally {
+		await database.close();
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	snapshotPlayer,
+	snapshotPlayers,
+	startSnapshotJob,
+};
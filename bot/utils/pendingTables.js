@@ -0,0 +1,191 @@
+/**
+ * Pending tables
+ * Polls /table/unverified and stores the tables tracked players appear in with a pending status, so
+ * submitted mogis can be shown before staff verify them. Tables that drop off the unverified list are
+ * settled: upgraded in place once verified, dropped when they were rejected. Pending tables never count
+ * towards stats.
+ */
+
+const LoungeApi = require("./loungeApi");
+const PlayerStats = require("./playerStats");
+const database = require("./database");
+const GameProfiles = require("./gameProfiles");
+const { withPriority } = require("./requestScheduler");
+
+const DEFAULT_JOB_INTERVAL_MS = 5 * 60 * 1000;
+// /pending polls on demand, but a game's list is reused if it was fetched this recently
+const REFRESH_MAX_AGE_MS = 60 * 1000;
+const LIVE_GAMES = GameProfiles.getProfiles().flatMap(profile => GameProfiles.getModeGames(profile.key));
+
+// game -> time of the last successful poll
+const lastPolledAt = new Map();
+
+async function storePendingTable(table, trackedIds) {
+	const trackedPlayers = PlayerStats.getPlayersFromTable(table)
+		.filter(player => player.playerId !== null && player.playerId !== undefined && trackedIds.has(String(player.playerId)));
+	if (!trackedPlayers.length) {
+		return false;
+	}
+	if (!await database.saveTable(table.id, table, { status: "pending" })) {
+		return false;
+	}
+	for (const player of trackedPlayers) {
+		await database.linkUserToTable(player.playerId, table.id);
+	}
+	return true;
+}
+
+/**
+ * Tables that left the unverified list were either verified or rejected
+ * @returns {Promise<number>} Number of pending tables upgraded or dropped
+ */
+async function settlePendingTables(games, stillPendingIds) {
+	let settled = 0;
+	for (const { id, data } of await database.getPendingTables()) {
+		if (stillPendingIds.has(String(id)) || !games.includes(data?.game)) continue;
+		try {
+			const table = await LoungeApi.getTable(id);
+			if (table?.verifiedOn && !table.deletedOn) {
+				settled += await database.saveTable(id, table) ? 1 : 0;
+			}
+			else if (!table || table.deletedOn) {
+				settled += await database.deletePendingTable(id) ? 1 : 0;
+			}
+		}
+		catch (error) {
+			console.warn(`pending tables: could not settle table ${id}:`, error.message);
+		}
+	}
+	return settled;
+}
+
+/**
+ * Fetch the unverified tables of some games and store those with tracked players. Requests run at the
+ * caller's priority; concurrent polls share the API responses through the response cache.
+ * @param {Object} options - games, maxAgeMs (skip games polled more recently), extraPlayerIds (count as tracked),
+ * awaitSettle (false settles in the background and reports 0 settled)
+ * @returns {Promise<Object>} { stored, settled, games }
+ */
+async function pollPendingTables({ games = LIVE_GAMES, maxAgeMs = 0, extraPlayerIds = [], awaitSettle = true } = {}) {
+	const staleGames = games.filter(game => Date.now() - (lastPolledAt.get(game) || 0) >= maxAgeMs);
+	if (!staleGames.length) {
+		return { stored: 0, settled: 0, games: [] };
+	}
+
+	const trackedIds = new Set((await database.getAllUserIds()).map(String));
+	for (const loungeId of extraPlayerIds) {
+		trackedIds.add(String(loungeId));
+	}
+
+	const polledGames = [];
+	const stillPendingIds = new Set();
+	let stored = 0;
+	for (const game of staleGames) {
+		try {
+			const tables = await LoungeApi.getUnverifiedTables({ game });
+			for (const table of tables) {
+				if (!table?.id || table.verifiedOn || table.deletedOn) continue;
+				stillPendingIds.add(String(table.id));
+				if (await storePendingTable(table, trackedIds)) {
+					stored++;
+				}
+			}
+			polledGames.push(game);
+			lastPolledAt.set(game, Date.now());
+		}
+		catch (error) {
+			console.warn(`pending tables (${game}) poll failed:`, error.message);
+		}
+	}
+
+	// Only games whose list was actually fetched can tell which tables are no longer pending
+	if (!polledGames.length) {
+		return { stored, settled: 0, games: polledGames };
+	}
+	if (!awaitSettle) {
+		// Settling refetches every table that left the list, so it's left to run behind interactive requests
+		withPriority("background", () => settlePendingTables(polledGames, stillPendingIds))
+			.catch(error => console.warn("pending tables: settling failed:", error.message));
+		return { stored, settled: 0, games: polledGames };
+	}
+	const settled = await settlePendingTables(polledGames, stillPendingIds);
+	return { stored, settled, games: polledGames };
+}
+
+/**
+ * A player's pending mogis with their provisional score and placement
+ * @param {string|number} loungeId - Lounge player ID
+ * @param {Object} options - game (profile key), refresh (poll the game's unverified tables first)
+ * @returns {Promise<Array>} Newest first: { tableId, game, tier, format, numPlayers, createdOn, score, placement, isTied, teamRank }
+ */
+async function getPendingTablesForPlayer(loungeId, { game = GameProfiles.DEFAULT_PROFILE_KEY, refresh = true } = {}) {
+	const normalizedId = String(loungeId ?? "").trim();
+	if (!normalizedId) {
+		return [];
+	}
+	if (refresh) {
+		await pollPendingTables({
+			games: GameProfiles.getModeGames(game),
+			maxAgeMs: REFRESH_MAX_AGE_MS,
+			extraPlayerIds: [normalizedId],
+			awaitSettle: false,
+		});
+	}
+
+	const entries = [];
+	for (const { id, data } of await database.getPendingUserTables(normalizedId)) {
+		if (!GameProfiles.isTableInProfile(data, game)) continue;
+		const ranking = PlayerStats.getPlayerRankingInTable(data, normalizedId);
+		if (!ranking) continue;
+		entries.push({
+			tableId: String(id),
+			game: data.game || null,
+			tier: data.tier || null,
+			format: data.format || null,
+			numPlayers: Number(data.numPlayers ?? data.numplayers) || null,
+			createdOn: data.createdOn || null,
+			score: Number.isFinite(Number(ranking.score)) ? Number(ranking.score) : null,
+			placement: ranking.individualRank,
+			isTied: ranking.isTied,
+			teamRank: ranking.teamRank ?? null,
+		});
+	}
+	return entries.sort((a, b) => new Date(b.createdOn || 0) - new Date(a.createdOn || 0));
+}
+
+/**
+ * Periodically poll unverified tables (bot background job)
+ * @param {Object} options - intervalMs, games
+ * @returns {Function} Stops the job
+ */
+function startPendingTablesJob({ intervalMs = DEFAULT_JOB_INTERVAL_MS, games = LIVE_GAMES } = {}) {
+	let timer = null;
+	let stopped = false;
+
+	async function tick() {
+		try {
+			const result = await withPriority("background", () => pollPendingTables({ games }));
+			if (result.stored || result.settled) {
+				console.log(`pending tables: ${result.stored} stored, ${result.settled} settled`);
+			}
+		}
+		catch (error) {
+			console.warn("pending tables poll failed:", error.message);
+		}
+		if (!stopped) {
+			timer = setTimeout(tick, intervalMs);
+		}
+	}
+
+	tick();
+	return () => {
+		stopped = true;
+		if (timer) clearTimeout(timer);
+	};
+}
+
+module.exports = {
+	pollPendingTables,
+	getPendingTablesForPlayer,
+	startPendingTablesJob,
+};
@@ -12,6 +12,8 @@ async function resolveTargetPlayer(interaction, {
 	let loungeName = null;
 	let discordUser = null;
 	let displayName = null;
+	// How discordUser was tied to the player (see saveUserData's linkSource)
+	let linkSource = "lounge";
 
 	if (targetLoungeId && !targetLoungeId.length) {
 		targetLoungeId = null;
@@ -38,9 +40,8 @@ async function resolveTargetPlayer(interaction, {
 							loungeName = byDiscord.name;
 							await Database.saveUserData(targetLoungeId, {
 								loungeName: byDiscord.name,
-								discordIds: [trimmedInput],
 								countryCode: byDiscord.countryCode,
-							});
+							}, { verifiedDiscordId: trimmedInput });
 						}
 					}
 
@@ -79,13 +80,13 @@ async function resolveTargetPlayer(interaction, {
 							loungeName = byDiscord.name;
 							await Database.saveUserData(targetLoungeId, {
 								loungeName: byDiscord.name,
-								discordIds: [discordId],
 								countryCode: byDiscord.countryCode,
-							});
+							}, { linkSource: "mention", verifiedDiscordId: discordId });
 						}
 					}
 
 					if (targetLoungeId) {
+						linkSource = "mention";
 						try {
 							discordUser = await interaction.client.users.fetch(discordId);
 							displayName = discordUser.globalName || discordUser.username;
@@ -117,6 +118,20 @@ async function resolveTargetPlayer(interaction, {
 				// console.warn(`lounge player lookup for "${trimmedInput}" failed:`, error);
 			}
 		}
+
+		// D. Fall back to names players have gone by before
+		if (!targetLoungeId) {
+			try {
+				const [formerMatch] = await Database.findUsersByFormerName(trimmedInput, { exact: true, limit: 1 });
+				if (formerMatch?.loungeId) {
+					targetLoungeId = String(formerMatch.loungeId);
+					loungeName = formerMatch.loungeName || null;
+				}
+			}
+			catch (error) {
+				// console.warn(`former name lookup for "${trimmedInput}" failed:`, error);
+			}
+		}
 	}
 
 	// 2. If no target yet, and we should default to invoker
@@ -136,9 +151,8 @@ async function resolveTargetPlayer(interaction, {
 					// Cache this result for future use
 					await Database.saveUserData(targetLoungeId, {
 						loungeName: loungeUser.name,
-						discordIds: [invokingUser.id],
 						countryCode: loungeUser.countryCode,
-					});
+					}, { verifiedDiscordId: invokingUser.id });
 				}
 			}
 		}
@@ -162,10 +176,9 @@ async function resolveTargetPlayer(interaction, {
 			// Try to find Discord ID from our DB first
 			let storedDiscordId = null;
 			try {
-				const userData = await Database.getUserData(targetLoungeId);
-				if (userData?.discordIds?.length) {
-					storedDiscordId = userData.discordIds[0];
-				}
+				const [discordLink] = await Database.getDiscordLinksForUser(targetLoungeId);
+				storedDiscordId = discordLink?.discordId || null;
+				const userData = loungeName ? null : await Database.getUserData(targetLoungeId);
 				if (userData?.loungeName && !loungeName) {
 					loungeName = userData.loungeName;
 				}
@@ -211,6 +224,7 @@ async function resolveTargetPlayer(interaction, {
 		loungeName,
 		discordUser,
 		displayName,
+		linkSource,
 	};
 }
 
@@ -4,70 +4,50 @@
  */
 
 const database = require("./database");
-const LoungeApi = require("./loungeApi");
+const SeasonRegistry = require("./seasonRegistry");
+const RankThresholds = require("./rankThresholds");
+const GameProfiles = require("./gameProfiles");
 
 const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
-
-const RANK_SUFFIX_REGEX = /\s*(?:\d+|[ivxlcdm]+)$/i;
-
-function normalizeRankName(name) {
-	if (!name) {
-		return "";
-	}
-	let normalized = String(name).trim().toLowerCase();
-	while (RANK_SUFFIX_REGEX.test(normalized)) {
-		normalized = normalized.replace(RANK_SUFFIX_REGEX, "");
-	}
-	return normalized;
-}
-
-const RANK_THRESHOLDS_12P = [
-	{ key: "iron", label: "iron", text: "iron", min: 0, max: 2000, emoji: "⛏️" },
-	{ key: "bronze", label: "bronze", text: "bronze", min: 2000, max: 4000, emoji: "🧸" },
-	{ key: "silver", label: "silver", text: "silver", min: 4000, max: 6000, emoji: "💿" },
-	{ key: "gold", label: "gold", text: "gold", min: 6000, max: 8000, emoji: "⭐" },
-	{ key: "platinum", label: "platinum", text: "platinum", min: 8000, max: 9500, emoji: "🦚" },
-	{ key: "sapphire", label: "sapphire", text: "sapphire", min: 9500, max: 11000, emoji: "🌊" },
-	{ key: "ruby", label: "ruby", text: "ruby", min: 11000, max: 12500, emoji: "🍓" },
-	{ key: "diamond", label: "diamond", text: "diamond", min: 12500, max: 14000, emoji: "💎" },
-	{ key: "master", label: "master", text: "master", min: 14000, max: 15000, emoji: "🪻" },
-	{ key: "grandmaster", label: "grandmaster", text: "grandmaster", min: 15000, max: Infinity, emoji: "🎸" },
-];
-
-const RANK_THRESHOLDS_24P = [
-	{ key: "iron", label: "iron", text: "iron", min: 0, max: 2000, emoji: "⛏️" },
-	{ key: "bronze", label: "bronze", text: "bronze", min: 2000, max: 4000, emoji: "🧸" },
-	{ key: "silver", label: "silver", text: "silver", min: 4000, max: 6000, emoji: "💿" },
-	{ key: "gold", label: "gold", text: "gold", min: 6000, max: 8000, emoji: "⭐" },
-	{ key: "platinum", label: "platinum", text: "platinum", min: 8000, max: 10000, emoji: "🦚" },
-	{ key: "sapphire", label: "sapphire", text: "sapphire", min: 10000, max: 11500, emoji: "🌊" },
-	{ key: "ruby", label: "ruby", text: "ruby", min: 11500, max: 13000, emoji: "🍓" },
-	{ key: "diamond", label: "diamond", text: "diamond", min: 13000, max: 14500, emoji: "💎" },
-	{ key: "master", label: "master", text: "master", min: 14500, max: 15500, emoji: "🪻" },
-	{ key: "grandmaster", label: "grandmaster", text: "grandmaster", min: 15500, max: Infinity, emoji: "🎸" },
-];
-
-const RANK_THRESHOLDS = RANK_THRESHOLDS_12P;
-
-function createRankThresholdMap(thresholds) {
-	return thresholds.reduce((map, tier) => {
-		const aliases = [tier.key, tier.label, tier.text];
-		for (const alias of aliases) {
-			const normalized = normalizeRankName(alias);
-			if (!normalized) {
-				continue;
+// Lounge strikes fall off 30 days after they are awarded
+const STRIKE_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Maps each MmrChangeReason to a ledger bucket; deletions land in the bucket they reverse
+const MMR_CHANGE_CATEGORIES = {
+	Table: "table",
+	TableDelete: "table",
+	Penalty: "penalty",
+	PenaltyDelete: "penalty",
+	Strike: "penalty",
+	StrikeDelete: "penalty",
+	Bonus: "bonus",
+	BonusDelete: "bonus",
+	Placement: "placement",
+};
+
+const { normalizeRankName } = RankThresholds;
+
+// Keyed by threshold array so season-specific tables get their own lookup
+const rankThresholdMaps = new WeakMap();
+
+function getRankThresholdMap(thresholds) {
+	if (!rankThresholdMaps.has(thresholds)) {
+		rankThresholdMaps.set(thresholds, thresholds.reduce((map, tier) => {
+			const aliases = [tier.key, tier.label, tier.text];
+			for (const alias of aliases) {
+				const normalized = normalizeRankName(alias);
+				if (!normalized) {
+					continue;
+				}
+				map[normalized] = tier;
 			}
-			map[normalized] = tier;
-		}
-		return map;
-	}, Object.create(null));
+			return map;
+		}, Object.create(null)));
+	}
+	return rankThresholdMaps.get(thresholds);
 }
 
-const RANK_THRESHOLD_MAP_12P = createRankThresholdMap(RANK_THRESHOLDS_12P);
-const RANK_THRESHOLD_MAP_24P = createRankThresholdMap(RANK_THRESHOLDS_24P);
-const RANK_THRESHOLD_MAP = RANK_THRESHOLD_MAP_12P;
-
-const RANK_ICON_FILENAME_MAP = RANK_THRESHOLDS.reduce((map, tier) => {
+const RANK_ICON_FILENAME_MAP = RankThresholds.getFallbackThresholds("12p").reduce((map, tier) => {
 	const aliases = [tier.key, tier.label, tier.text];
 	const filename = `${tier.text}.png`;
 	for (const alias of aliases) {
@@ -83,25 +63,26 @@ const RANK_ICON_FILENAME_MAP = RANK_THRESHOLDS.reduce((map, tier) => {
 }, Object.create(null));
 
 class PlayerStats {
-	static getRankThresholds(mode = "12p") {
-		if (mode === "24p" || mode === "mkworld24p") {
-			return RANK_THRESHOLDS_24P;
-		}
-		return RANK_THRESHOLDS_12P;
+	/**
+	 * Rank thresholds for a mode and season (current season by default)
+	 * Season-specific tables come from RankThresholds.ensureThresholds; until then the hardcoded ones are used
+	 */
+	static getRankThresholds(mode = "12p", season = null) {
+		return RankThresholds.getThresholds(mode, season);
 	}
 
-	static getRankThresholdByName(name, mode = "12p") {
+	static getRankThresholdByName(name, mode = "12p", season = null) {
 		const normalized = normalizeRankName(name);
-		const map = (mode === "24p" || mode === "mkworld24p") ? RANK_THRESHOLD_MAP_24P : RANK_THRESHOLD_MAP_12P;
+		const map = getRankThresholdMap(PlayerStats.getRankThresholds(mode, season));
 		return normalized ? (map[normalized] || null) : null;
 	}
 
-	static getRankThresholdForMmr(mmr, mode = "12p") {
+	static getRankThresholdForMmr(mmr, mode = "12p", season = null) {
 		const value = Number(mmr);
 		if (!Number.isFinite(value)) {
 			return null;
 		}
-		const thresholds = (mode === "24p" || mode === "mkworld24p") ? RANK_THRESHOLDS_24P : RANK_THRESHOLDS_12P;
+		const thresholds = PlayerStats.getRankThresholds(mode, season);
 		for (const tier of thresholds) {
 			if (value >= tier.min && (value < tier.max || !Number.isFinite(tier.max))) {
 				return tier;
@@ -126,8 +107,8 @@ class PlayerStats {
 		return null;
 	}
 
-	static getRankIconFilenameForMmr(mmr, mode = "12p") {
-		const tier = PlayerStats.getRankThresholdForMmr(mmr, mode);
+	static getRankIconFilenameForMmr(mmr, mode = "12p", season = null) {
+		const tier = PlayerStats.getRankThresholdForMmr(mmr, mode, season);
 		if (!tier) {
 			return null;
 		}
@@ -313,15 +294,29 @@ class PlayerStats {
 		) || null;
 	}
 
+	/**
+	 * Whether a table was deleted on the lounge (its MMR changes were reversed)
+	 * @param {Object} table - Table object from the API or storage
+	 * @returns {boolean}
+	 */
+	static isTableDeleted(table) {
+		return Boolean(table?.deletedOn);
+	}
+
 	/**
 	 * Get all players from a table with team information
+	 * Deleted tables have no players unless includeDeleted is set, so aggregations skip them by default
 	 * @param {Object} table - Table object from the API
+	 * @param {Object} options - includeDeleted
 	 * @returns {Array} Array of all players with team info
 	 */
-	static getPlayersFromTable(table) {
+	static getPlayersFromTable(table, { includeDeleted = false } = {}) {
 		if (!table || !table.teams) {
 			return [];
 		}
+		if (!includeDeleted && PlayerStats.isTableDeleted(table)) {
+			return [];
+		}
 
 		const allPlayers = [];
 
@@ -373,86 +368,145 @@ class PlayerStats {
 		return totalDelta;
 	}
 
+	/**
+	 * Net MMR change over the time filter, penalties, bonuses and placement included (see buildMmrLedger).
+	 * Those aren't tied to a queue, so with a queue filter only the changes for tableIds count.
+	 */
 	static computeMmrDeltaForFilter({
 		playerDetails = null,
-		mmrChanges: mmrChangesOverride = null,
+		mmrChanges = null,
 		tableIds = null,
 		timeFilter = "alltime",
 		queueFilter = "both",
-		playerCountFilter = "both",
 		now = Date.now(),
 	} = {}) {
-		const changes = Array.isArray(mmrChangesOverride)
-			? mmrChangesOverride
+		if (!queueFilter || queueFilter === "both") {
+			return PlayerStats.buildMmrLedger({ playerDetails, mmrChanges, timeFilter, now }).total;
+		}
+
+		const changes = Array.isArray(mmrChanges)
+			? mmrChanges
 			: Array.isArray(playerDetails?.mmrChanges)
 				? playerDetails.mmrChanges
 				: [];
-		if (!changes.length) {
-			return 0;
-		}
+		const tableIdSet = new Set((Array.isArray(tableIds) ? tableIds : [])
+			.filter(id => id !== null && id !== undefined)
+			.map(String));
+
+		let totalDelta = 0;
+		for (const change of changes) {
+			if (!change) continue;
+			const delta = Number(change.mmrDelta ?? change.delta);
+			if (!Number.isFinite(delta)) continue;
 
-		const includeAllSeason = timeFilter === "season"
-			&& queueFilter === "both"
-			&& playerCountFilter === "both";
-		if (includeAllSeason) {
-			let seasonDelta = 0;
-			for (const change of changes) {
-				if (!change) continue;
-				const delta = Number(change.mmrDelta ?? change.delta);
-				if (!Number.isFinite(delta)) continue;
-				seasonDelta += delta;
+			const rawTableId = change.tableId ?? change.changeId;
+			if (rawTableId != null && tableIdSet.has(String(rawTableId))) {
+				totalDelta += delta;
 			}
-			return seasonDelta;
 		}
 
-		const tableIdSet = new Set();
-		if (Array.isArray(tableIds)) {
-			for (const id of tableIds) {
-				if (id === null || id === undefined) continue;
-				tableIdSet.add(String(id));
-			}
+		return totalDelta;
+	}
+
+	/**
+	 * Get the ledger category for an MMR change
+	 * @param {Object} change - MMR change from player details
+	 * @returns {string} "table", "penalty", "bonus", "placement" or "other"
+	 */
+	static getMmrChangeCategory(change) {
+		if (!change) {
+			return "other";
 		}
+		return MMR_CHANGE_CATEGORIES[change.reason] || "other";
+	}
 
-		const includeNonTableWeekly = timeFilter === "weekly"
-			&& queueFilter === "both"
-			&& playerCountFilter === "both";
-		const weeklyCutoffMs = includeNonTableWeekly ? now - ONE_WEEK_MS : null;
+	/**
+	 * Split a period's MMR changes into table, penalty, bonus and placement parts
+	 * @param {Object} options - Player details, raw changes or the events of an earlier ledger, time filter and reference time
+	 * @returns {Object} Per-category deltas, the overall total and non-table events sorted by time
+	 */
+	static buildMmrLedger({
+		playerDetails = null,
+		mmrChanges: mmrChangesOverride = null,
+		timeFilter = "alltime",
+		now = Date.now(),
+	} = {}) {
+		const changes = Array.isArray(mmrChangesOverride)
+			? mmrChangesOverride
+			: Array.isArray(playerDetails?.mmrChanges)
+				? playerDetails.mmrChanges
+				: [];
+		const weeklyCutoffMs = timeFilter === "weekly" ? now - ONE_WEEK_MS : null;
+
+		const ledger = {
+			table: 0,
+			penalty: 0,
+			bonus: 0,
+			placement: 0,
+			other: 0,
+			total: 0,
+			events: [],
+		};
 
-		let totalDelta = 0;
 		for (const change of changes) {
 			if (!change) continue;
 			const delta = Number(change.mmrDelta ?? change.delta);
 			if (!Number.isFinite(delta)) continue;
 
-			const rawTableId = change.tableId ?? change.changeId;
-			const changeTableId = rawTableId != null ? String(rawTableId) : null;
-			let include = false;
-			if (changeTableId && tableIdSet.has(changeTableId)) {
-				include = true;
-			}
-			else if (includeNonTableWeekly) {
-				const timestampRaw = change.time ?? change.createdOn ?? change.updatedOn ?? change.date;
-				const changeTimeMs = timestampRaw ? Date.parse(timestampRaw) : NaN;
-				if (!Number.isNaN(changeTimeMs) && weeklyCutoffMs !== null && changeTimeMs >= weeklyCutoffMs) {
-					include = true;
-				}
+			const timestampRaw = change.time ?? change.createdOn ?? change.updatedOn ?? change.date;
+			// Ledger events carry their time in milliseconds already
+			const changeTimeMs = typeof timestampRaw === "number"
+				? timestampRaw
+				: timestampRaw ? Date.parse(timestampRaw) : NaN;
+			if (weeklyCutoffMs !== null && (Number.isNaN(changeTimeMs) || changeTimeMs < weeklyCutoffMs)) {
+				continue;
 			}
 
-			if (include) {
-				totalDelta += delta;
+			const category = PlayerStats.getMmrChangeCategory(change);
+			ledger[category] += delta;
+			ledger.total += delta;
+
+			if (category !== "table") {
+				const newMmr = Number(change.newMmr);
+				ledger.events.push({
+					category,
+					reason: change.reason || null,
+					delta,
+					newMmr: Number.isFinite(newMmr) ? newMmr : null,
+					time: Number.isNaN(changeTimeMs) ? null : changeTimeMs,
+				});
 			}
 		}
 
-		return totalDelta;
+		ledger.events.sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+		return ledger;
 	}
 
-	static filterTablesByControls(tables, { timeFilter = "alltime", queueFilter = "both", playerCountFilter = "both", currentSeason = undefined } = {}) {
+	/**
+	 * Apply the standard command filters. `game` (a game profile key) drops tables from other games;
+	 * player count filters resolve against that game's modes. Deleted tables are dropped unless includeDeleted is set.
+	 */
+	static filterTablesByControls(tables, { timeFilter = "alltime", queueFilter = "both", playerCountFilter = "both", currentSeason = undefined, game = undefined, includeDeleted = false } = {}) {
 		let filtered = tables || {};
 		if (!filtered || typeof filtered !== "object") {
 			return {};
 		}
 
-		const seasonNum = currentSeason ?? LoungeApi.getCachedCurrentSeason?.() ?? LoungeApi.DEFAULT_SEASON;
+		if (!includeDeleted) {
+			filtered = Object.fromEntries(
+				Object.entries(filtered).filter(([, table]) => !PlayerStats.isTableDeleted(table)),
+			);
+		}
+
+		const profileKey = game || GameProfiles.DEFAULT_PROFILE_KEY;
+		const targetGame = GameProfiles.getGameForFilter(profileKey, playerCountFilter);
+		const seasonNum = currentSeason ?? SeasonRegistry.getCurrentSeason(targetGame || GameProfiles.getDefaultGame(profileKey));
+
+		if (game) {
+			filtered = Object.fromEntries(
+				Object.entries(filtered).filter(([, table]) => GameProfiles.isTableInProfile(table, game)),
+			);
+		}
 
 		if (timeFilter === "weekly") {
 			filtered = PlayerStats.filterTablesByWeek(filtered, true);
@@ -472,28 +526,10 @@ class PlayerStats {
 			);
 		}
 
-		if (playerCountFilter !== "both") {
-			const desiredCount = playerCountFilter === "12p" || playerCountFilter === "mkworld12p" ? 12 : 24;
-			const targetMode = playerCountFilter === "12p" ? "mkworld12p" : (playerCountFilter === "24p" ? "mkworld24p" : playerCountFilter);
-
+		if (playerCountFilter !== "both" && targetGame) {
+			// Tables from before a game's mode split are matched on player count (see GameProfiles.getTableMode)
 			filtered = Object.fromEntries(
-				Object.entries(filtered).filter(([, table]) => {
-					// If table has gameMode info, use it
-					if (table.gameMode || table.game) {
-						const mode = table.gameMode || table.game;
-						if (mode === targetMode) return true;
-						if (mode === "mkworld12p" && desiredCount === 12) return true;
-						if (mode === "mkworld24p" && desiredCount === 24) return true;
-						// If mode doesn't match, check legacy numPlayers
-					}
-
-					const rawValue = table?.numPlayers ?? table?.numplayers ?? table?.playerCount;
-					const playerCount = Number(rawValue);
-					if (!Number.isFinite(playerCount)) {
-						return false;
-					}
-					return playerCount === desiredCount;
-				}),
+				Object.entries(filtered).filter(([, table]) => table && GameProfiles.getTableMode(table) === targetGame),
 			);
 		}
 
@@ -509,7 +545,7 @@ class PlayerStats {
 		let count = 0;
 
 		for (const table of Object.values(tables)) {
-			if (!table) continue;
+			if (!table || PlayerStats.isTableDeleted(table)) continue;
 			const teams = Array.isArray(table.teams) ? table.teams : [];
 			for (const team of teams) {
 				const scores = Array.isArray(team?.scores) ? team.scores : [];
@@ -545,7 +581,7 @@ class PlayerStats {
 		let matches = 0;
 		for (const tableId in tables) {
 			const table = tables[tableId];
-			if (!table || !table.teams) continue;
+			if (!table || !table.teams || PlayerStats.isTableDeleted(table)) continue;
 
 			const players = PlayerStats.getPlayersFromTable(table);
 
@@ -570,7 +606,7 @@ class PlayerStats {
 		let numPlayers = 0;
 		for (const tableId in tables) {
 			const table = tables[tableId];
-			if (!table || !table.teams) continue;
+			if (!table || !table.teams || PlayerStats.isTableDeleted(table)) continue;
 
 			const players = PlayerStats.getPlayersFromTable(table);
 
@@ -597,7 +633,7 @@ class PlayerStats {
 		let twentyFour = 0;
 
 		for (const table of Object.values(tables)) {
-			if (!table || !Array.isArray(table.teams)) continue;
+			if (!table || !Array.isArray(table.teams) || PlayerStats.isTableDeleted(table)) continue;
 			const players = PlayerStats.getPlayersFromTable(table);
 			const participates = players.some(player => PlayerStats.playerMatchesIdentifier(player, normalizedId));
 			if (!participates) continue;
@@ -629,7 +665,7 @@ class PlayerStats {
 
 		for (const tableId in tables) {
 			const table = tables[tableId];
-			if (!table || !table.teams) continue;
+			if (!table || !table.teams || PlayerStats.isTableDeleted(table)) continue;
 
 			const players = PlayerStats.getPlayersFromTable(table);
 
@@ -672,7 +708,7 @@ class PlayerStats {
 
 		for (const tableId in tables) {
 			const table = tables[tableId];
-			if (!table || !table.teams) continue;
+			if (!table || !table.teams || PlayerStats.isTableDeleted(table)) continue;
 
 			const playerRanking = PlayerStats.getPlayerRankingInTable(table, normalizedId);
 			if (playerRanking) {
@@ -695,7 +731,7 @@ class PlayerStats {
 
 		for (const tableId in tables) {
 			const table = tables[tableId];
-			if (!table || !table.teams) continue;
+			if (!table || !table.teams || PlayerStats.isTableDeleted(table)) continue;
 			const players = PlayerStats.getPlayersFromTable(table);
 			for (const player of players) {
 				if (PlayerStats.playerMatchesIdentifier(player, normalizedId)) {
@@ -999,7 +1035,7 @@ class PlayerStats {
 
 		for (const tableId of Object.keys(tables)) {
 			const table = tables[tableId];
-			if (!table || !Array.isArray(table.teams) || !table.teams.length) {
+			if (!table || !Array.isArray(table.teams) || !table.teams.length || PlayerStats.isTableDeleted(table)) {
 				continue;
 			}
 			const format = typeof table.format === "string" ? table.format.trim().toLowerCase() : "";
@@ -1423,7 +1459,7 @@ class PlayerStats {
 		// Collect all tables where player participated
 		for (const tableId in tables) {
 			const table = tables[tableId];
-			if (!table || !table.teams || !table.createdOn) continue;
+			if (!table || !table.teams || !table.createdOn || PlayerStats.isTableDeleted(table)) continue;
 
 			// Find player in this table
 			let playerData = null;
@@ -1512,8 +1548,84 @@ class PlayerStats {
 			longestStreakEnd: longestStreakEnd,
 		};
 	}
+
+	/**
+	 * Get the MMR a penalty or strike took away from a player
+	 * @param {Object} penalty - Penalty object from the API
+	 * @returns {number} MMR lost (always >= 0)
+	 */
+	static getPenaltyMmrLoss(penalty) {
+		if (!penalty) {
+			return 0;
+		}
+		const prevMmr = Number(penalty.prevMmr);
+		const newMmr = Number(penalty.newMmr);
+		if (Number.isFinite(prevMmr) && Number.isFinite(newMmr)) {
+			return Math.max(0, prevMmr - newMmr);
+		}
+		const amount = Number(penalty.amount);
+		return Number.isFinite(amount) ? Math.abs(amount) : 0;
+	}
+
+	/**
+	 * Check whether a strike still counts against a player
+	 * @param {Object} penalty - Penalty object from the API
+	 * @param {number} now - Reference timestamp in ms
+	 * @returns {boolean} True if the strike is active
+	 */
+	static isActiveStrike(penalty, now = Date.now()) {
+		if (!penalty?.isStrike || penalty.deletedOn) {
+			return false;
+		}
+		const awardedMs = Date.parse(penalty.awardedOn);
+		if (Number.isNaN(awardedMs)) {
+			return false;
+		}
+		return now - awardedMs < STRIKE_DURATION_MS;
+	}
+
+	/**
+	 * Summarize a player's strikes and penalties
+	 * @param {Array} penalties - Penalty objects from the API
+	 * @param {Object} options - Optional reference time
+	 * @returns {Object} Strike/penalty lists, active strike count and total MMR lost
+	 */
+	static summarizePenalties(penalties, { now = Date.now() } = {}) {
+		const strikes = [];
+		const plainPenalties = [];
+		let activeStrikes = 0;
+		let totalMmrLost = 0;
+
+		for (const penalty of Array.isArray(penalties) ? penalties : []) {
+			if (!penalty || penalty.deletedOn) continue;
+			totalMmrLost += PlayerStats.getPenaltyMmrLoss(penalty);
+			if (penalty.isStrike) {
+				strikes.push(penalty);
+				if (PlayerStats.isActiveStrike(penalty, now)) {
+					activeStrikes++;
+				}
+			}
+			else {
+				plainPenalties.push(penalty);
+			}
+		}
+
+		const byAwardedDesc = (a, b) => (Date.parse(b.awardedOn) || 0) - (Date.parse(a.awardedOn) || 0);
+		strikes.sort(byAwardedDesc);
+		plainPenalties.sort(byAwardedDesc);
+
+		return {
+			strikes,
+			penalties: plainPenalties,
+			activeStrikes,
+			totalStrikes: strikes.length,
+			totalPenalties: plainPenalties.length,
+			totalMmrLost,
+		};
+	}
+
 	static mmrToRankEmojiAndText(mmr) {
-		const tier = PlayerStats.getRankThresholdForMmr(mmr) || RANK_THRESHOLDS[0];
+		const tier = PlayerStats.getRankThresholdForMmr(mmr) || PlayerStats.getRankThresholds()[0];
 		return {
 			emoji: tier?.emoji || "⛏️",
 			text: tier?.text || "iron",
@@ -0,0 +1,137 @@
+/**
+ * Privacy
+ * What /privacy exports and forgets. Stored data is keyed by lounge id, so a caller's Discord id is resolved
+ * to every lounge account tied to it: the stored discord link, plus whatever the lounge api links it to.
+ * Forgetting goes through database.forgetUser, which keeps the Discord id with the opt-out so opting back in doesn't
+ * need the lounge api.
+ */
+
+const database = require("./database");
+const LoungeApi = require("./loungeApi");
+const GameProfiles = require("./gameProfiles");
+
+// Safety net for the stored-record loop in forgetDiscordUser
+const MAX_STORED_ACCOUNTS = 25;
+
+/**
+ * Lounge ids tied to a Discord account
+ * @param {string} discordId - Discord user ID
+ * @param {Object} options - strict: throw when a lounge api lookup fails instead of skipping that game
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveLoungeIds(discordId, { strict = false } = {}) {
+	const ids = new Set();
+	const stored = await database.getUserByDiscordId(discordId);
+	if (stored?.loungeId) {
+		ids.add(String(stored.loungeId));
+	}
+	for (const profile of GameProfiles.getProfiles()) {
+		try {
+			const player = await LoungeApi.getPlayerByDiscordId(discordId, null, GameProfiles.getDefaultGame(profile.key));
+			if (player?.id) {
+				ids.add(String(player.id));
+			}
+		}
+		catch (error) {
+			if (strict) throw error;
+			console.warn(`privacy: failed to look up ${profile.key} account for discord user ${discordId}:`, error.message);
+		}
+	}
+	return Array.from(ids);
+}
+
+/**
+ * Everything stored about a Discord user's lounge accounts
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<Object>} { exportedAt, discordId, accounts }, each account
+ * { loungeId, optedOut, userData, discordLinks, tableIds, syncCursors, detailsSnapshots, mmrHistory }
+ */
+async function exportDiscordUser(discordId) {
+	const accounts = [];
+	for (const loungeId of await resolveLoungeIds(discordId)) {
+		const detailsSnapshots = {};
+		for (const game of GameProfiles.getAllGames()) {
+			const snapshot = await database.getPlayerDetailsSnapshot(loungeId, game);
+			if (snapshot) {
+				detailsSnapshots[game] = snapshot;
+			}
+		}
+		accounts.push({
+			loungeId,
+			optedOut: await database.isOptedOut(loungeId),
+			userData: await database.getUserData(loungeId),
+			discordLinks: await database.getDiscordLinksForUser(loungeId),
+			tableIds: (await database.getUserTables(loungeId)).map(entry => entry.id),
+			syncCursors: await database.getSyncCursors(loungeId),
+			detailsSnapshots,
+			mmrHistory: await database.getMmrHistory([loungeId]),
+		});
+	}
+	return {
+		exportedAt: new Date().toISOString(),
+		discordId: String(discordId),
+		accounts,
+	};
+}
+
+/**
+ * Forget every lounge account tied to a Discord user and opt them out
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<Object|null>} { loungeIds, removed } with summed counts, null if a removal failed
+ */
+async function forgetDiscordUser(discordId) {
+	const loungeIds = new Set(await resolveLoungeIds(discordId));
+	const removed = { userData: 0, links: 0, snapshots: 0, syncCursors: 0, mmrSnapshots: 0, discordLinks: 0 };
+	const forget = async loungeId => {
+		const counts = await database.forgetUser(loungeId, discordId);
+		if (!counts) return false;
+		for (const key of Object.keys(removed)) {
+			removed[key] += counts[key] || 0;
+		}
+		return true;
+	};
+
+	for (const loungeId of loungeIds) {
+		if (!await forget(loungeId)) return null;
+	}
+	// The stored link can point at an account the lounge api no longer ties to them; that goes too
+	for (let i = 0; i < MAX_STORED_ACCOUNTS; i++) {
+		const stored = await database.getUserByDiscordId(discordId);
+		if (!stored) break;
+		const loungeId = String(stored.loungeId);
+		loungeIds.add(loungeId);
+		if (!await forget(loungeId)) return null;
+	}
+	return { loungeIds: Array.from(loungeIds), removed };
+}
+
+/**
+ * Undo an opt-out for every lounge account tied to a Discord user. The accounts come from the Discord id kept with
+ * their opt-outs; the lounge api is only asked when there are none, e.g. for opt-outs recorded without one.
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<Array<string>>} Lounge ids that were opted out before
+ * @throws {Error} When the opt-outs can't be read or the lounge api lookup fails, rather than reporting nothing to undo
+ */
+async function optInDiscordUser(discordId) {
+	let loungeIds = await database.getOptedOutIdsForDiscordUser(discordId);
+	if (!loungeIds) {
+		throw new Error(`couldn't read privacy opt-outs for discord user ${discordId}`);
+	}
+	if (!loungeIds.length) {
+		loungeIds = await resolveLoungeIds(discordId, { strict: true });
+	}
+	const optedIn = [];
+	for (const loungeId of loungeIds) {
+		if (await database.optIn(loungeId)) {
+			optedIn.push(loungeId);
+		}
+	}
+	return optedIn;
+}
+
+module.exports = {
+	resolveLoungeIds,
+	exportDiscordUser,
+	forgetDiscordUser,
+	optInDiscordUser,
+};
@@ -0,0 +1,165 @@
+/**
+ * Rank thresholds per game mode and season
+ * Built from the `ranks` table in /player/stats (divisions such as "Diamond 1"/"Diamond 2" are folded
+ * into their tier) and cached per season. The game profiles' hardcoded tables are only used until that
+ * loads or when the API can't be reached.
+ */
+
+const LoungeApi = require("./loungeApi");
+const SeasonRegistry = require("./seasonRegistry");
+const GameProfiles = require("./gameProfiles");
+
+const RANK_SUFFIX_REGEX = /\s*(?:\d+|[ivxlcdm]+)$/i;
+// Division suffixes from the API are always space separated ("Diamond 2"); don't eat the end of "Gold"
+const DIVISION_SUFFIX_REGEX = /\s+(?:\d+|[ivx]+)$/i;
+// How long to wait before retrying a season whose stats couldn't be loaded
+const RETRY_AFTER_MS = 10 * 60 * 1000;
+// The current season's cutoffs can still be adjusted; past seasons are kept for good
+const CURRENT_SEASON_TTL_MS = 6 * 60 * 60 * 1000;
+
+function normalizeRankName(name) {
+	if (!name) {
+		return "";
+	}
+	let normalized = String(name).trim().toLowerCase();
+	while (RANK_SUFFIX_REGEX.test(normalized)) {
+		normalized = normalized.replace(RANK_SUFFIX_REGEX, "");
+	}
+	return normalized;
+}
+
+// "game:season" -> { thresholds, loadedAt } (thresholds is null when the season had no usable ranks)
+const cache = new Map();
+const pendingLoads = new Map();
+const failedAt = new Map();
+
+/**
+ * Map the mode spellings used around the bot ("12p", "mkworld24p", "mk8dx") to an API game key.
+ * Bare player counts refer to the default game.
+ */
+function toGameKey(mode) {
+	if (GameProfiles.getMode(mode) || mode === "mkworld") {
+		return mode;
+	}
+	return GameProfiles.getGameForFilter(GameProfiles.DEFAULT_PROFILE_KEY, mode)
+		|| GameProfiles.getDefaultGame(GameProfiles.DEFAULT_PROFILE_KEY);
+}
+
+function getFallbackThresholds(mode) {
+	return GameProfiles.getFallbackThresholds(toGameKey(mode));
+}
+
+function resolveSeason(game, season) {
+	const seasonNum = Number(season);
+	return season !== null && season !== undefined && Number.isInteger(seasonNum)
+		? seasonNum
+		: SeasonRegistry.getCurrentSeason(game);
+}
+
+/**
+ * Turn a /player/stats response into tier thresholds, reusing emoji from the fallback table
+ * @param {Object} stats - Stats response with `ranks` ({ rankName: minMmr }) and optional `divisionsToTier`
+ * @param {Array} fallback - Fallback tiers used for emoji
+ * @returns {Array|null} Thresholds sorted by min, or null if the response has no ranks
+ */
+function buildThresholdsFromStats(stats, fallback = getFallbackThresholds("12p")) {
+	const ranks = stats?.ranks;
+	if (!ranks || typeof ranks !== "object") {
+		return null;
+	}
+
+	// divisionsToTier groups division names under a tier when it lists rank names; otherwise strip the division suffix
+	const tierForDivision = new Map();
+	for (const [tierName, divisions] of Object.entries(stats.divisionsToTier || {})) {
+		for (const division of Array.isArray(divisions) ? divisions : []) {
+			if (Object.prototype.hasOwnProperty.call(ranks, division)) {
+				tierForDivision.set(division, tierName);
+			}
+		}
+	}
+
+	const tierMins = new Map();
+	for (const [rankName, minMmr] of Object.entries(ranks)) {
+		const value = Number(minMmr);
+		if (!Number.isFinite(value)) continue;
+		const tierName = tierForDivision.get(rankName) || rankName.replace(DIVISION_SUFFIX_REGEX, "");
+		const key = tierName.trim().toLowerCase();
+		if (!key) continue;
+		if (!tierMins.has(key) || value < tierMins.get(key)) {
+			tierMins.set(key, value);
+		}
+	}
+	if (!tierMins.size) {
+		return null;
+	}
+
+	const fallbackByKey = new Map(fallback.map(tier => [tier.key, tier]));
+	const sorted = Array.from(tierMins.entries()).sort((a, b) => a[1] - b[1]);
+	return sorted.map(([key, min], index) => ({
+		key,
+		label: key,
+		text: key,
+		min: index === 0 ? Math.min(0, min) : min,
+		max: index + 1 < sorted.length ? sorted[index + 1][1] : Infinity,
+		emoji: fallbackByKey.get(key)?.emoji || "🏁",
+	}));
+}
+
+function isFresh(entry, game, season) {
+	if (!entry) return false;
+	if (season < SeasonRegistry.getCurrentSeason(game)) return true;
+	return Date.now() - entry.loadedAt < CURRENT_SEASON_TTL_MS;
+}
+
+/**
+ * Load thresholds for a season from the API (coalesced, cached)
+ * @param {string} mode - Game mode ("12p", "24p", "mkworld12p", "mk8dx", ...)
+ * @param {number|null} season - Season number, defaults to the current one
+ * @returns {Promise<Array>} Thresholds (fallback table if the season has none)
+ */
+async function ensureThresholds(mode = "12p", season = null) {
+	const game = toGameKey(mode);
+	const seasonNum = resolveSeason(game, season);
+	const key = `${game}:${seasonNum}`;
+
+	if (isFresh(cache.get(key), game, seasonNum) || Date.now() - (failedAt.get(key) || 0) < RETRY_AFTER_MS) {
+		return getThresholds(mode, seasonNum);
+	}
+	if (!pendingLoads.has(key)) {
+		pendingLoads.set(key, (async () => {
+			const stats = await LoungeApi.getGlobalStats(seasonNum, game);
+			if (!stats) {
+				failedAt.set(key, Date.now());
+				return;
+			}
+			cache.set(key, {
+				thresholds: buildThresholdsFromStats(stats, getFallbackThresholds(game)),
+				loadedAt: Date.now(),
+			});
+		})().finally(() => {
+			pendingLoads.delete(key);
+		}));
+	}
+	await pendingLoads.get(key);
+	return getThresholds(mode, seasonNum);
+}
+
+/**
+ * Thresholds for a mode and season from the cache, falling back to the hardcoded tables
+ * @param {string} mode - Game mode ("12p", "24p", "mkworld12p", ...)
+ * @param {number|null} season - Season number, defaults to the current one
+ * @returns {Array} Thresholds sorted by min
+ */
+function getThresholds(mode = "12p", season = null) {
+	const game = toGameKey(mode);
+	const entry = cache.get(`${game}:${resolveSeason(game, season)}`);
+	return entry?.thresholds || getFallbackThresholds(game);
+}
+
+module.exports = {
+	normalizeRankName,
+	buildThresholdsFromStats,
+	ensureThresholds,
+	getThresholds,
+	getFallbackThresholds,
+};
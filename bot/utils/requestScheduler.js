@@ -0,0 +1,207 @@
+/**
+ * Request scheduler shared by outgoing API calls
+ * Caps concurrent requests, rate limits each endpoint with a token bucket,
+ * runs interactive work ahead of background work and can pause everything after a 429.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const PRIORITIES = ["interactive", "background"];
+// Holds a { priority } scope; queued jobs keep a reference to it, so raising the scope moves them up
+const priorityContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with every scheduled request inside it tagged with the given priority
+ * @param {string} priority - "interactive" or "background"
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+function withPriority(priority, fn) {
+	const normalized = PRIORITIES.includes(priority) ? priority : "interactive";
+	return priorityContext.run({ priority: normalized }, fn);
+}
+
+function getCurrentPriority() {
+	return priorityContext.getStore()?.priority || "interactive";
+}
+
+/**
+ * Run fn at the current priority in a scope of its own that can be raised later
+ * @param {Function} fn - Work to run
+ * @returns {Object} { result (whatever fn returns), raise() (moves fn's queued and future requests to interactive) }
+ */
+function withRaisablePriority(fn) {
+	const scope = { priority: getCurrentPriority() };
+	const result = priorityContext.run(scope, fn);
+	return {
+		result,
+		raise() {
+			scope.priority = "interactive";
+		},
+	};
+}
+
+function createRequestScheduler({
+	maxConcurrent = 6,
+	defaultBucket = { capacity: 10, refillPerSecond: 5 },
+	endpointBuckets = {},
+} = {}) {
+	// One queue; a job's priority is read from its scope when picking, since the scope can be raised
+	const queue = [];
+	const buckets = new Map();
+	let active = 0;
+	let pausedUntil = 0;
+	let wakeTimer = null;
+	let wakeAt = 0;
+	const counters = { completed: 0, failed: 0, throttled: 0 };
+
+	function getBucket(endpoint) {
+		if (!buckets.has(endpoint)) {
+			const config = endpointBuckets[endpoint] || defaultBucket;
+			buckets.set(endpoint, {
+				capacity: config.capacity,
+				refillPerSecond: config.refillPerSecond,
+				tokens: config.capacity,
+				lastRefill: Date.now(),
+			});
+		}
+		const bucket = buckets.get(endpoint);
+		const now = Date.now();
+		const refill = ((now - bucket.lastRefill) / 1000) * bucket.refillPerSecond;
+		bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refill);
+		bucket.lastRefill = now;
+		return bucket;
+	}
+
+	function msUntilToken(bucket) {
+		if (bucket.tokens >= 1) return 0;
+		return Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000);
+	}
+
+	function scheduleWake(delayMs) {
+		const target = Date.now() + Math.max(1, delayMs);
+		if (wakeTimer && wakeAt <= target) return;
+		if (wakeTimer) clearTimeout(wakeTimer);
+		wakeAt = target;
+		wakeTimer = setTimeout(() => {
+			wakeTimer = null;
+			wakeAt = 0;
+			pump();
+		}, target - Date.now());
+	}
+
+	// Take the first queued job whose endpoint has a token, interactive jobs first
+	function takeNextJob() {
+		let soonestMs = Infinity;
+		for (const priority of PRIORITIES) {
+			for (let i = 0; i < queue.length; i++) {
+				if (queue[i].scope.priority !== priority) continue;
+				const bucket = getBucket(queue[i].endpoint);
+				const waitMs = msUntilToken(bucket);
+				if (waitMs === 0) {
+					bucket.tokens -= 1;
+					return { job: queue.splice(i, 1)[0] };
+				}
+				soonestMs = Math.min(soonestMs, waitMs);
+			}
+		}
+		return { job: null, soonestMs };
+	}
+
+	function pump() {
+		const pauseMs = pausedUntil - Date.now();
+		if (pauseMs > 0) {
+			scheduleWake(pauseMs);
+			return;
+		}
+		while (active < maxConcurrent) {
+			const { job, soonestMs } = takeNextJob();
+			if (!job) {
+				if (Number.isFinite(soonestMs)) {
+					scheduleWake(soonestMs);
+				}
+				return;
+			}
+			run(job);
+		}
+	}
+
+	async function run(job) {
+		active++;
+		try {
+			job.resolve(await job.task());
+			counters.completed++;
+		}
+		catch (error) {
+			counters.failed++;
+			job.reject(error);
+		}
+		finally {
+			active--;
+			pump();
+		}
+	}
+
+	/**
+	 * Queue a request
+	 * @param {string} endpoint - Endpoint used to pick the token bucket
+	 * @param {Function} task - Async function performing the request
+	 * @param {Object} options - priority override (defaults to the current withPriority context)
+	 * @returns {Promise<*>} Result of task
+	 */
+	function schedule(endpoint, task, { priority = null } = {}) {
+		const scope = PRIORITIES.includes(priority)
+			? { priority }
+			: priorityContext.getStore() || { priority: "interactive" };
+		return new Promise((resolve, reject) => {
+			queue.push({ endpoint, task, scope, resolve, reject, queuedAt: Date.now() });
+			pump();
+		});
+	}
+
+	/**
+	 * Hold all queued requests, e.g. for a Retry-After window
+	 * @param {number} ms - How long to pause
+	 */
+	function pauseFor(ms) {
+		if (!Number.isFinite(ms) || ms <= 0) return;
+		counters.throttled++;
+		pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+		scheduleWake(pausedUntil - Date.now());
+	}
+
+	function getMetrics() {
+		const queuedByEndpoint = {};
+		const queued = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+		let oldestQueuedAt = null;
+		for (const job of queue) {
+			queued[job.scope.priority]++;
+			queuedByEndpoint[job.endpoint] = (queuedByEndpoint[job.endpoint] || 0) + 1;
+			if (oldestQueuedAt === null || job.queuedAt < oldestQueuedAt) {
+				oldestQueuedAt = job.queuedAt;
+			}
+		}
+		return {
+			active,
+			maxConcurrent,
+			queued,
+			queuedByEndpoint,
+			oldestQueuedMs: oldestQueuedAt === null ? 0 : Date.now() - oldestQueuedAt,
+			pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null,
+			...counters,
+		};
+	}
+
+	return {
+		schedule,
+		pauseFor,
+		getMetrics,
+	};
+}
+
+module.exports = {
+	createRequestScheduler,
+	withPriority,
+	withRaisablePriority,
+	getCurrentPriority,
+};
@@ -0,0 +1,278 @@
+/**
+ * Season registry
+ * Knows which lounge seasons exist and which game modes each one has (e.g. mkworld seasons 0-1 were
+ * plain "mkworld", later seasons split into 12p/24p). Seasons are discovered per game profile by probing
+ * /player/stats, persisted in the database, and bumped whenever player details report a newer season,
+ * so a season launch needs no code change. Season numbers overlap between games, so lookups take a profile.
+ */
+
+const database = require("./database");
+const GameProfiles = require("./gameProfiles");
+const { withPriority } = require("./requestScheduler");
+
+// Stop probing after this many empty seasons past the newest known one
+const MAX_EMPTY_PROBES = 2;
+// A game with nothing known yet may have gaps before its first season on this lounge
+const MAX_LEADING_EMPTY_PROBES = 20;
+const MAX_SEASON = 100;
+const REDISCOVER_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Used until the first discovery succeeds (e.g. offline with an empty database)
+const FALLBACK_SEASONS = [
+	{ game: "mkworld", season: 0 },
+	{ game: "mkworld", season: 1 },
+	{ game: "mkworld12p", season: 2 },
+	{ game: "mkworld24p", season: 2 },
+	{ game: "mkworld12p", season: 3 },
+	{ game: "mkworld24p", season: 3 },
+];
+
+// season -> Set of game modes
+const seasons = new Map();
+let loaded = false;
+let loadPromise = null;
+let discoverPromise = null;
+let lastDiscoveredAt = 0;
+
+function addEntries(entries) {
+	const added = [];
+	for (const { game, season } of entries) {
+		const seasonNum = Number(season);
+		if (!game || !Number.isInteger(seasonNum) || seasonNum < 0) continue;
+		if (!seasons.has(seasonNum)) {
+			seasons.set(seasonNum, new Set());
+		}
+		const modes = seasons.get(seasonNum);
+		if (!modes.has(game)) {
+			modes.add(game);
+			added.push({ game, season: seasonNum });
+		}
+	}
+	return added;
+}
+
+function getActiveSeasons() {
+	if (seasons.size) {
+		return seasons;
+	}
+	const fallback = new Map();
+	for (const { game, season } of FALLBACK_SEASONS) {
+		if (!fallback.has(season)) fallback.set(season, new Set());
+		fallback.get(season).add(game);
+	}
+	return fallback;
+}
+
+/**
+ * Seasons and modes restricted to one game profile
+ * @param {string} profileKey - Game profile
+ * @param {Map} source - Seasons to filter, defaults to the known ones (or the fallback list)
+ * @returns {Map} season -> Array of game keys
+ */
+function getProfileSeasons(profileKey, source = getActiveSeasons()) {
+	const profileGames = new Set(GameProfiles.getAllGames()
+		.filter(game => GameProfiles.getProfileForGame(game).key === GameProfiles.getProfile(profileKey).key));
+	const result = new Map();
+	for (const [season, modes] of source) {
+		const profileModes = Array.from(modes).filter(game => profileGames.has(game));
+		if (profileModes.length) {
+			result.set(season, profileModes);
+		}
+	}
+	return result;
+}
+
+/**
+ * Load known seasons from the database, discovering them from the API if there are none yet
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded() {
+	if (loaded) {
+		if (Date.now() - lastDiscoveredAt > REDISCOVER_INTERVAL_MS) {
+			discover();
+		}
+		return;
+	}
+	if (!loadPromise) {
+		loadPromise = (async () => {
+			try {
+				addEntries(await database.getLoungeSeasons());
+			}
+			catch (error) {
+				console.warn("could not load season registry from the database:", error);
+			}
+			loaded = true;
+			if (!seasons.size) {
+				await discover();
+			}
+			else {
+				discover();
+			}
+		})().finally(() => {
+			loadPromise = null;
+		});
+	}
+	await loadPromise;
+}
+
+async function hasSeasonData(LoungeApi, game, season) {
+	try {
+		const stats = await LoungeApi.apiGet("/player/stats", { game, season });
+		return Number(stats?.totalPlayers) > 0 || Number(stats?.totalMogis) > 0;
+	}
+	catch (error) {
+		if (error.message.includes("404")) {
+			return false;
+		}
+		throw error;
+	}
+}
+
+async function discoverProfile(LoungeApi, profile) {
+	const games = GameProfiles.getAllGames().filter(game => GameProfiles.getProfileForGame(game).key === profile.key);
+	// Only discovered seasons count here; the fallback list would skip probing the early ones
+	const known = Array.from(getProfileSeasons(profile.key, seasons).keys());
+	const startSeason = known.length ? Math.max(...known) : profile.firstSeason;
+	const found = [];
+	let seenData = known.length > 0;
+	let emptyProbes = 0;
+
+	for (let season = startSeason; season <= MAX_SEASON; season++) {
+		const limit = seenData ? MAX_EMPTY_PROBES : MAX_LEADING_EMPTY_PROBES;
+		if (emptyProbes >= limit) break;
+		const modes = [];
+		for (const game of games) {
+			if (await hasSeasonData(LoungeApi, game, season)) {
+				modes.push({ game, season });
+			}
+		}
+		if (modes.length) {
+			seenData = true;
+			emptyProbes = 0;
+		}
+		else {
+			emptyProbes++;
+		}
+		found.push(...modes);
+	}
+	return found;
+}
+
+/**
+ * Probe the API for seasons newer than the newest known one of each game (or all of them on first run)
+ * @returns {Promise<Array>} Newly found { game, season } entries (empty if the API couldn't be reached)
+ */
+function discover() {
+	if (!discoverPromise) {
+		discoverPromise = (async () => {
+			// Required here: loungeApi.js consults this registry, so a top-level require would be circular
+			const LoungeApi = require("./loungeApi");
+			// Set up front so a failing API isn't re-probed on every call
+			lastDiscoveredAt = Date.now();
+			const found = [];
+
+			await withPriority("background", async () => {
+				for (const profile of GameProfiles.getProfiles()) {
+					found.push(...await discoverProfile(LoungeApi, profile));
+				}
+			});
+
+			const added = addEntries(found);
+			if (added.length) {
+				await database.saveLoungeSeasons(added);
+				console.log(`season registry: found ${added.map(entry => `${entry.game} s${entry.season}`).join(", ")}`);
+			}
+			return added;
+		})().catch(error => {
+			console.warn("season discovery failed, keeping known seasons:", error.message);
+			return [];
+		}).finally(() => {
+			discoverPromise = null;
+		});
+	}
+	return discoverPromise;
+}
+
+/**
+ * Record a season seen in live data (e.g. player details), so new seasons show up before the next probe
+ * @param {string} game - Game mode key
+ * @param {number} season - Season number
+ */
+function observeSeason(game, season) {
+	// Before the first load this would look like a populated registry and skip the full discovery
+	if (!loaded) return;
+	const added = addEntries([{ game, season }]);
+	if (added.length) {
+		database.saveLoungeSeasons(added)
+			.catch(error => console.warn("failed to store observed season:", error));
+	}
+}
+
+/**
+ * Newest season for a game mode (or for its game when the mode has none)
+ * @param {string} game - Game mode key, e.g. "mkworld12p"
+ * @returns {number} Season number
+ */
+function getCurrentSeason(game = null) {
+	const profile = GameProfiles.getProfileForGame(game);
+	let newest = null;
+	let newestForGame = null;
+	for (const [season, modes] of getProfileSeasons(profile.key)) {
+		if (newest === null || season > newest) newest = season;
+		if (game && modes.includes(game) && (newestForGame === null || season > newestForGame)) {
+			newestForGame = season;
+		}
+	}
+	return newestForGame ?? newest ?? profile.firstSeason;
+}
+
+/**
+ * Game modes to query for a season. Seasons newer than any known one assume the newest season's modes.
+ * @param {number} season - Season number
+ * @param {string} profileKey - Game profile, defaults to the default game
+ * @returns {string[]} Game mode keys
+ */
+function getModesForSeason(season, profileKey = GameProfiles.DEFAULT_PROFILE_KEY) {
+	const active = getProfileSeasons(profileKey);
+	const seasonNum = Number(season);
+	if (active.has(seasonNum)) {
+		return active.get(seasonNum);
+	}
+	if (!active.size) {
+		return [];
+	}
+	const newest = Math.max(...active.keys());
+	return seasonNum > newest ? active.get(newest) : [];
+}
+
+/**
+ * Whether a season already had the game's current modes (for mkworld: the 12p/24p split)
+ * @param {number} season - Season number
+ * @param {string} profileKey - Game profile, defaults to the default game
+ * @returns {boolean}
+ */
+function isSplitModeSeason(season, profileKey = GameProfiles.DEFAULT_PROFILE_KEY) {
+	const currentModes = GameProfiles.getModeGames(profileKey);
+	return getModesForSeason(season, profileKey).some(mode => currentModes.includes(mode));
+}
+
+/**
+ * All known seasons of a game, oldest first
+ * @param {string} profileKey - Game profile, defaults to the default game
+ * @returns {Array} [{ season, modes }]
+ */
+function getSeasons(profileKey = GameProfiles.DEFAULT_PROFILE_KEY) {
+	return Array.from(getProfileSeasons(profileKey).entries())
+		.sort((a, b) => a[0] - b[0])
+		.map(([season, modes]) => ({ season, modes }));
+}
+
+module.exports = {
+	ensureLoaded,
+	discover,
+	observeSeason,
+	getCurrentSeason,
+	getModesForSeason,
+	isSplitModeSeason,
+	getSeasons,
+};
@@ -1,19 +1,50 @@
 /**
  * Server data utility functions
- * Pure data access and persistence functions for server-specific data
+ * Pure data access and persistence functions for per-guild settings (managed with /server-settings)
  */
 
 const database = require("./database");
+const GameProfiles = require("./gameProfiles");
+
+// Settings a guild gets before anyone has changed them
+const SETTINGS_DEFAULTS = {
+	defaultGame: GameProfiles.DEFAULT_PROFILE_KEY,
+	leaderboardRoleId: null,
+	announcementChannelId: null,
+	locale: null,
+	features: {
+		autoAddMembers: false,
+		leaderboard: true,
+	},
+};
+
+// Feature toggles and what they control, shown by /server-settings
+const FEATURES = {
+	autoAddMembers: "look up new members on the lounge when they join",
+	leaderboard: "allow /leaderboard in this server",
+};
+
+function withDefaults(record) {
+	const data = record || {};
+	return {
+		...SETTINGS_DEFAULTS,
+		...data,
+		defaultGame: GameProfiles.isProfileKey(data.defaultGame) ? data.defaultGame : SETTINGS_DEFAULTS.defaultGame,
+		features: { ...SETTINGS_DEFAULTS.features, ...(data.features || {}) },
+	};
+}
 
 class ServerData {
+	static SETTINGS_DEFAULTS = SETTINGS_DEFAULTS;
+	static FEATURES = FEATURES;
+
 	/**
-	 * Get server data
+	 * Get server data, with defaults filled in for anything that was never set
 	 * @param {string} serverId - Discord server ID
 	 * @returns {Promise<Object>} Server data object
 	 */
 	static async getServerData(serverId) {
-		// Use database if available, otherwise fallback to file storage
-		return await database.getServerData(serverId);
+		return withDefaults(await database.getServerData(serverId));
 	}
 
 	/**
@@ -23,28 +54,36 @@ class ServerData {
 	 * @returns {Promise<boolean>} Success status
 	 */
 	static async saveServerData(serverId, data) {
-		try {
-			await database.saveServerData(serverId, data);
-			return true;
-		}
-		catch (error) {
-			console.error("Error saving server data:", error);
-			return false;
-		}
+		return await database.saveServerData(serverId, data);
 	}
 
 	/**
-	 * Update server data with partial updates
+	 * Update server data with partial updates. Feature toggles are merged rather than replaced.
 	 * @param {string} serverId - Discord server ID
 	 * @param {Object} updates - Partial updates to apply
 	 * @returns {Promise<boolean>} Success status
 	 */
 	static async updateServerData(serverId, updates) {
 		const currentData = await this.getServerData(serverId);
-		const updatedData = { ...currentData, ...updates };
+		const updatedData = {
+			...currentData,
+			...updates,
+			features: { ...currentData.features, ...(updates.features || {}) },
+		};
 		return await this.saveServerData(serverId, updatedData);
 	}
 
+	/**
+	 * Check whether a feature toggle is on for a server
+	 * @param {string} serverId - Discord server ID
+	 * @param {string} feature - Key of FEATURES
+	 * @returns {Promise<boolean>}
+	 */
+	static async isFeatureEnabled(serverId, feature) {
+		const { features } = await this.getServerData(serverId);
+		return Boolean(features[feature]);
+	}
+
 	/**
 	 * Get all server IDs that have data
 	 * @returns {Promise<Array<string>>} Array of server IDs
@@ -56,18 +95,11 @@ class ServerData {
 	/**
 	 * Delete server data
 	 * @param {string} serverId - Discord server ID
-	 * @returns {Promise<boolean>} Success status
+	 * @returns {Promise<boolean>} Whether there was anything to delete
 	 */
 	static async deleteServerData(serverId) {
-		try {
-			await database.deleteServerData(serverId);
-			return true;
-		}
-		catch (error) {
-			console.error("Error deleting server data:", error);
-			return false;
-		}
+		return await database.deleteServerData(serverId);
 	}
 }
 
-module.exports = ServerData;
\ No newline at end of file
+module.exports = ServerData;
@@ -0,0 +1,465 @@
+/**
+ * Storage conformance checks
+ * Runs the same checks against any storage adapter so the backends stay interchangeable. File and SQLite
+ * runs use a throwaway directory; a Postgres run needs CONFORMANCE_DATABASE_URL pointing at a database it
+ * may wipe (it purges before and after).
+ *
+ * CLI: node bot/utils/storage/conformance.js [--backend sqlite|file|postgres]
+ */
+
+if (require.main === module) {
+	require("dotenv").config();
+}
+
+const assert = require("assert").strict;
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const Backup = require("../backup");
+const Migrations = require("../migrations");
+const { getTableScoreRows } = require("../tableScores");
+const { STORAGE_KINDS, createStorage } = require("./index");
+
+const byId = (a, b) => String(a.id).localeCompare(String(b.id));
+
+const checks = [
+	["migrations are applied and recorded", async storage => {
+		const status = await Migrations.getMigrationStatus(storage);
+		assert.equal(status.pending.length, 0);
+		assert.equal(status.current, Math.max(...Migrations.loadMigrations().map(migration => migration.version)));
+		assert.deepEqual(await Migrations.migrate(storage), []);
+	}],
+
+	["user data round-trips and is found by discord link", async storage => {
+		const payload = { loungeId: "101", loungeName: "Alpha", discordIds: ["9001", "9002"], nameHistory: [{ name: "OldAlpha" }] };
+		await storage.saveUserData("101", payload);
+		await storage.saveDiscordLink("9001", "101", { source: "lounge" });
+		await storage.saveDiscordLink("9002", "101", { source: "manual" });
+		await storage.saveUserData("102", { loungeId: "102", loungeName: "Beta", discordIds: [], nameHistory: [{ name: "Betamax" }] });
+		assert.deepEqual(await storage.getUserData("101"), payload);
+		assert.equal(await storage.getUserData("999"), null);
+
+		const found = await storage.getUserByDiscordId("9002");
+		assert.equal(found.id, "101");
+		assert.deepEqual(found.data, payload);
+		assert.equal(await storage.getUserByDiscordId("9003"), null);
+		// Lookups go through the link, not the discordIds on the record
+		await storage.saveDiscordLink("9004", "103", { source: "mention" });
+		assert.deepEqual(await storage.getUserByDiscordId("9004"), { id: "103", data: null });
+
+		assert.deepEqual((await storage.getAllUserIds()).sort(), ["101", "102"]);
+		assert.deepEqual((await storage.getAllUserData()).sort(byId).map(record => record.id), ["101", "102"]);
+	}],
+
+	["former names match by substring or exactly", async storage => {
+		assert.deepEqual((await storage.findUsersByFormerName("alpha", { exact: false, limit: 10 })).map(record => record.id), ["101"]);
+		assert.deepEqual((await storage.findUsersByFormerName("oldalpha", { exact: true, limit: 10 })).map(record => record.id), ["101"]);
+		assert.deepEqual(await storage.findUsersByFormerName("alpha", { exact: true, limit: 10 }), []);
+		assert.equal((await storage.findUsersByFormerName("a", { exact: false, limit: 1 })).length, 1);
+		// LIKE wildcards in the query are literal
+		assert.deepEqual(await storage.findUsersByFormerName("%", { exact: false, limit: 10 }), []);
+	}],
+
+	["discord links upsert, move between accounts and list verified first", async storage => {
+		const verifiedAt = "2025-06-02T00:00:00.000Z";
+		const createdAt = "2025-06-01T00:00:00.000Z";
+		await storage.saveDiscordLink("9101", "111", { source: "mention", createdAt });
+		assert.deepEqual(await storage.getDiscordLink("9101"), { discordId: "9101", loungeId: "111", source: "mention", verifiedAt: null, createdAt });
+		await storage.saveDiscordLink("9101", "112", { source: "lounge", verifiedAt, createdAt: "2025-07-01T00:00:00.000Z" });
+		assert.deepEqual(await storage.getDiscordLink("9101"), { discordId: "9101", loungeId: "112", source: "lounge", verifiedAt, createdAt });
+		assert.equal(await storage.getDiscordLink("9199"), null);
+
+		await storage.saveDiscordLink("9102", "112", { source: "manual", createdAt });
+		assert.deepEqual((await storage.getDiscordLinksForUser("112")).map(link => link.discordId), ["9101", "9102"]);
+		assert.deepEqual(await storage.getDiscordLinksForUser("111"), []);
+		assert.deepEqual((await storage.getAllDiscordLinks()).map(link => link.discordId), ["9001", "9002", "9004", "9101", "9102"]);
+	}],
+
+	["saving user data replaces it; deleting reports whether it existed", async storage => {
+		await storage.saveUserData("102", { loungeId: "102", loungeName: "Beta2", discordIds: [] });
+		assert.equal((await storage.getUserData("102")).loungeName, "Beta2");
+		assert.equal(await storage.deleteUserData("102"), true);
+		assert.equal(await storage.deleteUserData("102"), false);
+		assert.equal(await storage.getUserData("102"), null);
+	}],
+
+	["server settings upsert, list and delete", async storage => {
+		assert.equal(await storage.getServerData("5001"), null);
+		await storage.saveServerData("5001", { defaultGame: "mk8dx", features: { leaderboard: false } });
+		await storage.saveServerData("5002", { locale: "ja-JP" });
+		await storage.saveServerData("5001", { defaultGame: "mkworld", features: { autoAddMembers: true } });
+		assert.deepEqual(await storage.getServerData("5001"), { defaultGame: "mkworld", features: { autoAddMembers: true } });
+		assert.deepEqual(await storage.getAllServerIds(), ["5001", "5002"]);
+		assert.equal(await storage.deleteServerData("5002"), true);
+		assert.equal(await storage.deleteServerData("5002"), false);
+		assert.deepEqual(await storage.getAllServerIds(), ["5001"]);
+	}],
+
+	["pending tables never overwrite verified ones", async storage => {
+		assert.equal(await storage.saveTable("5001", { id: 5001, tier: "A" }, "verified"), true);
+		assert.equal(await storage.saveTable("5001", { id: 5001, tier: "B" }, "pending"), false);
+		assert.deepEqual(await storage.getTable("5001"), { id: 5001, tier: "A" });
+
+		assert.equal(await storage.saveTable("5002", { id: 5002 }, "pending"), true);
+		assert.equal(await storage.getTable("5002"), null);
+		assert.deepEqual(await storage.getTables("pending"), [{ id: "5002", data: { id: 5002 } }]);
+
+		// Verifying upgrades the pending table in place
+		assert.equal(await storage.saveTable("5002", { id: 5002, verified: true }, "verified"), true);
+		assert.deepEqual(await storage.getTable("5002"), { id: 5002, verified: true });
+		assert.deepEqual(await storage.getTables("pending"), []);
+	}],
+
+	["table ids page in id order per status", async storage => {
+		await storage.saveTable("5003", { id: 5003 }, "verified");
+		await storage.saveTable("5004", { id: 5004 }, "pending");
+		assert.deepEqual(await storage.getTableIds({ status: "verified", afterId: null, limit: 2 }), ["5001", "5002"]);
+		assert.deepEqual(await storage.getTableIds({ status: "verified", afterId: "5002", limit: 2 }), ["5003"]);
+		assert.deepEqual(await storage.getTableIds({ status: "pending", afterId: null, limit: 10 }), ["5004"]);
+	}],
+
+	["links skip unknown tables and list newest first", async storage => {
+		assert.equal(await storage.linkUserToTables("101", ["5001"]), 1);
+		assert.equal(await storage.linkUserToTables("101", ["5003", "5004", "5999"]), 2);
+		assert.equal(await storage.linkUserToTables("101", ["5001"]), 0);
+		assert.deepEqual((await storage.getUserTables("101")).map(entry => entry.id).slice(-1), ["5001"]);
+		assert.deepEqual((await storage.getUserTables("101")).map(entry => entry.id).sort(), ["5001", "5003", "5004"]);
+
+		assert.deepEqual((await storage.getUserTablesWithData("101", "verified")).sort(byId).map(entry => entry.id), ["5001", "5003"]);
+		assert.deepEqual(await storage.getUserTablesWithData("101", "pending"), [{ id: "5004", data: { id: 5004 } }]);
+		assert.deepEqual(await storage.getUserTables("102"), []);
+		assert.deepEqual(await storage.getLinkedUserIds(), ["101"]);
+	}],
+
+	["deleted tables are kept out of verified reads until purged", async storage => {
+		assert.equal(await storage.markTableDeleted("5003", "2025-06-01T00:00:00.000Z"), true);
+		assert.equal(await storage.markTableDeleted("5003", "2025-06-02T00:00:00.000Z"), false);
+		assert.equal(await storage.markTableDeleted("5998", "2025-06-01T00:00:00.000Z"), false);
+		assert.equal(await storage.getTable("5003"), null);
+		assert.deepEqual(await storage.getTableIds({ status: "deleted", afterId: null, limit: 10 }), ["5003"]);
+		assert.equal((await storage.getTables("deleted"))[0].data.deletedOn, "2025-06-01T00:00:00.000Z");
+		assert.equal((await storage.getTableRecord("5003")).status, "deleted");
+		assert.deepEqual(await storage.getTableRecord("5004"), { status: "pending", data: { id: 5004 } });
+		assert.equal(await storage.getTableRecord("5998"), null);
+		assert.deepEqual((await storage.getUserTablesWithData("101", "verified")).map(entry => entry.id), ["5001"]);
+
+		// Deleting checks the status and drops the table's links
+		assert.equal(await storage.deleteTable("5003", "verified"), false);
+		assert.equal(await storage.deleteTable("5003", "deleted"), true);
+		assert.equal(await storage.deleteTable("5004", "pending"), true);
+		assert.deepEqual((await storage.getUserTables("101")).map(entry => entry.id), ["5001"]);
+	}],
+
+	["global stats count verified tables and users", async storage => {
+		assert.deepEqual(await storage.getGlobalStats(), { tableCount: 2, userCount: 1 });
+	}],
+
+	["table scores follow saved tables and only count verified ones", async storage => {
+		const buildTable = (id, game, players) => ({
+			id,
+			game,
+			format: "FFA",
+			tier: "A",
+			season: 1,
+			createdOn: "2025-06-01T18:00:00.000Z",
+			teams: players.map(([playerId, score, prevMmr], index) => ({
+				rank: index + 1,
+				scores: [{ playerId, score, prevMmr, newMmr: prevMmr + 10 }],
+			})),
+		});
+		const save = (id, data, status) => storage.saveTable(id, data, status, getTableScoreRows(data));
+		const summarize = rows => rows.map(row => [row.tableId, row.playerId, row.score, row.placement, row.seed]);
+
+		await save("6001", buildTable(6001, "mkworld24p", [[201, 90, 5000], [202, 70, 6000], [203, 90, 4000]]), "verified");
+		await save("6002", buildTable(6002, "mkworld24p", [[201, 110, 5010]]), "pending");
+		await save("6003", buildTable(6003, "mkworld12p", [[202, 120, 6000]]), "verified");
+
+		const top = await storage.getTopScores({ playerIds: null, game: "mkworld24p", format: null, season: null, order: "desc", limit: 10 });
+		assert.deepEqual(summarize(top), [["6001", "201", 90, 1, 2], ["6001", "203", 90, 1, 3], ["6001", "202", 70, 3, 1]]);
+		assert.equal(top[0].delta, 10);
+		assert.equal(new Date(top[0].createdAt).toISOString(), "2025-06-01T18:00:00.000Z");
+		assert.deepEqual(
+			summarize(await storage.getTopScores({ playerIds: ["202"], game: null, format: "FFA", season: 1, order: "desc", limit: 10 })),
+			[["6003", "202", 120, 1, 1], ["6001", "202", 70, 3, 1]],
+		);
+		assert.deepEqual(
+			summarize(await storage.getTopScores({ playerIds: null, game: "mkworld24p", format: null, season: null, order: "asc", limit: 1 })),
+			[["6001", "202", 70, 3, 1]],
+		);
+
+		// Verifying, rescoring and deleting tables carry over to their rows
+		await save("6002", buildTable(6002, "mkworld24p", [[201, 110, 5010]]), "verified");
+		await save("6001", buildTable(6001, "mkworld24p", [[201, 95, 5000], [202, 70, 6000]]), "verified");
+		await storage.markTableDeleted("6003", "2025-06-02T00:00:00.000Z");
+		assert.deepEqual(
+			summarize(await storage.getTopScores({ playerIds: ["201", "202"], game: null, format: null, season: null, order: "desc", limit: 10 })),
+			[["6002", "201", 110, 1, 1], ["6001", "201", 95, 1, 2], ["6001", "202", 70, 2, 1]],
+		);
+	}],
+
+	["player details snapshots and sync cursors round-trip", async storage => {
+		const fetchedAt = "2025-06-01T12:00:00.000Z";
+		await storage.savePlayerDetailsSnapshot("101", "mkworld12p", { details: { mmr: 5000 }, fetchedAt });
+		await storage.savePlayerDetailsSnapshot("101", "mkworld12p", { details: { mmr: 5100 }, fetchedAt });
+		const snapshot = await storage.getPlayerDetailsSnapshot("101", "mkworld12p");
+		assert.deepEqual(snapshot.details, { mmr: 5100 });
+		assert.equal(new Date(snapshot.fetchedAt).toISOString(), fetchedAt);
+		assert.equal(await storage.getPlayerDetailsSnapshot("101", "mkworld24p"), null);
+
+		const cursor = { game: "mkworld12p", season: 1, lastChangeId: 42, complete: false, lastSyncedAt: fetchedAt };
+		await storage.saveSyncCursor("101", cursor);
+		await storage.saveSyncCursor("101", { ...cursor, lastChangeId: 43, complete: true });
+		const [saved, ...rest] = await storage.getSyncCursors("101");
+		assert.equal(rest.length, 0);
+		assert.deepEqual({ ...saved, lastSyncedAt: new Date(saved.lastSyncedAt).toISOString() }, { ...cursor, lastChangeId: 43, complete: true });
+		assert.deepEqual(await storage.getSyncCursors("102"), []);
+	}],
+
+	["forgetting a user removes their data but keeps tables; opt-outs round-trip", async storage => {
+		await storage.saveUserData("301", { loungeId: "301", discordIds: ["9301"] });
+		await storage.saveTable("6001", { id: 6001 }, "verified", []);
+		await storage.linkUserToTables("301", ["6001"]);
+		await storage.savePlayerDetailsSnapshot("301", "mkworld12p", { details: { id: 301 }, fetchedAt: "2025-06-01T00:00:00.000Z" });
+		await storage.saveSyncCursor("301", { game: "mkworld12p", season: 1, lastChangeId: 5, complete: false, lastSyncedAt: "2025-06-01T00:00:00.000Z" });
+		await storage.saveMmrSnapshot("301", { game: "mkworld12p", day: "2025-06-01", mmr: 5000, capturedAt: "2025-06-01T00:00:00.000Z" });
+		await storage.saveDiscordLink("9301", "301", { source: "lounge" });
+
+		assert.deepEqual(await storage.forgetUser("301"), { userData: 1, links: 1, snapshots: 1, syncCursors: 1, mmrSnapshots: 1, discordLinks: 1 });
+		assert.equal(await storage.getUserData("301"), null);
+		assert.deepEqual(await storage.getUserTables("301"), []);
+		assert.equal(await storage.getPlayerDetailsSnapshot("301", "mkworld12p"), null);
+		assert.deepEqual(await storage.getSyncCursors("301"), []);
+		assert.deepEqual(await storage.getMmrHistory(["301"], {}), []);
+		assert.equal(await storage.getUserByDiscordId("9301"), null);
+		assert.equal((await storage.getTableRecord("6001")).status, "verified");
+		assert.deepEqual(await storage.forgetUser("301"), { userData: 0, links: 0, snapshots: 0, syncCursors: 0, mmrSnapshots: 0, discordLinks: 0 });
+		await storage.deleteTable("6001", "verified");
+
+		await storage.saveOptOut("301", "2025-06-01T00:00:00.000Z");
+		assert.deepEqual(await storage.getOptOuts(), [{ userId: "301", optedOutAt: "2025-06-01T00:00:00.000Z", discordId: null }]);
+		// A later opt-out fills in the discord id but keeps the first time and the first discord id
+		await storage.saveOptOut("301", "2025-07-01T00:00:00.000Z", "9301");
+		await storage.saveOptOut("301", "2025-08-01T00:00:00.000Z", "9302");
+		assert.deepEqual(await storage.getOptOuts(), [{ userId: "301", optedOutAt: "2025-06-01T00:00:00.000Z", discordId: "9301" }]);
+		assert.equal(await storage.deleteOptOut("301"), true);
+		assert.equal(await storage.deleteOptOut("301"), false);
+		assert.deepEqual(await storage.getOptOuts(), []);
+	}],
+
+	["mmr snapshots upsert per day and answer history and as-of queries", async storage => {
+		const base = { game: "mkworld12p", season: 1, maxMmr: 6000, rank: "Diamond", overallRank: 120, eventsPlayed: 30 };
+		const capturedAt = "2025-06-01T12:00:00.000Z";
+		await storage.saveMmrSnapshot("401", { ...base, day: "2025-06-01", mmr: 5000, capturedAt });
+		await storage.saveMmrSnapshot("401", { ...base, day: "2025-06-01", mmr: 5050, capturedAt });
+		await storage.saveMmrSnapshot("401", { ...base, day: "2025-06-03", mmr: 5200, capturedAt });
+		await storage.saveMmrSnapshot("401", { ...base, game: "mkworld24p", day: "2025-06-02", mmr: 4000, capturedAt });
+		await storage.saveMmrSnapshot("402", { ...base, day: "2025-06-02", mmr: 7000, capturedAt });
+
+		const history = await storage.getMmrHistory(["401"], { game: "mkworld12p", from: null, to: null });
+		assert.deepEqual(history.map(snapshot => [snapshot.playerId, snapshot.day, snapshot.mmr]), [["401", "2025-06-01", 5050], ["401", "2025-06-03", 5200]]);
+		assert.deepEqual({ ...history[0], capturedAt: new Date(history[0].capturedAt).toISOString() }, { ...base, playerId: "401", day: "2025-06-01", mmr: 5050, capturedAt });
+		assert.equal((await storage.getMmrHistory(["401", "402"], { game: "mkworld12p", from: "2025-06-02", to: "2025-06-02" })).length, 1);
+		assert.equal((await storage.getMmrHistory(["401"], {})).length, 3);
+
+		const asOf = await storage.getMmrSnapshotsAsOf(["401", "402", "403"], "mkworld12p", "2025-06-02");
+		assert.deepEqual(asOf.map(snapshot => [snapshot.playerId, snapshot.day, snapshot.mmr]).sort(), [["401", "2025-06-01", 5050], ["402", "2025-06-02", 7000]]);
+		assert.deepEqual((await storage.getMmrSnapshotPlayerIds()).sort(), ["401", "402"]);
+	}],
+
+	["consistency scans find unlinked tables and nothing dangling", async storage => {
+		await storage.saveTable("7001", { id: 7001 }, "verified");
+		assert.deepEqual((await storage.getUnlinkedTables()).filter(table => table.id === "7001"), [{ id: "7001", status: "verified" }]);
+		await storage.linkUserToTables("701", ["7001"]);
+		assert.deepEqual((await storage.getUnlinkedTables()).filter(table => table.id === "7001"), []);
+		assert.deepEqual(await storage.getDanglingTableLinks(), []);
+		assert.equal(await storage.deleteDanglingTableLinks(), 0);
+		assert.deepEqual(await storage.getLegacyLinkFiles(), []);
+		assert.equal(await storage.mergeLegacyLinkFiles(), 0);
+		await storage.deleteTable("7001", "verified");
+	}],
+
+	["seasons merge and backfill state overwrites", async storage => {
+		await storage.saveLoungeSeasons([{ game: "mkworld24p", season: 2 }, { game: "mkworld12p", season: 1 }]);
+		await storage.saveLoungeSeasons([{ game: "mkworld12p", season: 1 }]);
+		assert.deepEqual(await storage.getLoungeSeasons(), [{ game: "mkworld12p", season: 1 }, { game: "mkworld24p", season: 2 }]);
+
+		assert.equal(await storage.getBackfillState("job:a"), null);
+		await storage.saveBackfillState("job:a", { cursor: "x", done: false });
+		await storage.saveBackfillState("job:a", { cursor: "y", done: true });
+		assert.deepEqual(await storage.getBackfillState("job:a"), { cursor: "y", done: true });
+	}],
+
+	["command usage is counted (not tracked by the file store)", async storage => {
+		if (storage.kind === "file") {
+			assert.equal(await storage.recordCommandUsage("stats", false), false);
+			assert.deepEqual(await storage.getCommandUsageStats(10), []);
+			return;
+		}
+		await storage.recordCommandUsage("stats", false);
+		await storage.recordCommandUsage("stats", true);
+		await storage.recordCommandUsage("stats", false);
+		await storage.upsertCommandUsageTotals("notables", 1, 5);
+		const rows = await storage.getCommandUsageStats(10);
+		assert.deepEqual(rows.map(row => [row.command_name, Number(row.slash_count), Number(row.button_count)]), [
+			["stats", 2, 1],
+			["notables", 1, 5],
+		]);
+	}],
+
+	["command usage events roll up and prune (not tracked by the file store)", async storage => {
+		if (storage.kind === "file") {
+			assert.equal(await storage.recordCommandUsageEvent({ commandName: "stats" }), false);
+			assert.deepEqual(await storage.getCommandUsageEvents("2025-01-01T00:00:00.000Z", "2025-01-02T00:00:00.000Z"), []);
+			assert.deepEqual(await storage.getCommandUsageRollups("2025-01-01", "2025-01-02"), { daily: [], filters: [] });
+			return;
+		}
+		const event = {
+			commandName: "stats",
+			interactionType: "button",
+			guildId: "g1",
+			filters: { button: "time", time: "weekly" },
+			durationMs: 420,
+			success: true,
+			createdAt: "2025-01-01T10:00:00.000Z",
+		};
+		await storage.recordCommandUsageEvent(event);
+		await storage.recordCommandUsageEvent({ ...event, guildId: null, success: false, createdAt: "2025-01-02T10:00:00.000Z" });
+		const events = await storage.getCommandUsageEvents("2025-01-01T00:00:00.000Z", "2025-01-02T00:00:00.000Z");
+		assert.deepEqual(events, [event]);
+
+		const daily = [{ day: "2025-01-01", commandName: "stats", interactionType: "button", guildId: "g1", uses: 1, failures: 0, totalDurationMs: 420, latencyBuckets: [0, 1] }];
+		const filters = [{ day: "2025-01-01", commandName: "stats", interactionType: "button", filterName: "time", filterValue: "weekly", uses: 1 }];
+		await storage.replaceCommandUsageRollups("2025-01-01", "2025-01-01", daily, filters);
+		await storage.replaceCommandUsageRollups("2025-01-01", "2025-01-01", daily, filters);
+		assert.deepEqual(await storage.getCommandUsageRollups("2025-01-01", "2025-01-31"), { daily, filters });
+
+		assert.equal(await storage.pruneCommandUsageEvents("2025-01-02T00:00:00.000Z"), 1);
+		assert.equal((await storage.getCommandUsageEvents("2025-01-01T00:00:00.000Z", "2025-01-03T00:00:00.000Z")).length, 1);
+	}],
+
+	// Runs last so the archive holds a record of every type the checks above wrote
+	["a backup restores into an empty store of the same kind", async storage => {
+		const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "mogibot-backup-"));
+		const archivePath = path.join(tempDir, "backup.ndjson.gz");
+		let restored = null;
+		try {
+			// The privacy checks opt their player back in
+			await storage.saveOptOut("199", "2025-01-01T00:00:00.000Z", "9199");
+			const exported = await Backup.exportBackup(storage, archivePath);
+			assert.deepEqual((await Backup.verifyBackup(archivePath)).counts, exported);
+			const tracksUsage = storage.kind !== "file";
+			for (const type of ["opt_out", "user", "discord_link", "server", "table", "link", "mmr_history"]) {
+				assert.ok(exported[type] > 0, `no ${type} records exported`);
+			}
+			for (const type of ["command_usage", "usage_event", "usage_rollup"]) {
+				assert.equal(exported[type] > 0, tracksUsage, `${type} records exported: ${exported[type]}`);
+			}
+			// Postgres runs get one database, so only the export side is checked there
+			if (storage.kind === "postgres") return;
+
+			restored = createStorage(storage.kind, storage.kind === "sqlite"
+				? { filename: path.join(tempDir, "restored.sqlite") }
+				: { dataDir: path.join(tempDir, "restored") });
+			await Migrations.migrate(restored);
+			await Backup.restoreBackup(restored, archivePath);
+			const reexported = await Backup.exportBackup(restored, path.join(tempDir, "reexported.ndjson.gz"));
+			assert.deepEqual(reexported, exported);
+			assert.deepEqual(await restored.getCommandUsageRollups("2025-01-01", "2025-01-31"), await storage.getCommandUsageRollups("2025-01-01", "2025-01-31"));
+		}
+		finally {
+			if (restored) await restored.close();
+			await fs.rm(tempDir, { recursive: true, force: true });
+		}
+	}],
+];
+
+/**
+ * Run every check against a fresh, migrated store
+ * @param {Object} storage - Storage adapter (empty)
+ * @param {Object} options - onResult({ name, error })
+ * @returns {Promise<number>} Number of failed checks
+ */
+async function runConformance(storage, { onResult = null } = {}) {
+	await Migrations.migrate(storage);
+	let failed = 0;
+	for (const [name, check] of checks) {
+		let error = null;
+		try {
+			await check(storage);
+		}
+		catch (checkError) {
+			error = checkError;
+			failed++;
+		}
+		if (typeof onResult === "function") onResult({ name, error });
+	}
+	return failed;
+}
+
+function parseArgs(argv) {
+	const options = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith("--")) continue;
+		options[arg.slice(2)] = argv[i + 1];
+		i++;
+	}
+	return options;
+}
+
+async function runCli() {
+	const args = parseArgs(process.argv.slice(2));
+	const kind = args.backend || "sqlite";
+	if (!STORAGE_KINDS.includes(kind)) {
+		console.error(`usage: node bot/utils/storage/conformance.js [--backend ${STORAGE_KINDS.join("|")}]`);
+		process.exitCode = 1;
+		return;
+	}
+	if (kind === "postgres" && !process.env.CONFORMANCE_DATABASE_URL) {
+		console.error("set CONFORMANCE_DATABASE_URL to a database the checks may wipe");
+		process.exitCode = 1;
+		return;
+	}
+
+	const tempDir = kind === "postgres" ? null : await fs.mkdtemp(path.join(os.tmpdir(), "mogibot-storage-"));
+	let storage = null;
+	try {
+		storage = createStorage(kind, {
+			postgres: { connectionString: process.env.CONFORMANCE_DATABASE_URL },
+			sqlite: { filename: path.join(tempDir || "", "conformance.sqlite") },
+			file: { dataDir: tempDir },
+		}[kind]);
+		if (kind === "postgres") {
+			await storage.purgeAll();
+		}
+
+		const failed = await runConformance(storage, {
+			onResult: ({ name, error }) => console.log(error ? `fail: ${name}\n  ${error.message}` : `ok: ${name}`),
+		});
+		console.log(`${kind} storage: ${checks.length - failed}/${checks.length} checks passed`);
+		process.exitCode = failed ? 1 : 0;
+	}
+	catch (error) {
+		console.error(`${kind} storage conformance run failed:`, error);
+		process.exitCode = 1;
+	}
+	finally {
+		if (storage) {
+			if (kind === "postgres") {
+				await storage.purgeAll().catch(() => null);
+			}
+			await storage.close();
+		}
+		if (tempDir) {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		}
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	runConformance,
+};
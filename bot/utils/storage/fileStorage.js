@@ -0,0 +1,697 @@
+/**
+ * File storage adapter
+ * Keeps everything as JSON files under a data directory. No transactions and lookups across users scan
+ * every file, so it suits tests and quick local runs; SQLite is the better local default.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { getTableScoreRows } = require("../tableScores");
+const initialSchema = require("../../migrations/001-initial-schema");
+
+const numericIdPattern = /^\d+$/;
+
+// Table ids stay numbers in global.json when every id is numeric
+function mergeTableIds(existingEntries, incomingIds) {
+	const currentList = Array.isArray(existingEntries) ? existingEntries.slice() : [];
+	const seen = new Set(currentList.map(value => String(value)));
+	let changed = false;
+	const preferNumeric = currentList.every(entry => numericIdPattern.test(String(entry)));
+
+	for (const incoming of incomingIds || []) {
+		const normalized = String(incoming);
+		if (seen.has(normalized)) continue;
+		seen.add(normalized);
+		currentList.push(preferNumeric && numericIdPattern.test(normalized) ? Number.parseInt(normalized, 10) : normalized);
+		changed = true;
+	}
+
+	return { list: currentList, changed };
+}
+
+async function readJson(filePath, fallback) {
+	try {
+		return JSON.parse(await fs.readFile(filePath, "utf8"));
+	}
+	catch (error) {
+		if (error.code === "ENOENT") {
+			return fallback;
+		}
+		throw error;
+	}
+}
+
+async function writeJson(filePath, data) {
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+	await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+async function removeFile(filePath) {
+	try {
+		await fs.unlink(filePath);
+		return true;
+	}
+	catch (error) {
+		if (error.code === "ENOENT") {
+			return false;
+		}
+		throw error;
+	}
+}
+
+async function listJsonFiles(dir) {
+	try {
+		return (await fs.readdir(dir)).filter(name => name.endsWith(".json"));
+	}
+	catch (error) {
+		if (error.code === "ENOENT") {
+			return [];
+		}
+		throw error;
+	}
+}
+
+class FileStorage {
+	/**
+	 * @param {Object} options - dataDir (defaults to bot/data)
+	 */
+	constructor({ dataDir = path.join(__dirname, "..", "..", "data") } = {}) {
+		this.kind = "file";
+		this.dataDir = dataDir;
+		this.usersDir = path.join(dataDir, "users");
+		this.tablesDir = path.join(dataDir, "tables");
+		// Pending tables get their own directory so table lookups only ever see verified (or deleted) ones
+		this.pendingTablesDir = path.join(dataDir, "pending_tables");
+		this.relationshipsDir = path.join(dataDir, "user_tables");
+		this.serverSettingsDir = path.join(dataDir, "server_settings");
+		this._migrationLock = Promise.resolve();
+	}
+
+	// --- Migrations ---------------------------------------------------------------
+
+	async getAppliedMigrations() {
+		return await readJson(path.join(this.dataDir, "schema_migrations.json"), []);
+	}
+
+	/**
+	 * Run a migration's file step and record it. Nothing to roll back with, so steps must be safe to rerun.
+	 */
+	async applyMigration(migration) {
+		if (migration.files) {
+			await migration.files(this.dataDir);
+		}
+		const applied = await this.getAppliedMigrations();
+		applied.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+		await writeJson(path.join(this.dataDir, "schema_migrations.json"), applied);
+	}
+
+	async withMigrationLock(fn) {
+		const run = this._migrationLock.then(fn);
+		this._migrationLock = run.catch(() => null);
+		return await run;
+	}
+
+	async close() {
+		return Promise.resolve();
+	}
+
+	async purgeAll() {
+		return false;
+	}
+
+	async getGlobalStats() {
+		let tableCount = 0;
+		for (const file of await listJsonFiles(this.tablesDir)) {
+			const data = await readJson(path.join(this.tablesDir, file), null);
+			if (data && !data.deletedOn) tableCount++;
+		}
+		return { tableCount, userCount: (await listJsonFiles(this.usersDir)).length };
+	}
+
+	// --- Users --------------------------------------------------------------------
+
+	_getUserDataPath(loungeId) {
+		return path.join(this.usersDir, `${loungeId}.json`);
+	}
+
+	async getUserData(loungeId) {
+		return await readJson(this._getUserDataPath(loungeId), null);
+	}
+
+	async getAllUserData() {
+		const records = [];
+		for (const file of await listJsonFiles(this.usersDir)) {
+			try {
+				const data = await readJson(path.join(this.usersDir, file), null);
+				if (data) {
+					records.push({ id: data.loungeId || data.userId || file.slice(0, -".json".length), data });
+				}
+			}
+			catch (error) {
+				console.error(`error reading user file ${file}:`, error);
+			}
+		}
+		return records;
+	}
+
+	// A link whose user file is gone still resolves, with no data
+	async getUserByDiscordId(discordId) {
+		const link = await this.getDiscordLink(discordId);
+		return link ? { id: link.loungeId, data: await this.getUserData(link.loungeId) } : null;
+	}
+
+	async findUsersByFormerName(query, { exact, limit }) {
+		const matches = [];
+		for (const record of await this.getAllUserData()) {
+			const history = Array.isArray(record.data.nameHistory) ? record.data.nameHistory : [];
+			const found = history.some(entry => {
+				const former = typeof entry?.name === "string" ? entry.name.toLowerCase() : "";
+				return exact ? former === query : former.includes(query);
+			});
+			if (!found) continue;
+			matches.push(record);
+			if (matches.length >= limit) break;
+		}
+		return matches;
+	}
+
+	async saveUserData(loungeId, payload) {
+		await writeJson(this._getUserDataPath(loungeId), payload);
+	}
+
+	async deleteUserData(loungeId) {
+		return await removeFile(this._getUserDataPath(loungeId));
+	}
+
+	async getAllUserIds() {
+		return (await this.getAllUserData()).map(record => record.id);
+	}
+
+	// --- Discord links (discord_links.json: discordId -> link) ------------------------
+
+	async _readDiscordLinks() {
+		return await readJson(path.join(this.dataDir, "discord_links.json"), {}) || {};
+	}
+
+	async _writeDiscordLinks(links) {
+		await writeJson(path.join(this.dataDir, "discord_links.json"), links);
+	}
+
+	async getDiscordLink(discordId) {
+		const link = (await this._readDiscordLinks())[discordId];
+		return link ? { discordId, ...link } : null;
+	}
+
+	// Most recently verified first
+	async getDiscordLinksForUser(loungeId) {
+		return (await this.getAllDiscordLinks())
+			.filter(link => link.loungeId === loungeId)
+			.sort((a, b) => (b.verifiedAt || "").localeCompare(a.verifiedAt || "") || a.createdAt.localeCompare(b.createdAt));
+	}
+
+	async getAllDiscordLinks() {
+		return Object.entries(await this._readDiscordLinks())
+			.map(([discordId, link]) => ({ discordId, ...link }))
+			.sort((a, b) => a.discordId.localeCompare(b.discordId));
+	}
+
+	async saveDiscordLink(discordId, loungeId, { source, verifiedAt = null, createdAt = null }) {
+		const links = await this._readDiscordLinks();
+		links[discordId] = { loungeId, source, verifiedAt, createdAt: links[discordId]?.createdAt || createdAt || new Date().toISOString() };
+		await this._writeDiscordLinks(links);
+	}
+
+	// --- Server settings ------------------------------------------------------------
+
+	async getServerData(serverId) {
+		return await readJson(path.join(this.serverSettingsDir, `${serverId}.json`), null);
+	}
+
+	async saveServerData(serverId, data) {
+		await writeJson(path.join(this.serverSettingsDir, `${serverId}.json`), data);
+	}
+
+	async getAllServerIds() {
+		return (await listJsonFiles(this.serverSettingsDir)).map(file => file.slice(0, -".json".length)).sort();
+	}
+
+	async deleteServerData(serverId) {
+		return await removeFile(path.join(this.serverSettingsDir, `${serverId}.json`));
+	}
+
+	// --- Tables -------------------------------------------------------------------
+
+	async _readTableFile(tableId) {
+		return await readJson(path.join(this.tablesDir, `${tableId}.json`), null);
+	}
+
+	async _readPendingTableFile(tableId) {
+		return await readJson(path.join(this.pendingTablesDir, `${tableId}.json`), null);
+	}
+
+	// Status lives in the file location (pending_tables/ vs tables/) and in deletedOn
+	async getTableRecord(tableId) {
+		const data = await this._readTableFile(tableId);
+		if (data) {
+			return { status: data.deletedOn ? "deleted" : "verified", data };
+		}
+		const pending = await this._readPendingTableFile(tableId);
+		return pending ? { status: "pending", data: pending } : null;
+	}
+
+	async saveTable(tableId, tableData, status) {
+		if (status === "pending") {
+			if (await this._readTableFile(tableId)) {
+				// Already verified or deleted
+				return false;
+			}
+			await writeJson(path.join(this.pendingTablesDir, `${tableId}.json`), tableData);
+			return true;
+		}
+		await writeJson(path.join(this.tablesDir, `${tableId}.json`), tableData);
+		// Verified (or deleted) now: the pending copy is superseded
+		await removeFile(path.join(this.pendingTablesDir, `${tableId}.json`));
+		return true;
+	}
+
+	async getTable(tableId) {
+		const record = await this.getTableRecord(tableId);
+		return record?.status === "verified" ? record.data : null;
+	}
+
+	async getTables(status) {
+		const results = [];
+		const dir = status === "pending" ? this.pendingTablesDir : this.tablesDir;
+		for (const file of await listJsonFiles(dir)) {
+			const id = file.slice(0, -".json".length);
+			const record = await this.getTableRecord(id);
+			if (record?.status === status) {
+				results.push({ id, data: record.data });
+			}
+		}
+		return results;
+	}
+
+	async getTableIds({ status, afterId, limit }) {
+		const dir = status === "pending" ? this.pendingTablesDir : this.tablesDir;
+		const ids = (await listJsonFiles(dir))
+			.map(name => name.slice(0, -".json".length))
+			.filter(id => afterId === null || id > afterId)
+			.sort();
+		const results = [];
+		for (const id of ids) {
+			if (results.length >= limit) break;
+			if (status === "pending" || (await this.getTableRecord(id))?.status === status) {
+				results.push(id);
+			}
+		}
+		return results;
+	}
+
+	async markTableDeleted(tableId, deletedOn) {
+		const record = await this.getTableRecord(tableId);
+		if (!record || record.status === "deleted") {
+			return false;
+		}
+		return await this.saveTable(tableId, { ...record.data, deletedOn }, "deleted");
+	}
+
+	async deleteTable(tableId, status) {
+		const record = await this.getTableRecord(tableId);
+		if (record?.status !== status) {
+			return false;
+		}
+		const dir = status === "pending" ? this.pendingTablesDir : this.tablesDir;
+		await removeFile(path.join(dir, `${tableId}.json`));
+		await this._unlinkTable(tableId);
+		return true;
+	}
+
+	// --- User/table links (user_tables/global.json: loungeId -> table ids) ----------
+
+	async _readLinks() {
+		return await readJson(path.join(this.relationshipsDir, "global.json"), {}) || {};
+	}
+
+	async _writeLinks(links) {
+		await writeJson(path.join(this.relationshipsDir, "global.json"), links);
+	}
+
+	async _unlinkTable(tableId) {
+		const links = await this._readLinks();
+		let changed = false;
+		for (const [userId, entries] of Object.entries(links)) {
+			if (!Array.isArray(entries)) continue;
+			const remaining = entries.filter(entry => String(entry) !== tableId);
+			if (remaining.length !== entries.length) {
+				links[userId] = remaining;
+				changed = true;
+			}
+		}
+		if (changed) {
+			await this._writeLinks(links);
+		}
+	}
+
+	// Links to tables that aren't stored are skipped, like the foreign key does in the SQL stores
+	async linkUserToTables(loungeId, tableIds) {
+		const storedIds = [];
+		for (const tableId of tableIds) {
+			if (await this.getTableRecord(tableId)) {
+				storedIds.push(tableId);
+			}
+		}
+		const links = await this._readLinks();
+		const previousCount = Array.isArray(links[loungeId]) ? links[loungeId].length : 0;
+		const { list, changed } = mergeTableIds(links[loungeId], storedIds);
+		if (changed) {
+			links[loungeId] = list;
+			await this._writeLinks(links);
+		}
+		return list.length - previousCount;
+	}
+
+	async getUserTables(loungeId) {
+		const links = await this._readLinks();
+		const entries = Array.isArray(links[loungeId]) ? links[loungeId] : [];
+		// Newest first, like the SQL stores
+		return Array.from(new Set(entries.map(String))).reverse().map(id => ({ id }));
+	}
+
+	async getLinkedUserIds() {
+		const links = await this._readLinks();
+		return Object.keys(links).filter(userId => Array.isArray(links[userId]) && links[userId].length).sort();
+	}
+
+	async getUserTablesWithData(loungeId, status) {
+		const results = [];
+		for (const { id } of await this.getUserTables(loungeId)) {
+			const record = await this.getTableRecord(id);
+			if (record?.status === status) {
+				results.push({ id, data: record.data });
+			}
+		}
+		return results;
+	}
+
+	// --- Table scores (derived from the table files on every call) ----------------------
+
+	async getTopScores({ playerIds, game, format, season, order, limit }) {
+		const players = playerIds ? new Set(playerIds) : null;
+		const rows = [];
+		for (const { id, data } of await this.getTables("verified")) {
+			for (const row of getTableScoreRows(data)) {
+				if (row.score === null) continue;
+				if (players && !players.has(row.playerId)) continue;
+				if ((game && row.game !== game) || (format && row.format !== format) || (season !== null && row.season !== season)) continue;
+				rows.push({ tableId: id, ...row });
+			}
+		}
+		const direction = order === "asc" ? 1 : -1;
+		rows.sort((a, b) => direction * (a.score - b.score)
+			|| String(a.createdAt).localeCompare(String(b.createdAt))
+			|| a.tableId.localeCompare(b.tableId)
+			|| a.playerId.localeCompare(b.playerId));
+		return rows.slice(0, limit);
+	}
+
+	// --- Player details snapshots ---------------------------------------------------
+
+	_getPlayerDetailsSnapshotPath(loungeId, game) {
+		return path.join(this.dataDir, "details", `${loungeId}-${game}.json`);
+	}
+
+	async savePlayerDetailsSnapshot(loungeId, game, snapshot) {
+		await writeJson(this._getPlayerDetailsSnapshotPath(loungeId, game), snapshot);
+	}
+
+	async getPlayerDetailsSnapshot(loungeId, game) {
+		return await readJson(this._getPlayerDetailsSnapshotPath(loungeId, game), null);
+	}
+
+	// --- Sync cursors ---------------------------------------------------------------
+
+	_getSyncCursorsPath(loungeId) {
+		return path.join(this.dataDir, "sync-cursors", `${loungeId}.json`);
+	}
+
+	async getSyncCursors(loungeId) {
+		return Object.values(await readJson(this._getSyncCursorsPath(loungeId), {}));
+	}
+
+	async saveSyncCursor(loungeId, cursor) {
+		const cursors = await readJson(this._getSyncCursorsPath(loungeId), {});
+		cursors[`${cursor.game}:${cursor.season}`] = cursor;
+		await writeJson(this._getSyncCursorsPath(loungeId), cursors);
+	}
+
+	// --- MMR snapshots (mmr_snapshots/<loungeId>.json: "game:day" -> snapshot) ---------
+
+	_getMmrSnapshotsPath(loungeId) {
+		return path.join(this.dataDir, "mmr_snapshots", `${loungeId}.json`);
+	}
+
+	async saveMmrSnapshot(loungeId, snapshot) {
+		const snapshots = await readJson(this._getMmrSnapshotsPath(loungeId), {});
+		snapshots[`${snapshot.game}:${snapshot.day}`] = { ...snapshot, playerId: loungeId };
+		await writeJson(this._getMmrSnapshotsPath(loungeId), snapshots);
+	}
+
+	async getMmrHistory(loungeIds, { game = null, from = null, to = null } = {}) {
+		const results = [];
+		for (const loungeId of loungeIds.slice().sort()) {
+			const snapshots = Object.values(await readJson(this._getMmrSnapshotsPath(loungeId), {}));
+			results.push(...snapshots
+				.filter(entry => (!game || entry.game === game) && (!from || entry.day >= from) && (!to || entry.day <= to))
+				.sort((a, b) => a.game.localeCompare(b.game) || a.day.localeCompare(b.day)));
+		}
+		return results;
+	}
+
+	async getMmrSnapshotsAsOf(loungeIds, game, day) {
+		const results = [];
+		for (const loungeId of loungeIds.slice().sort()) {
+			const history = await this.getMmrHistory([loungeId], { game, from: null, to: day });
+			if (history.length) results.push(history[history.length - 1]);
+		}
+		return results;
+	}
+
+	async getMmrSnapshotPlayerIds() {
+		const files = await listJsonFiles(path.join(this.dataDir, "mmr_snapshots"));
+		return files.map(file => path.basename(file, ".json")).sort();
+	}
+
+	// --- Privacy (privacy_opt_outs.json: loungeId -> { optedOutAt, discordId }) ----------
+
+	async forgetUser(loungeId) {
+		const removed = { userData: 0, links: 0, snapshots: 0, syncCursors: 0, mmrSnapshots: 0, discordLinks: 0 };
+		if (await this.deleteUserData(loungeId)) removed.userData = 1;
+
+		const links = await this._readLinks();
+		if (Array.isArray(links[loungeId])) {
+			removed.links = links[loungeId].length;
+			delete links[loungeId];
+			await this._writeLinks(links);
+		}
+
+		const detailsDir = path.join(this.dataDir, "details");
+		for (const file of await listJsonFiles(detailsDir)) {
+			if (file.startsWith(`${loungeId}-`) && await removeFile(path.join(detailsDir, file))) {
+				removed.snapshots++;
+			}
+		}
+
+		removed.syncCursors = (await this.getSyncCursors(loungeId)).length;
+		await removeFile(this._getSyncCursorsPath(loungeId));
+
+		removed.mmrSnapshots = Object.keys(await readJson(this._getMmrSnapshotsPath(loungeId), {})).length;
+		await removeFile(this._getMmrSnapshotsPath(loungeId));
+
+		const discordLinks = await this._readDiscordLinks();
+		for (const [discordId, link] of Object.entries(discordLinks)) {
+			if (link.loungeId !== loungeId) continue;
+			delete discordLinks[discordId];
+			removed.discordLinks++;
+		}
+		if (removed.discordLinks) {
+			await this._writeDiscordLinks(discordLinks);
+		}
+		return removed;
+	}
+
+	async _readOptOuts() {
+		return await readJson(path.join(this.dataDir, "privacy_opt_outs.json"), {}) || {};
+	}
+
+	async getOptOuts() {
+		return Object.entries(await this._readOptOuts())
+			.map(([userId, entry]) => ({ userId, optedOutAt: entry.optedOutAt, discordId: entry.discordId || null }))
+			.sort((a, b) => a.userId.localeCompare(b.userId));
+	}
+
+	async saveOptOut(loungeId, optedOutAt, discordId = null) {
+		const optOuts = await this._readOptOuts();
+		const existing = optOuts[loungeId];
+		// Like the SQL stores: the first opt-out time is kept, a missing discord id is filled in
+		if (existing && (existing.discordId || !discordId)) return;
+		optOuts[loungeId] = { optedOutAt: existing?.optedOutAt || optedOutAt, discordId };
+		await writeJson(path.join(this.dataDir, "privacy_opt_outs.json"), optOuts);
+	}
+
+	async deleteOptOut(loungeId) {
+		const optOuts = await this._readOptOuts();
+		if (!optOuts[loungeId]) return false;
+		delete optOuts[loungeId];
+		await writeJson(path.join(this.dataDir, "privacy_opt_outs.json"), optOuts);
+		return true;
+	}
+
+	// --- Season registry --------------------------------------------------------------
+
+	async getLoungeSeasons() {
+		const entries = await readJson(path.join(this.dataDir, "seasons.json"), []);
+		return entries.slice().sort((a, b) => a.season - b.season || String(a.game).localeCompare(String(b.game)));
+	}
+
+	async saveLoungeSeasons(entries) {
+		const existing = await readJson(path.join(this.dataDir, "seasons.json"), []);
+		const merged = new Map(existing.map(entry => [`${entry.game}:${entry.season}`, entry]));
+		for (const { game, season } of entries) {
+			merged.set(`${game}:${season}`, { game, season });
+		}
+		await writeJson(path.join(this.dataDir, "seasons.json"), Array.from(merged.values()));
+	}
+
+	// --- Backfill progress -------------------------------------------------------------
+
+	_getBackfillStatePath(jobKey) {
+		const fileName = jobKey.replace(/[^a-z0-9._-]+/gi, "_");
+		return path.join(this.dataDir, "backfill", `${fileName}.json`);
+	}
+
+	async getBackfillState(jobKey) {
+		return await readJson(this._getBackfillStatePath(jobKey), null);
+	}
+
+	async saveBackfillState(jobKey, state) {
+		await writeJson(this._getBackfillStatePath(jobKey), state);
+	}
+
+	// --- Consistency checks (see consistency.js) ---------------------------------------
+
+	async _getStoredTableIds() {
+		const ids = new Set();
+		for (const dir of [this.tablesDir, this.pendingTablesDir]) {
+			for (const file of await listJsonFiles(dir)) {
+				ids.add(file.slice(0, -".json".length));
+			}
+		}
+		return ids;
+	}
+
+	async getDanglingTableLinks() {
+		const storedIds = await this._getStoredTableIds();
+		const links = await this._readLinks();
+		const dangling = [];
+		for (const userId of Object.keys(links).sort()) {
+			const entries = Array.isArray(links[userId]) ? links[userId] : [];
+			for (const tableId of Array.from(new Set(entries.map(String))).sort()) {
+				if (!storedIds.has(tableId)) dangling.push({ userId, tableId });
+			}
+		}
+		return dangling;
+	}
+
+	async deleteDanglingTableLinks() {
+		const storedIds = await this._getStoredTableIds();
+		const links = await this._readLinks();
+		let removed = 0;
+		for (const [userId, entries] of Object.entries(links)) {
+			if (!Array.isArray(entries)) continue;
+			const remaining = entries.filter(entry => storedIds.has(String(entry)));
+			removed += entries.length - remaining.length;
+			links[userId] = remaining;
+		}
+		if (removed) {
+			await this._writeLinks(links);
+		}
+		return removed;
+	}
+
+	async getUnlinkedTables() {
+		const linkedIds = new Set(Object.values(await this._readLinks()).flatMap(entries => (Array.isArray(entries) ? entries.map(String) : [])));
+		const unlinked = [];
+		for (const id of Array.from(await this._getStoredTableIds()).sort()) {
+			if (linkedIds.has(id)) continue;
+			const record = await this.getTableRecord(id);
+			if (record) unlinked.push({ id, status: record.status });
+		}
+		return unlinked;
+	}
+
+	/**
+	 * Per-server link files the initial schema migration merges into global.json. An older bot still running
+	 * against the same data directory can write new ones after that migration ran.
+	 * @returns {Promise<Array>} [{ file, users, missingLinks }], missingLinks counting links global.json lacks
+	 */
+	async getLegacyLinkFiles() {
+		const links = await this._readLinks();
+		const results = [];
+		for (const file of (await listJsonFiles(this.relationshipsDir)).filter(name => name !== "global.json").sort()) {
+			const legacyData = await readJson(path.join(this.relationshipsDir, file), {}) || {};
+			let missingLinks = 0;
+			for (const [userId, tableIds] of Object.entries(legacyData)) {
+				const known = new Set((Array.isArray(links[userId]) ? links[userId] : []).map(String));
+				missingLinks += (Array.isArray(tableIds) ? tableIds : []).filter(tableId => !known.has(String(tableId))).length;
+			}
+			results.push({ file, users: Object.keys(legacyData).length, missingLinks });
+		}
+		return results;
+	}
+
+	// Reruns the migration's merge step, which is safe to repeat
+	async mergeLegacyLinkFiles() {
+		const legacyFiles = await this.getLegacyLinkFiles();
+		if (legacyFiles.length) {
+			await initialSchema.files(this.dataDir);
+		}
+		return legacyFiles.length;
+	}
+
+	// --- Command usage (not tracked in files) -----------------------------------------
+
+	async recordCommandUsage() {
+		return false;
+	}
+
+	async getCommandUsageStats() {
+		return [];
+	}
+
+	async upsertCommandUsageTotals() {
+		return false;
+	}
+
+	async recordCommandUsageEvent() {
+		return false;
+	}
+
+	async getCommandUsageEvents() {
+		return [];
+	}
+
+	async pruneCommandUsageEvents() {
+		return 0;
+	}
+
+	async replaceCommandUsageRollups() {
+		return false;
+	}
+
+	async getCommandUsageRollups() {
+		return { daily: [], filters: [] };
+	}
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,92 @@
+/**
+ * Storage backends
+ * database.js talks to one of these adapters. They share one interface (checked by conformance.js):
+ * inputs arrive normalized, results come back as plain data, and errors are thrown for the caller to handle.
+ */
+
+const { existsSync, readdirSync } = require("fs");
+const path = require("path");
+const FileStorage = require("./fileStorage");
+const PostgresStorage = require("./postgresStorage");
+
+const STORAGE_KINDS = ["postgres", "sqlite", "file"];
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "data");
+const DEFAULT_SQLITE_PATH = path.join(DEFAULT_DATA_DIR, "mogibot.sqlite");
+
+function hasPostgresConfig() {
+	return !!(
+		process.env.DATABASE_URL
+		|| process.env.PGHOST
+		|| process.env.PGPORT
+		|| process.env.PGDATABASE
+		|| process.env.PGUSER
+	);
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} kind - "postgres", "sqlite" or "file"
+ * @param {Object} options - Passed to the adapter (connectionString, filename or dataDir)
+ * @returns {Object} Storage adapter
+ */
+function createStorage(kind, options = {}) {
+	if (kind === "postgres") {
+		return new PostgresStorage(options);
+	}
+	if (kind === "sqlite") {
+		// Required lazily: sqlite3 is a native optional dependency and may not be installed
+		const SqliteStorage = require("./sqliteStorage");
+		return new SqliteStorage(options);
+	}
+	if (kind === "file") {
+		return new FileStorage(options);
+	}
+	throw new Error(`unknown storage backend "${kind}" (expected ${STORAGE_KINDS.join(", ")})`);
+}
+
+// User files in bot/data but no SQLite database yet: a file-store deployment from before SQLite was the default
+function hasUnmigratedFileData(sqlitePath) {
+	if (existsSync(sqlitePath)) {
+		return false;
+	}
+	try {
+		return readdirSync(path.join(DEFAULT_DATA_DIR, "users")).some(file => file.endsWith(".json"));
+	}
+	catch {
+		return false;
+	}
+}
+
+/**
+ * Pick the backend from the environment: STORAGE_BACKEND when set, otherwise Postgres when it is
+ * configured and SQLite for everything else. The default stays on file storage while bot/data holds file-store
+ * users and no SQLite database (see the README to move them), or when sqlite3 isn't installed.
+ * @returns {Object} Storage adapter
+ */
+function createStorageFromEnv() {
+	const requested = process.env.STORAGE_BACKEND?.trim().toLowerCase() || null;
+	const kind = requested || (hasPostgresConfig() ? "postgres" : "sqlite");
+	const options = kind === "sqlite" && process.env.SQLITE_PATH
+		? { filename: process.env.SQLITE_PATH }
+		: {};
+	if (!requested && kind === "sqlite" && hasUnmigratedFileData(options.filename || DEFAULT_SQLITE_PATH)) {
+		console.warn("bot/data holds file storage and there is no sqlite database yet; staying on file storage (set STORAGE_BACKEND to choose, see the README to migrate)");
+		return createStorage("file");
+	}
+	try {
+		return createStorage(kind, options);
+	}
+	catch (error) {
+		if (requested || kind !== "sqlite") {
+			throw error;
+		}
+		console.warn(`sqlite storage unavailable (${error.message.split("\n")[0]}); falling back to file storage`);
+		return createStorage("file");
+	}
+}
+
+module.exports = {
+	STORAGE_KINDS,
+	createStorage,
+	createStorageFromEnv,
+};
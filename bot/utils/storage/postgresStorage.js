@@ -0,0 +1,744 @@
+/**
+ * Postgres storage adapter
+ * Used when DATABASE_URL or the PG* variables are set. JSON columns are JSONB.
+ */
+
+const { Pool } = require("pg");
+
+// Serializes migration runs across processes (e.g. the bot and the CLI starting together)
+const MIGRATION_LOCK_KEY = 4419207;
+
+class PostgresStorage {
+	/**
+	 * @param {Object} options - connectionString (optional; pg falls back to the PG* variables)
+	 */
+	constructor({ connectionString = process.env.DATABASE_URL } = {}) {
+		this.kind = "postgres";
+		this.pool = new Pool({
+			...(connectionString ? { connectionString } : {}),
+			ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+		});
+		this.pool.on("error", error => {
+			console.error("database pool error:", error);
+		});
+	}
+
+	/**
+	 * Run fn(client) inside a transaction on one pooled connection
+	 */
+	async transaction(fn) {
+		const client = await this.pool.connect();
+		try {
+			await client.query("BEGIN");
+			const result = await fn(client);
+			await client.query("COMMIT");
+			return result;
+		}
+		catch (error) {
+			await client.query("ROLLBACK");
+			throw error;
+		}
+		finally {
+			client.release();
+		}
+	}
+
+	// --- Migrations ---------------------------------------------------------------
+
+	async _ensureMigrationsTable(client = this.pool) {
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS schema_migrations (
+				version INTEGER PRIMARY KEY,
+				name VARCHAR(100) NOT NULL,
+				applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+			)
+		`);
+	}
+
+	async getAppliedMigrations() {
+		await this._ensureMigrationsTable();
+		const result = await this.pool.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+		return result.rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+	}
+
+	async applyMigration(migration) {
+		await this._ensureMigrationsTable();
+		await this.transaction(async client => {
+			if (migration.postgres) {
+				await migration.postgres(client);
+			}
+			await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name]);
+		});
+	}
+
+	async withMigrationLock(fn) {
+		const client = await this.pool.connect();
+		try {
+			await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+			return await fn();
+		}
+		finally {
+			await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => null);
+			client.release();
+		}
+	}
+
+	async close() {
+		await this.pool.end();
+	}
+
+	async purgeAll() {
+		// Drop in reverse dependency order. privacy_opt_outs is kept: a purge must not undo an opt-out.
+		for (const table of ["lounge_seasons", "backfill_state", "mmr_snapshots", "discord_links", "player_sync_cursors", "player_details_cache", "user_tables", "table_scores", "tables", "user_data", "server_settings", "schema_migrations"]) {
+			await this.pool.query(`DROP TABLE IF EXISTS ${table}`);
+		}
+		return true;
+	}
+
+	async getGlobalStats() {
+		const tableRes = await this.pool.query("SELECT COUNT(*) FROM tables WHERE status = 'verified'");
+		const userRes = await this.pool.query("SELECT COUNT(*) FROM user_data");
+		return {
+			tableCount: parseInt(tableRes.rows[0].count, 10),
+			userCount: parseInt(userRes.rows[0].count, 10),
+		};
+	}
+
+	// --- Users --------------------------------------------------------------------
+
+	async getUserData(loungeId) {
+		const result = await this.pool.query("SELECT data FROM user_data WHERE user_id = $1", [loungeId]);
+		return result.rows.length ? result.rows[0].data : null;
+	}
+
+	async getAllUserData() {
+		const result = await this.pool.query("SELECT user_id, data FROM user_data");
+		return result.rows.map(row => ({ id: row.user_id, data: row.data }));
+	}
+
+	// A link whose user record is gone still resolves, with no data
+	async getUserByDiscordId(discordId) {
+		const result = await this.pool.query(
+			`SELECT discord_links.user_id, user_data.data
+			 FROM discord_links
+			 LEFT JOIN user_data ON user_data.user_id = discord_links.user_id
+			 WHERE discord_links.discord_id = $1`,
+			[discordId],
+		);
+		return result.rows.length ? { id: result.rows[0].user_id, data: result.rows[0].data } : null;
+	}
+
+	async findUsersByFormerName(query, { exact, limit }) {
+		const pattern = exact ? query : `%${query.replace(/[\\%_]/g, "\\$&")}%`;
+		const result = await this.pool.query(
+			`SELECT user_id, data
+			 FROM user_data
+			 WHERE jsonb_typeof(data -> 'nameHistory') = 'array'
+			   AND EXISTS (
+				SELECT 1 FROM jsonb_array_elements(data -> 'nameHistory') AS entry
+				WHERE LOWER(entry ->> 'name') ${exact ? "=" : "LIKE"} $1
+			   )
+			 ORDER BY updated_at DESC
+			 LIMIT $2`,
+			[pattern, limit],
+		);
+		return result.rows.map(row => ({ id: row.user_id, data: row.data }));
+	}
+
+	async saveUserData(loungeId, payload) {
+		await this.pool.query(
+			`INSERT INTO user_data (user_id, data, updated_at)
+			 VALUES ($1, $2, CURRENT_TIMESTAMP)
+			 ON CONFLICT (user_id)
+			 DO UPDATE SET data = $2, updated_at = CURRENT_TIMESTAMP`,
+			[loungeId, JSON.stringify(payload)],
+		);
+	}
+
+	async deleteUserData(loungeId) {
+		const result = await this.pool.query("DELETE FROM user_data WHERE user_id = $1", [loungeId]);
+		return result.rowCount > 0;
+	}
+
+	async getAllUserIds() {
+		const result = await this.pool.query("SELECT user_id, data ->> 'loungeId' AS lounge_id FROM user_data");
+		return result.rows.map(row => row.lounge_id || row.user_id);
+	}
+
+	// --- Discord links --------------------------------------------------------------
+
+	static toDiscordLink(row) {
+		return {
+			discordId: row.discord_id,
+			loungeId: row.user_id,
+			source: row.source,
+			verifiedAt: row.verified_at ? new Date(row.verified_at).toISOString() : null,
+			createdAt: new Date(row.created_at).toISOString(),
+		};
+	}
+
+	async getDiscordLink(discordId) {
+		const result = await this.pool.query("SELECT * FROM discord_links WHERE discord_id = $1", [discordId]);
+		return result.rows.length ? PostgresStorage.toDiscordLink(result.rows[0]) : null;
+	}
+
+	// Most recently verified first
+	async getDiscordLinksForUser(loungeId) {
+		const result = await this.pool.query(
+			"SELECT * FROM discord_links WHERE user_id = $1 ORDER BY verified_at DESC NULLS LAST, created_at, discord_id",
+			[loungeId],
+		);
+		return result.rows.map(PostgresStorage.toDiscordLink);
+	}
+
+	async getAllDiscordLinks() {
+		const result = await this.pool.query("SELECT * FROM discord_links ORDER BY discord_id");
+		return result.rows.map(PostgresStorage.toDiscordLink);
+	}
+
+	async saveDiscordLink(discordId, loungeId, { source, verifiedAt = null, createdAt = null }) {
+		await this.pool.query(
+			`INSERT INTO discord_links (discord_id, user_id, source, verified_at, created_at)
+			 VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, CURRENT_TIMESTAMP))
+			 ON CONFLICT (discord_id)
+			 DO UPDATE SET user_id = $2, source = $3, verified_at = $4`,
+			[discordId, loungeId, source, verifiedAt, createdAt],
+		);
+	}
+
+	// --- Server settings ------------------------------------------------------------
+
+	async getServerData(serverId) {
+		const result = await this.pool.query("SELECT data FROM server_settings WHERE server_id = $1", [serverId]);
+		return result.rows.length ? result.rows[0].data : null;
+	}
+
+	async saveServerData(serverId, data) {
+		await this.pool.query(
+			`INSERT INTO server_settings (server_id, data, updated_at)
+			 VALUES ($1, $2, CURRENT_TIMESTAMP)
+			 ON CONFLICT (server_id)
+			 DO UPDATE SET data = $2, updated_at = CURRENT_TIMESTAMP`,
+			[serverId, JSON.stringify(data)],
+		);
+	}
+
+	async getAllServerIds() {
+		const result = await this.pool.query("SELECT server_id FROM server_settings ORDER BY server_id");
+		return result.rows.map(row => row.server_id);
+	}
+
+	async deleteServerData(serverId) {
+		const result = await this.pool.query("DELETE FROM server_settings WHERE server_id = $1", [serverId]);
+		return result.rowCount > 0;
+	}
+
+	// --- Tables -------------------------------------------------------------------
+
+	/**
+	 * Replace a table's score rows (see tableScores.js)
+	 * @param {Object} client - Pool or transaction client
+	 */
+	static async replaceTableScores(client, tableId, scoreRows) {
+		await client.query("DELETE FROM table_scores WHERE table_id = $1", [tableId]);
+		if (!scoreRows.length) return;
+		await client.query(
+			`INSERT INTO table_scores (table_id, player_id, game, season, format, tier, team, score, placement, seed, prev_mmr, delta, created_at)
+			 SELECT $1, r."playerId", r.game, r.season, r.format, r.tier, r.team, r.score, r.placement, r.seed, r."prevMmr", r.delta, r."createdAt"
+			 FROM jsonb_to_recordset($2::jsonb) AS r(
+				"playerId" TEXT, game TEXT, season INTEGER, format TEXT, tier TEXT, team INTEGER, score INTEGER,
+				placement INTEGER, seed INTEGER, "prevMmr" INTEGER, delta INTEGER, "createdAt" TIMESTAMP
+			 )
+			 ON CONFLICT (table_id, player_id) DO NOTHING`,
+			[tableId, JSON.stringify(scoreRows)],
+		);
+	}
+
+	async saveTable(tableId, tableData, status, scoreRows = []) {
+		return await this.transaction(async client => {
+			const result = await client.query(
+				`INSERT INTO tables (table_id, table_data, status, updated_at)
+				 VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+				 ON CONFLICT (table_id)
+				 DO UPDATE SET table_data = $2, status = $3, updated_at = CURRENT_TIMESTAMP
+				 WHERE $3 <> 'pending' OR tables.status = 'pending'`,
+				[tableId, JSON.stringify(tableData), status],
+			);
+			if (!result.rowCount) {
+				return false;
+			}
+			await PostgresStorage.replaceTableScores(client, tableId, scoreRows);
+			return true;
+		});
+	}
+
+	async getTable(tableId) {
+		const result = await this.pool.query(
+			"SELECT table_data FROM tables WHERE table_id = $1 AND status = 'verified'",
+			[tableId],
+		);
+		return result.rows.length ? result.rows[0].table_data : null;
+	}
+
+	async getTableRecord(tableId) {
+		const result = await this.pool.query("SELECT status, table_data FROM tables WHERE table_id = $1", [tableId]);
+		return result.rows.length ? { status: result.rows[0].status, data: result.rows[0].table_data } : null;
+	}
+
+	async getTables(status) {
+		const result = await this.pool.query("SELECT table_id, table_data FROM tables WHERE status = $1", [status]);
+		return result.rows.map(row => ({ id: row.table_id, data: row.table_data }));
+	}
+
+	async getTableIds({ status, afterId, limit }) {
+		const result = await this.pool.query(
+			`SELECT table_id FROM tables
+			 WHERE status = $1 AND ($2::text IS NULL OR table_id > $2)
+			 ORDER BY table_id
+			 LIMIT $3`,
+			[status, afterId, limit],
+		);
+		return result.rows.map(row => row.table_id);
+	}
+
+	async markTableDeleted(tableId, deletedOn) {
+		const result = await this.pool.query(
+			`UPDATE tables
+			 SET status = 'deleted',
+			     table_data = jsonb_set(table_data, '{deletedOn}', to_jsonb($2::text)),
+			     updated_at = CURRENT_TIMESTAMP
+			 WHERE table_id = $1 AND status <> 'deleted'`,
+			[tableId, deletedOn],
+		);
+		return result.rowCount > 0;
+	}
+
+	async deleteTable(tableId, status) {
+		return await this.transaction(async client => {
+			const result = await client.query("DELETE FROM tables WHERE table_id = $1 AND status = $2", [tableId, status]);
+			if (result.rowCount > 0) {
+				await client.query("DELETE FROM user_tables WHERE table_id = $1", [tableId]);
+			}
+			return result.rowCount > 0;
+		});
+	}
+
+	// --- User/table links -----------------------------------------------------------
+
+	async linkUserToTables(loungeId, tableIds) {
+		const result = await this.pool.query(
+			`INSERT INTO user_tables (user_id, table_id)
+			 SELECT $1, table_id FROM tables WHERE table_id = ANY($2::text[])
+			 ON CONFLICT (user_id, table_id) DO NOTHING`,
+			[loungeId, tableIds],
+		);
+		return result.rowCount;
+	}
+
+	async getUserTables(loungeId) {
+		const result = await this.pool.query(
+			`SELECT ut.table_id
+			 FROM user_tables ut
+			 WHERE ut.user_id = $1
+			 ORDER BY ut.created_at DESC, ut.id DESC`,
+			[loungeId],
+		);
+		return result.rows.map(row => ({ id: row.table_id }));
+	}
+
+	async getLinkedUserIds() {
+		const result = await this.pool.query("SELECT DISTINCT user_id FROM user_tables ORDER BY user_id");
+		return result.rows.map(row => row.user_id);
+	}
+
+	async getUserTablesWithData(loungeId, status) {
+		const result = await this.pool.query(
+			`SELECT t.table_id, t.table_data
+			 FROM user_tables ut
+			 JOIN tables t ON ut.table_id = t.table_id
+			 WHERE ut.user_id = $1 AND t.status = $2
+			 ORDER BY ut.created_at DESC, ut.id DESC`,
+			[loungeId, status],
+		);
+		return result.rows.map(row => ({ id: row.table_id, data: row.table_data }));
+	}
+
+	// --- Table scores -----------------------------------------------------------------
+
+	async getTopScores({ playerIds, game, format, season, order, limit }) {
+		const result = await this.pool.query(
+			`SELECT s.table_id, s.player_id, s.game, s.season, s.format, s.tier, s.team, s.score,
+			        s.placement, s.seed, s.prev_mmr, s.delta, s.created_at
+			 FROM table_scores s
+			 JOIN tables t ON t.table_id = s.table_id AND t.status = 'verified'
+			 WHERE ($1::text[] IS NULL OR s.player_id = ANY($1::text[]))
+			   AND ($2::text IS NULL OR s.game = $2)
+			   AND ($3::text IS NULL OR s.format = $3)
+			   AND ($4::integer IS NULL OR s.season = $4)
+			   AND s.score IS NOT NULL
+			 ORDER BY s.score ${order === "asc" ? "ASC" : "DESC"}, s.created_at ASC, s.table_id ASC, s.player_id ASC
+			 LIMIT $5`,
+			[playerIds, game, format, season, limit],
+		);
+		return result.rows.map(row => ({
+			tableId: row.table_id,
+			playerId: row.player_id,
+			game: row.game,
+			season: row.season,
+			format: row.format,
+			tier: row.tier,
+			team: row.team,
+			score: row.score,
+			placement: row.placement,
+			seed: row.seed,
+			prevMmr: row.prev_mmr,
+			delta: row.delta,
+			createdAt: row.created_at === null ? null : new Date(row.created_at).toISOString(),
+		}));
+	}
+
+	// --- Player details snapshots ---------------------------------------------------
+
+	async savePlayerDetailsSnapshot(loungeId, game, { details, fetchedAt }) {
+		await this.pool.query(
+			`INSERT INTO player_details_cache (user_id, game, data, fetched_at)
+			 VALUES ($1, $2, $3, $4)
+			 ON CONFLICT (user_id, game)
+			 DO UPDATE SET data = $3, fetched_at = $4`,
+			[loungeId, game, JSON.stringify(details), fetchedAt],
+		);
+	}
+
+	async getPlayerDetailsSnapshot(loungeId, game) {
+		const result = await this.pool.query(
+			"SELECT data, fetched_at FROM player_details_cache WHERE user_id = $1 AND game = $2",
+			[loungeId, game],
+		);
+		if (!result.rows.length) return null;
+		return {
+			details: result.rows[0].data,
+			fetchedAt: new Date(result.rows[0].fetched_at).toISOString(),
+		};
+	}
+
+	// --- Sync cursors ---------------------------------------------------------------
+
+	async getSyncCursors(loungeId) {
+		const result = await this.pool.query(
+			`SELECT game, season, last_change_id, complete, last_synced_at
+			 FROM player_sync_cursors WHERE user_id = $1`,
+			[loungeId],
+		);
+		return result.rows.map(row => ({
+			game: row.game,
+			season: row.season,
+			lastChangeId: row.last_change_id === null ? null : Number(row.last_change_id),
+			complete: row.complete,
+			lastSyncedAt: new Date(row.last_synced_at).toISOString(),
+		}));
+	}
+
+	async saveSyncCursor(loungeId, cursor) {
+		await this.pool.query(
+			`INSERT INTO player_sync_cursors (user_id, game, season, last_change_id, complete, last_synced_at)
+			 VALUES ($1, $2, $3, $4, $5, $6)
+			 ON CONFLICT (user_id, game, season)
+			 DO UPDATE SET last_change_id = $4, complete = $5, last_synced_at = $6`,
+			[loungeId, cursor.game, cursor.season, cursor.lastChangeId, cursor.complete, cursor.lastSyncedAt],
+		);
+	}
+
+	// --- MMR snapshots ----------------------------------------------------------------
+
+	async saveMmrSnapshot(loungeId, snapshot) {
+		await this.pool.query(
+			`INSERT INTO mmr_snapshots (user_id, game, day, season, mmr, max_mmr, rank, overall_rank, events_played, captured_at)
+			 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+			 ON CONFLICT (user_id, game, day)
+			 DO UPDATE SET season = $4, mmr = $5, max_mmr = $6, rank = $7, overall_rank = $8, events_played = $9, captured_at = $10`,
+			[loungeId, snapshot.game, snapshot.day, snapshot.season, snapshot.mmr, snapshot.maxMmr, snapshot.rank, snapshot.overallRank, snapshot.eventsPlayed, snapshot.capturedAt],
+		);
+	}
+
+	static toMmrSnapshot(row) {
+		return {
+			playerId: row.user_id,
+			game: row.game,
+			day: row.day,
+			season: row.season,
+			mmr: row.mmr,
+			maxMmr: row.max_mmr,
+			rank: row.rank,
+			overallRank: row.overall_rank,
+			eventsPlayed: row.events_played,
+			capturedAt: new Date(row.captured_at).toISOString(),
+		};
+	}
+
+	async getMmrHistory(loungeIds, { game = null, from = null, to = null } = {}) {
+		const result = await this.pool.query(
+			`SELECT * FROM mmr_snapshots
+			 WHERE user_id = ANY($1::text[])
+			   AND ($2::text IS NULL OR game = $2)
+			   AND ($3::text IS NULL OR day >= $3)
+			   AND ($4::text IS NULL OR day <= $4)
+			 ORDER BY user_id, game, day`,
+			[loungeIds, game, from, to],
+		);
+		return result.rows.map(PostgresStorage.toMmrSnapshot);
+	}
+
+	async getMmrSnapshotsAsOf(loungeIds, game, day) {
+		const result = await this.pool.query(
+			`SELECT DISTINCT ON (user_id) * FROM mmr_snapshots
+			 WHERE user_id = ANY($1::text[]) AND game = $2 AND day <= $3
+			 ORDER BY user_id, day DESC`,
+			[loungeIds, game, day],
+		);
+		return result.rows.map(PostgresStorage.toMmrSnapshot);
+	}
+
+	async getMmrSnapshotPlayerIds() {
+		const result = await this.pool.query("SELECT DISTINCT user_id FROM mmr_snapshots ORDER BY user_id");
+		return result.rows.map(row => row.user_id);
+	}
+
+	// --- Privacy ----------------------------------------------------------------------
+
+	async forgetUser(loungeId) {
+		return await this.transaction(async client => {
+			const removed = {};
+			for (const [key, table] of [["userData", "user_data"], ["links", "user_tables"], ["snapshots", "player_details_cache"], ["syncCursors", "player_sync_cursors"], ["mmrSnapshots", "mmr_snapshots"], ["discordLinks", "discord_links"]]) {
+				const result = await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [loungeId]);
+				removed[key] = result.rowCount;
+			}
+			return removed;
+		});
+	}
+
+	async getOptOuts() {
+		const result = await this.pool.query("SELECT user_id, opted_out_at, discord_id FROM privacy_opt_outs ORDER BY user_id");
+		return result.rows.map(row => ({
+			userId: row.user_id,
+			optedOutAt: new Date(row.opted_out_at).toISOString(),
+			discordId: row.discord_id,
+		}));
+	}
+
+	async saveOptOut(loungeId, optedOutAt, discordId = null) {
+		await this.pool.query(`
+			INSERT INTO privacy_opt_outs (user_id, opted_out_at, discord_id) VALUES ($1, $2, $3)
+			ON CONFLICT (user_id) DO UPDATE SET discord_id = COALESCE(privacy_opt_outs.discord_id, EXCLUDED.discord_id)
+		`, [loungeId, optedOutAt, discordId]);
+	}
+
+	async deleteOptOut(loungeId) {
+		const result = await this.pool.query("DELETE FROM privacy_opt_outs WHERE user_id = $1", [loungeId]);
+		return result.rowCount > 0;
+	}
+
+	// --- Season registry --------------------------------------------------------------
+
+	async getLoungeSeasons() {
+		const result = await this.pool.query("SELECT game, season FROM lounge_seasons ORDER BY season, game");
+		return result.rows.map(row => ({ game: row.game, season: row.season }));
+	}
+
+	async saveLoungeSeasons(entries) {
+		await this.transaction(async client => {
+			for (const { game, season } of entries) {
+				await client.query(
+					`INSERT INTO lounge_seasons (game, season)
+					 VALUES ($1, $2)
+					 ON CONFLICT (game, season) DO NOTHING`,
+					[game, season],
+				);
+			}
+		});
+	}
+
+	// --- Backfill progress -------------------------------------------------------------
+
+	async getBackfillState(jobKey) {
+		const result = await this.pool.query("SELECT state FROM backfill_state WHERE job_key = $1", [jobKey]);
+		return result.rows.length ? result.rows[0].state : null;
+	}
+
+	async saveBackfillState(jobKey, state) {
+		await this.pool.query(
+			`INSERT INTO backfill_state (job_key, state, updated_at)
+			 VALUES ($1, $2, CURRENT_TIMESTAMP)
+			 ON CONFLICT (job_key)
+			 DO UPDATE SET state = $2, updated_at = CURRENT_TIMESTAMP`,
+			[jobKey, JSON.stringify(state)],
+		);
+	}
+
+	// --- Consistency checks (see consistency.js) ---------------------------------------
+
+	async getDanglingTableLinks() {
+		const result = await this.pool.query(
+			`SELECT user_id, table_id FROM user_tables
+			 WHERE NOT EXISTS (SELECT 1 FROM tables WHERE tables.table_id = user_tables.table_id)
+			 ORDER BY user_id, table_id`,
+		);
+		return result.rows.map(row => ({ userId: row.user_id, tableId: row.table_id }));
+	}
+
+	async deleteDanglingTableLinks() {
+		const result = await this.pool.query(
+			"DELETE FROM user_tables WHERE NOT EXISTS (SELECT 1 FROM tables WHERE tables.table_id = user_tables.table_id)",
+		);
+		return result.rowCount;
+	}
+
+	async getUnlinkedTables() {
+		const result = await this.pool.query(
+			`SELECT table_id, status FROM tables
+			 WHERE NOT EXISTS (SELECT 1 FROM user_tables WHERE user_tables.table_id = tables.table_id)
+			 ORDER BY table_id`,
+		);
+		return result.rows.map(row => ({ id: row.table_id, status: row.status }));
+	}
+
+	// Only the file store ever kept per-server link files
+	async getLegacyLinkFiles() {
+		return [];
+	}
+
+	async mergeLegacyLinkFiles() {
+		return 0;
+	}
+
+	// --- Command usage ----------------------------------------------------------------
+
+	async recordCommandUsage(commandName, isButton) {
+		const column = isButton ? "button_count" : "slash_count";
+		await this.pool.query(
+			`INSERT INTO command_usage (command_name, slash_count, button_count)
+			 VALUES ($1, $2, $3)
+			 ON CONFLICT (command_name)
+			 DO UPDATE SET ${column} = command_usage.${column} + 1, updated_at = CURRENT_TIMESTAMP`,
+			[commandName, isButton ? 0 : 1, isButton ? 1 : 0],
+		);
+		return true;
+	}
+
+	async getCommandUsageStats(limit) {
+		const result = await this.pool.query(
+			`SELECT command_name, slash_count, button_count, updated_at
+			 FROM command_usage
+			 ORDER BY slash_count DESC, button_count DESC, command_name ASC
+			 LIMIT $1`,
+			[limit],
+		);
+		return result.rows;
+	}
+
+	async upsertCommandUsageTotals(commandName, slashCount, buttonCount) {
+		await this.pool.query(
+			`INSERT INTO command_usage (command_name, slash_count, button_count)
+			 VALUES ($1, $2, $3)
+			 ON CONFLICT (command_name)
+			 DO UPDATE SET slash_count = $2, button_count = $3, updated_at = CURRENT_TIMESTAMP`,
+			[commandName, slashCount, buttonCount],
+		);
+		return true;
+	}
+
+	// --- Command usage events ---------------------------------------------------------
+
+	async recordCommandUsageEvent(event) {
+		await this.pool.query(
+			`INSERT INTO command_usage_events (command_name, interaction_type, guild_id, filters, duration_ms, success, created_at)
+			 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+			[event.commandName, event.interactionType, event.guildId, JSON.stringify(event.filters), event.durationMs, event.success, event.createdAt],
+		);
+		return true;
+	}
+
+	async getCommandUsageEvents(from, to) {
+		const result = await this.pool.query(
+			`SELECT command_name, interaction_type, guild_id, filters, duration_ms, success, created_at
+			 FROM command_usage_events
+			 WHERE created_at >= $1 AND created_at < $2
+			 ORDER BY created_at`,
+			[from, to],
+		);
+		return result.rows.map(row => ({
+			commandName: row.command_name,
+			interactionType: row.interaction_type,
+			guildId: row.guild_id,
+			filters: row.filters || {},
+			durationMs: row.duration_ms,
+			success: row.success,
+			createdAt: new Date(row.created_at).toISOString(),
+		}));
+	}
+
+	async pruneCommandUsageEvents(before) {
+		const result = await this.pool.query("DELETE FROM command_usage_events WHERE created_at < $1", [before]);
+		return result.rowCount;
+	}
+
+	async replaceCommandUsageRollups(fromDay, toDay, dailyRows, filterRows) {
+		await this.transaction(async client => {
+			await client.query("DELETE FROM command_usage_daily WHERE day >= $1 AND day <= $2", [fromDay, toDay]);
+			await client.query("DELETE FROM command_usage_filters_daily WHERE day >= $1 AND day <= $2", [fromDay, toDay]);
+			for (const row of dailyRows) {
+				await client.query(
+					`INSERT INTO command_usage_daily (day, command_name, interaction_type, guild_id, uses, failures, total_duration_ms, latency_buckets)
+					 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+					[row.day, row.commandName, row.interactionType, row.guildId, row.uses, row.failures, row.totalDurationMs, JSON.stringify(row.latencyBuckets)],
+				);
+			}
+			for (const row of filterRows) {
+				await client.query(
+					`INSERT INTO command_usage_filters_daily (day, command_name, interaction_type, filter_name, filter_value, uses)
+					 VALUES ($1, $2, $3, $4, $5, $6)`,
+					[row.day, row.commandName, row.interactionType, row.filterName, row.filterValue, row.uses],
+				);
+			}
+		});
+		return true;
+	}
+
+	async getCommandUsageRollups(fromDay, toDay) {
+		const daily = await this.pool.query(
+			`SELECT day, command_name, interaction_type, guild_id, uses, failures, total_duration_ms, latency_buckets
+			 FROM command_usage_daily
+			 WHERE day >= $1 AND day <= $2
+			 ORDER BY day, command_name`,
+			[fromDay, toDay],
+		);
+		const filters = await this.pool.query(
+			`SELECT day, command_name, interaction_type, filter_name, filter_value, uses
+			 FROM command_usage_filters_daily
+			 WHERE day >= $1 AND day <= $2
+			 ORDER BY day, command_name`,
+			[fromDay, toDay],
+		);
+		return {
+			daily: daily.rows.map(row => ({
+				day: row.day,
+				commandName: row.command_name,
+				interactionType: row.interaction_type,
+				guildId: row.guild_id,
+				uses: row.uses,
+				failures: row.failures,
+				totalDurationMs: Number(row.total_duration_ms),
+				latencyBuckets: row.latency_buckets,
+			})),
+			filters: filters.rows.map(row => ({
+				day: row.day,
+				commandName: row.command_name,
+				interactionType: row.interaction_type,
+				filterName: row.filter_name,
+				filterValue: row.filter_value,
+				uses: row.uses,
+			})),
+		};
+	}
+}
+
+module.exports = PostgresStorage;
@@ -0,0 +1,782 @@
+/**
+ * SQLite storage adapter
+ * One database file, no server to run: the default for local development and small self-hosted bots.
+ * JSON columns are stored as text and queried with SQLite's JSON functions. sqlite3 runs one statement at a
+ * time per connection, so statements go through a queue and a transaction holds it until it commits.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class SqliteStorage {
+	/**
+	 * @param {Object} options - filename (defaults to bot/data/mogibot.sqlite)
+	 */
+	constructor({ filename = path.join(__dirname, "..", "..", "data", "mogibot.sqlite") } = {}) {
+		// Required here so the other backends work without the native module installed
+		const sqlite3 = require("sqlite3");
+		this.kind = "sqlite";
+		this.filename = filename;
+		if (filename !== ":memory:") {
+			fs.mkdirSync(path.dirname(filename), { recursive: true });
+		}
+		this.db = new sqlite3.Database(filename);
+		this.db.configure("busyTimeout", 5000);
+		this._queue = Promise.resolve();
+		// Unqueued statement helpers, handed to transaction bodies and migrations
+		this._direct = {
+			run: (sql, params) => this._run(sql, params),
+			all: (sql, params) => this._all(sql, params),
+			get: (sql, params) => this._get(sql, params),
+			exec: sql => this._exec(sql),
+		};
+		this._ready = this._enqueue(() => this._exec("PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL;"));
+	}
+
+	_run(sql, params = []) {
+		return new Promise((resolve, reject) => {
+			this.db.run(sql, params, function(error) {
+				if (error) reject(error);
+				else resolve({ changes: this.changes, lastId: this.lastID });
+			});
+		});
+	}
+
+	_all(sql, params = []) {
+		return new Promise((resolve, reject) => {
+			this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+		});
+	}
+
+	_get(sql, params = []) {
+		return new Promise((resolve, reject) => {
+			this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row || null)));
+		});
+	}
+
+	_exec(sql) {
+		return new Promise((resolve, reject) => {
+			this.db.exec(sql, error => (error ? reject(error) : resolve()));
+		});
+	}
+
+	_enqueue(task) {
+		const result = this._queue.then(task);
+		this._queue = result.catch(() => null);
+		return result;
+	}
+
+	run(sql, params) {
+		return this._enqueue(() => this._run(sql, params));
+	}
+
+	all(sql, params) {
+		return this._enqueue(() => this._all(sql, params));
+	}
+
+	get(sql, params) {
+		return this._enqueue(() => this._get(sql, params));
+	}
+
+	/**
+	 * Run fn(db) inside a transaction; nothing else touches the connection until it commits or rolls back
+	 */
+	transaction(fn) {
+		return this._enqueue(async () => {
+			await this._exec("BEGIN IMMEDIATE");
+			try {
+				const result = await fn(this._direct);
+				await this._exec("COMMIT");
+				return result;
+			}
+			catch (error) {
+				await this._exec("ROLLBACK");
+				throw error;
+			}
+		});
+	}
+
+	// --- Migrations ---------------------------------------------------------------
+
+	async _ensureMigrationsTable() {
+		await this._ready;
+		await this.run(`
+			CREATE TABLE IF NOT EXISTS schema_migrations (
+				version INTEGER PRIMARY KEY,
+				name TEXT NOT NULL,
+				applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+			)
+		`);
+	}
+
+	async getAppliedMigrations() {
+		await this._ensureMigrationsTable();
+		const rows = await this.all("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+		return rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+	}
+
+	async applyMigration(migration) {
+		await this._ensureMigrationsTable();
+		await this.transaction(async db => {
+			if (migration.sqlite) {
+				await migration.sqlite(db);
+			}
+			await db.run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+		});
+	}
+
+	// Only this process writes the file between statements; BEGIN IMMEDIATE covers other processes
+	async withMigrationLock(fn) {
+		return await fn();
+	}
+
+	async close() {
+		await this._queue;
+		await new Promise((resolve, reject) => this.db.close(error => (error ? reject(error) : resolve())));
+	}
+
+	async purgeAll() {
+		// privacy_opt_outs is kept: a purge must not undo an opt-out
+		await this.transaction(async db => {
+			for (const table of ["lounge_seasons", "backfill_state", "mmr_snapshots", "discord_links", "player_sync_cursors", "player_details_cache", "user_tables", "table_scores", "tables", "user_data", "server_settings", "schema_migrations"]) {
+				await db.run(`DROP TABLE IF EXISTS ${table}`);
+			}
+		});
+		return true;
+	}
+
+	async getGlobalStats() {
+		const tables = await this.get("SELECT COUNT(*) AS count FROM tables WHERE status = 'verified'");
+		const users = await this.get("SELECT COUNT(*) AS count FROM user_data");
+		return { tableCount: tables.count, userCount: users.count };
+	}
+
+	// --- Users --------------------------------------------------------------------
+
+	async getUserData(loungeId) {
+		const row = await this.get("SELECT data FROM user_data WHERE user_id = ?", [loungeId]);
+		return row ? JSON.parse(row.data) : null;
+	}
+
+	async getAllUserData() {
+		const rows = await this.all("SELECT user_id, data FROM user_data");
+		return rows.map(row => ({ id: row.user_id, data: JSON.parse(row.data) }));
+	}
+
+	// A link whose user record is gone still resolves, with no data
+	async getUserByDiscordId(discordId) {
+		const row = await this.get(
+			`SELECT discord_links.user_id, user_data.data
+			 FROM discord_links
+			 LEFT JOIN user_data ON user_data.user_id = discord_links.user_id
+			 WHERE discord_links.discord_id = ?`,
+			[discordId],
+		);
+		return row ? { id: row.user_id, data: row.data === null ? null : JSON.parse(row.data) } : null;
+	}
+
+	async findUsersByFormerName(query, { exact, limit }) {
+		const pattern = exact ? query : `%${query.replace(/[\\%_]/g, "\\$&")}%`;
+		const rows = await this.all(
+			`SELECT user_id, data FROM user_data
+			 WHERE EXISTS (
+				SELECT 1 FROM json_each(user_data.data, '$.nameHistory') AS entry
+				WHERE LOWER(json_extract(entry.value, '$.name')) ${exact ? "=" : "LIKE"} ? ${exact ? "" : "ESCAPE '\\'"}
+			 )
+			 ORDER BY updated_at DESC
+			 LIMIT ?`,
+			[pattern, limit],
+		);
+		return rows.map(row => ({ id: row.user_id, data: JSON.parse(row.data) }));
+	}
+
+	async saveUserData(loungeId, payload) {
+		await this.run(
+			`INSERT INTO user_data (user_id, data, updated_at)
+			 VALUES (?, ?, CURRENT_TIMESTAMP)
+			 ON CONFLICT (user_id)
+			 DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP`,
+			[loungeId, JSON.stringify(payload)],
+		);
+	}
+
+	async deleteUserData(loungeId) {
+		const result = await this.run("DELETE FROM user_data WHERE user_id = ?", [loungeId]);
+		return result.changes > 0;
+	}
+
+	async getAllUserIds() {
+		const rows = await this.all("SELECT user_id, json_extract(data, '$.loungeId') AS lounge_id FROM user_data");
+		return rows.map(row => (row.lounge_id === null ? row.user_id : String(row.lounge_id)));
+	}
+
+	// --- Discord links --------------------------------------------------------------
+
+	static toDiscordLink(row) {
+		return {
+			discordId: row.discord_id,
+			loungeId: row.user_id,
+			source: row.source,
+			verifiedAt: row.verified_at,
+			createdAt: row.created_at,
+		};
+	}
+
+	async getDiscordLink(discordId) {
+		const row = await this.get("SELECT * FROM discord_links WHERE discord_id = ?", [discordId]);
+		return row ? SqliteStorage.toDiscordLink(row) : null;
+	}
+
+	// Most recently verified first
+	async getDiscordLinksForUser(loungeId) {
+		const rows = await this.all(
+			"SELECT * FROM discord_links WHERE user_id = ? ORDER BY verified_at IS NULL, verified_at DESC, created_at, discord_id",
+			[loungeId],
+		);
+		return rows.map(SqliteStorage.toDiscordLink);
+	}
+
+	async getAllDiscordLinks() {
+		const rows = await this.all("SELECT * FROM discord_links ORDER BY discord_id");
+		return rows.map(SqliteStorage.toDiscordLink);
+	}
+
+	async saveDiscordLink(discordId, loungeId, { source, verifiedAt = null, createdAt = null }) {
+		await this.run(
+			`INSERT INTO discord_links (discord_id, user_id, source, verified_at, created_at)
+			 VALUES (?, ?, ?, ?, ?)
+			 ON CONFLICT (discord_id)
+			 DO UPDATE SET user_id = excluded.user_id, source = excluded.source, verified_at = excluded.verified_at`,
+			[discordId, loungeId, source, verifiedAt, createdAt || new Date().toISOString()],
+		);
+	}
+
+	// --- Server settings ------------------------------------------------------------
+
+	async getServerData(serverId) {
+		const row = await this.get("SELECT data FROM server_settings WHERE server_id = ?", [serverId]);
+		return row ? JSON.parse(row.data) : null;
+	}
+
+	async saveServerData(serverId, data) {
+		await this.run(
+			`INSERT INTO server_settings (server_id, data, updated_at)
+			 VALUES (?, ?, CURRENT_TIMESTAMP)
+			 ON CONFLICT (server_id)
+			 DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP`,
+			[serverId, JSON.stringify(data)],
+		);
+	}
+
+	async getAllServerIds() {
+		const rows = await this.all("SELECT server_id FROM server_settings ORDER BY server_id");
+		return rows.map(row => row.server_id);
+	}
+
+	async deleteServerData(serverId) {
+		const result = await this.run("DELETE FROM server_settings WHERE server_id = ?", [serverId]);
+		return result.changes > 0;
+	}
+
+	// --- Tables -------------------------------------------------------------------
+
+	/**
+	 * Replace a table's score rows (see tableScores.js)
+	 * @param {Object} db - Unqueued statement helpers from a transaction
+	 */
+	static async replaceTableScores(db, tableId, scoreRows) {
+		await db.run("DELETE FROM table_scores WHERE table_id = ?", [tableId]);
+		if (!scoreRows.length) return;
+		await db.run(
+			`INSERT INTO table_scores (table_id, player_id, game, season, format, tier, team, score, placement, seed, prev_mmr, delta, created_at)
+			 SELECT ?, json_extract(value, '$.playerId'), json_extract(value, '$.game'), json_extract(value, '$.season'),
+			        json_extract(value, '$.format'), json_extract(value, '$.tier'), json_extract(value, '$.team'),
+			        json_extract(value, '$.score'), json_extract(value, '$.placement'), json_extract(value, '$.seed'),
+			        json_extract(value, '$.prevMmr'), json_extract(value, '$.delta'), json_extract(value, '$.createdAt')
+			 FROM json_each(?)
+			 WHERE true
+			 ON CONFLICT (table_id, player_id) DO NOTHING`,
+			[tableId, JSON.stringify(scoreRows)],
+		);
+	}
+
+	async saveTable(tableId, tableData, status, scoreRows = []) {
+		return await this.transaction(async db => {
+			const result = await db.run(
+				`INSERT INTO tables (table_id, table_data, status, updated_at)
+				 VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+				 ON CONFLICT (table_id)
+				 DO UPDATE SET table_data = excluded.table_data, status = excluded.status, updated_at = CURRENT_TIMESTAMP
+				 WHERE excluded.status <> 'pending' OR tables.status = 'pending'`,
+				[tableId, JSON.stringify(tableData), status],
+			);
+			if (!result.changes) {
+				return false;
+			}
+			await SqliteStorage.replaceTableScores(db, tableId, scoreRows);
+			return true;
+		});
+	}
+
+	async getTable(tableId) {
+		const row = await this.get("SELECT table_data FROM tables WHERE table_id = ? AND status = 'verified'", [tableId]);
+		return row ? JSON.parse(row.table_data) : null;
+	}
+
+	async getTableRecord(tableId) {
+		const row = await this.get("SELECT status, table_data FROM tables WHERE table_id = ?", [tableId]);
+		return row ? { status: row.status, data: JSON.parse(row.table_data) } : null;
+	}
+
+	async getTables(status) {
+		const rows = await this.all("SELECT table_id, table_data FROM tables WHERE status = ?", [status]);
+		return rows.map(row => ({ id: row.table_id, data: JSON.parse(row.table_data) }));
+	}
+
+	async getTableIds({ status, afterId, limit }) {
+		const rows = await this.all(
+			`SELECT table_id FROM tables
+			 WHERE status = ? AND (? IS NULL OR table_id > ?)
+			 ORDER BY table_id
+			 LIMIT ?`,
+			[status, afterId, afterId, limit],
+		);
+		return rows.map(row => row.table_id);
+	}
+
+	async markTableDeleted(tableId, deletedOn) {
+		const result = await this.run(
+			`UPDATE tables
+			 SET status = 'deleted', table_data = json_set(table_data, '$.deletedOn', ?), updated_at = CURRENT_TIMESTAMP
+			 WHERE table_id = ? AND status <> 'deleted'`,
+			[deletedOn, tableId],
+		);
+		return result.changes > 0;
+	}
+
+	async deleteTable(tableId, status) {
+		return await this.transaction(async db => {
+			const result = await db.run("DELETE FROM tables WHERE table_id = ? AND status = ?", [tableId, status]);
+			if (result.changes > 0) {
+				await db.run("DELETE FROM user_tables WHERE table_id = ?", [tableId]);
+			}
+			return result.changes > 0;
+		});
+	}
+
+	// --- User/table links -----------------------------------------------------------
+
+	async linkUserToTables(loungeId, tableIds) {
+		return await this.transaction(async db => {
+			let added = 0;
+			for (const tableId of tableIds) {
+				const result = await db.run(
+					`INSERT INTO user_tables (user_id, table_id)
+					 SELECT ?, table_id FROM tables WHERE table_id = ?
+					 ON CONFLICT (user_id, table_id) DO NOTHING`,
+					[loungeId, tableId],
+				);
+				added += result.changes;
+			}
+			return added;
+		});
+	}
+
+	async getUserTables(loungeId) {
+		const rows = await this.all(
+			"SELECT table_id FROM user_tables WHERE user_id = ? ORDER BY created_at DESC, id DESC",
+			[loungeId],
+		);
+		return rows.map(row => ({ id: row.table_id }));
+	}
+
+	async getLinkedUserIds() {
+		const rows = await this.all("SELECT DISTINCT user_id FROM user_tables ORDER BY user_id");
+		return rows.map(row => row.user_id);
+	}
+
+	async getUserTablesWithData(loungeId, status) {
+		const rows = await this.all(
+			`SELECT t.table_id, t.table_data
+			 FROM user_tables ut
+			 JOIN tables t ON ut.table_id = t.table_id
+			 WHERE ut.user_id = ? AND t.status = ?
+			 ORDER BY ut.created_at DESC, ut.id DESC`,
+			[loungeId, status],
+		);
+		return rows.map(row => ({ id: row.table_id, data: JSON.parse(row.table_data) }));
+	}
+
+	// --- Table scores -----------------------------------------------------------------
+
+	async getTopScores({ playerIds, game, format, season, order, limit }) {
+		const rows = await this.all(
+			`SELECT s.table_id, s.player_id, s.game, s.season, s.format, s.tier, s.team, s.score,
+			        s.placement, s.seed, s.prev_mmr, s.delta, s.created_at
+			 FROM table_scores s
+			 JOIN tables t ON t.table_id = s.table_id AND t.status = 'verified'
+			 WHERE (? IS NULL OR s.player_id IN (SELECT value FROM json_each(?)))
+			   AND (? IS NULL OR s.game = ?)
+			   AND (? IS NULL OR s.format = ?)
+			   AND (? IS NULL OR s.season = ?)
+			   AND s.score IS NOT NULL
+			 ORDER BY s.score ${order === "asc" ? "ASC" : "DESC"}, s.created_at ASC, s.table_id ASC, s.player_id ASC
+			 LIMIT ?`,
+			[
+				playerIds && JSON.stringify(playerIds), playerIds && JSON.stringify(playerIds),
+				game, game,
+				format, format,
+				season, season,
+				limit,
+			],
+		);
+		return rows.map(row => ({
+			tableId: row.table_id,
+			playerId: row.player_id,
+			game: row.game,
+			season: row.season,
+			format: row.format,
+			tier: row.tier,
+			team: row.team,
+			score: row.score,
+			placement: row.placement,
+			seed: row.seed,
+			prevMmr: row.prev_mmr,
+			delta: row.delta,
+			createdAt: row.created_at,
+		}));
+	}
+
+	// --- Player details snapshots ---------------------------------------------------
+
+	async savePlayerDetailsSnapshot(loungeId, game, { details, fetchedAt }) {
+		await this.run(
+			`INSERT INTO player_details_cache (user_id, game, data, fetched_at)
+			 VALUES (?, ?, ?, ?)
+			 ON CONFLICT (user_id, game)
+			 DO UPDATE SET data = excluded.data, fetched_at = excluded.fetched_at`,
+			[loungeId, game, JSON.stringify(details), fetchedAt],
+		);
+	}
+
+	async getPlayerDetailsSnapshot(loungeId, game) {
+		const row = await this.get(
+			"SELECT data, fetched_at FROM player_details_cache WHERE user_id = ? AND game = ?",
+			[loungeId, game],
+		);
+		return row ? { details: JSON.parse(row.data), fetchedAt: row.fetched_at } : null;
+	}
+
+	// --- Sync cursors ---------------------------------------------------------------
+
+	async getSyncCursors(loungeId) {
+		const rows = await this.all(
+			`SELECT game, season, last_change_id, complete, last_synced_at
+			 FROM player_sync_cursors WHERE user_id = ?`,
+			[loungeId],
+		);
+		return rows.map(row => ({
+			game: row.game,
+			season: row.season,
+			lastChangeId: row.last_change_id === null ? null : Number(row.last_change_id),
+			complete: Boolean(row.complete),
+			lastSyncedAt: row.last_synced_at,
+		}));
+	}
+
+	async saveSyncCursor(loungeId, cursor) {
+		await this.run(
+			`INSERT INTO player_sync_cursors (user_id, game, season, last_change_id, complete, last_synced_at)
+			 VALUES (?, ?, ?, ?, ?, ?)
+			 ON CONFLICT (user_id, game, season)
+			 DO UPDATE SET last_change_id = excluded.last_change_id, complete = excluded.complete, last_synced_at = excluded.last_synced_at`,
+			[loungeId, cursor.game, cursor.season, cursor.lastChangeId, cursor.complete ? 1 : 0, cursor.lastSyncedAt],
+		);
+	}
+
+	// --- MMR snapshots ----------------------------------------------------------------
+
+	async saveMmrSnapshot(loungeId, snapshot) {
+		await this.run(
+			`INSERT INTO mmr_snapshots (user_id, game, day, season, mmr, max_mmr, rank, overall_rank, events_played, captured_at)
+			 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			 ON CONFLICT (user_id, game, day)
+			 DO UPDATE SET season = excluded.season, mmr = excluded.mmr, max_mmr = excluded.max_mmr, rank = excluded.rank,
+			               overall_rank = excluded.overall_rank, events_played = excluded.events_played, captured_at = excluded.captured_at`,
+			[loungeId, snapshot.game, snapshot.day, snapshot.season, snapshot.mmr, snapshot.maxMmr, snapshot.rank, snapshot.overallRank, snapshot.eventsPlayed, snapshot.capturedAt],
+		);
+	}
+
+	static toMmrSnapshot(row) {
+		return {
+			playerId: row.user_id,
+			game: row.game,
+			day: row.day,
+			season: row.season,
+			mmr: row.mmr,
+			maxMmr: row.max_mmr,
+			rank: row.rank,
+			overallRank: row.overall_rank,
+			eventsPlayed: row.events_played,
+			capturedAt: row.captured_at,
+		};
+	}
+
+	async getMmrHistory(loungeIds, { game = null, from = null, to = null } = {}) {
+		const rows = await this.all(
+			`SELECT * FROM mmr_snapshots
+			 WHERE user_id IN (SELECT value FROM json_each(?))
+			   AND (? IS NULL OR game = ?)
+			   AND (? IS NULL OR day >= ?)
+			   AND (? IS NULL OR day <= ?)
+			 ORDER BY user_id, game, day`,
+			[JSON.stringify(loungeIds), game, game, from, from, to, to],
+		);
+		return rows.map(SqliteStorage.toMmrSnapshot);
+	}
+
+	async getMmrSnapshotsAsOf(loungeIds, game, day) {
+		// SQLite takes the other columns from the row that has the MAX()
+		const rows = await this.all(
+			`SELECT *, MAX(day) AS latest_day FROM mmr_snapshots
+			 WHERE user_id IN (SELECT value FROM json_each(?)) AND game = ? AND day <= ?
+			 GROUP BY user_id
+			 ORDER BY user_id`,
+			[JSON.stringify(loungeIds), game, day],
+		);
+		return rows.map(SqliteStorage.toMmrSnapshot);
+	}
+
+	async getMmrSnapshotPlayerIds() {
+		const rows = await this.all("SELECT DISTINCT user_id FROM mmr_snapshots ORDER BY user_id");
+		return rows.map(row => row.user_id);
+	}
+
+	// --- Privacy ----------------------------------------------------------------------
+
+	async forgetUser(loungeId) {
+		return await this.transaction(async db => {
+			const removed = {};
+			for (const [key, table] of [["userData", "user_data"], ["links", "user_tables"], ["snapshots", "player_details_cache"], ["syncCursors", "player_sync_cursors"], ["mmrSnapshots", "mmr_snapshots"], ["discordLinks", "discord_links"]]) {
+				const result = await db.run(`DELETE FROM ${table} WHERE user_id = ?`, [loungeId]);
+				removed[key] = result.changes;
+			}
+			return removed;
+		});
+	}
+
+	async getOptOuts() {
+		const rows = await this.all("SELECT user_id, opted_out_at, discord_id FROM privacy_opt_outs ORDER BY user_id");
+		return rows.map(row => ({ userId: row.user_id, optedOutAt: row.opted_out_at, discordId: row.discord_id }));
+	}
+
+	async saveOptOut(loungeId, optedOutAt, discordId = null) {
+		await this.run(`
+			INSERT INTO privacy_opt_outs (user_id, opted_out_at, discord_id) VALUES (?, ?, ?)
+			ON CONFLICT (user_id) DO UPDATE SET discord_id = COALESCE(privacy_opt_outs.discord_id, excluded.discord_id)
+		`, [loungeId, optedOutAt, discordId]);
+	}
+
+	async deleteOptOut(loungeId) {
+		const result = await this.run("DELETE FROM privacy_opt_outs WHERE user_id = ?", [loungeId]);
+		return result.changes > 0;
+	}
+
+	// --- Season registry --------------------------------------------------------------
+
+	async getLoungeSeasons() {
+		return await this.all("SELECT game, season FROM lounge_seasons ORDER BY season, game");
+	}
+
+	async saveLoungeSeasons(entries) {
+		await this.transaction(async db => {
+			for (const { game, season } of entries) {
+				await db.run("INSERT INTO lounge_seasons (game, season) VALUES (?, ?) ON CONFLICT (game, season) DO NOTHING", [game, season]);
+			}
+		});
+	}
+
+	// --- Backfill progress -------------------------------------------------------------
+
+	async getBackfillState(jobKey) {
+		const row = await this.get("SELECT state FROM backfill_state WHERE job_key = ?", [jobKey]);
+		return row ? JSON.parse(row.state) : null;
+	}
+
+	async saveBackfillState(jobKey, state) {
+		await this.run(
+			`INSERT INTO backfill_state (job_key, state, updated_at)
+			 VALUES (?, ?, CURRENT_TIMESTAMP)
+			 ON CONFLICT (job_key)
+			 DO UPDATE SET state = excluded.state, updated_at = CURRENT_TIMESTAMP`,
+			[jobKey, JSON.stringify(state)],
+		);
+	}
+
+	// --- Consistency checks (see consistency.js) ---------------------------------------
+
+	async getDanglingTableLinks() {
+		const rows = await this.all(
+			`SELECT user_id, table_id FROM user_tables
+			 WHERE NOT EXISTS (SELECT 1 FROM tables WHERE tables.table_id = user_tables.table_id)
+			 ORDER BY user_id, table_id`,
+		);
+		return rows.map(row => ({ userId: row.user_id, tableId: row.table_id }));
+	}
+
+	async deleteDanglingTableLinks() {
+		const result = await this.run(
+			"DELETE FROM user_tables WHERE NOT EXISTS (SELECT 1 FROM tables WHERE tables.table_id = user_tables.table_id)",
+		);
+		return result.changes;
+	}
+
+	async getUnlinkedTables() {
+		const rows = await this.all(
+			`SELECT table_id, status FROM tables
+			 WHERE NOT EXISTS (SELECT 1 FROM user_tables WHERE user_tables.table_id = tables.table_id)
+			 ORDER BY table_id`,
+		);
+		return rows.map(row => ({ id: row.table_id, status: row.status }));
+	}
+
+	// Only the file store ever kept per-server link files
+	async getLegacyLinkFiles() {
+		return [];
+	}
+
+	async mergeLegacyLinkFiles() {
+		return 0;
+	}
+
+	// --- Command usage ----------------------------------------------------------------
+
+	async recordCommandUsage(commandName, isButton) {
+		const column = isButton ? "button_count" : "slash_count";
+		await this.run(
+			`INSERT INTO command_usage (command_name, slash_count, button_count)
+			 VALUES (?, ?, ?)
+			 ON CONFLICT (command_name)
+			 DO UPDATE SET ${column} = command_usage.${column} + 1, updated_at = CURRENT_TIMESTAMP`,
+			[commandName, isButton ? 0 : 1, isButton ? 1 : 0],
+		);
+		return true;
+	}
+
+	async getCommandUsageStats(limit) {
+		return await this.all(
+			`SELECT command_name, slash_count, button_count, updated_at
+			 FROM command_usage
+			 ORDER BY slash_count DESC, button_count DESC, command_name ASC
+			 LIMIT ?`,
+			[limit],
+		);
+	}
+
+	async upsertCommandUsageTotals(commandName, slashCount, buttonCount) {
+		await this.run(
+			`INSERT INTO command_usage (command_name, slash_count, button_count)
+			 VALUES (?, ?, ?)
+			 ON CONFLICT (command_name)
+			 DO UPDATE SET slash_count = excluded.slash_count, button_count = excluded.button_count, updated_at = CURRENT_TIMESTAMP`,
+			[commandName, slashCount, buttonCount],
+		);
+		return true;
+	}
+
+	// --- Command usage events ---------------------------------------------------------
+
+	async recordCommandUsageEvent(event) {
+		await this.run(
+			`INSERT INTO command_usage_events (command_name, interaction_type, guild_id, filters, duration_ms, success, created_at)
+			 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+			[event.commandName, event.interactionType, event.guildId, JSON.stringify(event.filters), event.durationMs, event.success ? 1 : 0, event.createdAt],
+		);
+		return true;
+	}
+
+	async getCommandUsageEvents(from, to) {
+		const rows = await this.all(
+			`SELECT command_name, interaction_type, guild_id, filters, duration_ms, success, created_at
+			 FROM command_usage_events
+			 WHERE created_at >= ? AND created_at < ?
+			 ORDER BY created_at`,
+			[from, to],
+		);
+		return rows.map(row => ({
+			commandName: row.command_name,
+			interactionType: row.interaction_type,
+			guildId: row.guild_id,
+			filters: row.filters ? JSON.parse(row.filters) : {},
+			durationMs: row.duration_ms,
+			success: Boolean(row.success),
+			createdAt: row.created_at,
+		}));
+	}
+
+	async pruneCommandUsageEvents(before) {
+		const result = await this.run("DELETE FROM command_usage_events WHERE created_at < ?", [before]);
+		return result.changes;
+	}
+
+	async replaceCommandUsageRollups(fromDay, toDay, dailyRows, filterRows) {
+		await this.transaction(async db => {
+			await db.run("DELETE FROM command_usage_daily WHERE day >= ? AND day <= ?", [fromDay, toDay]);
+			await db.run("DELETE FROM command_usage_filters_daily WHERE day >= ? AND day <= ?", [fromDay, toDay]);
+			for (const row of dailyRows) {
+				await db.run(
+					`INSERT INTO command_usage_daily (day, command_name, interaction_type, guild_id, uses, failures, total_duration_ms, latency_buckets)
+					 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+					[row.day, row.commandName, row.interactionType, row.guildId, row.uses, row.failures, row.totalDurationMs, JSON.stringify(row.latencyBuckets)],
+				);
+			}
+			for (const row of filterRows) {
+				await db.run(
+					`INSERT INTO command_usage_filters_daily (day, command_name, interaction_type, filter_name, filter_value, uses)
+					 VALUES (?, ?, ?, ?, ?, ?)`,
+					[row.day, row.commandName, row.interactionType, row.filterName, row.filterValue, row.uses],
+				);
+			}
+		});
+		return true;
+	}
+
+	async getCommandUsageRollups(fromDay, toDay) {
+		const daily = await this.all(
+			`SELECT day, command_name, interaction_type, guild_id, uses, failures, total_duration_ms, latency_buckets
+			 FROM command_usage_daily
+			 WHERE day >= ? AND day <= ?
+			 ORDER BY day, command_name`,
+			[fromDay, toDay],
+		);
+		const filters = await this.all(
+			`SELECT day, command_name, interaction_type, filter_name, filter_value, uses
+			 FROM command_usage_filters_daily
+			 WHERE day >= ? AND day <= ?
+			 ORDER BY day, command_name`,
+			[fromDay, toDay],
+		);
+		return {
+			daily: daily.map(row => ({
+				day: row.day,
+				commandName: row.command_name,
+				interactionType: row.interaction_type,
+				guildId: row.guild_id,
+				uses: row.uses,
+				failures: row.failures,
+				totalDurationMs: row.total_duration_ms,
+				latencyBuckets: JSON.parse(row.latency_buckets),
+			})),
+			filters: filters.map(row => ({
+				day: row.day,
+				commandName: row.command_name,
+				interactionType: row.interaction_type,
+				filterName: row.filter_name,
+				filterValue: row.filter_value,
+				uses: row.uses,
+			})),
+		};
+	}
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,208 @@
+/**
+ * Table backfill crawler
+ * Walks /table/list window by window, storing every verified table and linking its players,
+ * so server-wide features don't depend on someone having run a command for each player.
+ * Progress is saved after each window, so an interrupted crawl picks up where it stopped. The live job stops
+ * short of the oldest table still waiting for verification, so tables verified late are picked up next run.
+ *
+ * CLI: node bot/utils/tableBackfill.js --from 2025-06-01 --to 2025-07-01 [--game mkworld24p] [--season 1] [--window-hours 12]
+ */
+
+if (require.main === module) {
+	// Load before database.js is required so it sees DATABASE_URL
+	require("dotenv").config();
+}
+
+const LoungeApi = require("./loungeApi");
+const PlayerStats = require("./playerStats");
+const database = require("./database");
+const GameProfiles = require("./gameProfiles");
+const { withPriority } = require("./requestScheduler");
+
+const DEFAULT_WINDOW_HOURS = 24;
+const DEFAULT_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_JOB_INTERVAL_MS = 30 * 60 * 1000;
+const LIVE_GAMES = GameProfiles.getProfiles().flatMap(profile => GameProfiles.getModeGames(profile.key));
+
+function getJobKey({ from, to, game, season }) {
+	return `tables:${game}:${season ?? "current"}:${new Date(from).toISOString()}:${new Date(to).toISOString()}`;
+}
+
+/**
+ * Store one table and link everyone who played in it
+ * @returns {Promise<number>} Number of players linked
+ */
+async function ingestTable(table) {
+	const saved = await database.saveTable(table.id, table);
+	if (!saved) {
+		return 0;
+	}
+	let linked = 0;
+	for (const player of PlayerStats.getPlayersFromTable(table)) {
+		if (player.playerId === null || player.playerId === undefined) continue;
+		if (await database.linkUserToTable(player.playerId, table.id)) {
+			linked++;
+		}
+	}
+	return linked;
+}
+
+/**
+ * Crawl verified tables in [from, to], resuming from saved progress
+ * @param {Object} options - from, to, game, season, windowHours, jobKey, onProgress(state)
+ * @returns {Promise<Object>} Final progress state
+ */
+async function backfillTables({
+	from = new Date(Date.now() - DEFAULT_LOOKBACK_MS),
+	to = new Date(),
+	game = LoungeApi.DEFAULT_GAME,
+	season = null,
+	windowHours = DEFAULT_WINDOW_HOURS,
+	jobKey = null,
+	onProgress = null,
+} = {}) {
+	const key = jobKey || getJobKey({ from, to, game, season });
+	const endMs = new Date(to).getTime();
+	const windowMs = Math.max(1, windowHours) * 60 * 60 * 1000;
+	const state = await database.getBackfillState(key) || {
+		cursor: new Date(from).toISOString(),
+		tablesSaved: 0,
+		playersLinked: 0,
+		completedAt: null,
+	};
+
+	return await withPriority("background", async () => {
+		let windowStartMs = new Date(state.cursor).getTime();
+		while (windowStartMs < endMs) {
+			const windowEndMs = Math.min(windowStartMs + windowMs, endMs);
+			const tables = await LoungeApi.getTableList({
+				from: new Date(windowStartMs),
+				to: new Date(windowEndMs),
+				game,
+				season,
+			});
+
+			for (const table of tables) {
+				if (!table?.id || !table.verifiedOn || table.deletedOn) continue;
+				state.playersLinked += await ingestTable(table);
+				state.tablesSaved++;
+			}
+
+			state.cursor = new Date(windowEndMs).toISOString();
+			await database.saveBackfillState(key, state);
+			if (typeof onProgress === "function") {
+				onProgress({ ...state, windowTables: tables.length });
+			}
+			windowStartMs = windowEndMs;
+		}
+
+		state.completedAt = new Date().toISOString();
+		await database.saveBackfillState(key, state);
+		return state;
+	});
+}
+
+/**
+ * Crawl one game's tables up to the oldest one staff haven't verified yet, continuing from the last run
+ * @param {Object} options - game, now
+ * @returns {Promise<Object>} Progress state
+ */
+async function backfillLiveTables({ game = LoungeApi.DEFAULT_GAME, now = Date.now() } = {}) {
+	// A table is listed by creation time, so a window crawled before it was verified would never see it again
+	const pendingCreatedMs = (await withPriority("background", () => LoungeApi.getUnverifiedTables({ game })))
+		.map(table => Date.parse(table?.createdOn))
+		.filter(Number.isFinite);
+	return await backfillTables({
+		from: new Date(now - DEFAULT_LOOKBACK_MS),
+		to: new Date(Math.min(now, ...pendingCreatedMs)),
+		game,
+		jobKey: `live:${game}`,
+	});
+}
+
+/**
+ * Periodically crawl tables verified since the last run (bot background job)
+ * @param {Object} options - intervalMs, games
+ * @returns {Function} Stops the job
+ */
+function startBackfillJob({ intervalMs = DEFAULT_JOB_INTERVAL_MS, games = LIVE_GAMES } = {}) {
+	let timer = null;
+	let stopped = false;
+
+	async function runOnce() {
+		for (const game of games) {
+			try {
+				const result = await backfillLiveTables({ game });
+				console.log(`table backfill (${game}) up to ${result.cursor}: ${result.tablesSaved} tables stored so far`);
+			}
+			catch (error) {
+				// Progress up to the last finished window is saved; the next run continues from there
+				console.warn(`table backfill (${game}) stopped early:`, error.message);
+			}
+		}
+	}
+
+	async function tick() {
+		await runOnce();
+		if (!stopped) {
+			timer = setTimeout(tick, intervalMs);
+		}
+	}
+
+	tick();
+	return () => {
+		stopped = true;
+		if (timer) clearTimeout(timer);
+	};
+}
+
+function parseArgs(argv) {
+	const options = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith("--")) continue;
+		options[arg.slice(2)] = argv[i + 1];
+		i++;
+	}
+	return options;
+}
+
+async function runCli() {
+	const args = parseArgs(process.argv.slice(2));
+	const from = args.from ? new Date(args.from) : new Date(Date.now() - DEFAULT_LOOKBACK_MS);
+	const to = args.to ? new Date(args.to) : new Date();
+	if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+		console.error("usage: node bot/utils/tableBackfill.js --from <date> --to <date> [--game mkworld12p] [--season n] [--window-hours n]");
+		process.exitCode = 1;
+		return;
+	}
+
+	try {
+		const state = await backfillTables({
+			from,
+			to,
+			game: args.game || LoungeApi.DEFAULT_GAME,
+			season: args.season !== undefined ? Number(args.season) : null,
+			windowHours: args["window-hours"] !== undefined ? Number(args["window-hours"]) : DEFAULT_WINDOW_HOURS,
+			onProgress: progress => console.log(`through ${progress.cursor}: ${progress.windowTables} tables in window, ${progress.tablesSaved} stored, ${progress.playersLinked} player links`),
+		});
+		console.log(`backfill complete: ${state.tablesSaved} tables, ${state.playersLinked} player links`);
+	}
+	catch (error) {
+		console.error("backfill stopped (rerun the same command to resume):", error);
+		process.exitCode = 1;
+	}
+	finally {
+		await database.close();
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	backfillTables,
+	backfillLiveTables,
+	startBackfillJob,
+};
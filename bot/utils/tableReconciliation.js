@@ -0,0 +1,206 @@
+/**
+ * Deleted table reconciliation
+ * Tables deleted on the lounge after we stored them would otherwise keep counting towards stats.
+ * Player syncs catch deletions that show up as TableDelete mmr changes; this job catches the rest by
+ * re-checking stored tables against the API, a batch at a time, and marking the ones that are gone.
+ * Marked tables are kept (stats skip them) until they are purged.
+ *
+ * CLI: node bot/utils/tableReconciliation.js [--limit 500] [--batch-size 100] [--restart] [--purge]
+ */
+
+if (require.main === module) {
+	// Load before database.js is required so it sees DATABASE_URL
+	require("dotenv").config();
+}
+
+const LoungeApi = require("./loungeApi");
+const database = require("./database");
+const { withPriority } = require("./requestScheduler");
+
+const JOB_KEY = "reconcile:tables";
+const DEFAULT_BATCH_SIZE = 100;
+// Tables checked per job run; a full pass over a large store is spread over several runs
+const DEFAULT_TABLES_PER_RUN = 500;
+const DEFAULT_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Ask the API whether a stored table still exists
+ * @returns {Promise<string|null>} When the table was deleted (now for tables that 404), or null if it still exists
+ */
+async function checkTable(tableId) {
+	// Verified tables are cached indefinitely, so the cached copy would always look alive
+	LoungeApi.invalidateApiCache("/table", { tableId });
+	const table = await LoungeApi.getTable(tableId);
+	if (!table) {
+		return new Date().toISOString();
+	}
+	return table.deletedOn || null;
+}
+
+/**
+ * Re-check stored verified tables, resuming from saved progress. A finished pass starts over.
+ * @param {Object} options - limit (max tables to check), batchSize, restart (ignore saved progress), onProgress(state)
+ * @returns {Promise<Object>} Progress state, plus runChecked/runDeleted for this call
+ */
+async function reconcileTables({
+	limit = DEFAULT_TABLES_PER_RUN,
+	batchSize = DEFAULT_BATCH_SIZE,
+	restart = false,
+	onProgress = null,
+} = {}) {
+	const saved = restart ? null : await database.getBackfillState(JOB_KEY);
+	const state = saved && !saved.completedAt ? saved : {
+		cursor: null,
+		checked: 0,
+		deleted: 0,
+		startedAt: new Date().toISOString(),
+		completedAt: null,
+	};
+
+	return await withPriority("background", async () => {
+		let remaining = limit;
+		let runDeleted = 0;
+		while (remaining > 0) {
+			const tableIds = await database.getTableIds({
+				status: "verified",
+				afterId: state.cursor,
+				limit: Math.min(batchSize, remaining),
+			});
+			if (!tableIds.length) {
+				state.completedAt = new Date().toISOString();
+				break;
+			}
+
+			for (const tableId of tableIds) {
+				// Errors (API down, circuit open) stop the run; the cursor only covers tables that were checked
+				const deletedOn = await checkTable(tableId);
+				if (deletedOn && await database.markTableDeleted(tableId, deletedOn)) {
+					state.deleted++;
+					runDeleted++;
+				}
+				state.cursor = tableId;
+				state.checked++;
+				remaining--;
+			}
+
+			await database.saveBackfillState(JOB_KEY, state);
+			if (typeof onProgress === "function") {
+				onProgress({ ...state });
+			}
+		}
+
+		await database.saveBackfillState(JOB_KEY, state);
+		return { ...state, runChecked: limit - remaining, runDeleted };
+	});
+}
+
+/**
+ * Permanently remove every table marked as deleted
+ * @returns {Promise<number>} Number of tables purged
+ */
+async function purgeDeletedTables() {
+	let purged = 0;
+	let afterId = null;
+	for (;;) {
+		const tableIds = await database.getTableIds({ status: "deleted", afterId, limit: DEFAULT_BATCH_SIZE });
+		if (!tableIds.length) break;
+		for (const tableId of tableIds) {
+			if (await database.purgeDeletedTable(tableId)) {
+				purged++;
+			}
+		}
+		afterId = tableIds[tableIds.length - 1];
+	}
+	return purged;
+}
+
+/**
+ * Periodically re-check a slice of the stored tables (bot background job)
+ * @param {Object} options - intervalMs, tablesPerRun
+ * @returns {Function} Stops the job
+ */
+function startReconciliationJob({ intervalMs = DEFAULT_JOB_INTERVAL_MS, tablesPerRun = DEFAULT_TABLES_PER_RUN } = {}) {
+	let timer = null;
+	let stopped = false;
+
+	async function tick() {
+		try {
+			const result = await reconcileTables({ limit: tablesPerRun });
+			if (result.runDeleted) {
+				console.log(`table reconciliation: ${result.runDeleted} deleted tables marked`);
+			}
+		}
+		catch (error) {
+			console.warn("table reconciliation stopped early:", error.message);
+		}
+		if (!stopped) {
+			timer = setTimeout(tick, intervalMs);
+		}
+	}
+
+	tick();
+	return () => {
+		stopped = true;
+		if (timer) clearTimeout(timer);
+	};
+}
+
+function parseArgs(argv) {
+	const options = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith("--")) continue;
+		const next = argv[i + 1];
+		if (next === undefined || next.startsWith("--")) {
+			options[arg.slice(2)] = true;
+			continue;
+		}
+		options[arg.slice(2)] = next;
+		i++;
+	}
+	return options;
+}
+
+async function runCli() {
+	const args = parseArgs(process.argv.slice(2));
+	const limit = args.limit !== undefined ? Number(args.limit) : Infinity;
+	const batchSize = args["batch-size"] !== undefined ? Number(args["batch-size"]) : DEFAULT_BATCH_SIZE;
+	if (!(limit > 0) || !(batchSize > 0)) {
+		console.error("usage: node bot/utils/tableReconciliation.js [--limit n] [--batch-size n] [--restart] [--purge]");
+		process.exitCode = 1;
+		return;
+	}
+
+	try {
+		const state = await reconcileTables({
+			limit,
+			batchSize,
+			restart: Boolean(args.restart),
+			onProgress: progress => console.log(`through table ${progress.cursor}: ${progress.checked} checked, ${progress.deleted} deleted`),
+		});
+		console.log(state.completedAt
+			? `reconciliation pass complete: ${state.checked} checked, ${state.deleted} deleted`
+			: `reconciliation paused after table ${state.cursor} (rerun to continue): ${state.checked} checked, ${state.deleted} deleted`);
+
+		if (args.purge) {
+			console.log(`purged ${await purgeDeletedTables()} deleted tables`);
+		}
+	}
+	catch (error) {
+		console.error("reconciliation stopped (rerun to resume):", error);
+		process.exitCode = 1;
+	}
+	finally {
+		await database.close();
+	}
+}
+
+if (require.main === module) {
+	runCli();
+}
+
+module.exports = {
+	reconcileTables,
+	purgeDeletedTables,
+	startReconciliationJob,
+};
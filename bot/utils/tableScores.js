@@ -0,0 +1,67 @@
+/**
+ * Table scores
+ * Flattens a table into one row per player for the table_scores relation, so the SQL stores can answer
+ * questions like "best 24p score among these players" without loading every table's JSON.
+ * Kept free of database.js so the storage adapters can use it.
+ */
+
+function toNumberOrNull(value) {
+	const number = Number(value);
+	return value === null || value === undefined || !Number.isFinite(number) ? null : number;
+}
+
+/**
+ * One row per player in a table. Placement is the individual rank by score (ties share a rank, like
+ * PlayerStats.getIndividualPlayerRankings) and seed the rank by MMR going in.
+ * @param {Object} table - Table object from the API
+ * @returns {Array} [{ playerId, score, placement, seed, team, prevMmr, delta, game, format, tier, season, createdAt }]
+ */
+function getTableScoreRows(table) {
+	if (!table || !Array.isArray(table.teams)) {
+		return [];
+	}
+
+	const players = [];
+	table.teams.forEach((team, teamIndex) => {
+		for (const player of team?.scores || []) {
+			if (player?.playerId === null || player?.playerId === undefined) continue;
+			players.push({ player, team: teamIndex + 1 });
+		}
+	});
+
+	const byScore = players.slice().sort((a, b) => (b.player.score ?? 0) - (a.player.score ?? 0));
+	const placements = new Map();
+	byScore.forEach((entry, index) => {
+		const previous = byScore[index - 1];
+		const tied = previous && (previous.player.score ?? 0) === (entry.player.score ?? 0);
+		placements.set(entry, tied ? placements.get(previous) : index + 1);
+	});
+
+	const bySeed = players.slice().sort((a, b) => (b.player.prevMmr ?? 0) - (a.player.prevMmr ?? 0));
+	const seeds = new Map(bySeed.map((entry, index) => [entry, index + 1]));
+
+	const createdOn = table.createdOn || table.verifiedOn || null;
+	return players.map(entry => {
+		const { player } = entry;
+		const prevMmr = toNumberOrNull(player.prevMmr);
+		const newMmr = toNumberOrNull(player.newMmr);
+		return {
+			playerId: String(player.playerId),
+			score: toNumberOrNull(player.score),
+			placement: placements.get(entry),
+			seed: seeds.get(entry),
+			team: entry.team,
+			prevMmr,
+			delta: toNumberOrNull(player.delta) ?? (prevMmr !== null && newMmr !== null ? newMmr - prevMmr : null),
+			game: table.game || null,
+			format: table.format || null,
+			tier: table.tier || null,
+			season: toNumberOrNull(table.season),
+			createdAt: createdOn ? new Date(createdOn).toISOString() : null,
+		};
+	});
+}
+
+module.exports = {
+	getTableScoreRows,
+};
@@ -0,0 +1,381 @@
+/**
+ * Command usage analytics
+ * Every tracked slash command and button press is logged as an event: command, interaction type, guild, the
+ * filters it used, how long it took and whether it failed. Events are rolled up per day (uses, failures and a
+ * latency histogram per command, type and guild; uses per filter value) so reports never scan the log, and
+ * events older than the retention window are pruned. /usage-stats and the site chart the rollups.
+ * Needs Postgres or SQLite; the file store doesn't track usage.
+ */
+
+const database = require("./database");
+
+const JOB_KEY = "rollup:command-usage";
+const DEFAULT_JOB_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds (ms) of the latency histogram; one more bucket catches everything slower
+const LATENCY_BUCKETS_MS = [250, 500, 1000, 2000, 3000, 5000, 8000, 13000, 20000, 30000];
+
+// Where each filter sits in a button custom id (negative indexes count from the end)
+const BUTTON_FILTER_PARTS = {
+	leaderboard: { time: 2, game: 5 },
+	default: { time: 2, queue: 3, players: 4, game: -1 },
+};
+
+// The filter each button action sets; other actions (paging, find) are counted as "action"
+const BUTTON_ACTION_FILTERS = { time: "time", queue: "queue", players: "players", format: "game" };
+
+// Slash options worth charting. Player and user options identify people and are never logged.
+const SLASH_FILTER_OPTIONS = ["game"];
+
+const MAX_FILTER_VALUE_LENGTH = 50;
+
+const failedInteractions = new WeakSet();
+let refreshPromise = null;
+
+/**
+ * Flag an interaction as failed. Commands catch their own errors and reply with a message instead of throwing,
+ * so call this from those catch blocks or the event is logged as a success.
+ */
+function markFailed(interaction) {
+	if (interaction && typeof interaction === "object") {
+		failedInteractions.add(interaction);
+	}
+}
+
+function cleanFilterValue(value) {
+	return String(value).toLowerCase().slice(0, MAX_FILTER_VALUE_LENGTH);
+}
+
+function getButtonFilters(customId) {
+	const parts = String(customId || "").split("|");
+	const layout = BUTTON_FILTER_PARTS[parts[0]] || BUTTON_FILTER_PARTS.default;
+	const filters = { button: cleanFilterValue(parts[1] || "") };
+	for (const [name, index] of Object.entries(layout)) {
+		const value = parts.at(index);
+		if (value) filters[name] = cleanFilterValue(value);
+	}
+	return filters;
+}
+
+function getSlashFilters(interaction) {
+	const filters = {};
+	const subcommand = interaction.options?.getSubcommand?.(false);
+	if (subcommand) filters.subcommand = cleanFilterValue(subcommand);
+	for (const name of SLASH_FILTER_OPTIONS) {
+		const value = interaction.options?.get?.(name)?.value;
+		if (value !== undefined && value !== null) filters[name] = cleanFilterValue(value);
+	}
+	return filters;
+}
+
+/**
+ * Log a finished slash command or button press
+ * @param {Object} interaction - The interaction that was handled
+ * @param {Object} options - commandName, startedAt (ms timestamp), failed (the handler threw or nothing handled it)
+ * @returns {Promise<boolean>}
+ */
+async function recordInteraction(interaction, { commandName, startedAt, failed = false }) {
+	const isButton = interaction.isButton?.() === true;
+	return await database.recordCommandUsageEvent({
+		commandName,
+		interactionType: isButton ? "button" : "slash",
+		guildId: interaction.guildId || null,
+		filters: isButton ? getButtonFilters(interaction.customId) : getSlashFilters(interaction),
+		durationMs: Date.now() - startedAt,
+		success: !failed && !failedInteractions.has(interaction),
+	});
+}
+
+// --- Days and latency buckets ----------------------------------------------------
+
+function dayOf(date) {
+	return new Date(date).toISOString().slice(0, 10);
+}
+
+function addDays(day, count) {
+	return dayOf(Date.parse(dayStart(day)) + count * DAY_MS);
+}
+
+function dayStart(day) {
+	return `${day}T00:00:00.000Z`;
+}
+
+function listDays(fromDay, toDay) {
+	const days = [];
+	for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+		days.push(day);
+	}
+	return days;
+}
+
+function emptyBuckets() {
+	return new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+}
+
+function addBuckets(target, source) {
+	(source || []).forEach((count, index) => {
+		const safeIndex = Math.min(index, target.length - 1);
+		target[safeIndex] += Number(count) || 0;
+	});
+	return target;
+}
+
+function bucketIndex(durationMs) {
+	const index = LATENCY_BUCKETS_MS.findIndex(bound => durationMs <= bound);
+	return index === -1 ? LATENCY_BUCKETS_MS.length : index;
+}
+
+/**
+ * Percentile from a latency histogram, as the upper bound of the bucket it falls in (the overflow bucket
+ * reports the last bound)
+ * @returns {number|null} Milliseconds, or null with no samples
+ */
+function percentileFromBuckets(buckets, percentile) {
+	const total = buckets.reduce((sum, count) => sum + count, 0);
+	if (!total) return null;
+	const target = Math.ceil(total * percentile);
+	let seen = 0;
+	for (let i = 0; i < buckets.length; i++) {
+		seen += buckets[i];
+		if (seen >= target) {
+			return LATENCY_BUCKETS_MS[Math.min(i, LATENCY_BUCKETS_MS.length - 1)];
+		}
+	}
+	return null;
+}
+
+// --- Rollups ---------------------------------------------------------------------
+
+// Filter values an event counts towards: the filter a button set, or the options a slash command was given
+function getCountedFilters(event) {
+	const filters = event.filters || {};
+	if (event.interactionType !== "button") {
+		return Object.entries(filters);
+	}
+	const filterName = BUTTON_ACTION_FILTERS[filters.button];
+	if (filterName && filters[filterName]) {
+		return [[filterName, filters[filterName]]];
+	}
+	return filters.button ? [["action", filters.button]] : [];
+}
+
+/**
+ * Aggregate events into daily rollup rows
+ * @param {Array} events - From database.getCommandUsageEvents
+ * @returns {Object} { daily, filters }
+ */
+function buildRollups(events) {
+	const daily = new Map();
+	const filters = new Map();
+	for (const event of events) {
+		const day = dayOf(event.createdAt);
+		const guildId = event.guildId || "";
+		const dailyKey = [day, event.commandName, event.interactionType, guildId].join("|");
+		if (!daily.has(dailyKey)) {
+			daily.set(dailyKey, {
+				day,
+				commandName: event.commandName,
+				interactionType: event.interactionType,
+				guildId,
+				uses: 0,
+				failures: 0,
+				totalDurationMs: 0,
+				latencyBuckets: emptyBuckets(),
+			});
+		}
+		const row = daily.get(dailyKey);
+		row.uses++;
+		if (!event.success) row.failures++;
+		row.totalDurationMs += event.durationMs;
+		row.latencyBuckets[bucketIndex(event.durationMs)]++;
+
+		for (const [filterName, filterValue] of getCountedFilters(event)) {
+			const filterKey = [day, event.commandName, event.interactionType, filterName, filterValue].join("|");
+			if (!filters.has(filterKey)) {
+				filters.set(filterKey, {
+					day,
+					commandName: event.commandName,
+					interactionType: event.interactionType,
+					filterName,
+					filterValue,
+					uses: 0,
+				});
+			}
+			filters.get(filterKey).uses++;
+		}
+	}
+	return { daily: Array.from(daily.values()), filters: Array.from(filters.values()) };
+}
+
+/**
+ * Recompute rollups from the last rolled-up day (it may have been partial) through today. Concurrent calls
+ * share one run.
+ * @param {Object} options - retentionDays (how far back the first run looks)
+ * @returns {Promise<Object|null>} { fromDay, toDay, events }, or null when usage isn't tracked
+ */
+async function refreshRollups({ retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+	if (!database.useDatabase) {
+		return null;
+	}
+	if (!refreshPromise) {
+		refreshPromise = (async () => {
+			const today = dayOf(Date.now());
+			const state = await database.getBackfillState(JOB_KEY);
+			const fromDay = state?.rolledThrough || addDays(today, -retentionDays);
+			const events = await database.getCommandUsageEvents(dayStart(fromDay), dayStart(addDays(today, 1)));
+			// A failed read must not replace good rollups with empty ones
+			if (!events) {
+				throw new Error("couldn't read command usage events");
+			}
+			const { daily, filters } = buildRollups(events);
+			if (!await database.replaceCommandUsageRollups(fromDay, today, daily, filters)) {
+				throw new Error("couldn't save command usage rollups");
+			}
+			await database.saveBackfillState(JOB_KEY, { rolledThrough: today, updatedAt: new Date().toISOString() });
+			return { fromDay, toDay: today, events: events.length };
+		})().finally(() => {
+			refreshPromise = null;
+		});
+	}
+	return await refreshPromise;
+}
+
+/**
+ * Delete events older than the retention window. Run after refreshRollups so they are counted first.
+ * @returns {Promise<number>} Events deleted
+ */
+async function pruneEvents(retentionDays = DEFAULT_RETENTION_DAYS) {
+	return await database.pruneCommandUsageEvents(dayStart(addDays(dayOf(Date.now()), -retentionDays)));
+}
+
+/**
+ * Periodically roll up new events and prune old ones (bot background job)
+ * @param {Object} options - intervalMs, retentionDays
+ * @returns {Function} Stops the job
+ */
+function startRollupJob({ intervalMs = DEFAULT_JOB_INTERVAL_MS, retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+	let timer = null;
+	let stopped = false;
+
+	async function tick() {
+		try {
+			await refreshRollups({ retentionDays });
+			const pruned = await pruneEvents(retentionDays);
+			if (pruned) {
+				console.log(`command usage: pruned ${pruned} events older than ${retentionDays} days`);
+			}
+		}
+		catch (error) {
+			console.warn("command usage rollup failed:", error.message);
+		}
+		if (!stopped) {
+			timer = setTimeout(tick, intervalMs);
+		}
+	}
+
+	tick();
+	return () => {
+		stopped = true;
+		if (timer) clearTimeout(timer);
+	};
+}
+
+// --- Reports ---------------------------------------------------------------------
+
+function sortByUses(entries) {
+	return entries.sort((a, b) => b.uses - a.uses);
+}
+
+/**
+ * Usage over the last `days` days (today included), refreshed from the event log first
+ * @param {Object} options - days, commandName (only this command)
+ * @returns {Promise<Object>} { fromDay, toDay, days: [{ day, slash, button, failures, p95Ms }],
+ *   commands: [{ commandName, uses, failures, p95Ms }], filters: [{ filterName, filterValue, uses }] (button
+ *   presses only), guilds: [{ guildId, uses }], totals: { uses, slash, button, failures, avgMs, p95Ms } }
+ */
+async function getUsageReport({ days = 14, commandName = null } = {}) {
+	try {
+		await refreshRollups();
+	}
+	catch (error) {
+		// Report what was rolled up before; today's numbers may lag
+		console.warn("command usage report: rollup refresh failed:", error.message);
+	}
+
+	const toDay = dayOf(Date.now());
+	const fromDay = addDays(toDay, -(days - 1));
+	const rollups = await database.getCommandUsageRollups(fromDay, toDay);
+	const matches = row => !commandName || row.commandName === commandName;
+
+	const dayMap = new Map(listDays(fromDay, toDay).map(day => [day, { day, slash: 0, button: 0, failures: 0, buckets: emptyBuckets() }]));
+	const commandMap = new Map();
+	const guildMap = new Map();
+	const totals = { uses: 0, slash: 0, button: 0, failures: 0, durationMs: 0, buckets: emptyBuckets() };
+
+	for (const row of rollups.daily.filter(matches)) {
+		const dayEntry = dayMap.get(row.day);
+		if (dayEntry) {
+			dayEntry[row.interactionType === "button" ? "button" : "slash"] += row.uses;
+			dayEntry.failures += row.failures;
+			addBuckets(dayEntry.buckets, row.latencyBuckets);
+		}
+
+		if (!commandMap.has(row.commandName)) {
+			commandMap.set(row.commandName, { commandName: row.commandName, uses: 0, failures: 0, buckets: emptyBuckets() });
+		}
+		const commandEntry = commandMap.get(row.commandName);
+		commandEntry.uses += row.uses;
+		commandEntry.failures += row.failures;
+		addBuckets(commandEntry.buckets, row.latencyBuckets);
+
+		if (row.guildId) {
+			guildMap.set(row.guildId, (guildMap.get(row.guildId) || 0) + row.uses);
+		}
+
+		totals.uses += row.uses;
+		totals[row.interactionType === "button" ? "button" : "slash"] += row.uses;
+		totals.failures += row.failures;
+		totals.durationMs += row.totalDurationMs;
+		addBuckets(totals.buckets, row.latencyBuckets);
+	}
+
+	const filterMap = new Map();
+	for (const row of rollups.filters.filter(matches)) {
+		if (row.interactionType !== "button") continue;
+		const key = `${row.filterName}|${row.filterValue}`;
+		if (!filterMap.has(key)) {
+			filterMap.set(key, { filterName: row.filterName, filterValue: row.filterValue, uses: 0 });
+		}
+		filterMap.get(key).uses += row.uses;
+	}
+
+	return {
+		fromDay,
+		toDay,
+		days: Array.from(dayMap.values()).map(({ buckets, ...entry }) => ({ ...entry, p95Ms: percentileFromBuckets(buckets, 0.95) })),
+		commands: sortByUses(Array.from(commandMap.values()).map(({ buckets, ...entry }) => ({ ...entry, p95Ms: percentileFromBuckets(buckets, 0.95) }))),
+		filters: sortByUses(Array.from(filterMap.values())),
+		guilds: sortByUses(Array.from(guildMap, ([guildId, uses]) => ({ guildId, uses }))),
+		totals: {
+			uses: totals.uses,
+			slash: totals.slash,
+			button: totals.button,
+			failures: totals.failures,
+			avgMs: totals.uses ? Math.round(totals.durationMs / totals.uses) : null,
+			p95Ms: percentileFromBuckets(totals.buckets, 0.95),
+		},
+	};
+}
+
+module.exports = {
+	LATENCY_BUCKETS_MS,
+	markFailed,
+	recordInteraction,
+	buildRollups,
+	refreshRollups,
+	pruneEvents,
+	startRollupJob,
+	getUsageReport,
+};
@@ -0,0 +1,144 @@
+/**
+ * Usage charts
+ * PNG charts of a usage report (see usageAnalytics.getUsageReport), shared by /usage-stats and the site.
+ */
+
+const { ChartJSNodeCanvas } = require("chartjs-node-canvas");
+const Fonts = require("./fonts");
+
+const CHART_DIMENSIONS = { width: 900, height: 450 };
+const MAX_FILTER_BARS = 12;
+const COLORS = {
+	background: "#2b2d31",
+	text: "#dbdee1",
+	grid: "rgba(219, 222, 225, 0.15)",
+	slash: "#5865f2",
+	button: "#57f287",
+	failures: "#ed4245",
+	latency: "#fee75c",
+};
+
+let chartRenderer = null;
+
+function getChartRenderer() {
+	if (chartRenderer) {
+		return chartRenderer;
+	}
+	chartRenderer = new ChartJSNodeCanvas({
+		width: CHART_DIMENSIONS.width,
+		height: CHART_DIMENSIONS.height,
+		backgroundColour: COLORS.background,
+		chartCallback: ChartJS => {
+			ChartJS.defaults.font.family = Fonts?.FONT_FAMILY_STACK || "Lexend, Arial, sans-serif";
+			ChartJS.defaults.color = COLORS.text;
+		},
+	});
+	return chartRenderer;
+}
+
+function buildScales({ yTitle, stacked = false, indexAxis = "x" }) {
+	const valueAxis = indexAxis === "x" ? "y" : "x";
+	return {
+		[indexAxis]: {
+			stacked,
+			grid: { display: false },
+			ticks: { font: { size: 14 } },
+		},
+		[valueAxis]: {
+			stacked,
+			beginAtZero: true,
+			title: { display: true, text: yTitle, font: { size: 16 } },
+			grid: { color: COLORS.grid },
+			ticks: { font: { size: 14 }, precision: 0 },
+		},
+	};
+}
+
+function buildTitle(text) {
+	return { display: true, text, font: { size: 20 } };
+}
+
+// Days as "mm-dd" so two weeks fit on the axis
+function formatDayLabel(day) {
+	return day.slice(5);
+}
+
+async function renderDailyUsageChart(report) {
+	return await getChartRenderer().renderToBuffer({
+		type: "bar",
+		data: {
+			labels: report.days.map(entry => formatDayLabel(entry.day)),
+			datasets: [
+				{ label: "slash", data: report.days.map(entry => entry.slash), backgroundColor: COLORS.slash },
+				{ label: "buttons", data: report.days.map(entry => entry.button), backgroundColor: COLORS.button },
+				{ label: "failures", data: report.days.map(entry => entry.failures), backgroundColor: COLORS.failures, stack: "failures" },
+			],
+		},
+		options: {
+			plugins: { title: buildTitle("daily usage") },
+			scales: buildScales({ yTitle: "uses", stacked: true }),
+		},
+	});
+}
+
+async function renderFilterPopularityChart(report) {
+	const filters = report.filters.slice(0, MAX_FILTER_BARS);
+	return await getChartRenderer().renderToBuffer({
+		type: "bar",
+		data: {
+			labels: filters.map(entry => `${entry.filterName}: ${entry.filterValue}`),
+			datasets: [{ label: "presses", data: filters.map(entry => entry.uses), backgroundColor: COLORS.button }],
+		},
+		options: {
+			indexAxis: "y",
+			plugins: { title: buildTitle("filter button presses"), legend: { display: false } },
+			scales: buildScales({ yTitle: "presses", indexAxis: "y" }),
+		},
+	});
+}
+
+async function renderLatencyChart(report) {
+	return await getChartRenderer().renderToBuffer({
+		type: "line",
+		data: {
+			labels: report.days.map(entry => formatDayLabel(entry.day)),
+			datasets: [{
+				label: "p95",
+				data: report.days.map(entry => (entry.p95Ms === null ? null : entry.p95Ms / 1000)),
+				borderColor: COLORS.latency,
+				backgroundColor: COLORS.latency,
+				spanGaps: true,
+				tension: 0.2,
+			}],
+		},
+		options: {
+			plugins: { title: buildTitle("p95 render time"), legend: { display: false } },
+			scales: buildScales({ yTitle: "seconds" }),
+		},
+	});
+}
+
+const CHART_RENDERERS = {
+	daily: renderDailyUsageChart,
+	filters: renderFilterPopularityChart,
+	latency: renderLatencyChart,
+};
+
+/**
+ * Render one chart of a usage report
+ * @param {string} kind - "daily", "filters" or "latency"
+ * @param {Object} report - From usageAnalytics.getUsageReport
+ * @returns {Promise<Buffer>} PNG
+ */
+async function renderUsageChart(kind, report) {
+	const render = CHART_RENDERERS[kind];
+	if (!render) {
+		throw new Error(`unknown usage chart: ${kind}`);
+	}
+	return await render(report);
+}
+
+module.exports = {
+	CHART_KINDS: Object.keys(CHART_RENDERERS),
+	renderUsageChart,
+};
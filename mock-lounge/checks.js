@@ -0,0 +1,125 @@
+/**
+ * Job checks against the mock lounge
+ * Runs bot jobs end to end against a mock lounge whose fixtures each check rewrites between steps, with a
+ * throwaway SQLite store (file storage when sqlite3 isn't installed).
+ *
+ * CLI: node mock-lounge/checks.js
+ */
+
+const assert = require("assert").strict;
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createMockLoungeApp } = require("./server");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+const HOUR_MS = 60 * 60 * 1000;
+
+// Loaded once the environment points them at the mock and the throwaway store
+let LoungeApi = null;
+let database = null;
+let TableBackfill = null;
+let Privacy = null;
+
+const checks = [
+	["the live backfill stores a table verified after its window was crawled", async ({ serveTables }) => {
+		const game = "mkworld12p";
+		const [template] = JSON.parse(fs.readFileSync(path.join(DEFAULT_FIXTURES_DIR, "tables.json"), "utf8"));
+		const now = Date.now();
+		const verified = { ...template, id: 91001, createdOn: new Date(now - 3 * HOUR_MS).toISOString(), verifiedOn: new Date(now - 2 * HOUR_MS).toISOString() };
+		const late = { ...template, id: 91002, createdOn: new Date(now - 2 * HOUR_MS).toISOString(), verifiedOn: null };
+		const later = { ...template, id: 91003, createdOn: new Date(now - HOUR_MS).toISOString(), verifiedOn: new Date(now - HOUR_MS).toISOString() };
+
+		serveTables([verified, late, later]);
+		const first = await TableBackfill.backfillLiveTables({ game, now });
+		assert.ok(await database.getTable(verified.id), "table verified before the crawl wasn't stored");
+		assert.equal(await database.getTable(late.id), null);
+		assert.ok(Date.parse(first.cursor) <= Date.parse(late.createdOn), `cursor moved past an unverified table (${first.cursor})`);
+
+		serveTables([verified, { ...late, verifiedOn: new Date(now).toISOString() }, later]);
+		const second = await TableBackfill.backfillLiveTables({ game, now: now + HOUR_MS });
+		assert.ok(await database.getTable(late.id), "table verified after its window was crawled wasn't stored");
+		assert.ok(await database.getTable(later.id));
+		assert.equal(second.cursor, new Date(now + HOUR_MS).toISOString());
+	}],
+
+	// Runs last: the outage can leave the circuit breaker open
+	["opting back in finds the account while the lounge api is down", async ({ setLoungeDown }) => {
+		const [player] = JSON.parse(fs.readFileSync(path.join(DEFAULT_FIXTURES_DIR, "players.json"), "utf8"));
+		const discordId = String(player.discordId);
+		assert.ok((await Privacy.forgetDiscordUser(discordId)).loungeIds.includes(String(player.id)));
+
+		setLoungeDown(true);
+		assert.deepEqual(await Privacy.optInDiscordUser(discordId), [String(player.id)]);
+		assert.equal(await database.isOptedOut(player.id), false);
+		// Nothing stored to go on, so the failed lookup has to surface
+		await assert.rejects(Privacy.optInDiscordUser(discordId));
+	}],
+];
+
+async function runCli() {
+	const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "mogibot-mock-checks-"));
+	const fixturesDir = path.join(tempDir, "fixtures");
+	fs.cpSync(DEFAULT_FIXTURES_DIR, fixturesDir, { recursive: true });
+
+	// Swapped for a fresh app whenever a check changes the fixtures
+	let app = createMockLoungeApp({ fixturesDir, rebaseDates: false });
+	const server = http.createServer((req, res) => app(req, res));
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+	process.env.LOUNGE_API_BASE = `http://127.0.0.1:${server.address().port}/api`;
+	process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || "sqlite";
+	process.env.SQLITE_PATH = path.join(tempDir, "checks.sqlite");
+	let failed = 0;
+	try {
+		try {
+			require("sqlite3");
+		}
+		catch {
+			process.env.STORAGE_BACKEND = "file";
+		}
+		LoungeApi = require("../bot/utils/loungeApi");
+		database = require("../bot/utils/database");
+		TableBackfill = require("../bot/utils/tableBackfill");
+		Privacy = require("../bot/utils/privacy");
+		await database.initializeDatabase();
+
+		const serveTables = tables => {
+			fs.writeFileSync(path.join(fixturesDir, "tables.json"), JSON.stringify(tables));
+			app = createMockLoungeApp({ fixturesDir, rebaseDates: false });
+			LoungeApi.invalidateApiCache();
+		};
+		const setLoungeDown = down => {
+			app = down
+				? (req, res) => res.writeHead(503).end()
+				: createMockLoungeApp({ fixturesDir, rebaseDates: false });
+			LoungeApi.invalidateApiCache();
+		};
+		for (const [name, check] of checks) {
+			try {
+				await check({ serveTables, setLoungeDown });
+				console.log(`ok: ${name}`);
+			}
+			catch (error) {
+				failed++;
+				console.log(`fail: ${name}\n  ${error.message}`);
+			}
+		}
+		console.log(`${checks.length - failed}/${checks.length} checks passed`);
+	}
+	catch (error) {
+		failed++;
+		console.error("mock lounge checks failed to run:", error);
+	}
+	finally {
+		if (database) await database.close();
+		server.close();
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	}
+	process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+	runCli();
+}
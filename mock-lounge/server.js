@@ -0,0 +1,344 @@
+/**
+ * Local stand-in for the Lounge API
+ * Routes come from the OpenAPI document in bot/apidata.json and are answered from the fixtures directory.
+ * Point the bot and site at it with LOUNGE_API_BASE=http://localhost:4010/api
+ */
+
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+const API_SPEC_PATH = path.join(__dirname, "..", "bot", "apidata.json");
+
+// Fixture timestamps are shifted so the newest one lands just before startup; weekly views stay populated
+const DATE_FIELDS = new Set(["createdOn", "verifiedOn", "deletedOn", "time", "awardedOn", "changedOn"]);
+const REBASE_MARGIN_MS = 60 * 60 * 1000;
+
+function readFixture(fixturesDir, fileName, fallback) {
+	const filePath = path.join(fixturesDir, fileName);
+	try {
+		return JSON.parse(fs.readFileSync(filePath, "utf8"));
+	}
+	catch (error) {
+		if (error.code !== "ENOENT") {
+			console.error(`failed to read mock lounge fixture ${fileName}:`, error);
+		}
+		return fallback;
+	}
+}
+
+function walkDates(value, visit) {
+	if (Array.isArray(value)) {
+		value.forEach(item => walkDates(item, visit));
+		return;
+	}
+	if (!value || typeof value !== "object") {
+		return;
+	}
+	for (const [key, child] of Object.entries(value)) {
+		if (DATE_FIELDS.has(key) && typeof child === "string") {
+			value[key] = visit(child);
+		}
+		else {
+			walkDates(child, visit);
+		}
+	}
+}
+
+function rebaseFixtureDates(fixtures, now = Date.now()) {
+	let latestMs = null;
+	walkDates(fixtures, raw => {
+		const parsed = Date.parse(raw);
+		if (!Number.isNaN(parsed) && (latestMs === null || parsed > latestMs)) {
+			latestMs = parsed;
+		}
+		return raw;
+	});
+	if (latestMs === null) {
+		return;
+	}
+	const offsetMs = now - REBASE_MARGIN_MS - latestMs;
+	walkDates(fixtures, raw => {
+		const parsed = Date.parse(raw);
+		return Number.isNaN(parsed) ? raw : new Date(parsed + offsetMs).toISOString();
+	});
+}
+
+function loadFixtures(fixturesDir, { rebaseDates = true } = {}) {
+	const fixtures = {
+		players: readFixture(fixturesDir, "players.json", []),
+		details: readFixture(fixturesDir, "details.json", []),
+		tables: readFixture(fixturesDir, "tables.json", []),
+		penalties: readFixture(fixturesDir, "penalties.json", []),
+		stats: readFixture(fixturesDir, "stats.json", {}),
+	};
+	if (rebaseDates) {
+		rebaseFixtureDates(fixtures);
+	}
+	return fixtures;
+}
+
+// --- OpenAPI helpers ----------------------------------------------------------
+
+function resolveSchema(spec, schema) {
+	if (schema?.$ref) {
+		const name = schema.$ref.split("/").pop();
+		return spec.components?.schemas?.[name] || {};
+	}
+	return schema || {};
+}
+
+/**
+ * Build a placeholder value matching a response schema, used for endpoints without fixtures
+ */
+function buildEmptyFromSchema(spec, schema, depth = 0) {
+	const resolved = resolveSchema(spec, schema);
+	if (resolved.type === "array") return [];
+	if (resolved.enum) return resolved.enum[0];
+	if (resolved.type === "integer" || resolved.type === "number") return 0;
+	if (resolved.type === "boolean") return false;
+	if (resolved.type === "string") return null;
+	if (resolved.properties && depth < 3) {
+		const result = {};
+		for (const [key, property] of Object.entries(resolved.properties)) {
+			result[key] = buildEmptyFromSchema(spec, property, depth + 1);
+		}
+		return result;
+	}
+	return resolved.type === "object" ? {} : null;
+}
+
+/**
+ * Reject query params the real API would fail to bind
+ * @returns {string|null} Error message or null if the query is valid
+ */
+function validateQuery(spec, operation, query) {
+	for (const parameter of operation.parameters || []) {
+		if (parameter.in !== "query") continue;
+		const raw = query[parameter.name];
+		if (raw === undefined) {
+			if (parameter.required) {
+				return `missing required parameter ${parameter.name}`;
+			}
+			continue;
+		}
+		const schema = resolveSchema(spec, parameter.schema);
+		if (schema.type === "integer" && !/^-?\d+$/.test(String(raw))) {
+			return `parameter ${parameter.name} must be an integer`;
+		}
+		if (schema.type === "boolean" && !["true", "false"].includes(String(raw).toLowerCase())) {
+			return `parameter ${parameter.name} must be a boolean`;
+		}
+		// Game is left unchecked: the bot sends mkworld12p/mkworld24p, which the spec's enum doesn't list
+	}
+	return null;
+}
+
+// --- Fixture lookups ----------------------------------------------------------
+
+function sameText(a, b) {
+	return typeof a === "string" && typeof b === "string" && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function findPlayer(fixtures, query) {
+	return fixtures.players.find(player => {
+		if (query.id !== undefined) return String(player.id) === String(query.id);
+		if (query.discordId !== undefined) return String(player.discordId) === String(query.discordId);
+		if (query.mkcId !== undefined) return String(player.mkcId) === String(query.mkcId);
+		if (query.fc !== undefined) return player.switchFc === query.fc;
+		if (query.name !== undefined) return sameText(player.name, query.name);
+		return false;
+	}) || null;
+}
+
+function getGameKey(game) {
+	return game || "mkworld12p";
+}
+
+function getCurrentSeason(fixtures, game) {
+	const seasons = fixtures.details
+		.filter(entry => entry.game === getGameKey(game))
+		.map(entry => Number(entry.season))
+		.filter(Number.isFinite);
+	return seasons.length ? Math.max(...seasons) : 0;
+}
+
+function findDetails(fixtures, playerId, game, season) {
+	const targetSeason = season !== undefined ? Number(season) : getCurrentSeason(fixtures, game);
+	return fixtures.details.find(entry =>
+		String(entry.playerId) === String(playerId)
+		&& entry.game === getGameKey(game)
+		&& Number(entry.season) === targetSeason) || null;
+}
+
+function buildPlayerDetails(player, details) {
+	return {
+		playerId: player.id,
+		name: player.name,
+		mkcId: player.mkcId,
+		registryId: player.registryId,
+		countryCode: player.countryCode,
+		switchFc: player.switchFc,
+		isHidden: !!player.isHidden,
+		nameHistory: player.nameHistory || [],
+		...details,
+	};
+}
+
+function isInRange(value, from, to) {
+	const timeMs = Date.parse(value);
+	if (Number.isNaN(timeMs)) return !from && !to;
+	if (from && timeMs < Date.parse(from)) return false;
+	if (to && timeMs > Date.parse(to)) return false;
+	return true;
+}
+
+function createHandlers(fixtures) {
+	const notFound = res => res.status(404).json({ error: "not found" });
+
+	return {
+		"/api/player": (req, res) => {
+			const player = findPlayer(fixtures, req.query);
+			if (!player) return notFound(res);
+			const details = findDetails(fixtures, player.id, req.query.game, req.query.season);
+			res.json({
+				...player,
+				mmr: details?.mmr ?? null,
+				maxMmr: details?.maxMmr ?? null,
+			});
+		},
+
+		"/api/player/details": (req, res) => {
+			const player = findPlayer(fixtures, req.query);
+			if (!player) return notFound(res);
+			const details = findDetails(fixtures, player.id, req.query.game, req.query.season);
+			if (!details) return notFound(res);
+			res.json(buildPlayerDetails(player, details));
+		},
+
+		"/api/player/leaderboard": (req, res) => {
+			const season = req.query.season !== undefined ? Number(req.query.season) : getCurrentSeason(fixtures, req.query.game);
+			const search = (req.query.search || "").trim().toLowerCase();
+			const skip = Number(req.query.skip) || 0;
+			const pageSize = Number(req.query.pageSize) || 50;
+			const rows = [];
+			for (const player of fixtures.players) {
+				if (search && !player.name.toLowerCase().includes(search)) continue;
+				const details = findDetails(fixtures, player.id, req.query.game, season);
+				if (!details) continue;
+				rows.push({
+					id: player.id,
+					overallRank: details.overallRank,
+					countryCode: player.countryCode,
+					name: player.name,
+					mmr: details.mmr,
+					maxMmr: details.maxMmr,
+					winRate: details.winRate,
+					winsLastTen: details.winsLastTen,
+					lossesLastTen: details.lossesLastTen,
+					gainLossLastTen: details.gainLossLastTen,
+					eventsPlayed: details.eventsPlayed,
+					largestGain: details.largestGain,
+				});
+			}
+			rows.sort((a, b) => (b.mmr ?? 0) - (a.mmr ?? 0));
+			res.json({ totalPlayers: rows.length, data: rows.slice(skip, skip + pageSize) });
+		},
+
+		"/api/player/stats": (req, res) => {
+			const season = req.query.season !== undefined ? Number(req.query.season) : getCurrentSeason(fixtures, req.query.game);
+			const stats = fixtures.stats?.[getGameKey(req.query.game)]?.[String(season)];
+			if (!stats) return notFound(res);
+			res.json(stats);
+		},
+
+		"/api/table": (req, res) => {
+			const table = fixtures.tables.find(entry => String(entry.id) === String(req.query.tableId));
+			if (!table) return notFound(res);
+			res.json(table);
+		},
+
+		"/api/table/list": (req, res) => {
+			const season = req.query.season !== undefined ? Number(req.query.season) : getCurrentSeason(fixtures, req.query.game);
+			res.json(fixtures.tables.filter(table =>
+				table.game === getGameKey(req.query.game)
+				&& Number(table.season) === season
+				&& table.verifiedOn
+				&& isInRange(table.createdOn, req.query.from, req.query.to)));
+		},
+
+		"/api/table/unverified": (req, res) => {
+			const season = req.query.season !== undefined ? Number(req.query.season) : getCurrentSeason(fixtures, req.query.game);
+			res.json(fixtures.tables.filter(table =>
+				table.game === getGameKey(req.query.game)
+				&& Number(table.season) === season
+				&& !table.verifiedOn));
+		},
+
+		"/api/penalty": (req, res) => {
+			const penalty = fixtures.penalties.find(entry => String(entry.id) === String(req.query.id));
+			if (!penalty) return notFound(res);
+			res.json(penalty);
+		},
+
+		"/api/penalty/list": (req, res) => {
+			const season = req.query.season !== undefined ? Number(req.query.season) : getCurrentSeason(fixtures, req.query.game);
+			const includeDeleted = String(req.query.includeDeleted).toLowerCase() === "true";
+			res.json(fixtures.penalties.filter(penalty => {
+				if (req.query.name !== undefined && !sameText(penalty.playerName, req.query.name)) return false;
+				if (penalty.game !== getGameKey(req.query.game) || Number(penalty.season) !== season) return false;
+				if (req.query.isStrike !== undefined && String(penalty.isStrike) !== String(req.query.isStrike).toLowerCase()) return false;
+				if (!includeDeleted && penalty.deletedOn) return false;
+				return isInRange(penalty.awardedOn, req.query.from, null);
+			}));
+		},
+	};
+}
+
+function createMockLoungeApp({ fixturesDir = DEFAULT_FIXTURES_DIR, rebaseDates = true } = {}) {
+	const spec = JSON.parse(fs.readFileSync(API_SPEC_PATH, "utf8"));
+	const fixtures = loadFixtures(fixturesDir, { rebaseDates });
+	const handlers = createHandlers(fixtures);
+	const app = express();
+
+	for (const [routePath, operations] of Object.entries(spec.paths || {})) {
+		const operation = operations.get;
+		if (!operation) continue;
+
+		const handler = handlers[routePath] || ((req, res) => {
+			const content = operation.responses?.["200"]?.content || {};
+			const schema = Object.values(content)[0]?.schema;
+			res.json(buildEmptyFromSchema(spec, schema));
+		});
+
+		app.get(routePath, (req, res) => {
+			const validationError = validateQuery(spec, operation, req.query);
+			if (validationError) {
+				res.status(400).json({ error: validationError });
+				return;
+			}
+			handler(req, res);
+		});
+	}
+
+	app.use((req, res) => {
+		res.status(404).json({ error: "not found" });
+	});
+
+	return app;
+}
+
+function startMockLounge({ port = process.env.MOCK_LOUNGE_PORT || DEFAULT_PORT, fixturesDir = process.env.MOCK_LOUNGE_FIXTURES || DEFAULT_FIXTURES_DIR } = {}) {
+	const app = createMockLoungeApp({ fixturesDir });
+	return app.listen(port, () => {
+		console.log(`mock lounge api listening on http://localhost:${port}/api (fixtures: ${fixturesDir})`);
+	});
+}
+
+if (require.main === module) {
+	startMockLounge();
+}
+
+module.exports = { createMockLoungeApp, startMockLounge };
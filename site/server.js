@@ -8,12 +8,17 @@ const StatsCommand = require("../bot/commands/global/stats");
 const NotablesCommand = require("../bot/commands/global/notables");
 const RankStatsCommand = require("../bot/commands/global/rank-stats");
 const HeadToHeadCommand = require("../bot/commands/global/head-to-head");
+const UsageAnalytics = require("../bot/utils/usageAnalytics");
+const UsageCharts = require("../bot/utils/usageCharts");
+const { GLOBAL_COMMAND_NAMES } = require("../bot/utils/globalCommands");
 
 const PREVIEW_SESSION_TTL_MS = 10 * 60 * 1000;
 const previewSessionCache = new Map();
 const previewNotablesCache = new Map();
 const previewRankStatsCache = new Map();
 const previewHeadToHeadCache = new Map();
+const USAGE_REPORT_TTL_MS = 5 * 60 * 1000;
+const usageReportCache = new Map();
 
 const IMAGES_ROOT = path.join(__dirname, "public/images");
 const TRACK_THUMBNAILS_DIR = path.join(IMAGES_ROOT, "tracks");
@@ -153,6 +158,17 @@ function startSite(client) {
 		return null;
 	}
 
+	// Previews render fixed players; anyone who opted out with /privacy forget is skipped
+	async function rejectOptedOut(res, ...loungeIds) {
+		for (const loungeId of loungeIds) {
+			if (await database.isOptedOut(loungeId)) {
+				res.status(404).json({ error: "this player has opted out of previews" });
+				return true;
+			}
+		}
+		return false;
+	}
+
 	// Serve static assets (fonts) before public so missing files fall through correctly
 	app.use("/fonts", express.static(path.join(__dirname, "../fonts")));
 
@@ -203,12 +219,14 @@ function startSite(client) {
 	app.get("/api/global-favorites", async (req, res) => {
 		try {
 			const allUserData = await database.getAllUserData();
+			const optedOutIds = await database.getOptedOutIds();
 			const characterCounts = {};
 			const trackCounts = {};
 			const vehicleCounts = {};
 			let usersWithFavorites = 0;
 
 			for (const user of allUserData) {
+				if (optedOutIds.has(String(user.loungeId))) continue;
 				const favorites = user?.favorites;
 				if (!favorites) continue;
 				usersWithFavorites++;
@@ -261,6 +279,7 @@ function startSite(client) {
 		const allowedQueues = new Set(["soloq", "squads", "both"]);
 		const allowedPlayers = new Set(["12p", "24p", "both"]);
 		const loungeId = "34653";
+		if (await rejectOptedOut(res, loungeId)) return;
 
 		const timeFilter = allowedTimes.has(String(req.query.time).toLowerCase()) ? String(req.query.time).toLowerCase() : "alltime";
 		const queueFilter = allowedQueues.has(String(req.query.queue).toLowerCase()) ? String(req.query.queue).toLowerCase() : "both";
@@ -313,6 +332,7 @@ function startSite(client) {
 		const allowedQueues = new Set(["soloq", "squads", "both"]);
 		const allowedPlayers = new Set(["12p", "24p", "both"]);
 		const loungeId = "45856";
+		if (await rejectOptedOut(res, loungeId)) return;
 
 		const timeFilter = allowedTimes.has(String(req.query.time).toLowerCase()) ? String(req.query.time).toLowerCase() : "alltime";
 		const queueFilter = allowedQueues.has(String(req.query.queue).toLowerCase()) ? String(req.query.queue).toLowerCase() : "both";
@@ -366,6 +386,7 @@ function startSite(client) {
 		const allowedQueues = new Set(["soloq", "squads", "both"]);
 		const allowedPlayers = new Set(["12p", "24p", "both"]);
 		const loungeId = "42834";
+		if (await rejectOptedOut(res, loungeId)) return;
 
 		const timeFilter = allowedTimes.has(String(req.query.time).toLowerCase()) ? String(req.query.time).toLowerCase() : "alltime";
 		const queueFilter = allowedQueues.has(String(req.query.queue).toLowerCase()) ? String(req.query.queue).toLowerCase() : "both";
@@ -416,6 +437,7 @@ function startSite(client) {
 		const allowedPlayers = new Set(["12p", "24p", "both"]);
 		const loungeIdLeft = "27536"; // Bowser
 		const loungeIdRight = "56207"; // Wario
+		if (await rejectOptedOut(res, loungeIdLeft, loungeIdRight)) return;
 
 		const timeFilter = allowedTimes.has(String(req.query.time).toLowerCase()) ? String(req.query.time).toLowerCase() : "alltime";
 		const queueFilter = allowedQueues.has(String(req.query.queue).toLowerCase()) ? String(req.query.queue).toLowerCase() : "both";
@@ -470,6 +492,56 @@ function startSite(client) {
 		}
 	});
 
+	// Usage reports roll up new events first, so repeat requests share one for a few minutes
+	async function getCachedUsageReport(query) {
+		const requestedDays = Number.parseInt(query.days, 10);
+		const days = requestedDays >= 1 && requestedDays <= 90 ? requestedDays : 14;
+		const commandName = GLOBAL_COMMAND_NAMES.includes(String(query.command).toLowerCase()) ? String(query.command).toLowerCase() : null;
+		const key = `${days}|${commandName || ""}`;
+		const cached = usageReportCache.get(key);
+		if (cached && cached.expiresAt > Date.now()) {
+			return cached.report;
+		}
+		const report = await UsageAnalytics.getUsageReport({ days, commandName });
+		usageReportCache.set(key, { report, expiresAt: Date.now() + USAGE_REPORT_TTL_MS });
+		return report;
+	}
+
+	app.get("/api/usage", async (req, res) => {
+		if (!database.useDatabase) {
+			return res.status(404).json({ error: "usage tracking is off with file storage" });
+		}
+		try {
+			const { guilds, ...report } = await getCachedUsageReport(req.query);
+			// Which servers use the bot stays private; only the count is public
+			res.json({ ...report, totals: { ...report.totals, servers: guilds.length } });
+		}
+		catch (error) {
+			console.error("usage report error:", error);
+			res.status(500).json({ error: "failed to build usage report" });
+		}
+	});
+
+	app.get("/api/usage-chart", async (req, res) => {
+		if (!database.useDatabase) {
+			return res.status(404).json({ error: "usage tracking is off with file storage" });
+		}
+		const kind = String(req.query.chart || "daily").toLowerCase();
+		if (!UsageCharts.CHART_KINDS.includes(kind)) {
+			return res.status(400).json({ error: `chart must be one of: ${UsageCharts.CHART_KINDS.join(", ")}` });
+		}
+		try {
+			const pngBuffer = await UsageCharts.renderUsageChart(kind, await getCachedUsageReport(req.query));
+			res.setHeader("Content-Type", "image/png");
+			res.setHeader("Cache-Control", "public, max-age=300");
+			return res.send(pngBuffer);
+		}
+		catch (error) {
+			console.error("usage chart render error:", error);
+			return res.status(500).json({ error: "failed to render usage chart" });
+		}
+	});
+
 	app.get("/health", (req, res) => {
 		res.json({
 			status: "healthy",
@@ -479,8 +551,14 @@ function startSite(client) {
 	});
 
 	app.listen(PORT, () => {
-		console.log(`Website running on port ${PORT}`);
+		console.log(`Website running on port ${PORT} (lounge api: ${LoungeApi.getApiBase()})`);
 	});
 }
 
+// Allow running the site on its own (e.g. against the mock lounge api) without logging in the bot
+if (require.main === module) {
+	require("dotenv").config();
+	startSite(null);
+}
+
 module.exports = { startSite };